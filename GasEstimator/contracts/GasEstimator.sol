@@ -18,8 +18,10 @@
 
 pragma solidity ^0.6.6;
 
+import "./GasProfile.sol";
 
-contract GasEstimator {
+
+contract GasEstimator is GasProfile {
   uint lastGas;
   // The hashes for getLastGas(), getFunctionHashIndex()
   // and getFunctionHash(string).
@@ -31,9 +33,23 @@ contract GasEstimator {
     bytes4(0x8bc25426)
   ];
 
-  // The parameters for a function that uses the setEstimatedGas modifier and
-  // which is currently running.
-  bytes32[] functionParams;
+  // The types of the parameters of the functions by their functionHashIndex,
+  // see setParamTypes.
+  mapping(uint => bytes) functionParamTypes;
+
+  // The length of the bytes, string or array a function that uses the
+  // setEstimatedGas modifier returns plus 1, see setReturnLength. It is not
+  // reset after the call, since the refund for resetting it differs between
+  // the hardforks and is capped depending on the total gas (EIP 3529).
+  uint returnLength;
+
+  // The hardforks whose gas costs the estimation can follow. London and
+  // Shanghai only differ from Berlin in costs that the estimation avoids,
+  // e.g., refunds.
+  enum Hardfork { Istanbul, Berlin, London, Shanghai }
+
+  // The hardfork of the chain the contract is deployed on, see setHardfork.
+  Hardfork hardfork;
 
 
   /**
@@ -42,87 +58,107 @@ contract GasEstimator {
    * @param functionHashIndex The index of the hashed function signature in
    * functionHashes.
    * @param returnType If 0 = uint256 or int256, 1 = uintX<256 or bool,
-   * 2 = intX<256, 3 = bytes32, 4 = bytesX<32
+   * 2 = intX<256, 3 = bytes32, 4 = bytesX<32, 5 = bytes or string,
+   * 6 = a dynamic array of 32 byte values
    */
    modifier setEstimatedGas(uint functionHashIndex, uint returnType) {
         uint gasUsed = gasleft();
         require(functionHashIndex < functionHashes.length,
          "functionHashIndex has to be smaller than the length of functionHashes");
-        // Calculate the gas costs for the function signature hash
-        bytes4 funSigHash = functionHashes[functionHashIndex];
-        for (uint b = 0; b < 4; b++) {
-            // Gtxdatanonzero was reduced from 68 to 16 with EIP 2028
-            // (Remix uses 68).
-            gasUsed += funSigHash[b] == 0 ? 4 : 16;
-        }
 
-     // Adding 21000 for Gtransaction and 22 Gas depending on the position in
-     // functionHashes.
-     gasUsed = gasUsed + 21000 + functionHashIndex * 22;
+     // Adding Gtransaction, the costs of the calldata, the costs of the
+     // dispatcher depending on the position in functionHashes, and the costs
+     // of decoding the parameters.
+     gasUsed = gasUsed + TX_GAS + getCalldataGas() +
+       getDispatchGas(functionHashIndex) + getDecodingGas(functionHashIndex);
 
      _; // Execute the function which uses the modifier.
 
-     // Corresponds to Gsset (20000) or Gsreset (5000).
-     gasUsed += lastGas == 0 ? 20000 : 5000;
-
-     if (functionParams.length > 0) {
-         // Calculating the gas cost for the number of parameters.
-        gasUsed += (87 + (functionParams.length-1) * 29);
-
-        // Calculating the gas costs for every single parameter.
-        for (uint p = 0; p < functionParams.length; p++) {
-
-            for (uint pb = 0; pb < 32; pb++) {
-                // Gtxdatanonzero was reduced from 68 to 16 with EIP 2028
-                // (Remix uses 68).
-                gasUsed += functionParams[p][pb] == 0 ? 4 : 16;
-            }
-        }
-        // Adapt to tested measurments.
-        gasUsed -= 19203 + functionParams.length * 19200;
-        delete functionParams; // Resetting the functionParams array.
-     }
+     // Corresponds to Gsset or Gsreset for setting lastGas.
+     gasUsed += lastGas == 0 ? SSTORE_SET_GAS : getSstoreResetGas();
 
      // Corresponds to uint256 or int256.
      if (returnType == 0) {
-          gasUsed += 5;
+          gasUsed += RETURN_WORD_GAS;
 
       // Corresponds to uintX with X < 256 (includes bool = uint8).
       } else if (returnType == 1) {
-        gasUsed += 17;
+        gasUsed += RETURN_UNSIGNED_GAS;
 
       // Corresponds to intX with X < 256.
       } else if (returnType == 2) {
-        gasUsed +=  21;
+        gasUsed += RETURN_SIGNED_GAS;
 
       // Corresponds to bytes32.
       } else if (returnType == 3) {
-        gasUsed += 5;
+        gasUsed += RETURN_BYTES32_GAS;
 
       // Corresponds to bytesX with X < 32.
+      } else if (returnType == 4) {
+        gasUsed += RETURN_FIXED_BYTES_GAS;
+
+      // Corresponds to bytes, string or a dynamic array.
       } else {
-        gasUsed += 23;
+        gasUsed += getEncodingGas(returnType);
       }
 
-     // The gas costs differ for functions with more than 6 functions in total
-     // (including those from GasEstimator).
-      uint diffFromSix = functionHashes.length > 6 ?
-        functionHashes.length - 6 : 0;
-
-       if (diffFromSix  > 0) {
-           if (functionHashIndex >= 2 + diffFromSix) {
-               gasUsed -= diffFromSix*22 + 20;
-           } else {
-               gasUsed += 25;
-           }
-       }
-
-     gasUsed = gasUsed + 1856 - gasleft();
+     // Adding the constant costs, which include reading functionHashIndex
+     // from storage before the modifier starts and reading lastGas again
+     // below.
+     uint constantGas = CONSTANT_GAS + getStorageReadGas() +
+       getStorageRereadGas();
+     gasUsed = gasUsed + constantGas - gasleft();
      if (gasUsed == lastGas)
-            gasUsed += 14;
+            gasUsed += EQUAL_ESTIMATE_GAS;
      lastGas = gasUsed;
   }
 
+  // Gcreatedata, which solc weighs against the runs of the optimizer.
+  uint constant CREATE_DATA_GAS = 200;
+
+  // The parameter types of setParamTypes, which all assume the memory
+  // location of public functions:
+  // A full word, i.e., uint256, int256 or bytes32.
+  uint8 constant PARAM_WORD = 0;
+  // uintX with X < 256, address or bytesX with X < 32, which are masked.
+  uint8 constant PARAM_MASKED = 1;
+  // bool.
+  uint8 constant PARAM_BOOL = 2;
+  // intX with X < 256, which are sign extended.
+  uint8 constant PARAM_SIGNED = 3;
+  // bytes or string.
+  uint8 constant PARAM_BYTES = 4;
+  // A dynamic array of value types, e.g., uint256[] or address[].
+  uint8 constant PARAM_ARRAY = 5;
+
+  // The returnType of bytes or string.
+  uint constant RETURN_BYTES = 5;
+  // The returnType of a dynamic array of value types.
+  uint constant RETURN_ARRAY = 6;
+
+  // Gcopy per word of CALLDATACOPY.
+  uint constant COPY_WORD_GAS = 3;
+  // Gmemory per word.
+  uint constant MEMORY_WORD_GAS = 3;
+
+  // The costs which depend on the hardfork:
+  // Gtransaction.
+  uint constant TX_GAS = 21000;
+  // Gtxdatazero and Gtxdatanonzero, which was reduced from 68 to 16 with
+  // EIP 2028 (Remix uses 68).
+  uint constant TX_DATA_ZERO_GAS = 4;
+  uint constant TX_DATA_NONZERO_GAS = 16;
+  // Gsset and Gsreset.
+  uint constant SSTORE_SET_GAS = 20000;
+  uint constant SSTORE_RESET_GAS = 5000;
+  // SLOAD before Berlin (EIP 1884).
+  uint constant SLOAD_GAS = 800;
+  // The first and every further access of a slot or an address within the
+  // transaction since Berlin (EIP 2929).
+  uint constant COLD_SLOAD_GAS = 2100;
+  uint constant WARM_ACCESS_GAS = 100;
+
+
   /**
    * @notice The constructor adds the function hashes of the inherited contract
    * into functionHashes with respect to its order.
@@ -169,6 +205,258 @@ contract GasEstimator {
     return 0;
   }
 
+  /**
+   * @notice Returns the runs setting of the optimizer with which the contract
+   * is compiled, which decides how solc builds the dispatcher. Override it if
+   * it differs from the default of 200.
+   */
+  function getOptimizerRuns() internal pure virtual returns (uint) {
+    return 200;
+  }
+
+  /**
+   * @notice Returns whether solc splits the dispatcher for the given number of
+   * function hashes, see ContractCompiler::appendInternalSelector.
+   * @param numberHashes The number of function hashes in the current part of
+   * the dispatcher.
+   */
+  function splitsDispatcher(uint numberHashes) internal pure returns (bool) {
+    if (numberHashes <= 4) {
+      return false;
+    }
+    uint runs = getOptimizerRuns();
+    if (runs > 17 * CREATE_DATA_GAS / 6) {
+      return true;
+    }
+    return runs * 6 * (numberHashes - 4) > 17 * CREATE_DATA_GAS;
+  }
+
+  /**
+   * @notice Returns the gas the dispatcher needs to find a function in
+   * addition to the costs of finding the first one of functionHashes.
+   * @dev solc splits the sorted function hashes at their middle into a tree
+   * as long as splitsDispatcher holds and compares the function hash with
+   * every hash of the remaining part in order.
+   * @param functionHashIndex The index of the hashed function signature in
+   * functionHashes.
+   * @return The gas of the splits and the comparisons in the dispatcher.
+   */
+  function getDispatchGas(uint functionHashIndex) internal view
+    returns (uint) {
+    uint dispatchGas;
+    uint low = 0;
+    uint high = functionHashes.length;
+
+    while (splitsDispatcher(high - low)) {
+      uint pivot = low + (high - low) / 2;
+      if (functionHashIndex >= pivot) {
+        dispatchGas += DISPATCH_SPLIT_GAS;
+        low = pivot;
+      } else {
+        dispatchGas += DISPATCH_SPLIT_GAS + 1;
+        high = pivot;
+      }
+    }
+    return dispatchGas + (functionHashIndex - low) * DISPATCH_COMPARE_GAS;
+  }
+
+  /**
+   * @notice Sets the types of the parameters of a function, which have to be
+   * set in the constructor for every function that has parameters of another
+   * type than uint256, int256 or bytes32.
+   * @param functionHashIndex The index of the hashed function signature in
+   * functionHashes.
+   * @param paramTypes The types of the parameters in their order, one byte
+   * each, i.e., PARAM_WORD, PARAM_MASKED, PARAM_BOOL, PARAM_SIGNED,
+   * PARAM_BYTES or PARAM_ARRAY, e.g., abi.encodePacked(PARAM_MASKED,
+   * PARAM_BYTES) for (address,bytes).
+   */
+  function setParamTypes(uint functionHashIndex, bytes memory paramTypes)
+    internal {
+    for (uint p = 0; p < paramTypes.length; p++) {
+      require(uint8(paramTypes[p]) <= PARAM_ARRAY, "Unknown parameter type.");
+    }
+    functionParamTypes[functionHashIndex] = paramTypes;
+  }
+
+  /**
+   * @notice Sets the length of the bytes, string or array which the current
+   * function returns. It is required to set it before returning for the
+   * returnTypes 5 and 6.
+   * @param length The number of bytes of bytes or a string, or the number of
+   * elements of an array.
+   */
+  function setReturnLength(uint length) internal {
+    // Storing 0 after another length would refund the gas of clearing the
+    // slot.
+    returnLength = length + 1;
+  }
+
+  /**
+   * @notice Sets the hardfork of the chain whose gas costs the estimation
+   * follows, which is Istanbul by default.
+   * @param _hardfork The hardfork of the chain.
+   */
+  function setHardfork(Hardfork _hardfork) internal {
+    hardfork = _hardfork;
+  }
+
+  /**
+   * @notice Returns whether the hardfork charges cold and warm accesses
+   * (EIP 2929).
+   */
+  function hasAccessCosts() internal view returns (bool) {
+    return hardfork >= Hardfork.Berlin;
+  }
+
+  /**
+   * @notice Returns the gas of reading a slot for the first time within the
+   * transaction.
+   */
+  function getStorageReadGas() internal view returns (uint) {
+    return hasAccessCosts() ? COLD_SLOAD_GAS : SLOAD_GAS;
+  }
+
+  /**
+   * @notice Returns the gas of reading a slot again within the transaction.
+   */
+  function getStorageRereadGas() internal view returns (uint) {
+    return hasAccessCosts() ? WARM_ACCESS_GAS : SLOAD_GAS;
+  }
+
+  /**
+   * @notice Returns the gas of changing a slot that is not 0 and was read
+   * before, which includes the read since Berlin.
+   */
+  function getSstoreResetGas() internal view returns (uint) {
+    return hasAccessCosts() ?
+      SSTORE_RESET_GAS - COLD_SLOAD_GAS : SSTORE_RESET_GAS;
+  }
+
+  /**
+   * @notice Returns the costs of the calldata, i.e., of the function hash and
+   * the encoded parameters including offsets, lengths and padding.
+   */
+  function getCalldataGas() internal pure returns (uint calldataGas) {
+    for (uint b = 0; b < msg.data.length; b++) {
+      calldataGas += msg.data[b] == 0 ?
+        TX_DATA_ZERO_GAS : TX_DATA_NONZERO_GAS;
+    }
+  }
+
+  /**
+   * @notice Returns the word of the calldata at the given position.
+   */
+  function loadCalldata(uint position) internal pure returns (uint word) {
+    assembly {
+      word := calldataload(position)
+    }
+  }
+
+  /**
+   * @notice Returns the costs of the memory with the given size, i.e., the
+   * linear and the quadratic part.
+   * @param size The size of the memory in bytes.
+   */
+  function getMemoryGas(uint size) internal pure returns (uint) {
+    uint words = (size + 31) / 32;
+    return words * MEMORY_WORD_GAS + words * words / 512;
+  }
+
+  /**
+   * @notice Returns the costs of decoding the parameters of the current call.
+   * @dev Without types set by setParamTypes, every word after the function
+   * hash is a uint256 parameter. The decoder of solc copies bytes, strings
+   * and arrays into memory behind the free memory pointer (0x80) with
+   * CALLDATACOPY.
+   * @param functionHashIndex The index of the hashed function signature in
+   * functionHashes.
+   * @return The gas of the decoder including the memory expansion.
+   */
+  function getDecodingGas(uint functionHashIndex) internal view
+    returns (uint) {
+    bytes storage paramTypes = functionParamTypes[functionHashIndex];
+    uint numberParams = paramTypes.length > 0 ?
+      paramTypes.length : (msg.data.length - 4) / 32;
+
+    if (numberParams == 0) {
+      return 0;
+    }
+
+    uint decodingGas = DECODING_GAS + numberParams * WORD_DECODING_GAS;
+    uint memoryEnd = 0x80;
+    for (uint p = 0; p < paramTypes.length; p++) {
+      uint paramType = uint8(paramTypes[p]);
+
+      if (paramType == PARAM_MASKED || paramType == PARAM_BOOL) {
+        decodingGas += CLEANUP_GAS;
+      } else if (paramType == PARAM_SIGNED) {
+        decodingGas += SIGN_EXTENSION_GAS;
+      } else if (paramType != PARAM_WORD) {
+        // The offset of the length relative to the first parameter.
+        uint offset = loadCalldata(4 + p * 32);
+        uint length = loadCalldata(4 + offset);
+        uint words;
+        if (paramType == PARAM_BYTES) {
+          words = (length + 31) / 32;
+          decodingGas += BYTES_DECODING_GAS;
+        } else {
+          words = length;
+          decodingGas += ARRAY_DECODING_GAS;
+        }
+
+        decodingGas += words * COPY_WORD_GAS;
+        memoryEnd += 32 + words * 32;
+      }
+    }
+
+    // The memory up to the free memory pointer at 0x40 is already used. The
+    // decoder clears the word behind every copy, which only expands the
+    // memory behind the last one.
+    if (memoryEnd > 0x80) {
+      decodingGas += getMemoryGas(memoryEnd + 32) - getMemoryGas(0x60);
+    }
+    return decodingGas;
+  }
+
+  /**
+   * @notice Returns the costs of encoding the returned bytes, string or array
+   * of the length given by setReturnLength.
+   * @dev The encoder of solc writes the offset and the length behind the free
+   * memory pointer and copies the data word by word in a loop, i.e., without
+   * the identity precompile.
+   * @param returnType RETURN_BYTES or RETURN_ARRAY.
+   * @return The gas of the encoder including the memory expansion.
+   */
+  function getEncodingGas(uint returnType) internal view returns (uint) {
+    require(returnLength > 0,
+      "setReturnLength has to be called before returning.");
+    uint length = returnLength - 1;
+    uint words = returnType == RETURN_BYTES ? (length + 31) / 32 : length;
+    uint freeMemory;
+    uint memorySize;
+    assembly {
+      freeMemory := mload(0x40)
+      memorySize := msize()
+    }
+
+    uint encodingGas = words * ENCODING_WORD_GAS;
+    if (returnType == RETURN_BYTES) {
+      encodingGas += BYTES_ENCODING_GAS;
+      if (length % 32 != 0) {
+        encodingGas += PADDING_GAS;
+      }
+    } else {
+      encodingGas += ARRAY_ENCODING_GAS;
+    }
+
+    uint memoryEnd = freeMemory + 64 + words * 32;
+    if (memoryEnd > memorySize) {
+      encodingGas += getMemoryGas(memoryEnd) - getMemoryGas(memorySize);
+    }
+    return encodingGas;
+  }
+
   /**
    * @notice A helper function for calculating the hash of a given function
    * signature.
@@ -0,0 +1,82 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+// Generated by scripts/Calibration.js from the profile version 4 for solc 0.6.6
+// with the optimizer disabled, 200 runs and shanghai, do not edit it.
+
+pragma solidity ^0.6.6;
+
+/**
+ * @title The constants of the gas estimation that depend on the compiler
+ * @dev Calibrate them again with truffle exec scripts/Calibrate.js after
+ * changing the compiler or its settings.
+ */
+abstract contract GasProfile {
+  // The version of the profile.
+  uint constant GAS_PROFILE_VERSION = 4;
+  // The gas of the modifier that is not measured with gasleft, i.e., before it
+  // starts and after it ends, without reading functionHashIndex and reading
+  // lastGas again.
+  uint constant CONSTANT_GAS = 254;
+  // The gas of changing an estimation that equals lastGas, so that setting
+  // lastGas is not a no-op.
+  uint constant EQUAL_ESTIMATE_GAS = 14;
+  // The gas of comparing the function hash with one of functionHashes in the
+  // dispatcher (DUP1, PUSH4, EQ, PUSH2 and JUMPI).
+  uint constant DISPATCH_COMPARE_GAS = 22;
+  // The gas of a split of the dispatcher into the larger and the smaller half
+  // of the function hashes (DUP1, PUSH4, GT, PUSH2 and JUMPI). Continuing in
+  // the smaller half costs 1 more for JUMPDEST.
+  uint constant DISPATCH_SPLIT_GAS = 22;
+  // The gas of setting up the decoder for functions with parameters.
+  uint constant DECODING_GAS = 58;
+  // The gas of decoding a full word (CALLDATALOAD and the stack operations).
+  uint constant WORD_DECODING_GAS = 29;
+  // Masking with PUSH and AND, or cleaning a bool with ISZERO and ISZERO.
+  uint constant CLEANUP_GAS = 6;
+  // Sign extending with PUSH1 and SIGNEXTEND.
+  uint constant SIGN_EXTENSION_GAS = 8;
+  // The gas of decoding bytes or a string into memory without the copying,
+  // i.e., loading the offset and the length, their bound checks, the allocation
+  // and clearing the word behind the copy.
+  uint constant BYTES_DECODING_GAS = 310;
+  // The gas of decoding an array into memory like BYTES_DECODING_GAS, which
+  // multiplies the length instead of rounding it up to words.
+  uint constant ARRAY_DECODING_GAS = 301;
+  // The gas of encoding returned bytes or a string without the copy loop, i.e.,
+  // writing the offset and the length.
+  uint constant BYTES_ENCODING_GAS = 155;
+  // The gas of encoding a returned array without the copy loop, i.e., writing
+  // the offset and the length.
+  uint constant ARRAY_ENCODING_GAS = 126;
+  // The gas of copying a word of returned bytes, a string or an array in the
+  // loop of the encoder without the memory expansion.
+  uint constant ENCODING_WORD_GAS = 75;
+  // The gas of padding the last word of returned bytes or a string.
+  uint constant PADDING_GAS = 116;
+  // The gas of returning uint256 or int256.
+  uint constant RETURN_WORD_GAS = 5;
+  // The gas of returning uintX with X < 256 (includes bool = uint8 and
+  // address).
+  uint constant RETURN_UNSIGNED_GAS = 17;
+  // The gas of returning intX with X < 256.
+  uint constant RETURN_SIGNED_GAS = 21;
+  // The gas of returning bytes32.
+  uint constant RETURN_BYTES32_GAS = 5;
+  // The gas of returning bytesX with X < 32.
+  uint constant RETURN_FIXED_BYTES_GAS = 29;
+}
@@ -18,21 +18,23 @@
 pragma solidity ^0.6.6;
 
 import "./GasEstimator.sol";
+import "./generated/SampleContractFunctionHashes.sol";
 
-contract SampleContract is GasEstimator {
+contract SampleContract is GasEstimator, SampleContractFunctionHashes {
 
   uint someFunctionIndex;
   uint functionBoolIndex;
   uint funcWithParamsIndex;
 
-  constructor(bytes4[] memory _functionHashes) GasEstimator(_functionHashes) public {
-    someFunctionIndex = getFunctionHashIndex(_functionHashes[0]);
-    functionBoolIndex = getFunctionHashIndex(_functionHashes[1]);
-    funcWithParamsIndex = getFunctionHashIndex(_functionHashes[2]);
+  constructor(bytes4[] memory _functionHashes, Hardfork _hardfork) GasEstimator(_functionHashes) public {
+    someFunctionIndex = SOME_FUNCTION_INDEX;
+    functionBoolIndex = FUNCTION_BOOL_INDEX;
+    funcWithParamsIndex = FUNC_WITH_PARAMS_INDEX;
+    setHardfork(_hardfork);
   }
 
   // Just a test function which does some "expensive" operations and uses the modifier setEstimatedGas.
-  function someFunction() public setEstimatedGas(someFunctionIndex, 0) returns (uint) {
+  function someFunction() public setEstimatedGas(someFunctionIndex, SOME_FUNCTION_RETURN_TYPE) returns (uint) {
     uint tmp;
     for (uint i = 0; i < 25; i++) {
       tmp = tmp * i + i**2;
@@ -40,7 +42,7 @@ contract SampleContract is GasEstimator {
     return tmp;
   }
 
-  function functionBool() public setEstimatedGas(functionBoolIndex, 1) returns (bool) {
+  function functionBool() public setEstimatedGas(functionBoolIndex, FUNCTION_BOOL_RETURN_TYPE) returns (bool) {
     uint tmp;
     for (uint i = 0; i < 10; i++) {
       tmp = tmp * i + i**2;
@@ -48,15 +50,12 @@ contract SampleContract is GasEstimator {
     return true;
   }
 
-  function funcWithParams(uint x, uint y, uint z) public setEstimatedGas(funcWithParamsIndex, 3) returns (bytes32) {
+  function funcWithParams(uint x, uint y, uint z) public setEstimatedGas(funcWithParamsIndex, FUNC_WITH_PARAMS_RETURN_TYPE) returns (bytes32) {
     uint tmp = x + y + z;
     for (uint i = 0; i < 15; i++) {
       tmp = tmp * i + i**3 + 6;
     }
 
-    // It is required to set the functionParams before returning (or changing
-    // those values).
-    functionParams = [bytes32(x), bytes32(y), bytes32(z)];
     return bytes32(tmp);
   }
 }
@@ -0,0 +1,153 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+// Generated by scripts/ManyFunctions.js, do not edit it.
+
+pragma solidity ^0.6.6;
+
+import "../GasEstimator.sol";
+import "./ManyFunctions16FunctionHashes.sol";
+
+/**
+ * @title A contract with 16 external functions for testing the costs
+ * of the dispatcher in setEstimatedGas.
+ */
+contract ManyFunctions16 is GasEstimator, ManyFunctions16FunctionHashes {
+
+  uint functionNumber0Index;
+  uint functionNumber1Index;
+  uint functionNumber2Index;
+  uint functionNumber3Index;
+  uint functionNumber4Index;
+  uint functionNumber5Index;
+  uint functionNumber6Index;
+  uint functionNumber7Index;
+  uint functionNumber8Index;
+  uint functionNumber9Index;
+  uint functionNumber10Index;
+  uint functionNumber11Index;
+  uint functionNumber12Index;
+
+  constructor(bytes4[] memory _functionHashes, Hardfork _hardfork)
+    GasEstimator(_functionHashes) public {
+    setHardfork(_hardfork);
+    functionNumber0Index = FUNCTION_NUMBER0_INDEX;
+    functionNumber1Index = FUNCTION_NUMBER1_INDEX;
+    functionNumber2Index = FUNCTION_NUMBER2_INDEX;
+    functionNumber3Index = FUNCTION_NUMBER3_INDEX;
+    functionNumber4Index = FUNCTION_NUMBER4_INDEX;
+    functionNumber5Index = FUNCTION_NUMBER5_INDEX;
+    functionNumber6Index = FUNCTION_NUMBER6_INDEX;
+    functionNumber7Index = FUNCTION_NUMBER7_INDEX;
+    functionNumber8Index = FUNCTION_NUMBER8_INDEX;
+    functionNumber9Index = FUNCTION_NUMBER9_INDEX;
+    functionNumber10Index = FUNCTION_NUMBER10_INDEX;
+    functionNumber11Index = FUNCTION_NUMBER11_INDEX;
+    functionNumber12Index = FUNCTION_NUMBER12_INDEX;
+  }
+
+  function functionNumber0() public
+    setEstimatedGas(functionNumber0Index, 0)
+    returns (uint) {
+    uint tmp = 0;
+    return tmp;
+  }
+
+  function functionNumber1() public
+    setEstimatedGas(functionNumber1Index, 1)
+    returns (bool) {
+    uint tmp = 1;
+    return tmp > 0;
+  }
+
+  function functionNumber2() public
+    setEstimatedGas(functionNumber2Index, 3)
+    returns (bytes32) {
+    uint tmp = 2;
+    return bytes32(tmp);
+  }
+
+  function functionNumber3() public
+    setEstimatedGas(functionNumber3Index, 0)
+    returns (uint) {
+    uint tmp = 3;
+    return tmp;
+  }
+
+  function functionNumber4() public
+    setEstimatedGas(functionNumber4Index, 1)
+    returns (bool) {
+    uint tmp = 4;
+    return tmp > 0;
+  }
+
+  function functionNumber5() public
+    setEstimatedGas(functionNumber5Index, 3)
+    returns (bytes32) {
+    uint tmp = 5;
+    return bytes32(tmp);
+  }
+
+  function functionNumber6() public
+    setEstimatedGas(functionNumber6Index, 0)
+    returns (uint) {
+    uint tmp = 6;
+    return tmp;
+  }
+
+  function functionNumber7() public
+    setEstimatedGas(functionNumber7Index, 1)
+    returns (bool) {
+    uint tmp = 7;
+    return tmp > 0;
+  }
+
+  function functionNumber8() public
+    setEstimatedGas(functionNumber8Index, 3)
+    returns (bytes32) {
+    uint tmp = 8;
+    return bytes32(tmp);
+  }
+
+  function functionNumber9() public
+    setEstimatedGas(functionNumber9Index, 0)
+    returns (uint) {
+    uint tmp = 9;
+    return tmp;
+  }
+
+  function functionNumber10() public
+    setEstimatedGas(functionNumber10Index, 1)
+    returns (bool) {
+    uint tmp = 0;
+    return tmp > 0;
+  }
+
+  function functionNumber11() public
+    setEstimatedGas(functionNumber11Index, 3)
+    returns (bytes32) {
+    uint tmp = 1;
+    return bytes32(tmp);
+  }
+
+  function functionNumber12() public
+    setEstimatedGas(functionNumber12Index, 0)
+    returns (uint) {
+    uint tmp = 2;
+    return tmp;
+  }
+}
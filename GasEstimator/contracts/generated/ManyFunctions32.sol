@@ -0,0 +1,297 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+// Generated by scripts/ManyFunctions.js, do not edit it.
+
+pragma solidity ^0.6.6;
+
+import "../GasEstimator.sol";
+import "./ManyFunctions32FunctionHashes.sol";
+
+/**
+ * @title A contract with 32 external functions for testing the costs
+ * of the dispatcher in setEstimatedGas.
+ */
+contract ManyFunctions32 is GasEstimator, ManyFunctions32FunctionHashes {
+
+  uint functionNumber0Index;
+  uint functionNumber1Index;
+  uint functionNumber2Index;
+  uint functionNumber3Index;
+  uint functionNumber4Index;
+  uint functionNumber5Index;
+  uint functionNumber6Index;
+  uint functionNumber7Index;
+  uint functionNumber8Index;
+  uint functionNumber9Index;
+  uint functionNumber10Index;
+  uint functionNumber11Index;
+  uint functionNumber12Index;
+  uint functionNumber13Index;
+  uint functionNumber14Index;
+  uint functionNumber15Index;
+  uint functionNumber16Index;
+  uint functionNumber17Index;
+  uint functionNumber18Index;
+  uint functionNumber19Index;
+  uint functionNumber20Index;
+  uint functionNumber21Index;
+  uint functionNumber22Index;
+  uint functionNumber23Index;
+  uint functionNumber24Index;
+  uint functionNumber25Index;
+  uint functionNumber26Index;
+  uint functionNumber27Index;
+  uint functionNumber28Index;
+
+  constructor(bytes4[] memory _functionHashes, Hardfork _hardfork)
+    GasEstimator(_functionHashes) public {
+    setHardfork(_hardfork);
+    functionNumber0Index = FUNCTION_NUMBER0_INDEX;
+    functionNumber1Index = FUNCTION_NUMBER1_INDEX;
+    functionNumber2Index = FUNCTION_NUMBER2_INDEX;
+    functionNumber3Index = FUNCTION_NUMBER3_INDEX;
+    functionNumber4Index = FUNCTION_NUMBER4_INDEX;
+    functionNumber5Index = FUNCTION_NUMBER5_INDEX;
+    functionNumber6Index = FUNCTION_NUMBER6_INDEX;
+    functionNumber7Index = FUNCTION_NUMBER7_INDEX;
+    functionNumber8Index = FUNCTION_NUMBER8_INDEX;
+    functionNumber9Index = FUNCTION_NUMBER9_INDEX;
+    functionNumber10Index = FUNCTION_NUMBER10_INDEX;
+    functionNumber11Index = FUNCTION_NUMBER11_INDEX;
+    functionNumber12Index = FUNCTION_NUMBER12_INDEX;
+    functionNumber13Index = FUNCTION_NUMBER13_INDEX;
+    functionNumber14Index = FUNCTION_NUMBER14_INDEX;
+    functionNumber15Index = FUNCTION_NUMBER15_INDEX;
+    functionNumber16Index = FUNCTION_NUMBER16_INDEX;
+    functionNumber17Index = FUNCTION_NUMBER17_INDEX;
+    functionNumber18Index = FUNCTION_NUMBER18_INDEX;
+    functionNumber19Index = FUNCTION_NUMBER19_INDEX;
+    functionNumber20Index = FUNCTION_NUMBER20_INDEX;
+    functionNumber21Index = FUNCTION_NUMBER21_INDEX;
+    functionNumber22Index = FUNCTION_NUMBER22_INDEX;
+    functionNumber23Index = FUNCTION_NUMBER23_INDEX;
+    functionNumber24Index = FUNCTION_NUMBER24_INDEX;
+    functionNumber25Index = FUNCTION_NUMBER25_INDEX;
+    functionNumber26Index = FUNCTION_NUMBER26_INDEX;
+    functionNumber27Index = FUNCTION_NUMBER27_INDEX;
+    functionNumber28Index = FUNCTION_NUMBER28_INDEX;
+  }
+
+  function functionNumber0() public
+    setEstimatedGas(functionNumber0Index, 0)
+    returns (uint) {
+    uint tmp = 0;
+    return tmp;
+  }
+
+  function functionNumber1() public
+    setEstimatedGas(functionNumber1Index, 1)
+    returns (bool) {
+    uint tmp = 1;
+    return tmp > 0;
+  }
+
+  function functionNumber2() public
+    setEstimatedGas(functionNumber2Index, 3)
+    returns (bytes32) {
+    uint tmp = 2;
+    return bytes32(tmp);
+  }
+
+  function functionNumber3() public
+    setEstimatedGas(functionNumber3Index, 0)
+    returns (uint) {
+    uint tmp = 3;
+    return tmp;
+  }
+
+  function functionNumber4() public
+    setEstimatedGas(functionNumber4Index, 1)
+    returns (bool) {
+    uint tmp = 4;
+    return tmp > 0;
+  }
+
+  function functionNumber5() public
+    setEstimatedGas(functionNumber5Index, 3)
+    returns (bytes32) {
+    uint tmp = 5;
+    return bytes32(tmp);
+  }
+
+  function functionNumber6() public
+    setEstimatedGas(functionNumber6Index, 0)
+    returns (uint) {
+    uint tmp = 6;
+    return tmp;
+  }
+
+  function functionNumber7() public
+    setEstimatedGas(functionNumber7Index, 1)
+    returns (bool) {
+    uint tmp = 7;
+    return tmp > 0;
+  }
+
+  function functionNumber8() public
+    setEstimatedGas(functionNumber8Index, 3)
+    returns (bytes32) {
+    uint tmp = 8;
+    return bytes32(tmp);
+  }
+
+  function functionNumber9() public
+    setEstimatedGas(functionNumber9Index, 0)
+    returns (uint) {
+    uint tmp = 9;
+    return tmp;
+  }
+
+  function functionNumber10() public
+    setEstimatedGas(functionNumber10Index, 1)
+    returns (bool) {
+    uint tmp = 0;
+    return tmp > 0;
+  }
+
+  function functionNumber11() public
+    setEstimatedGas(functionNumber11Index, 3)
+    returns (bytes32) {
+    uint tmp = 1;
+    return bytes32(tmp);
+  }
+
+  function functionNumber12() public
+    setEstimatedGas(functionNumber12Index, 0)
+    returns (uint) {
+    uint tmp = 2;
+    return tmp;
+  }
+
+  function functionNumber13() public
+    setEstimatedGas(functionNumber13Index, 1)
+    returns (bool) {
+    uint tmp = 3;
+    return tmp > 0;
+  }
+
+  function functionNumber14() public
+    setEstimatedGas(functionNumber14Index, 3)
+    returns (bytes32) {
+    uint tmp = 4;
+    return bytes32(tmp);
+  }
+
+  function functionNumber15() public
+    setEstimatedGas(functionNumber15Index, 0)
+    returns (uint) {
+    uint tmp = 5;
+    return tmp;
+  }
+
+  function functionNumber16() public
+    setEstimatedGas(functionNumber16Index, 1)
+    returns (bool) {
+    uint tmp = 6;
+    return tmp > 0;
+  }
+
+  function functionNumber17() public
+    setEstimatedGas(functionNumber17Index, 3)
+    returns (bytes32) {
+    uint tmp = 7;
+    return bytes32(tmp);
+  }
+
+  function functionNumber18() public
+    setEstimatedGas(functionNumber18Index, 0)
+    returns (uint) {
+    uint tmp = 8;
+    return tmp;
+  }
+
+  function functionNumber19() public
+    setEstimatedGas(functionNumber19Index, 1)
+    returns (bool) {
+    uint tmp = 9;
+    return tmp > 0;
+  }
+
+  function functionNumber20() public
+    setEstimatedGas(functionNumber20Index, 3)
+    returns (bytes32) {
+    uint tmp = 0;
+    return bytes32(tmp);
+  }
+
+  function functionNumber21() public
+    setEstimatedGas(functionNumber21Index, 0)
+    returns (uint) {
+    uint tmp = 1;
+    return tmp;
+  }
+
+  function functionNumber22() public
+    setEstimatedGas(functionNumber22Index, 1)
+    returns (bool) {
+    uint tmp = 2;
+    return tmp > 0;
+  }
+
+  function functionNumber23() public
+    setEstimatedGas(functionNumber23Index, 3)
+    returns (bytes32) {
+    uint tmp = 3;
+    return bytes32(tmp);
+  }
+
+  function functionNumber24() public
+    setEstimatedGas(functionNumber24Index, 0)
+    returns (uint) {
+    uint tmp = 4;
+    return tmp;
+  }
+
+  function functionNumber25() public
+    setEstimatedGas(functionNumber25Index, 1)
+    returns (bool) {
+    uint tmp = 5;
+    return tmp > 0;
+  }
+
+  function functionNumber26() public
+    setEstimatedGas(functionNumber26Index, 3)
+    returns (bytes32) {
+    uint tmp = 6;
+    return bytes32(tmp);
+  }
+
+  function functionNumber27() public
+    setEstimatedGas(functionNumber27Index, 0)
+    returns (uint) {
+    uint tmp = 7;
+    return tmp;
+  }
+
+  function functionNumber28() public
+    setEstimatedGas(functionNumber28Index, 1)
+    returns (bool) {
+    uint tmp = 8;
+    return tmp > 0;
+  }
+}
@@ -0,0 +1,129 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+// Generated by scripts/FunctionHashes.js from the ABI of ManyFunctions32.
+// Do not edit it, but generate it again whenever a function changes.
+
+pragma solidity ^0.6.6;
+
+/**
+ * @title The function hash indexes and return types of ManyFunctions32
+ * @dev The constructor argument of GasEstimator is
+ * [0x7bf53264, 0x07b5f60f, 0xf2f25f0f, 0x3ada0c7a, 0x0d32fbd5, 0x2a7b0e97,
+ *  0x75d804db, 0xeab00ac4, 0x7a019812, 0xf0466746, 0x5119ef76, 0x869eefd3,
+ *  0x60fff8dd, 0xe0519312, 0x4b575f0b, 0x19c596cd, 0x966b9991, 0x57c1c955,
+ *  0xb4e6a2d2, 0xde69545c, 0x4ff239cc, 0x63c625c2, 0x141b38e2, 0x1f2c6f3b,
+ *  0xd7d606da, 0xa8590aa9, 0xde5313e4, 0x059c6e94, 0xb93202c5].
+ */
+abstract contract ManyFunctions32FunctionHashes {
+  // functionNumber27() with the hash 0x059c6e94.
+  uint constant FUNCTION_NUMBER27_INDEX = 0;
+  uint constant FUNCTION_NUMBER27_RETURN_TYPE = 0;
+  // functionNumber1() with the hash 0x07b5f60f.
+  uint constant FUNCTION_NUMBER1_INDEX = 1;
+  uint constant FUNCTION_NUMBER1_RETURN_TYPE = 1;
+  // functionNumber4() with the hash 0x0d32fbd5.
+  uint constant FUNCTION_NUMBER4_INDEX = 2;
+  uint constant FUNCTION_NUMBER4_RETURN_TYPE = 1;
+  // functionNumber22() with the hash 0x141b38e2.
+  uint constant FUNCTION_NUMBER22_INDEX = 3;
+  uint constant FUNCTION_NUMBER22_RETURN_TYPE = 1;
+  // functionNumber15() with the hash 0x19c596cd.
+  uint constant FUNCTION_NUMBER15_INDEX = 4;
+  uint constant FUNCTION_NUMBER15_RETURN_TYPE = 0;
+  // functionNumber23() with the hash 0x1f2c6f3b.
+  uint constant FUNCTION_NUMBER23_INDEX = 5;
+  uint constant FUNCTION_NUMBER23_RETURN_TYPE = 3;
+  // functionNumber5() with the hash 0x2a7b0e97.
+  uint constant FUNCTION_NUMBER5_INDEX = 6;
+  uint constant FUNCTION_NUMBER5_RETURN_TYPE = 3;
+  // functionNumber3() with the hash 0x3ada0c7a.
+  uint constant FUNCTION_NUMBER3_INDEX = 7;
+  uint constant FUNCTION_NUMBER3_RETURN_TYPE = 0;
+  // functionNumber14() with the hash 0x4b575f0b.
+  uint constant FUNCTION_NUMBER14_INDEX = 8;
+  uint constant FUNCTION_NUMBER14_RETURN_TYPE = 3;
+  // functionNumber20() with the hash 0x4ff239cc.
+  uint constant FUNCTION_NUMBER20_INDEX = 9;
+  uint constant FUNCTION_NUMBER20_RETURN_TYPE = 3;
+  // functionNumber10() with the hash 0x5119ef76.
+  uint constant FUNCTION_NUMBER10_INDEX = 10;
+  uint constant FUNCTION_NUMBER10_RETURN_TYPE = 1;
+  // getLastGas() with the hash 0x55c451b2.
+  uint constant GET_LAST_GAS_INDEX = 11;
+  uint constant GET_LAST_GAS_RETURN_TYPE = 0;
+  // functionNumber17() with the hash 0x57c1c955.
+  uint constant FUNCTION_NUMBER17_INDEX = 12;
+  uint constant FUNCTION_NUMBER17_RETURN_TYPE = 3;
+  // functionNumber12() with the hash 0x60fff8dd.
+  uint constant FUNCTION_NUMBER12_INDEX = 13;
+  uint constant FUNCTION_NUMBER12_RETURN_TYPE = 0;
+  // functionNumber21() with the hash 0x63c625c2.
+  uint constant FUNCTION_NUMBER21_INDEX = 14;
+  uint constant FUNCTION_NUMBER21_RETURN_TYPE = 0;
+  // functionNumber6() with the hash 0x75d804db.
+  uint constant FUNCTION_NUMBER6_INDEX = 15;
+  uint constant FUNCTION_NUMBER6_RETURN_TYPE = 0;
+  // functionNumber8() with the hash 0x7a019812.
+  uint constant FUNCTION_NUMBER8_INDEX = 16;
+  uint constant FUNCTION_NUMBER8_RETURN_TYPE = 3;
+  // functionNumber0() with the hash 0x7bf53264.
+  uint constant FUNCTION_NUMBER0_INDEX = 17;
+  uint constant FUNCTION_NUMBER0_RETURN_TYPE = 0;
+  // getFunctionHashIndex(bytes4) with the hash 0x828bf210.
+  uint constant GET_FUNCTION_HASH_INDEX_INDEX = 18;
+  uint constant GET_FUNCTION_HASH_INDEX_RETURN_TYPE = 0;
+  // functionNumber11() with the hash 0x869eefd3.
+  uint constant FUNCTION_NUMBER11_INDEX = 19;
+  uint constant FUNCTION_NUMBER11_RETURN_TYPE = 3;
+  // getFunctionHash(string) with the hash 0x8bc25426.
+  uint constant GET_FUNCTION_HASH_INDEX = 20;
+  uint constant GET_FUNCTION_HASH_RETURN_TYPE = 4;
+  // functionNumber16() with the hash 0x966b9991.
+  uint constant FUNCTION_NUMBER16_INDEX = 21;
+  uint constant FUNCTION_NUMBER16_RETURN_TYPE = 1;
+  // functionNumber25() with the hash 0xa8590aa9.
+  uint constant FUNCTION_NUMBER25_INDEX = 22;
+  uint constant FUNCTION_NUMBER25_RETURN_TYPE = 1;
+  // functionNumber18() with the hash 0xb4e6a2d2.
+  uint constant FUNCTION_NUMBER18_INDEX = 23;
+  uint constant FUNCTION_NUMBER18_RETURN_TYPE = 0;
+  // functionNumber28() with the hash 0xb93202c5.
+  uint constant FUNCTION_NUMBER28_INDEX = 24;
+  uint constant FUNCTION_NUMBER28_RETURN_TYPE = 1;
+  // functionNumber24() with the hash 0xd7d606da.
+  uint constant FUNCTION_NUMBER24_INDEX = 25;
+  uint constant FUNCTION_NUMBER24_RETURN_TYPE = 0;
+  // functionNumber26() with the hash 0xde5313e4.
+  uint constant FUNCTION_NUMBER26_INDEX = 26;
+  uint constant FUNCTION_NUMBER26_RETURN_TYPE = 3;
+  // functionNumber19() with the hash 0xde69545c.
+  uint constant FUNCTION_NUMBER19_INDEX = 27;
+  uint constant FUNCTION_NUMBER19_RETURN_TYPE = 1;
+  // functionNumber13() with the hash 0xe0519312.
+  uint constant FUNCTION_NUMBER13_INDEX = 28;
+  uint constant FUNCTION_NUMBER13_RETURN_TYPE = 1;
+  // functionNumber7() with the hash 0xeab00ac4.
+  uint constant FUNCTION_NUMBER7_INDEX = 29;
+  uint constant FUNCTION_NUMBER7_RETURN_TYPE = 1;
+  // functionNumber9() with the hash 0xf0466746.
+  uint constant FUNCTION_NUMBER9_INDEX = 30;
+  uint constant FUNCTION_NUMBER9_RETURN_TYPE = 0;
+  // functionNumber2() with the hash 0xf2f25f0f.
+  uint constant FUNCTION_NUMBER2_INDEX = 31;
+  uint constant FUNCTION_NUMBER2_RETURN_TYPE = 3;
+}
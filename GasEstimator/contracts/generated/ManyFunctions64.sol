@@ -0,0 +1,585 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+// Generated by scripts/ManyFunctions.js, do not edit it.
+
+pragma solidity ^0.6.6;
+
+import "../GasEstimator.sol";
+import "./ManyFunctions64FunctionHashes.sol";
+
+/**
+ * @title A contract with 64 external functions for testing the costs
+ * of the dispatcher in setEstimatedGas.
+ */
+contract ManyFunctions64 is GasEstimator, ManyFunctions64FunctionHashes {
+
+  uint functionNumber0Index;
+  uint functionNumber1Index;
+  uint functionNumber2Index;
+  uint functionNumber3Index;
+  uint functionNumber4Index;
+  uint functionNumber5Index;
+  uint functionNumber6Index;
+  uint functionNumber7Index;
+  uint functionNumber8Index;
+  uint functionNumber9Index;
+  uint functionNumber10Index;
+  uint functionNumber11Index;
+  uint functionNumber12Index;
+  uint functionNumber13Index;
+  uint functionNumber14Index;
+  uint functionNumber15Index;
+  uint functionNumber16Index;
+  uint functionNumber17Index;
+  uint functionNumber18Index;
+  uint functionNumber19Index;
+  uint functionNumber20Index;
+  uint functionNumber21Index;
+  uint functionNumber22Index;
+  uint functionNumber23Index;
+  uint functionNumber24Index;
+  uint functionNumber25Index;
+  uint functionNumber26Index;
+  uint functionNumber27Index;
+  uint functionNumber28Index;
+  uint functionNumber29Index;
+  uint functionNumber30Index;
+  uint functionNumber31Index;
+  uint functionNumber32Index;
+  uint functionNumber33Index;
+  uint functionNumber34Index;
+  uint functionNumber35Index;
+  uint functionNumber36Index;
+  uint functionNumber37Index;
+  uint functionNumber38Index;
+  uint functionNumber39Index;
+  uint functionNumber40Index;
+  uint functionNumber41Index;
+  uint functionNumber42Index;
+  uint functionNumber43Index;
+  uint functionNumber44Index;
+  uint functionNumber45Index;
+  uint functionNumber46Index;
+  uint functionNumber47Index;
+  uint functionNumber48Index;
+  uint functionNumber49Index;
+  uint functionNumber50Index;
+  uint functionNumber51Index;
+  uint functionNumber52Index;
+  uint functionNumber53Index;
+  uint functionNumber54Index;
+  uint functionNumber55Index;
+  uint functionNumber56Index;
+  uint functionNumber57Index;
+  uint functionNumber58Index;
+  uint functionNumber59Index;
+  uint functionNumber60Index;
+
+  constructor(bytes4[] memory _functionHashes, Hardfork _hardfork)
+    GasEstimator(_functionHashes) public {
+    setHardfork(_hardfork);
+    functionNumber0Index = FUNCTION_NUMBER0_INDEX;
+    functionNumber1Index = FUNCTION_NUMBER1_INDEX;
+    functionNumber2Index = FUNCTION_NUMBER2_INDEX;
+    functionNumber3Index = FUNCTION_NUMBER3_INDEX;
+    functionNumber4Index = FUNCTION_NUMBER4_INDEX;
+    functionNumber5Index = FUNCTION_NUMBER5_INDEX;
+    functionNumber6Index = FUNCTION_NUMBER6_INDEX;
+    functionNumber7Index = FUNCTION_NUMBER7_INDEX;
+    functionNumber8Index = FUNCTION_NUMBER8_INDEX;
+    functionNumber9Index = FUNCTION_NUMBER9_INDEX;
+    functionNumber10Index = FUNCTION_NUMBER10_INDEX;
+    functionNumber11Index = FUNCTION_NUMBER11_INDEX;
+    functionNumber12Index = FUNCTION_NUMBER12_INDEX;
+    functionNumber13Index = FUNCTION_NUMBER13_INDEX;
+    functionNumber14Index = FUNCTION_NUMBER14_INDEX;
+    functionNumber15Index = FUNCTION_NUMBER15_INDEX;
+    functionNumber16Index = FUNCTION_NUMBER16_INDEX;
+    functionNumber17Index = FUNCTION_NUMBER17_INDEX;
+    functionNumber18Index = FUNCTION_NUMBER18_INDEX;
+    functionNumber19Index = FUNCTION_NUMBER19_INDEX;
+    functionNumber20Index = FUNCTION_NUMBER20_INDEX;
+    functionNumber21Index = FUNCTION_NUMBER21_INDEX;
+    functionNumber22Index = FUNCTION_NUMBER22_INDEX;
+    functionNumber23Index = FUNCTION_NUMBER23_INDEX;
+    functionNumber24Index = FUNCTION_NUMBER24_INDEX;
+    functionNumber25Index = FUNCTION_NUMBER25_INDEX;
+    functionNumber26Index = FUNCTION_NUMBER26_INDEX;
+    functionNumber27Index = FUNCTION_NUMBER27_INDEX;
+    functionNumber28Index = FUNCTION_NUMBER28_INDEX;
+    functionNumber29Index = FUNCTION_NUMBER29_INDEX;
+    functionNumber30Index = FUNCTION_NUMBER30_INDEX;
+    functionNumber31Index = FUNCTION_NUMBER31_INDEX;
+    functionNumber32Index = FUNCTION_NUMBER32_INDEX;
+    functionNumber33Index = FUNCTION_NUMBER33_INDEX;
+    functionNumber34Index = FUNCTION_NUMBER34_INDEX;
+    functionNumber35Index = FUNCTION_NUMBER35_INDEX;
+    functionNumber36Index = FUNCTION_NUMBER36_INDEX;
+    functionNumber37Index = FUNCTION_NUMBER37_INDEX;
+    functionNumber38Index = FUNCTION_NUMBER38_INDEX;
+    functionNumber39Index = FUNCTION_NUMBER39_INDEX;
+    functionNumber40Index = FUNCTION_NUMBER40_INDEX;
+    functionNumber41Index = FUNCTION_NUMBER41_INDEX;
+    functionNumber42Index = FUNCTION_NUMBER42_INDEX;
+    functionNumber43Index = FUNCTION_NUMBER43_INDEX;
+    functionNumber44Index = FUNCTION_NUMBER44_INDEX;
+    functionNumber45Index = FUNCTION_NUMBER45_INDEX;
+    functionNumber46Index = FUNCTION_NUMBER46_INDEX;
+    functionNumber47Index = FUNCTION_NUMBER47_INDEX;
+    functionNumber48Index = FUNCTION_NUMBER48_INDEX;
+    functionNumber49Index = FUNCTION_NUMBER49_INDEX;
+    functionNumber50Index = FUNCTION_NUMBER50_INDEX;
+    functionNumber51Index = FUNCTION_NUMBER51_INDEX;
+    functionNumber52Index = FUNCTION_NUMBER52_INDEX;
+    functionNumber53Index = FUNCTION_NUMBER53_INDEX;
+    functionNumber54Index = FUNCTION_NUMBER54_INDEX;
+    functionNumber55Index = FUNCTION_NUMBER55_INDEX;
+    functionNumber56Index = FUNCTION_NUMBER56_INDEX;
+    functionNumber57Index = FUNCTION_NUMBER57_INDEX;
+    functionNumber58Index = FUNCTION_NUMBER58_INDEX;
+    functionNumber59Index = FUNCTION_NUMBER59_INDEX;
+    functionNumber60Index = FUNCTION_NUMBER60_INDEX;
+  }
+
+  function functionNumber0() public
+    setEstimatedGas(functionNumber0Index, 0)
+    returns (uint) {
+    uint tmp = 0;
+    return tmp;
+  }
+
+  function functionNumber1() public
+    setEstimatedGas(functionNumber1Index, 1)
+    returns (bool) {
+    uint tmp = 1;
+    return tmp > 0;
+  }
+
+  function functionNumber2() public
+    setEstimatedGas(functionNumber2Index, 3)
+    returns (bytes32) {
+    uint tmp = 2;
+    return bytes32(tmp);
+  }
+
+  function functionNumber3() public
+    setEstimatedGas(functionNumber3Index, 0)
+    returns (uint) {
+    uint tmp = 3;
+    return tmp;
+  }
+
+  function functionNumber4() public
+    setEstimatedGas(functionNumber4Index, 1)
+    returns (bool) {
+    uint tmp = 4;
+    return tmp > 0;
+  }
+
+  function functionNumber5() public
+    setEstimatedGas(functionNumber5Index, 3)
+    returns (bytes32) {
+    uint tmp = 5;
+    return bytes32(tmp);
+  }
+
+  function functionNumber6() public
+    setEstimatedGas(functionNumber6Index, 0)
+    returns (uint) {
+    uint tmp = 6;
+    return tmp;
+  }
+
+  function functionNumber7() public
+    setEstimatedGas(functionNumber7Index, 1)
+    returns (bool) {
+    uint tmp = 7;
+    return tmp > 0;
+  }
+
+  function functionNumber8() public
+    setEstimatedGas(functionNumber8Index, 3)
+    returns (bytes32) {
+    uint tmp = 8;
+    return bytes32(tmp);
+  }
+
+  function functionNumber9() public
+    setEstimatedGas(functionNumber9Index, 0)
+    returns (uint) {
+    uint tmp = 9;
+    return tmp;
+  }
+
+  function functionNumber10() public
+    setEstimatedGas(functionNumber10Index, 1)
+    returns (bool) {
+    uint tmp = 0;
+    return tmp > 0;
+  }
+
+  function functionNumber11() public
+    setEstimatedGas(functionNumber11Index, 3)
+    returns (bytes32) {
+    uint tmp = 1;
+    return bytes32(tmp);
+  }
+
+  function functionNumber12() public
+    setEstimatedGas(functionNumber12Index, 0)
+    returns (uint) {
+    uint tmp = 2;
+    return tmp;
+  }
+
+  function functionNumber13() public
+    setEstimatedGas(functionNumber13Index, 1)
+    returns (bool) {
+    uint tmp = 3;
+    return tmp > 0;
+  }
+
+  function functionNumber14() public
+    setEstimatedGas(functionNumber14Index, 3)
+    returns (bytes32) {
+    uint tmp = 4;
+    return bytes32(tmp);
+  }
+
+  function functionNumber15() public
+    setEstimatedGas(functionNumber15Index, 0)
+    returns (uint) {
+    uint tmp = 5;
+    return tmp;
+  }
+
+  function functionNumber16() public
+    setEstimatedGas(functionNumber16Index, 1)
+    returns (bool) {
+    uint tmp = 6;
+    return tmp > 0;
+  }
+
+  function functionNumber17() public
+    setEstimatedGas(functionNumber17Index, 3)
+    returns (bytes32) {
+    uint tmp = 7;
+    return bytes32(tmp);
+  }
+
+  function functionNumber18() public
+    setEstimatedGas(functionNumber18Index, 0)
+    returns (uint) {
+    uint tmp = 8;
+    return tmp;
+  }
+
+  function functionNumber19() public
+    setEstimatedGas(functionNumber19Index, 1)
+    returns (bool) {
+    uint tmp = 9;
+    return tmp > 0;
+  }
+
+  function functionNumber20() public
+    setEstimatedGas(functionNumber20Index, 3)
+    returns (bytes32) {
+    uint tmp = 0;
+    return bytes32(tmp);
+  }
+
+  function functionNumber21() public
+    setEstimatedGas(functionNumber21Index, 0)
+    returns (uint) {
+    uint tmp = 1;
+    return tmp;
+  }
+
+  function functionNumber22() public
+    setEstimatedGas(functionNumber22Index, 1)
+    returns (bool) {
+    uint tmp = 2;
+    return tmp > 0;
+  }
+
+  function functionNumber23() public
+    setEstimatedGas(functionNumber23Index, 3)
+    returns (bytes32) {
+    uint tmp = 3;
+    return bytes32(tmp);
+  }
+
+  function functionNumber24() public
+    setEstimatedGas(functionNumber24Index, 0)
+    returns (uint) {
+    uint tmp = 4;
+    return tmp;
+  }
+
+  function functionNumber25() public
+    setEstimatedGas(functionNumber25Index, 1)
+    returns (bool) {
+    uint tmp = 5;
+    return tmp > 0;
+  }
+
+  function functionNumber26() public
+    setEstimatedGas(functionNumber26Index, 3)
+    returns (bytes32) {
+    uint tmp = 6;
+    return bytes32(tmp);
+  }
+
+  function functionNumber27() public
+    setEstimatedGas(functionNumber27Index, 0)
+    returns (uint) {
+    uint tmp = 7;
+    return tmp;
+  }
+
+  function functionNumber28() public
+    setEstimatedGas(functionNumber28Index, 1)
+    returns (bool) {
+    uint tmp = 8;
+    return tmp > 0;
+  }
+
+  function functionNumber29() public
+    setEstimatedGas(functionNumber29Index, 3)
+    returns (bytes32) {
+    uint tmp = 9;
+    return bytes32(tmp);
+  }
+
+  function functionNumber30() public
+    setEstimatedGas(functionNumber30Index, 0)
+    returns (uint) {
+    uint tmp = 0;
+    return tmp;
+  }
+
+  function functionNumber31() public
+    setEstimatedGas(functionNumber31Index, 1)
+    returns (bool) {
+    uint tmp = 1;
+    return tmp > 0;
+  }
+
+  function functionNumber32() public
+    setEstimatedGas(functionNumber32Index, 3)
+    returns (bytes32) {
+    uint tmp = 2;
+    return bytes32(tmp);
+  }
+
+  function functionNumber33() public
+    setEstimatedGas(functionNumber33Index, 0)
+    returns (uint) {
+    uint tmp = 3;
+    return tmp;
+  }
+
+  function functionNumber34() public
+    setEstimatedGas(functionNumber34Index, 1)
+    returns (bool) {
+    uint tmp = 4;
+    return tmp > 0;
+  }
+
+  function functionNumber35() public
+    setEstimatedGas(functionNumber35Index, 3)
+    returns (bytes32) {
+    uint tmp = 5;
+    return bytes32(tmp);
+  }
+
+  function functionNumber36() public
+    setEstimatedGas(functionNumber36Index, 0)
+    returns (uint) {
+    uint tmp = 6;
+    return tmp;
+  }
+
+  function functionNumber37() public
+    setEstimatedGas(functionNumber37Index, 1)
+    returns (bool) {
+    uint tmp = 7;
+    return tmp > 0;
+  }
+
+  function functionNumber38() public
+    setEstimatedGas(functionNumber38Index, 3)
+    returns (bytes32) {
+    uint tmp = 8;
+    return bytes32(tmp);
+  }
+
+  function functionNumber39() public
+    setEstimatedGas(functionNumber39Index, 0)
+    returns (uint) {
+    uint tmp = 9;
+    return tmp;
+  }
+
+  function functionNumber40() public
+    setEstimatedGas(functionNumber40Index, 1)
+    returns (bool) {
+    uint tmp = 0;
+    return tmp > 0;
+  }
+
+  function functionNumber41() public
+    setEstimatedGas(functionNumber41Index, 3)
+    returns (bytes32) {
+    uint tmp = 1;
+    return bytes32(tmp);
+  }
+
+  function functionNumber42() public
+    setEstimatedGas(functionNumber42Index, 0)
+    returns (uint) {
+    uint tmp = 2;
+    return tmp;
+  }
+
+  function functionNumber43() public
+    setEstimatedGas(functionNumber43Index, 1)
+    returns (bool) {
+    uint tmp = 3;
+    return tmp > 0;
+  }
+
+  function functionNumber44() public
+    setEstimatedGas(functionNumber44Index, 3)
+    returns (bytes32) {
+    uint tmp = 4;
+    return bytes32(tmp);
+  }
+
+  function functionNumber45() public
+    setEstimatedGas(functionNumber45Index, 0)
+    returns (uint) {
+    uint tmp = 5;
+    return tmp;
+  }
+
+  function functionNumber46() public
+    setEstimatedGas(functionNumber46Index, 1)
+    returns (bool) {
+    uint tmp = 6;
+    return tmp > 0;
+  }
+
+  function functionNumber47() public
+    setEstimatedGas(functionNumber47Index, 3)
+    returns (bytes32) {
+    uint tmp = 7;
+    return bytes32(tmp);
+  }
+
+  function functionNumber48() public
+    setEstimatedGas(functionNumber48Index, 0)
+    returns (uint) {
+    uint tmp = 8;
+    return tmp;
+  }
+
+  function functionNumber49() public
+    setEstimatedGas(functionNumber49Index, 1)
+    returns (bool) {
+    uint tmp = 9;
+    return tmp > 0;
+  }
+
+  function functionNumber50() public
+    setEstimatedGas(functionNumber50Index, 3)
+    returns (bytes32) {
+    uint tmp = 0;
+    return bytes32(tmp);
+  }
+
+  function functionNumber51() public
+    setEstimatedGas(functionNumber51Index, 0)
+    returns (uint) {
+    uint tmp = 1;
+    return tmp;
+  }
+
+  function functionNumber52() public
+    setEstimatedGas(functionNumber52Index, 1)
+    returns (bool) {
+    uint tmp = 2;
+    return tmp > 0;
+  }
+
+  function functionNumber53() public
+    setEstimatedGas(functionNumber53Index, 3)
+    returns (bytes32) {
+    uint tmp = 3;
+    return bytes32(tmp);
+  }
+
+  function functionNumber54() public
+    setEstimatedGas(functionNumber54Index, 0)
+    returns (uint) {
+    uint tmp = 4;
+    return tmp;
+  }
+
+  function functionNumber55() public
+    setEstimatedGas(functionNumber55Index, 1)
+    returns (bool) {
+    uint tmp = 5;
+    return tmp > 0;
+  }
+
+  function functionNumber56() public
+    setEstimatedGas(functionNumber56Index, 3)
+    returns (bytes32) {
+    uint tmp = 6;
+    return bytes32(tmp);
+  }
+
+  function functionNumber57() public
+    setEstimatedGas(functionNumber57Index, 0)
+    returns (uint) {
+    uint tmp = 7;
+    return tmp;
+  }
+
+  function functionNumber58() public
+    setEstimatedGas(functionNumber58Index, 1)
+    returns (bool) {
+    uint tmp = 8;
+    return tmp > 0;
+  }
+
+  function functionNumber59() public
+    setEstimatedGas(functionNumber59Index, 3)
+    returns (bytes32) {
+    uint tmp = 9;
+    return bytes32(tmp);
+  }
+
+  function functionNumber60() public
+    setEstimatedGas(functionNumber60Index, 0)
+    returns (uint) {
+    uint tmp = 0;
+    return tmp;
+  }
+}
@@ -0,0 +1,231 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+// Generated by scripts/FunctionHashes.js from the ABI of ManyFunctions64.
+// Do not edit it, but generate it again whenever a function changes.
+
+pragma solidity ^0.6.6;
+
+/**
+ * @title The function hash indexes and return types of ManyFunctions64
+ * @dev The constructor argument of GasEstimator is
+ * [0x7bf53264, 0x07b5f60f, 0xf2f25f0f, 0x3ada0c7a, 0x0d32fbd5, 0x2a7b0e97,
+ *  0x75d804db, 0xeab00ac4, 0x7a019812, 0xf0466746, 0x5119ef76, 0x869eefd3,
+ *  0x60fff8dd, 0xe0519312, 0x4b575f0b, 0x19c596cd, 0x966b9991, 0x57c1c955,
+ *  0xb4e6a2d2, 0xde69545c, 0x4ff239cc, 0x63c625c2, 0x141b38e2, 0x1f2c6f3b,
+ *  0xd7d606da, 0xa8590aa9, 0xde5313e4, 0x059c6e94, 0xb93202c5, 0xdc173bd3,
+ *  0x37146df5, 0xaa11c786, 0xbcc89691, 0xce67173f, 0x659f17fd, 0x046d8dee,
+ *  0xe03618ad, 0x73089a77, 0x5f207cd6, 0x3efa586f, 0xe81261bf, 0x3e455384,
+ *  0xc280d257, 0x65a3f3a2, 0xd9fb236b, 0xb687ce79, 0xed046b88, 0x57dce4c2,
+ *  0x7701fe8a, 0x8a36a675, 0x5048aa4e, 0x73a00e1a, 0xa70e2e38, 0xc07d44bf,
+ *  0x45dbf47e, 0xada4a29d, 0x3383df7f, 0x8e56e10a, 0x7b946970, 0x2221e582,
+ *  0x3aed6598].
+ */
+abstract contract ManyFunctions64FunctionHashes {
+  // functionNumber35() with the hash 0x046d8dee.
+  uint constant FUNCTION_NUMBER35_INDEX = 0;
+  uint constant FUNCTION_NUMBER35_RETURN_TYPE = 3;
+  // functionNumber27() with the hash 0x059c6e94.
+  uint constant FUNCTION_NUMBER27_INDEX = 1;
+  uint constant FUNCTION_NUMBER27_RETURN_TYPE = 0;
+  // functionNumber1() with the hash 0x07b5f60f.
+  uint constant FUNCTION_NUMBER1_INDEX = 2;
+  uint constant FUNCTION_NUMBER1_RETURN_TYPE = 1;
+  // functionNumber4() with the hash 0x0d32fbd5.
+  uint constant FUNCTION_NUMBER4_INDEX = 3;
+  uint constant FUNCTION_NUMBER4_RETURN_TYPE = 1;
+  // functionNumber22() with the hash 0x141b38e2.
+  uint constant FUNCTION_NUMBER22_INDEX = 4;
+  uint constant FUNCTION_NUMBER22_RETURN_TYPE = 1;
+  // functionNumber15() with the hash 0x19c596cd.
+  uint constant FUNCTION_NUMBER15_INDEX = 5;
+  uint constant FUNCTION_NUMBER15_RETURN_TYPE = 0;
+  // functionNumber23() with the hash 0x1f2c6f3b.
+  uint constant FUNCTION_NUMBER23_INDEX = 6;
+  uint constant FUNCTION_NUMBER23_RETURN_TYPE = 3;
+  // functionNumber59() with the hash 0x2221e582.
+  uint constant FUNCTION_NUMBER59_INDEX = 7;
+  uint constant FUNCTION_NUMBER59_RETURN_TYPE = 3;
+  // functionNumber5() with the hash 0x2a7b0e97.
+  uint constant FUNCTION_NUMBER5_INDEX = 8;
+  uint constant FUNCTION_NUMBER5_RETURN_TYPE = 3;
+  // functionNumber56() with the hash 0x3383df7f.
+  uint constant FUNCTION_NUMBER56_INDEX = 9;
+  uint constant FUNCTION_NUMBER56_RETURN_TYPE = 3;
+  // functionNumber30() with the hash 0x37146df5.
+  uint constant FUNCTION_NUMBER30_INDEX = 10;
+  uint constant FUNCTION_NUMBER30_RETURN_TYPE = 0;
+  // functionNumber3() with the hash 0x3ada0c7a.
+  uint constant FUNCTION_NUMBER3_INDEX = 11;
+  uint constant FUNCTION_NUMBER3_RETURN_TYPE = 0;
+  // functionNumber60() with the hash 0x3aed6598.
+  uint constant FUNCTION_NUMBER60_INDEX = 12;
+  uint constant FUNCTION_NUMBER60_RETURN_TYPE = 0;
+  // functionNumber41() with the hash 0x3e455384.
+  uint constant FUNCTION_NUMBER41_INDEX = 13;
+  uint constant FUNCTION_NUMBER41_RETURN_TYPE = 3;
+  // functionNumber39() with the hash 0x3efa586f.
+  uint constant FUNCTION_NUMBER39_INDEX = 14;
+  uint constant FUNCTION_NUMBER39_RETURN_TYPE = 0;
+  // functionNumber54() with the hash 0x45dbf47e.
+  uint constant FUNCTION_NUMBER54_INDEX = 15;
+  uint constant FUNCTION_NUMBER54_RETURN_TYPE = 0;
+  // functionNumber14() with the hash 0x4b575f0b.
+  uint constant FUNCTION_NUMBER14_INDEX = 16;
+  uint constant FUNCTION_NUMBER14_RETURN_TYPE = 3;
+  // functionNumber20() with the hash 0x4ff239cc.
+  uint constant FUNCTION_NUMBER20_INDEX = 17;
+  uint constant FUNCTION_NUMBER20_RETURN_TYPE = 3;
+  // functionNumber50() with the hash 0x5048aa4e.
+  uint constant FUNCTION_NUMBER50_INDEX = 18;
+  uint constant FUNCTION_NUMBER50_RETURN_TYPE = 3;
+  // functionNumber10() with the hash 0x5119ef76.
+  uint constant FUNCTION_NUMBER10_INDEX = 19;
+  uint constant FUNCTION_NUMBER10_RETURN_TYPE = 1;
+  // getLastGas() with the hash 0x55c451b2.
+  uint constant GET_LAST_GAS_INDEX = 20;
+  uint constant GET_LAST_GAS_RETURN_TYPE = 0;
+  // functionNumber17() with the hash 0x57c1c955.
+  uint constant FUNCTION_NUMBER17_INDEX = 21;
+  uint constant FUNCTION_NUMBER17_RETURN_TYPE = 3;
+  // functionNumber47() with the hash 0x57dce4c2.
+  uint constant FUNCTION_NUMBER47_INDEX = 22;
+  uint constant FUNCTION_NUMBER47_RETURN_TYPE = 3;
+  // functionNumber38() with the hash 0x5f207cd6.
+  uint constant FUNCTION_NUMBER38_INDEX = 23;
+  uint constant FUNCTION_NUMBER38_RETURN_TYPE = 3;
+  // functionNumber12() with the hash 0x60fff8dd.
+  uint constant FUNCTION_NUMBER12_INDEX = 24;
+  uint constant FUNCTION_NUMBER12_RETURN_TYPE = 0;
+  // functionNumber21() with the hash 0x63c625c2.
+  uint constant FUNCTION_NUMBER21_INDEX = 25;
+  uint constant FUNCTION_NUMBER21_RETURN_TYPE = 0;
+  // functionNumber34() with the hash 0x659f17fd.
+  uint constant FUNCTION_NUMBER34_INDEX = 26;
+  uint constant FUNCTION_NUMBER34_RETURN_TYPE = 1;
+  // functionNumber43() with the hash 0x65a3f3a2.
+  uint constant FUNCTION_NUMBER43_INDEX = 27;
+  uint constant FUNCTION_NUMBER43_RETURN_TYPE = 1;
+  // functionNumber37() with the hash 0x73089a77.
+  uint constant FUNCTION_NUMBER37_INDEX = 28;
+  uint constant FUNCTION_NUMBER37_RETURN_TYPE = 1;
+  // functionNumber51() with the hash 0x73a00e1a.
+  uint constant FUNCTION_NUMBER51_INDEX = 29;
+  uint constant FUNCTION_NUMBER51_RETURN_TYPE = 0;
+  // functionNumber6() with the hash 0x75d804db.
+  uint constant FUNCTION_NUMBER6_INDEX = 30;
+  uint constant FUNCTION_NUMBER6_RETURN_TYPE = 0;
+  // functionNumber48() with the hash 0x7701fe8a.
+  uint constant FUNCTION_NUMBER48_INDEX = 31;
+  uint constant FUNCTION_NUMBER48_RETURN_TYPE = 0;
+  // functionNumber8() with the hash 0x7a019812.
+  uint constant FUNCTION_NUMBER8_INDEX = 32;
+  uint constant FUNCTION_NUMBER8_RETURN_TYPE = 3;
+  // functionNumber58() with the hash 0x7b946970.
+  uint constant FUNCTION_NUMBER58_INDEX = 33;
+  uint constant FUNCTION_NUMBER58_RETURN_TYPE = 1;
+  // functionNumber0() with the hash 0x7bf53264.
+  uint constant FUNCTION_NUMBER0_INDEX = 34;
+  uint constant FUNCTION_NUMBER0_RETURN_TYPE = 0;
+  // getFunctionHashIndex(bytes4) with the hash 0x828bf210.
+  uint constant GET_FUNCTION_HASH_INDEX_INDEX = 35;
+  uint constant GET_FUNCTION_HASH_INDEX_RETURN_TYPE = 0;
+  // functionNumber11() with the hash 0x869eefd3.
+  uint constant FUNCTION_NUMBER11_INDEX = 36;
+  uint constant FUNCTION_NUMBER11_RETURN_TYPE = 3;
+  // functionNumber49() with the hash 0x8a36a675.
+  uint constant FUNCTION_NUMBER49_INDEX = 37;
+  uint constant FUNCTION_NUMBER49_RETURN_TYPE = 1;
+  // getFunctionHash(string) with the hash 0x8bc25426.
+  uint constant GET_FUNCTION_HASH_INDEX = 38;
+  uint constant GET_FUNCTION_HASH_RETURN_TYPE = 4;
+  // functionNumber57() with the hash 0x8e56e10a.
+  uint constant FUNCTION_NUMBER57_INDEX = 39;
+  uint constant FUNCTION_NUMBER57_RETURN_TYPE = 0;
+  // functionNumber16() with the hash 0x966b9991.
+  uint constant FUNCTION_NUMBER16_INDEX = 40;
+  uint constant FUNCTION_NUMBER16_RETURN_TYPE = 1;
+  // functionNumber52() with the hash 0xa70e2e38.
+  uint constant FUNCTION_NUMBER52_INDEX = 41;
+  uint constant FUNCTION_NUMBER52_RETURN_TYPE = 1;
+  // functionNumber25() with the hash 0xa8590aa9.
+  uint constant FUNCTION_NUMBER25_INDEX = 42;
+  uint constant FUNCTION_NUMBER25_RETURN_TYPE = 1;
+  // functionNumber31() with the hash 0xaa11c786.
+  uint constant FUNCTION_NUMBER31_INDEX = 43;
+  uint constant FUNCTION_NUMBER31_RETURN_TYPE = 1;
+  // functionNumber55() with the hash 0xada4a29d.
+  uint constant FUNCTION_NUMBER55_INDEX = 44;
+  uint constant FUNCTION_NUMBER55_RETURN_TYPE = 1;
+  // functionNumber18() with the hash 0xb4e6a2d2.
+  uint constant FUNCTION_NUMBER18_INDEX = 45;
+  uint constant FUNCTION_NUMBER18_RETURN_TYPE = 0;
+  // functionNumber45() with the hash 0xb687ce79.
+  uint constant FUNCTION_NUMBER45_INDEX = 46;
+  uint constant FUNCTION_NUMBER45_RETURN_TYPE = 0;
+  // functionNumber28() with the hash 0xb93202c5.
+  uint constant FUNCTION_NUMBER28_INDEX = 47;
+  uint constant FUNCTION_NUMBER28_RETURN_TYPE = 1;
+  // functionNumber32() with the hash 0xbcc89691.
+  uint constant FUNCTION_NUMBER32_INDEX = 48;
+  uint constant FUNCTION_NUMBER32_RETURN_TYPE = 3;
+  // functionNumber53() with the hash 0xc07d44bf.
+  uint constant FUNCTION_NUMBER53_INDEX = 49;
+  uint constant FUNCTION_NUMBER53_RETURN_TYPE = 3;
+  // functionNumber42() with the hash 0xc280d257.
+  uint constant FUNCTION_NUMBER42_INDEX = 50;
+  uint constant FUNCTION_NUMBER42_RETURN_TYPE = 0;
+  // functionNumber33() with the hash 0xce67173f.
+  uint constant FUNCTION_NUMBER33_INDEX = 51;
+  uint constant FUNCTION_NUMBER33_RETURN_TYPE = 0;
+  // functionNumber24() with the hash 0xd7d606da.
+  uint constant FUNCTION_NUMBER24_INDEX = 52;
+  uint constant FUNCTION_NUMBER24_RETURN_TYPE = 0;
+  // functionNumber44() with the hash 0xd9fb236b.
+  uint constant FUNCTION_NUMBER44_INDEX = 53;
+  uint constant FUNCTION_NUMBER44_RETURN_TYPE = 3;
+  // functionNumber29() with the hash 0xdc173bd3.
+  uint constant FUNCTION_NUMBER29_INDEX = 54;
+  uint constant FUNCTION_NUMBER29_RETURN_TYPE = 3;
+  // functionNumber26() with the hash 0xde5313e4.
+  uint constant FUNCTION_NUMBER26_INDEX = 55;
+  uint constant FUNCTION_NUMBER26_RETURN_TYPE = 3;
+  // functionNumber19() with the hash 0xde69545c.
+  uint constant FUNCTION_NUMBER19_INDEX = 56;
+  uint constant FUNCTION_NUMBER19_RETURN_TYPE = 1;
+  // functionNumber36() with the hash 0xe03618ad.
+  uint constant FUNCTION_NUMBER36_INDEX = 57;
+  uint constant FUNCTION_NUMBER36_RETURN_TYPE = 0;
+  // functionNumber13() with the hash 0xe0519312.
+  uint constant FUNCTION_NUMBER13_INDEX = 58;
+  uint constant FUNCTION_NUMBER13_RETURN_TYPE = 1;
+  // functionNumber40() with the hash 0xe81261bf.
+  uint constant FUNCTION_NUMBER40_INDEX = 59;
+  uint constant FUNCTION_NUMBER40_RETURN_TYPE = 1;
+  // functionNumber7() with the hash 0xeab00ac4.
+  uint constant FUNCTION_NUMBER7_INDEX = 60;
+  uint constant FUNCTION_NUMBER7_RETURN_TYPE = 1;
+  // functionNumber46() with the hash 0xed046b88.
+  uint constant FUNCTION_NUMBER46_INDEX = 61;
+  uint constant FUNCTION_NUMBER46_RETURN_TYPE = 1;
+  // functionNumber9() with the hash 0xf0466746.
+  uint constant FUNCTION_NUMBER9_INDEX = 62;
+  uint constant FUNCTION_NUMBER9_RETURN_TYPE = 0;
+  // functionNumber2() with the hash 0xf2f25f0f.
+  uint constant FUNCTION_NUMBER2_INDEX = 63;
+  uint constant FUNCTION_NUMBER2_RETURN_TYPE = 3;
+}
@@ -0,0 +1,53 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+// Generated by scripts/FunctionHashes.js from the ABI of ManyFunctions8.
+// Do not edit it, but generate it again whenever a function changes.
+
+pragma solidity ^0.6.6;
+
+/**
+ * @title The function hash indexes and return types of ManyFunctions8
+ * @dev The constructor argument of GasEstimator is
+ * [0x7bf53264, 0x07b5f60f, 0xf2f25f0f, 0x3ada0c7a, 0x0d32fbd5].
+ */
+abstract contract ManyFunctions8FunctionHashes {
+  // functionNumber1() with the hash 0x07b5f60f.
+  uint constant FUNCTION_NUMBER1_INDEX = 0;
+  uint constant FUNCTION_NUMBER1_RETURN_TYPE = 1;
+  // functionNumber4() with the hash 0x0d32fbd5.
+  uint constant FUNCTION_NUMBER4_INDEX = 1;
+  uint constant FUNCTION_NUMBER4_RETURN_TYPE = 1;
+  // functionNumber3() with the hash 0x3ada0c7a.
+  uint constant FUNCTION_NUMBER3_INDEX = 2;
+  uint constant FUNCTION_NUMBER3_RETURN_TYPE = 0;
+  // getLastGas() with the hash 0x55c451b2.
+  uint constant GET_LAST_GAS_INDEX = 3;
+  uint constant GET_LAST_GAS_RETURN_TYPE = 0;
+  // functionNumber0() with the hash 0x7bf53264.
+  uint constant FUNCTION_NUMBER0_INDEX = 4;
+  uint constant FUNCTION_NUMBER0_RETURN_TYPE = 0;
+  // getFunctionHashIndex(bytes4) with the hash 0x828bf210.
+  uint constant GET_FUNCTION_HASH_INDEX_INDEX = 5;
+  uint constant GET_FUNCTION_HASH_INDEX_RETURN_TYPE = 0;
+  // getFunctionHash(string) with the hash 0x8bc25426.
+  uint constant GET_FUNCTION_HASH_INDEX = 6;
+  uint constant GET_FUNCTION_HASH_RETURN_TYPE = 4;
+  // functionNumber2() with the hash 0xf2f25f0f.
+  uint constant FUNCTION_NUMBER2_INDEX = 7;
+  uint constant FUNCTION_NUMBER2_RETURN_TYPE = 3;
+}
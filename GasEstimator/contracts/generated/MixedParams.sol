@@ -0,0 +1,150 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+// Generated by scripts/MixedParams.js, do not edit it.
+
+pragma solidity ^0.6.6;
+
+import "../GasEstimator.sol";
+import "./MixedParamsFunctionHashes.sol";
+
+/**
+ * @title A contract with several parameter and return types for testing
+ * the costs of the calldata, the decoder and the encoder in
+ * setEstimatedGas.
+ */
+contract MixedParams is GasEstimator, MixedParamsFunctionHashes {
+
+  uint withAddressIndex;
+  uint withBoolIndex;
+  uint withSmallIntsIndex;
+  uint withSignedWordIndex;
+  uint withFixedBytesIndex;
+  uint withBytesIndex;
+  uint withStringIndex;
+  uint withArrayIndex;
+  uint withArrayLengthIndex;
+
+  constructor(bytes4[] memory _functionHashes, Hardfork _hardfork)
+    GasEstimator(_functionHashes) public {
+    setHardfork(_hardfork);
+    withAddressIndex = WITH_ADDRESS_INDEX;
+    setParamTypes(
+      withAddressIndex,
+      abi.encodePacked(PARAM_MASKED, PARAM_WORD)
+    );
+    withBoolIndex = WITH_BOOL_INDEX;
+    setParamTypes(
+      withBoolIndex,
+      abi.encodePacked(PARAM_BOOL, PARAM_MASKED)
+    );
+    withSmallIntsIndex = WITH_SMALL_INTS_INDEX;
+    setParamTypes(
+      withSmallIntsIndex,
+      abi.encodePacked(PARAM_SIGNED, PARAM_MASKED, PARAM_SIGNED)
+    );
+    withSignedWordIndex = WITH_SIGNED_WORD_INDEX;
+    setParamTypes(
+      withSignedWordIndex,
+      abi.encodePacked(PARAM_SIGNED, PARAM_WORD)
+    );
+    withFixedBytesIndex = WITH_FIXED_BYTES_INDEX;
+    setParamTypes(
+      withFixedBytesIndex,
+      abi.encodePacked(PARAM_MASKED, PARAM_MASKED)
+    );
+    withBytesIndex = WITH_BYTES_INDEX;
+    setParamTypes(
+      withBytesIndex,
+      abi.encodePacked(PARAM_BYTES, PARAM_WORD)
+    );
+    withStringIndex = WITH_STRING_INDEX;
+    setParamTypes(
+      withStringIndex,
+      abi.encodePacked(PARAM_BYTES)
+    );
+    withArrayIndex = WITH_ARRAY_INDEX;
+    setParamTypes(
+      withArrayIndex,
+      abi.encodePacked(PARAM_ARRAY, PARAM_MASKED)
+    );
+    withArrayLengthIndex = WITH_ARRAY_LENGTH_INDEX;
+    setParamTypes(
+      withArrayLengthIndex,
+      abi.encodePacked(PARAM_ARRAY)
+    );
+  }
+
+  function withAddress(address account, uint256 x) public
+    setEstimatedGas(withAddressIndex, 1)
+    returns (address) {
+    return x > 0 ? account : address(0);
+  }
+
+  function withBool(bool flag, uint8 x) public
+    setEstimatedGas(withBoolIndex, 1)
+    returns (bool) {
+    return flag && x > 0;
+  }
+
+  function withSmallInts(int8 a, uint16 b, int128 c) public
+    setEstimatedGas(withSmallIntsIndex, 2)
+    returns (int8) {
+    return c > int128(b) ? a : int8(0);
+  }
+
+  function withSignedWord(int8 a, int256 b) public
+    setEstimatedGas(withSignedWordIndex, 0)
+    returns (int256) {
+    return a + b;
+  }
+
+  function withFixedBytes(bytes4 a, bytes20 b) public
+    setEstimatedGas(withFixedBytesIndex, 4)
+    returns (bytes4) {
+    return a ^ bytes4(b);
+  }
+
+  function withBytes(bytes memory data, uint256 x) public
+    setEstimatedGas(withBytesIndex, 3)
+    returns (bytes32) {
+    return bytes32(data.length + x);
+  }
+
+  function withString(string memory text) public
+    setEstimatedGas(withStringIndex, 5)
+    returns (string memory) {
+    setReturnLength(bytes(text).length);
+    return text;
+  }
+
+  function withArray(uint256[] memory values, address account) public
+    setEstimatedGas(withArrayIndex, 6)
+    returns (uint256[] memory) {
+    if (values.length > 0) {
+      values[0] = uint(uint160(account));
+    }
+    setReturnLength(values.length);
+    return values;
+  }
+
+  function withArrayLength(uint256[] memory values) public
+    setEstimatedGas(withArrayLengthIndex, 0)
+    returns (uint256) {
+    return values.length;
+  }
+}
@@ -0,0 +1,66 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+// Generated by scripts/FunctionHashes.js from the ABI of MixedParams.
+// Do not edit it, but generate it again whenever a function changes.
+
+pragma solidity ^0.6.6;
+
+/**
+ * @title The function hash indexes and return types of MixedParams
+ * @dev The constructor argument of GasEstimator is
+ * [0x38ea9f5a, 0x1621b953, 0xc8a085d9, 0x1b688f35, 0x46edc580, 0x64e20aba,
+ *  0xa16c955b, 0x771542dc, 0xe34f11d2].
+ */
+abstract contract MixedParamsFunctionHashes {
+  // withBool(bool,uint8) with the hash 0x1621b953.
+  uint constant WITH_BOOL_INDEX = 0;
+  uint constant WITH_BOOL_RETURN_TYPE = 1;
+  // withSignedWord(int8,int256) with the hash 0x1b688f35.
+  uint constant WITH_SIGNED_WORD_INDEX = 1;
+  uint constant WITH_SIGNED_WORD_RETURN_TYPE = 0;
+  // withAddress(address,uint256) with the hash 0x38ea9f5a.
+  uint constant WITH_ADDRESS_INDEX = 2;
+  uint constant WITH_ADDRESS_RETURN_TYPE = 1;
+  // withFixedBytes(bytes4,bytes20) with the hash 0x46edc580.
+  uint constant WITH_FIXED_BYTES_INDEX = 3;
+  uint constant WITH_FIXED_BYTES_RETURN_TYPE = 4;
+  // getLastGas() with the hash 0x55c451b2.
+  uint constant GET_LAST_GAS_INDEX = 4;
+  uint constant GET_LAST_GAS_RETURN_TYPE = 0;
+  // withBytes(bytes,uint256) with the hash 0x64e20aba.
+  uint constant WITH_BYTES_INDEX = 5;
+  uint constant WITH_BYTES_RETURN_TYPE = 3;
+  // withArray(uint256[],address) with the hash 0x771542dc.
+  uint constant WITH_ARRAY_INDEX = 6;
+  uint constant WITH_ARRAY_RETURN_TYPE = 6;
+  // getFunctionHashIndex(bytes4) with the hash 0x828bf210.
+  uint constant GET_FUNCTION_HASH_INDEX_INDEX = 7;
+  uint constant GET_FUNCTION_HASH_INDEX_RETURN_TYPE = 0;
+  // getFunctionHash(string) with the hash 0x8bc25426.
+  uint constant GET_FUNCTION_HASH_INDEX = 8;
+  uint constant GET_FUNCTION_HASH_RETURN_TYPE = 4;
+  // withString(string) with the hash 0xa16c955b.
+  uint constant WITH_STRING_INDEX = 9;
+  uint constant WITH_STRING_RETURN_TYPE = 5;
+  // withSmallInts(int8,uint16,int128) with the hash 0xc8a085d9.
+  uint constant WITH_SMALL_INTS_INDEX = 10;
+  uint constant WITH_SMALL_INTS_RETURN_TYPE = 2;
+  // withArrayLength(uint256[]) with the hash 0xe34f11d2.
+  uint constant WITH_ARRAY_LENGTH_INDEX = 11;
+  uint constant WITH_ARRAY_LENGTH_RETURN_TYPE = 0;
+}
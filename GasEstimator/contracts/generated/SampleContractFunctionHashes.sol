@@ -0,0 +1,47 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+// Generated by scripts/FunctionHashes.js from the ABI of SampleContract.
+// Do not edit it, but generate it again whenever a function changes.
+
+pragma solidity ^0.6.6;
+
+/**
+ * @title The function hash indexes and return types of SampleContract
+ * @dev The constructor argument of GasEstimator is
+ * [0x35b09a6e, 0x8fe75f1b, 0x6599a6aa].
+ */
+abstract contract SampleContractFunctionHashes {
+  // someFunction() with the hash 0x35b09a6e.
+  uint constant SOME_FUNCTION_INDEX = 0;
+  uint constant SOME_FUNCTION_RETURN_TYPE = 0;
+  // getLastGas() with the hash 0x55c451b2.
+  uint constant GET_LAST_GAS_INDEX = 1;
+  uint constant GET_LAST_GAS_RETURN_TYPE = 0;
+  // funcWithParams(uint256,uint256,uint256) with the hash 0x6599a6aa.
+  uint constant FUNC_WITH_PARAMS_INDEX = 2;
+  uint constant FUNC_WITH_PARAMS_RETURN_TYPE = 3;
+  // getFunctionHashIndex(bytes4) with the hash 0x828bf210.
+  uint constant GET_FUNCTION_HASH_INDEX_INDEX = 3;
+  uint constant GET_FUNCTION_HASH_INDEX_RETURN_TYPE = 0;
+  // getFunctionHash(string) with the hash 0x8bc25426.
+  uint constant GET_FUNCTION_HASH_INDEX = 4;
+  uint constant GET_FUNCTION_HASH_RETURN_TYPE = 4;
+  // functionBool() with the hash 0x8fe75f1b.
+  uint constant FUNCTION_BOOL_INDEX = 5;
+  uint constant FUNCTION_BOOL_RETURN_TYPE = 1;
+}
@@ -17,9 +17,25 @@
 
 const Migrations = artifacts.require("Migrations");
 const SampleContract = artifacts.require("SampleContract");
+const FunctionHashes = require("../scripts/FunctionHashes.js");
+const Hardforks = require("../scripts/Hardforks.js");
+
+// The order in which the constructor of SampleContract expects the hashes.
+const SAMPLE_CONTRACT_FUNCTIONS = [
+  "someFunction()",
+  "functionBool()",
+  "funcWithParams(uint256,uint256,uint256)"
+];
 
 
 module.exports = function(deployer) {
   deployer.deploy(Migrations);
-  deployer.deploy(SampleContract,["0x35b09a6e", "0x8fe75f1b", "0x6599a6aa"]);
+  deployer.deploy(
+    SampleContract,
+    FunctionHashes.getConstructorArgument(
+      SampleContract.abi,
+      SAMPLE_CONTRACT_FUNCTIONS
+    ),
+    Hardforks.getHardfork()
+  );
 };
@@ -0,0 +1,92 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+// Calibrates the gas profile against the chain of a Truffle network:
+//   npx truffle exec scripts/Calibrate.js [--network <name>] [profile.json]
+// and writes the next version of the profile next to the given one (default
+// the latest in profiles/) and contracts/GasProfile.sol, unless the given
+// one matches the chain. Compile and calibrate again until no correction is
+// left.
+
+const path = require('path');
+const Calibration = require('./Calibration.js');
+const GasPredictor = require('./GasPredictor.js');
+const Hardforks = require('./Hardforks.js');
+const config = require('../truffle-config.js');
+
+
+/***
+ * Returns the compiler, whether the optimizer is enabled, the optimizerRuns
+ * and the hardfork of the calibration from truffle-config.js and the
+ * environment variable HARDFORK.
+ */
+function getMetadata() {
+  let solc = config.compilers.solc;
+  let optimizer = (solc.settings || {}).optimizer || {};
+
+  return {
+    'compiler': solc.version,
+    'optimizer': optimizer.enabled === true,
+    'optimizerRuns': optimizer.runs || 200,
+    'hardfork': Hardforks.HARDFORKS[Hardforks.getHardfork()]
+  };
+}
+
+module.exports = async function(callback) {
+  try {
+    let args = process.argv.slice(process.argv.indexOf('exec') + 2);
+    let file = args.find(arg => arg.endsWith('.json')) ||
+      GasPredictor.getDefaultProfileFile();
+    let profile = GasPredictor.loadProfile(file);
+    let metadata = getMetadata();
+
+    let observations = await Calibration.runProbes(artifacts, profile, {
+      'runs': metadata.optimizerRuns
+    });
+    let fit = Calibration.fitProfile(profile, observations, metadata);
+
+    for (let [name, correction] of Object.entries(fit.corrections)) {
+      if (correction != 0) {
+        console.log(`${name}: ${profile.constants[name]} -> ` +
+          fit.profile.constants[name]);
+      }
+    }
+    console.log(`${observations.length} calls, largest residual ` +
+      `${fit.maxResidual}`);
+
+    let corrected = Object.values(fit.corrections)
+      .some(correction => correction != 0);
+    let changed = Object.entries(metadata)
+      .some(([name, value]) => profile[name] !== value);
+    if (!corrected && !changed) {
+      console.log(`Version ${profile.version} in ${file} matches the chain.`);
+      callback();
+      return;
+    }
+
+    let output = path.join(
+      path.dirname(file),
+      GasPredictor.getProfileFileName(fit.profile)
+    );
+    Calibration.saveProfile(fit.profile, output);
+    console.log(`Wrote version ${fit.profile.version} to ${output} and ` +
+      Calibration.PROFILE_CONTRACT_FILE);
+    callback();
+  } catch (error) {
+    callback(error);
+  }
+}
@@ -0,0 +1,339 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require('fs');
+const path = require('path');
+const FunctionHashes = require('./FunctionHashes.js');
+const GasPredictor = require('./GasPredictor.js');
+const Hardforks = require('./Hardforks.js');
+const ManyFunctions = require('./ManyFunctions.js');
+
+// The Solidity file of the profile GasEstimator is compiled with.
+const PROFILE_CONTRACT_FILE = path.join(
+  __dirname, '..', 'contracts', 'GasProfile.sol'
+);
+
+// The constants that the calibration keeps, since every call returns a
+// value of exactly one type and thus the constant costs can not be
+// separated from the costs of one return type.
+const PINNED_CONSTANTS = ['RETURN_WORD_GAS'];
+
+// The probe contracts, how to deploy them and the calls to measure.
+const PROBES = [
+  {
+    'contract': 'SampleContract',
+    'signatures': [
+      'someFunction()',
+      'functionBool()',
+      'funcWithParams(uint256,uint256,uint256)'
+    ],
+    'calls': [
+      ['someFunction'],
+      ['someFunction'],
+      ['functionBool'],
+      ['funcWithParams', 99128, 1337, 5],
+      ['funcWithParams', 0, 0, 1]
+    ]
+  },
+  {
+    'contract': 'MixedParams',
+    'calls': [
+      ['withAddress', '0x' + '11'.repeat(20), 1],
+      ['withBool', true, 255],
+      ['withSmallInts', -5, 65535, '-12345'],
+      ['withSignedWord', -128, 5],
+      ['withFixedBytes', '0x12345678', '0x' + 'ab'.repeat(20)],
+      ['withBytes', '0x', 0],
+      ['withBytes', '0x' + 'ff'.repeat(33), 7],
+      ['withString', ''],
+      ['withString', 'Hello'],
+      ['withString', 'a'.repeat(64)],
+      ['withArray', [], '0x' + '22'.repeat(20)],
+      ['withArray', [1, 2, 3], '0x' + '22'.repeat(20)],
+      ['withArrayLength', [4, 5]]
+    ]
+  }
+].concat(ManyFunctions.SIZES.map(numberFunctions => ({
+  'contract': ManyFunctions.getContractName(numberFunctions),
+  'calls': ManyFunctions.getAbi(numberFunctions)
+    .filter(entry => entry.name.startsWith('functionNumber'))
+    .map(entry => [entry.name])
+})));
+
+
+/***
+ * Returns the length of a returned value for setReturnLength, i.e., the
+ * bytes of bytes or a string or the elements of an array.
+ */
+function getReturnLength(value) {
+  if (Array.isArray(value)) {
+    return value.length;
+  } else if (typeof value == 'string' && value.startsWith('0x')) {
+    return (value.length - 2) / 2;
+  } else if (typeof value == 'string') {
+    return Buffer.byteLength(value, 'utf8');
+  }
+  return 0;
+}
+
+/***
+ * Calls a function of a deployed probe and returns the observation for the
+ * calibration.
+ * @param instance The deployed probe.
+ * @param profile The profile the probe is compiled with.
+ * @param options The options of GasPredictor.describeCall.
+ * @returns The features of the call, whether EQUAL_ESTIMATE_GAS was added and
+ * the residual between the gas used and the estimation.
+ */
+async function measureCall(instance, profile, options, method, ...args) {
+  let web3 = instance.constructor.web3;
+  let previousLastGas = (await instance.getLastGas()).toNumber();
+  let returned = await instance[method].call(...args);
+  let result = await instance[method](...args);
+  let lastGas = (await instance.getLastGas()).toNumber();
+  let transaction = await web3.eth.getTransaction(result.tx);
+
+  let call = GasPredictor.describeCall(
+    instance.abi,
+    transaction.input,
+    Object.assign({'previousLastGas': previousLastGas}, options)
+  );
+  call.returnLength = getReturnLength(returned);
+
+  return {
+    'method': method,
+    'features': GasPredictor.getFeatures(call),
+    'equalEstimate': lastGas ==
+      previousLastGas + profile.constants.EQUAL_ESTIMATE_GAS,
+    'residual': result.receipt.gasUsed - lastGas
+  };
+}
+
+/***
+ * Deploys the probes and measures their calls.
+ * @param artifacts The artifacts of Truffle.
+ * @param profile The profile the probes are compiled with.
+ * @param options The options of GasPredictor.describeCall, e.g., hardfork.
+ * @returns The observations of all calls.
+ */
+async function runProbes(artifacts, profile, options = {}) {
+  let hardfork = options.hardfork !== undefined ?
+    options.hardfork : Hardforks.getHardfork();
+  let observations = [];
+
+  for (let probe of PROBES) {
+    let Probe = artifacts.require(probe.contract);
+    let instance = await Probe.new(
+      FunctionHashes.getConstructorArgument(
+        Probe.abi,
+        probe.signatures || null
+      ),
+      hardfork
+    );
+
+    for (let [method, ...args] of probe.calls) {
+      observations.push(await measureCall(
+        instance,
+        profile,
+        Object.assign({'hardfork': hardfork}, options),
+        method,
+        ...args
+      ));
+    }
+  }
+  return observations;
+}
+
+/***
+ * Solves the linear least squares problem rows * x = targets with the normal
+ * equations.
+ * @param rows The rows of the matrix.
+ * @param targets The right hand side.
+ * @param names The names of the unknowns for the error message.
+ * @throws An Error if an unknown can not be determined, with the name of the
+ * first such unknown as unknown.
+ */
+function solveLeastSquares(rows, targets, names) {
+  let n = names.length;
+  // The augmented matrix of the normal equations.
+  let matrix = [...Array(n).keys()].map(i =>
+    [...Array(n).keys()].map(j =>
+      rows.reduce((sum, row) => sum + row[i] * row[j], 0)
+    ).concat([rows.reduce((sum, row, k) => sum + row[i] * targets[k], 0)])
+  );
+
+  // A pivot is zero relative to the largest diagonal entry, since the
+  // rounding errors of the elimination grow with the entries.
+  let scale = Math.max(...matrix.map((row, i) => Math.abs(row[i])));
+  for (let i = 0; i < n; i++) {
+    let pivot = i;
+    for (let k = i + 1; k < n; k++) {
+      if (Math.abs(matrix[k][i]) > Math.abs(matrix[pivot][i])) {
+        pivot = k;
+      }
+    }
+    if (Math.abs(matrix[pivot][i]) < 1e-9 * scale) {
+      let error = new Error(`${names[i]} can not be separated from the ` +
+        'other constants by the probes.');
+      error.unknown = names[i];
+      throw error;
+    }
+    [matrix[i], matrix[pivot]] = [matrix[pivot], matrix[i]];
+
+    for (let k = 0; k < n; k++) {
+      if (k != i) {
+        let factor = matrix[k][i] / matrix[i][i];
+        for (let j = i; j <= n; j++) {
+          matrix[k][j] -= factor * matrix[i][j];
+        }
+      }
+    }
+  }
+  return matrix.map((row, i) => row[n] / row[i]);
+}
+
+/***
+ * Fits the constants of a profile to the observations of the probes, whose
+ * residuals are linear in the differences between the actual and the
+ * profile's constants.
+ * @param profile The profile the probes are compiled with.
+ * @param observations The observations of runProbes.
+ * @param metadata The compiler, the optimizerRuns and the hardfork of the
+ * calibration.
+ * @returns The next version of the profile, the corrections of its
+ * constants and the largest remaining residual.
+ */
+function fitProfile(profile, observations, metadata = {}) {
+  let rows = observations.map(observation => Object.assign(
+    {},
+    observation.features,
+    {'EQUAL_ESTIMATE_GAS': observation.equalEstimate ? 1 : 0}
+  ));
+  // Constants without any observation can not be fitted.
+  let names = Object.keys(GasPredictor.PROFILE_CONSTANTS).filter(name =>
+    !PINNED_CONSTANTS.includes(name) && rows.some(row => row[name] != 0)
+  );
+  let targets = observations.map(observation => observation.residual);
+
+  let solution = solveLeastSquares(
+    rows.map(row => names.map(name => row[name])),
+    targets,
+    names
+  );
+
+  let corrections = {};
+  let constants = Object.assign({}, profile.constants);
+  names.forEach((name, i) => {
+    corrections[name] = Math.round(solution[i]) || 0;
+    constants[name] += corrections[name];
+  });
+
+  let maxResidual = Math.max(...rows.map((row, k) => Math.abs(
+    targets[k] - names.reduce(
+      (sum, name) => sum + row[name] * corrections[name], 0
+    )
+  )));
+
+  return {
+    'profile': Object.assign({}, profile, metadata, {
+      'version': profile.version + 1,
+      'constants': constants
+    }),
+    'corrections': corrections,
+    'maxResidual': maxResidual
+  };
+}
+
+/***
+ * Returns the lines of a comment with the given text wrapped at 80
+ * characters.
+ */
+function wrapComment(text, indent) {
+  let lines = [];
+  let line = indent + '//';
+
+  for (let word of text.split(' ')) {
+    if ((line + ' ' + word).length > 80) {
+      lines.push(line);
+      line = indent + '//';
+    }
+    line += ' ' + word;
+  }
+  lines.push(line);
+  return lines;
+}
+
+/***
+ * Returns the Solidity file with the constants of a profile, which
+ * GasEstimator inherits.
+ */
+function generateProfileContract(profile) {
+  let lines = FunctionHashes.LICENSE_HEADER.concat(['']).concat(wrapComment(
+    'Generated by scripts/Calibration.js from the profile version ' +
+      `${profile.version} for solc ${profile.compiler} with the optimizer ` +
+      `${profile.optimizer ? 'enabled' : 'disabled'}, ` +
+      `${profile.optimizerRuns} runs and ${profile.hardfork}, do not edit it.`,
+    ''
+  )).concat([
+    '',
+    'pragma solidity ^0.6.6;',
+    '',
+    '/**',
+    ' * @title The constants of the gas estimation that depend on the compiler',
+    ' * @dev Calibrate them again with truffle exec scripts/Calibrate.js after',
+    ' * changing the compiler or its settings.',
+    ' */',
+    'abstract contract GasProfile {',
+    '  // The version of the profile.',
+    `  uint constant GAS_PROFILE_VERSION = ${profile.version};`
+  ]);
+
+  for (let [name, description] of
+    Object.entries(GasPredictor.PROFILE_CONSTANTS)) {
+    lines = lines.concat(wrapComment(description, '  '));
+    lines.push(`  uint constant ${name} = ${profile.constants[name]};`);
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/***
+ * Writes a profile as JSON and optionally GasProfile.sol.
+ * @param profile The profile.
+ * @param file The JSON file.
+ * @param contractFile The Solidity file or null.
+ */
+function saveProfile(profile, file, contractFile = PROFILE_CONTRACT_FILE) {
+  fs.mkdirSync(path.dirname(file), {recursive: true});
+  fs.writeFileSync(file, JSON.stringify(profile, null, 2) + '\n');
+
+  if (contractFile !== null) {
+    fs.writeFileSync(contractFile, generateProfileContract(profile));
+  }
+}
+
+module.exports = {
+  PROFILE_CONTRACT_FILE,
+  PINNED_CONSTANTS,
+  PROBES,
+  getReturnLength,
+  runProbes,
+  solveLeastSquares,
+  fitProfile,
+  generateProfileContract,
+  saveProfile
+}
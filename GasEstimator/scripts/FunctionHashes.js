@@ -0,0 +1,385 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require('fs');
+const path = require('path');
+const web3 = require('web3');
+
+// The signatures of the functions of GasEstimator itself, whose hashes are
+// the initial functionHashes.
+const GAS_ESTIMATOR_FUNCTIONS = [
+  'getLastGas()',
+  'getFunctionHashIndex(bytes4)',
+  'getFunctionHash(string)'
+];
+
+// The number of hashes per line of a generated doc comment.
+const HASHES_PER_LINE = 6;
+
+// The parameter types of setParamTypes.
+const PARAM_TYPES = {
+  'word': 0,
+  'masked': 1,
+  'bool': 2,
+  'signed': 3,
+  'bytes': 4,
+  'array': 5
+};
+
+// The license header of the generated Solidity files.
+const LICENSE_HEADER = [
+  '// This file is part of the GasEstimator.',
+  '// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität',
+  '// Darmstadt, Germany.',
+  '//',
+  '// This program is free software: you can redistribute it and/or modify',
+  '// it under the terms of the GNU General Public License as published by',
+  '// the Free Software Foundation, either version 3 of the License, or',
+  '// (at your option) any later version.',
+  '//',
+  '// This program is distributed in the hope that it will be useful,',
+  '// but WITHOUT ANY WARRANTY; without even the implied warranty of',
+  '// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the',
+  '// GNU General Public License for more details.',
+  '//',
+  '// You should have received a copy of the GNU General Public License',
+  '// along with this program.  If not, see <https://www.gnu.org/licenses/>'
+];
+
+
+/***
+ * Returns the canonical type of an ABI parameter, e.g., (uint256,bool)[] for
+ * an array of structs.
+ */
+function getCanonicalType(param) {
+  if (!param.type.startsWith('tuple')) {
+    return param.type;
+  }
+  return '(' + param.components.map(getCanonicalType).join(',') + ')' +
+    param.type.substring('tuple'.length);
+}
+
+/***
+ * Returns the signature of a function of the ABI, e.g.,
+ * getFunctionHash(string).
+ */
+function getSignature(abiFunction) {
+  return abiFunction.name + '(' +
+    abiFunction.inputs.map(getCanonicalType).join(',') + ')';
+}
+
+/***
+ * Returns the hash of a function signature like getFunctionHash of
+ * GasEstimator, i.e., the function selector (starts with '0x..').
+ */
+function getFunctionHash(signature) {
+  return web3.utils.sha3(signature).substring(0, 10);
+}
+
+/***
+ * Returns whether the type is a value type which fits into one word.
+ */
+function isValueType(type) {
+  return /^u?int\d*$/.test(type) || /^bytes\d+$/.test(type) ||
+    type == 'address' || type == 'bool';
+}
+
+/***
+ * Returns the returnType of setEstimatedGas for the return values of a
+ * function.
+ * @param outputs The outputs of the function in the ABI.
+ * @returns 0 for uint256 or int256, 1 for uintX with X < 256, address or
+ * bool, 2 for intX with X < 256, 3 for bytes32, 4 for bytesX with X < 32,
+ * 5 for bytes or string, 6 for a dynamic array of value types, or null if the
+ * function does not return exactly one value of these types.
+ */
+function getReturnType(outputs) {
+  if (outputs === undefined || outputs.length != 1) {
+    return null;
+  }
+
+  let type = outputs[0].type;
+  if (type == 'uint256' || type == 'int256') {
+    return 0;
+  } else if (/^uint\d+$/.test(type) || type == 'address' || type == 'bool') {
+    return 1;
+  } else if (/^int\d+$/.test(type)) {
+    return 2;
+  } else if (type == 'bytes32') {
+    return 3;
+  } else if (/^bytes\d+$/.test(type)) {
+    return 4;
+  } else if (type == 'bytes' || type == 'string') {
+    return 5;
+  } else if (type.endsWith('[]') && isValueType(type.slice(0, -2))) {
+    return 6;
+  }
+  return null;
+}
+
+/***
+ * Returns the type of a parameter for setParamTypes of GasEstimator.
+ * @param input The parameter in the ABI.
+ * @returns One of PARAM_TYPES or null if the type is not supported, e.g.,
+ * structs, static or nested arrays.
+ */
+function getParamType(input) {
+  let type = input.type;
+  if (type == 'uint256' || type == 'int256' || type == 'bytes32') {
+    return PARAM_TYPES.word;
+  } else if (/^uint\d+$/.test(type) || /^bytes\d+$/.test(type) ||
+    type == 'address') {
+    return PARAM_TYPES.masked;
+  } else if (type == 'bool') {
+    return PARAM_TYPES.bool;
+  } else if (/^int\d+$/.test(type)) {
+    return PARAM_TYPES.signed;
+  } else if (type == 'bytes' || type == 'string') {
+    return PARAM_TYPES.bytes;
+  } else if (type.endsWith('[]') && isValueType(type.slice(0, -2))) {
+    return PARAM_TYPES.array;
+  }
+  return null;
+}
+
+/***
+ * Returns the types of the parameters of a function for setParamTypes.
+ * @param inputs The inputs of the function in the ABI.
+ * @returns The list of types or null if any of them is not supported.
+ */
+function getParamTypes(inputs) {
+  let paramTypes = inputs.map(getParamType);
+  return paramTypes.includes(null) ? null : paramTypes;
+}
+
+/***
+ * Returns the functions of the ABI in their order.
+ * @returns A list of maps with the name, the signature, the hash, the
+ * returnType and the paramTypes of every function.
+ */
+function getFunctions(abi) {
+  return abi.filter(entry => entry.type == 'function').map(entry => ({
+    'name': entry.name,
+    'signature': getSignature(entry),
+    'hash': getFunctionHash(getSignature(entry)),
+    'returnType': getReturnType(entry.outputs),
+    'paramTypes': getParamTypes(entry.inputs)
+  }));
+}
+
+/***
+ * Returns the hashes that the constructor of GasEstimator expects, i.e., of
+ * all functions of the ABI except the ones of GasEstimator itself.
+ * @param abi The ABI of the contract that derives from GasEstimator.
+ * @param signatures The signatures of the functions in the order the
+ * constructor of the contract expects them, defaults to the order of the
+ * ABI.
+ * @throws An Error if a signature is not part of the ABI.
+ */
+function getConstructorArgument(abi, signatures = null) {
+  let functions = getFunctions(abi).filter(fn =>
+    !GAS_ESTIMATOR_FUNCTIONS.includes(fn.signature)
+  );
+
+  if (signatures === null) {
+    return functions.map(fn => fn.hash);
+  }
+
+  let ordered = signatures.map(signature => {
+    let fn = functions.find(fn => fn.signature == signature);
+    if (fn === undefined) {
+      throw new Error(`The function ${signature} is not part of the ABI.`);
+    }
+    return fn;
+  });
+  return ordered.concat(functions.filter(fn => !ordered.includes(fn)))
+    .map(fn => fn.hash);
+}
+
+/***
+ * Returns functionHashes as built by the constructor of GasEstimator, which
+ * inserts every given hash into the sorted hashes of its own functions.
+ * @param functionHashes The constructor argument.
+ */
+function getSortedFunctionHashes(functionHashes) {
+  let sorted = GAS_ESTIMATOR_FUNCTIONS.map(getFunctionHash);
+
+  for (let hash of functionHashes) {
+    let toBeInserted = hash.toLowerCase();
+
+    for (let j = 0; j < sorted.length; j++) {
+      if (toBeInserted < sorted[j]) {
+        [sorted[j], toBeInserted] = [toBeInserted, sorted[j]];
+      }
+    }
+    sorted.push(toBeInserted);
+  }
+  return sorted;
+}
+
+/***
+ * Returns the index in functionHashes, i.e., the functionHashIndex of
+ * setEstimatedGas, of every function of the ABI.
+ * @returns A list of the functions like getFunctions ordered by their index,
+ * which they contain as index.
+ */
+function getFunctionHashIndexes(abi) {
+  let functions = getFunctions(abi);
+  let sorted = getSortedFunctionHashes(getConstructorArgument(abi));
+
+  return functions
+    .map(fn => Object.assign({'index': sorted.indexOf(fn.hash)}, fn))
+    .sort((a, b) => a.index - b.index);
+}
+
+/***
+ * Returns the name of the constants of a function, e.g., SOME_FUNCTION for
+ * someFunction, followed by its parameter types if the name is overloaded.
+ */
+function getConstantName(fn, overloaded) {
+  let name = fn.name.replace(/([a-z0-9])([A-Z])/g, '$1_$2');
+
+  if (overloaded) {
+    let types = fn.signature.substring(fn.name.length + 1,
+      fn.signature.length - 1);
+    name += types ? '_' + types.replace(/\[\]/g, '_array')
+      .replace(/[^A-Za-z0-9]+/g, '_') : '';
+  }
+  return name.replace(/_+$/, '').toUpperCase();
+}
+
+/***
+ * Returns the lines of a doc comment with the given hashes as an array,
+ * wrapped after every HASHES_PER_LINE hashes.
+ */
+function formatHashes(hashes) {
+  let lines = [];
+
+  for (let i = 0; i < hashes.length; i += HASHES_PER_LINE) {
+    lines.push(' *  ' + hashes.slice(i, i + HASHES_PER_LINE).join(', ') +
+      (i + HASHES_PER_LINE < hashes.length ? ',' : ''));
+  }
+  if (lines.length == 0) {
+    return [' * [].'];
+  }
+  lines[0] = ' * [' + lines[0].substring(4);
+  lines[lines.length - 1] += '].';
+  return lines;
+}
+
+/***
+ * Returns a Solidity file with an abstract contract of constants with the
+ * functionHashIndex and the returnType of every function, which the contract
+ * can inherit instead of hard-coding them.
+ * @param contractName The name of the contract that derives from
+ * GasEstimator, the constants are named <contractName>FunctionHashes.
+ * @param abi Its ABI.
+ * @param signatures The order of the constructor argument, see
+ * getConstructorArgument.
+ */
+function generateConstants(contractName, abi, signatures = null) {
+  let functions = getFunctionHashIndexes(abi);
+  let names = functions.map(fn => fn.name);
+  let lines = LICENSE_HEADER.concat([
+    '',
+    '// Generated by scripts/FunctionHashes.js from the ABI of ' +
+      `${contractName}.`,
+    '// Do not edit it, but generate it again whenever a function changes.',
+    '',
+    'pragma solidity ^0.6.6;',
+    '',
+    '/**',
+    ` * @title The function hash indexes and return types of ${contractName}`,
+    ' * @dev The constructor argument of GasEstimator is'
+  ], formatHashes(getConstructorArgument(abi, signatures)), [
+    ' */',
+    `abstract contract ${contractName}FunctionHashes {`
+  ]);
+
+  for (let fn of functions) {
+    let name = getConstantName(
+      fn,
+      names.filter(other => other == fn.name).length > 1
+    );
+
+    lines.push(`  // ${fn.signature} with the hash ${fn.hash}.`);
+    lines.push(`  uint constant ${name}_INDEX = ${fn.index};`);
+    if (fn.returnType !== null) {
+      lines.push(`  uint constant ${name}_RETURN_TYPE = ${fn.returnType};`);
+    }
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/***
+ * Reads a compiled Truffle artifact and writes the Solidity constants to
+ * <outputDir>/<contractName>FunctionHashes.sol.
+ * @returns The constructor argument and the path of the Solidity file.
+ */
+function generate(artifactFile, outputDir, signatures = null) {
+  let artifact = JSON.parse(fs.readFileSync(artifactFile).toString());
+  let file = path.join(outputDir, `${artifact.contractName}FunctionHashes.sol`);
+
+  fs.mkdirSync(outputDir, {recursive: true});
+  fs.writeFileSync(
+    file,
+    generateConstants(artifact.contractName, artifact.abi, signatures)
+  );
+
+  return {
+    'constructorArgument': getConstructorArgument(artifact.abi, signatures),
+    'file': file
+  }
+}
+
+// Usage: node scripts/FunctionHashes.js <artifact> <output dir> [signatures]
+if (require.main === module) {
+  let [artifactFile, outputDir, ...signatures] = process.argv.slice(2);
+
+  if (!artifactFile || !outputDir) {
+    console.error('Usage: node scripts/FunctionHashes.js ' +
+      '<artifact> <output dir> [signatures in constructor order]');
+    process.exit(1);
+  }
+
+  let result = generate(
+    artifactFile,
+    outputDir,
+    signatures.length > 0 ? signatures : null
+  );
+  console.log(`Wrote ${result.file}`);
+  console.log(JSON.stringify(result.constructorArgument));
+}
+
+module.exports = {
+  GAS_ESTIMATOR_FUNCTIONS,
+  LICENSE_HEADER,
+  PARAM_TYPES,
+  getSignature,
+  getFunctionHash,
+  getReturnType,
+  getParamType,
+  getParamTypes,
+  getFunctions,
+  getConstructorArgument,
+  getSortedFunctionHashes,
+  getFunctionHashIndexes,
+  getConstantName,
+  generateConstants,
+  generate
+}
@@ -0,0 +1,418 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require('fs');
+const path = require('path');
+const FunctionHashes = require('./FunctionHashes.js');
+const Hardforks = require('./Hardforks.js');
+
+// The directory of the profiles, see getProfileFileName.
+const PROFILES_DIR = path.join(__dirname, '..', 'profiles');
+
+// The constants of a profile, which calibration fits to the compiler, with
+// their description in GasProfile.sol.
+const PROFILE_CONSTANTS = {
+  'CONSTANT_GAS': 'The gas of the modifier that is not measured with ' +
+    'gasleft, i.e., before it starts and after it ends, without reading ' +
+    'functionHashIndex and reading lastGas again.',
+  'EQUAL_ESTIMATE_GAS': 'The gas of changing an estimation that equals ' +
+    'lastGas, so that setting lastGas is not a no-op.',
+  'DISPATCH_COMPARE_GAS': 'The gas of comparing the function hash with one ' +
+    'of functionHashes in the dispatcher (DUP1, PUSH4, EQ, PUSH2 and JUMPI).',
+  'DISPATCH_SPLIT_GAS': 'The gas of a split of the dispatcher into the ' +
+    'larger and the smaller half of the function hashes (DUP1, PUSH4, GT, ' +
+    'PUSH2 and JUMPI). Continuing in the smaller half costs 1 more for ' +
+    'JUMPDEST.',
+  'DECODING_GAS': 'The gas of setting up the decoder for functions with ' +
+    'parameters.',
+  'WORD_DECODING_GAS': 'The gas of decoding a full word (CALLDATALOAD and ' +
+    'the stack operations).',
+  'CLEANUP_GAS': 'Masking with PUSH and AND, or cleaning a bool with ISZERO ' +
+    'and ISZERO.',
+  'SIGN_EXTENSION_GAS': 'Sign extending with PUSH1 and SIGNEXTEND.',
+  'BYTES_DECODING_GAS': 'The gas of decoding bytes or a string into memory ' +
+    'without the copying, i.e., loading the offset and the length, their ' +
+    'bound checks, the allocation and clearing the word behind the copy.',
+  'ARRAY_DECODING_GAS': 'The gas of decoding an array into memory like ' +
+    'BYTES_DECODING_GAS, which multiplies the length instead of rounding it ' +
+    'up to words.',
+  'BYTES_ENCODING_GAS': 'The gas of encoding returned bytes or a string ' +
+    'without the copy loop, i.e., writing the offset and the length.',
+  'ARRAY_ENCODING_GAS': 'The gas of encoding a returned array without the ' +
+    'copy loop, i.e., writing the offset and the length.',
+  'ENCODING_WORD_GAS': 'The gas of copying a word of returned bytes, a ' +
+    'string or an array in the loop of the encoder without the memory ' +
+    'expansion.',
+  'PADDING_GAS': 'The gas of padding the last word of returned bytes or a ' +
+    'string.',
+  'RETURN_WORD_GAS': 'The gas of returning uint256 or int256.',
+  'RETURN_UNSIGNED_GAS': 'The gas of returning uintX with X < 256 ' +
+    '(includes bool = uint8 and address).',
+  'RETURN_SIGNED_GAS': 'The gas of returning intX with X < 256.',
+  'RETURN_BYTES32_GAS': 'The gas of returning bytes32.',
+  'RETURN_FIXED_BYTES_GAS': 'The gas of returning bytesX with X < 32.'
+};
+
+// The constants of the return types 0 to 4.
+const RETURN_CONSTANTS = [
+  'RETURN_WORD_GAS',
+  'RETURN_UNSIGNED_GAS',
+  'RETURN_SIGNED_GAS',
+  'RETURN_BYTES32_GAS',
+  'RETURN_FIXED_BYTES_GAS'
+];
+
+// The costs of GasEstimator that only depend on the EVM and the hardfork.
+const TX_GAS = 21000;
+const TX_DATA_ZERO_GAS = 4;
+const TX_DATA_NONZERO_GAS = 16;
+const SSTORE_SET_GAS = 20000;
+const SSTORE_RESET_GAS = 5000;
+const SLOAD_GAS = 800;
+const COLD_SLOAD_GAS = 2100;
+const WARM_ACCESS_GAS = 100;
+const COPY_WORD_GAS = 3;
+const MEMORY_WORD_GAS = 3;
+const CREATE_DATA_GAS = 200;
+
+// The returnTypes of bytes or strings and of dynamic arrays.
+const RETURN_BYTES = 5;
+const RETURN_ARRAY = 6;
+
+
+/***
+ * Returns the name of the file of a profile, which contains the compiler
+ * settings, the hardfork and the version of the profile, so that a
+ * calibration never overwrites another profile.
+ */
+function getProfileFileName(profile) {
+  return [
+    `solc-${profile.compiler}`,
+    profile.optimizer ? 'optimizer' : 'no-optimizer',
+    `runs-${profile.optimizerRuns}`,
+    profile.hardfork,
+    `v${profile.version}`
+  ].join('-') + '.json';
+}
+
+/***
+ * Returns the file of the profile GasEstimator is compiled with, i.e., the
+ * latest version in PROFILES_DIR, from which the calibration generated
+ * GasProfile.sol.
+ * @throws An Error if PROFILES_DIR contains no profile.
+ */
+function getDefaultProfileFile() {
+  let latest = null;
+  let latestVersion = -1;
+
+  for (let name of fs.readdirSync(PROFILES_DIR)) {
+    let match = name.match(/-v(\d+)\.json$/);
+    if (match !== null && Number(match[1]) > latestVersion) {
+      latest = name;
+      latestVersion = Number(match[1]);
+    }
+  }
+  if (latest === null) {
+    throw new Error(`${PROFILES_DIR} contains no profile.`);
+  }
+  return path.join(PROFILES_DIR, latest);
+}
+
+/***
+ * Reads a profile of constants.
+ * @param file The JSON file of the profile, defaults to the one GasEstimator
+ * is compiled with.
+ */
+function loadProfile(file = getDefaultProfileFile()) {
+  return JSON.parse(fs.readFileSync(file).toString());
+}
+
+/***
+ * Returns the costs of the calldata like getCalldataGas of GasEstimator.
+ * @param calldata The calldata (starts with '0x..').
+ */
+function getCalldataGas(calldata) {
+  let calldataGas = 0;
+
+  for (let i = 2; i < calldata.length; i += 2) {
+    calldataGas += calldata.substring(i, i + 2) == '00' ?
+      TX_DATA_ZERO_GAS : TX_DATA_NONZERO_GAS;
+  }
+  return calldataGas;
+}
+
+/***
+ * Returns the word of the calldata at the given byte position as a Number.
+ */
+function loadCalldata(calldata, position) {
+  let word = calldata.substring(2 + position * 2, 2 + (position + 32) * 2);
+  return Number(BigInt('0x' + word.padEnd(64, '0')));
+}
+
+/***
+ * Returns the costs of memory with the given size like getMemoryGas of
+ * GasEstimator.
+ */
+function getMemoryGas(size) {
+  let words = Math.ceil(size / 32);
+  return words * MEMORY_WORD_GAS + Math.floor(words * words / 512);
+}
+
+/***
+ * Returns whether solc splits the dispatcher for the given number of
+ * function hashes like splitsDispatcher of GasEstimator.
+ */
+function splitsDispatcher(numberHashes, runs) {
+  if (numberHashes <= 4) {
+    return false;
+  }
+  if (runs > Math.floor(17 * CREATE_DATA_GAS / 6)) {
+    return true;
+  }
+  return runs * 6 * (numberHashes - 4) > 17 * CREATE_DATA_GAS;
+}
+
+/***
+ * Returns the path of a function through the dispatcher.
+ * @param numberHashes The length of functionHashes.
+ * @param functionHashIndex The index of the function in functionHashes.
+ * @param runs The runs setting of the optimizer.
+ * @returns The number of comparisons and splits, and how often the smaller
+ * half was taken.
+ */
+function getDispatchPath(numberHashes, functionHashIndex, runs = 200) {
+  let path = {'compares': 0, 'splits': 0, 'smaller': 0};
+  let low = 0;
+  let high = numberHashes;
+
+  while (splitsDispatcher(high - low, runs)) {
+    let pivot = low + Math.floor((high - low) / 2);
+    path.splits++;
+    if (functionHashIndex >= pivot) {
+      low = pivot;
+    } else {
+      path.smaller++;
+      high = pivot;
+    }
+  }
+  path.compares = functionHashIndex - low;
+  return path;
+}
+
+/***
+ * Returns the description of a call, which the predictor and the
+ * calibration need.
+ * @param abi The ABI of the contract.
+ * @param calldata The calldata of the call.
+ * @param options Optional values of the call:
+ * previousLastGas: getLastGas before the call (default 0),
+ * executionGas: the gas between the two gasleft of the modifier,
+ * returnLength: the length of returned bytes, strings or arrays,
+ * memory: the free memory pointer and the memory size at the end of the
+ * modifier for returned bytes, strings or arrays,
+ * hardfork: the Hardfork enum (default from Hardforks.getHardfork),
+ * runs: the runs setting of the optimizer (default 200).
+ * @throws An Error if the calldata does not call a function of the ABI.
+ */
+function describeCall(abi, calldata, options = {}) {
+  let functions = FunctionHashes.getFunctionHashIndexes(abi);
+  let fn = functions.find(fn => calldata.startsWith(fn.hash));
+
+  if (fn === undefined) {
+    throw new Error(`No function of the ABI has the hash ${calldata}.`);
+  }
+  return Object.assign({
+    'previousLastGas': 0,
+    'executionGas': 0,
+    'returnLength': 0,
+    'memory': null,
+    'hardfork': Hardforks.getHardfork(),
+    'runs': 200
+  }, options, {
+    'calldata': calldata,
+    'numberHashes': functions.length,
+    'functionHashIndex': fn.index,
+    'paramTypes': fn.paramTypes,
+    'returnType': fn.returnType
+  });
+}
+
+/***
+ * Returns how often each constant of a profile contributes to the
+ * estimation of a call, without EQUAL_ESTIMATE_GAS.
+ * @param call The description of the call, see describeCall.
+ * @returns A map from the constants to their factors.
+ */
+function getFeatures(call) {
+  let features = {};
+  for (let name of Object.keys(PROFILE_CONSTANTS)) {
+    features[name] = 0;
+  }
+
+  let dispatch = getDispatchPath(
+    call.numberHashes, call.functionHashIndex, call.runs
+  );
+  features.DISPATCH_COMPARE_GAS = dispatch.compares;
+  features.DISPATCH_SPLIT_GAS = dispatch.splits;
+
+  let paramTypes = call.paramTypes || [];
+  let numberParams = paramTypes.length > 0 ?
+    paramTypes.length : Math.floor((call.calldata.length - 10) / 64);
+  if (numberParams > 0) {
+    features.DECODING_GAS = 1;
+    features.WORD_DECODING_GAS = numberParams;
+  }
+  for (let paramType of paramTypes) {
+    let types = FunctionHashes.PARAM_TYPES;
+    if (paramType == types.masked || paramType == types.bool) {
+      features.CLEANUP_GAS++;
+    } else if (paramType == types.signed) {
+      features.SIGN_EXTENSION_GAS++;
+    } else if (paramType == types.bytes) {
+      features.BYTES_DECODING_GAS++;
+    } else if (paramType == types.array) {
+      features.ARRAY_DECODING_GAS++;
+    }
+  }
+
+  if (call.returnType < RETURN_BYTES) {
+    features[RETURN_CONSTANTS[call.returnType]] = 1;
+  } else if (call.returnType == RETURN_BYTES) {
+    features.BYTES_ENCODING_GAS = 1;
+    features.ENCODING_WORD_GAS = Math.ceil(call.returnLength / 32);
+    if (call.returnLength % 32 != 0) {
+      features.PADDING_GAS = 1;
+    }
+  } else {
+    features.ARRAY_ENCODING_GAS = 1;
+    features.ENCODING_WORD_GAS = call.returnLength;
+  }
+
+  features.CONSTANT_GAS = 1;
+  return features;
+}
+
+/***
+ * Returns the gas of the estimation of a call that does not depend on the
+ * constants of a profile, i.e., the costs of the EVM and the hardfork.
+ * @param call The description of the call, see describeCall.
+ * @throws An Error if the memory of a call that returns bytes, a string or
+ * an array is missing.
+ */
+function getFixedGas(call) {
+  let accessCosts = call.hardfork >= Hardforks.getHardfork('berlin');
+  let fixedGas = TX_GAS + getCalldataGas(call.calldata);
+
+  fixedGas += getDispatchPath(
+    call.numberHashes, call.functionHashIndex, call.runs
+  ).smaller;
+
+  // The copying of bytes, strings and arrays into memory by the decoder,
+  // which clears the word behind the last copy.
+  let memoryEnd = 0x80;
+  (call.paramTypes || []).forEach((paramType, p) => {
+    if (paramType == FunctionHashes.PARAM_TYPES.bytes ||
+      paramType == FunctionHashes.PARAM_TYPES.array) {
+      let offset = loadCalldata(call.calldata, 4 + p * 32);
+      let length = loadCalldata(call.calldata, 4 + offset);
+      let words = paramType == FunctionHashes.PARAM_TYPES.bytes ?
+        Math.ceil(length / 32) : length;
+
+      fixedGas += words * COPY_WORD_GAS;
+      memoryEnd += 32 + words * 32;
+    }
+  });
+  if (memoryEnd > 0x80) {
+    fixedGas += getMemoryGas(memoryEnd + 32) - getMemoryGas(0x60);
+  }
+
+  fixedGas += call.previousLastGas == 0 ? SSTORE_SET_GAS :
+    SSTORE_RESET_GAS - (accessCosts ? COLD_SLOAD_GAS : 0);
+
+  if (call.returnType >= RETURN_BYTES) {
+    if (call.memory === null) {
+      throw new Error('The memory of the call is missing.');
+    }
+    let words = call.returnType == RETURN_BYTES ?
+      Math.ceil(call.returnLength / 32) : call.returnLength;
+    let encodingEnd = call.memory.freeMemory + 64 + words * 32;
+
+    if (encodingEnd > call.memory.size) {
+      fixedGas += getMemoryGas(encodingEnd) - getMemoryGas(call.memory.size);
+    }
+  }
+
+  // Reading functionHashIndex and reading lastGas again.
+  return fixedGas + (accessCosts ? COLD_SLOAD_GAS : SLOAD_GAS) +
+    (accessCosts ? WARM_ACCESS_GAS : SLOAD_GAS);
+}
+
+/***
+ * Predicts the total gas of a call like setEstimatedGas, i.e., the value of
+ * getLastGas after the call.
+ * @param call The description of the call including its executionGas, see
+ * describeCall.
+ * @param profile The profile of the constants, defaults to the one
+ * GasEstimator is compiled with.
+ */
+function predictGas(call, profile = loadProfile()) {
+  let features = getFeatures(call);
+  let gas = getFixedGas(call) + call.executionGas;
+
+  for (let [name, factor] of Object.entries(features)) {
+    gas += factor * profile.constants[name];
+  }
+  if (gas == call.previousLastGas) {
+    gas += profile.constants.EQUAL_ESTIMATE_GAS;
+  }
+  return gas;
+}
+
+/***
+ * Returns the gas between the two gasleft of setEstimatedGas from the trace
+ * of a transaction, i.e., of debug_traceTransaction.
+ * @param structLogs The executed opcodes of the trace.
+ * @throws An Error if the trace does not contain both gasleft.
+ */
+function getExecutionGas(structLogs) {
+  // GAS followed by a call forwards the gas and is no gasleft.
+  let gasleft = structLogs.filter((log, i) => log.op == 'GAS' &&
+    log.depth == 1 &&
+    !(structLogs[i + 1] && structLogs[i + 1].op.endsWith('CALL'))
+  );
+
+  if (gasleft.length < 2) {
+    throw new Error('The trace does not contain setEstimatedGas.');
+  }
+  // GAS costs 2 before it pushes the remaining gas.
+  return (gasleft[0].gas - 2) - (gasleft[gasleft.length - 1].gas - 2);
+}
+
+module.exports = {
+  PROFILES_DIR,
+  PROFILE_CONSTANTS,
+  getProfileFileName,
+  getDefaultProfileFile,
+  loadProfile,
+  getCalldataGas,
+  getDispatchPath,
+  describeCall,
+  getFeatures,
+  getFixedGas,
+  predictGas,
+  getExecutionGas
+}
@@ -0,0 +1,163 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const Hardforks = require('./Hardforks.js');
+
+// The port of the network hardforkMatrix in truffle-config.js.
+const PORT = 8546;
+// The hardforks of the estimator, which Ganache all supports.
+const MATRIX_HARDFORKS = Hardforks.HARDFORKS;
+// The tests that run for every hardfork.
+const MATRIX_TESTS = [
+  'test/GasEstimatorTest.js',
+  'test/ManyFunctionsTest.js',
+  'test/MixedParamsTest.js',
+  'test/GasPredictorTest.js'
+];
+// How long Ganache may take to accept connections in milliseconds.
+const GANACHE_TIMEOUT = 60000;
+
+
+/***
+ * Starts a command of an installed CLI, i.e., ganache or truffle, in the
+ * directory of the GasEstimator.
+ * @param env The additional environment variables.
+ * @returns The child process and a Promise of its exit code.
+ */
+function start(command, args, env = {}) {
+  let child = spawn(command, args, {
+    'cwd': path.join(__dirname, '..'),
+    'env': Object.assign({}, process.env, env),
+    'stdio': 'inherit'
+  });
+  let exited = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('exit', code => resolve(code));
+  });
+
+  return {'child': child, 'exited': exited};
+}
+
+/***
+ * Returns whether a server accepts connections on PORT.
+ */
+function isListening() {
+  return new Promise(resolve => {
+    let socket = net.connect(PORT, '127.0.0.1');
+    socket.on('connect', () => {
+      socket.end();
+      resolve(true);
+    });
+    socket.on('error', () => resolve(false));
+  });
+}
+
+/***
+ * Waits until the started Ganache accepts connections on PORT.
+ * @param ganache The started Ganache, see start.
+ * @throws An Error if Ganache exits or does not listen in time.
+ */
+async function waitForGanache(ganache) {
+  let exited = false;
+  ganache.exited.then(() => exited = true, () => exited = true);
+
+  for (let waited = 0; !(await isListening()); waited += 500) {
+    if (exited) {
+      // Throws the error of spawn, e.g., if ganache is not installed.
+      await ganache.exited;
+      throw new Error('Ganache exited before it accepted connections.');
+    }
+    if (waited >= GANACHE_TIMEOUT) {
+      throw new Error(`Ganache did not listen on port ${PORT} in time.`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+}
+
+/***
+ * Starts Ganache with the given hardfork in a child process, runs the tests
+ * against it with HARDFORK set accordingly and stops Ganache again.
+ * @returns Whether all tests passed.
+ */
+async function runHardfork(hardfork) {
+  // The generated contract with 64 functions exceeds the code size limit.
+  let ganache = start('ganache', [
+    '--chain.hardfork', hardfork,
+    '--chain.allowUnlimitedContractSize',
+    '--server.port', String(PORT),
+    '--logging.quiet'
+  ]);
+
+  try {
+    await waitForGanache(ganache);
+    let truffle = start(
+      'truffle',
+      ['test', ...MATRIX_TESTS, '--network', 'hardforkMatrix'],
+      {'HARDFORK': hardfork}
+    );
+    return await truffle.exited === 0;
+  } finally {
+    if (ganache.child.exitCode === null) {
+      ganache.child.kill();
+    }
+    await ganache.exited.catch(() => null);
+  }
+}
+
+/***
+ * Runs the tests for every hardfork of the matrix.
+ * @param hardforks The hardforks, defaults to all that Ganache supports.
+ * @returns A map from the hardforks to whether their tests passed.
+ */
+async function runMatrix(hardforks = MATRIX_HARDFORKS) {
+  let results = {};
+
+  for (let hardfork of hardforks) {
+    // Fails early for hardforks without a cost profile.
+    Hardforks.getHardfork(hardfork);
+    console.log(`Testing with the hardfork ${hardfork}`);
+    results[hardfork] = await runHardfork(hardfork);
+  }
+  return results;
+}
+
+// Usage: node scripts/HardforkMatrix.js [hardforks...]
+if (require.main === module) {
+  let hardforks = process.argv.slice(2);
+
+  runMatrix(hardforks.length > 0 ? hardforks : MATRIX_HARDFORKS)
+    .then(results => {
+      for (let [hardfork, passed] of Object.entries(results)) {
+        console.log(`${hardfork}: ${passed ? 'passed' : 'failed'}`);
+      }
+      process.exit(Object.values(results).every(passed => passed) ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  MATRIX_HARDFORKS,
+  MATRIX_TESTS,
+  runHardfork,
+  runMatrix
+}
@@ -0,0 +1,47 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+// The hardforks in the order of the Hardfork enum of GasEstimator.
+const HARDFORKS = ['istanbul', 'berlin', 'london', 'shanghai'];
+
+// The hardfork of the chain if the environment variable HARDFORK is not set,
+// i.e., the one of the chain of truffle test.
+const DEFAULT_HARDFORK = 'shanghai';
+
+
+/***
+ * Returns the value of the Hardfork enum of GasEstimator for a hardfork.
+ * @param name The name of the hardfork as in the hardfork option of Ganache,
+ * defaults to the environment variable HARDFORK.
+ * @throws An Error if the estimator has no cost profile for the hardfork.
+ */
+function getHardfork(name = process.env.HARDFORK || DEFAULT_HARDFORK) {
+  let hardfork = HARDFORKS.indexOf(name.toLowerCase());
+
+  if (hardfork == -1) {
+    throw new Error(
+      `The hardfork ${name} is not one of ${HARDFORKS.join(', ')}.`
+    );
+  }
+  return hardfork;
+}
+
+module.exports = {
+  HARDFORKS,
+  DEFAULT_HARDFORK,
+  getHardfork
+}
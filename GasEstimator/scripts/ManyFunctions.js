@@ -0,0 +1,188 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require('fs');
+const path = require('path');
+const FunctionHashes = require('./FunctionHashes.js');
+
+// The total numbers of external functions of the generated test contracts.
+// The one with 64 functions exceeds the code size limit, since the modifier
+// is inlined into every function, so the chains of the tests lift it.
+const SIZES = [8, 16, 32, 64];
+
+// The ABI of the functions of GasEstimator itself.
+const GAS_ESTIMATOR_ABI = [
+  {
+    'name': 'getLastGas',
+    'type': 'function',
+    'inputs': [],
+    'outputs': [{'name': '', 'type': 'uint256'}]
+  },
+  {
+    'name': 'getFunctionHashIndex',
+    'type': 'function',
+    'inputs': [{'name': 'functionHash', 'type': 'bytes4'}],
+    'outputs': [{'name': '', 'type': 'uint256'}]
+  },
+  {
+    'name': 'getFunctionHash',
+    'type': 'function',
+    'inputs': [{'name': 'funSig', 'type': 'string'}],
+    'outputs': [{'name': '', 'type': 'bytes4'}]
+  }
+];
+
+// The return types the generated functions cycle through and how they
+// return their result tmp.
+const RETURN_TYPES = [
+  {'type': 'uint256', 'solidity': 'uint', 'result': 'tmp'},
+  {'type': 'bool', 'solidity': 'bool', 'result': 'tmp > 0'},
+  {'type': 'bytes32', 'solidity': 'bytes32', 'result': 'bytes32(tmp)'}
+];
+
+
+/***
+ * Returns the name of the generated contract with the given number of
+ * functions.
+ */
+function getContractName(numberFunctions) {
+  return `ManyFunctions${numberFunctions}`;
+}
+
+/***
+ * Returns the ABI of the functions of the generated contract, i.e., of
+ * functionNumber0() to functionNumber<n-4>() and of GasEstimator.
+ * @param numberFunctions The total number of external functions including
+ * the three ones of GasEstimator.
+ */
+function getAbi(numberFunctions) {
+  let abi = [];
+
+  for (let i = 0; i < numberFunctions - GAS_ESTIMATOR_ABI.length; i++) {
+    abi.push({
+      'name': `functionNumber${i}`,
+      'type': 'function',
+      'inputs': [],
+      'outputs': [{
+        'name': '',
+        'type': RETURN_TYPES[i % RETURN_TYPES.length].type
+      }]
+    });
+  }
+  return abi.concat(GAS_ESTIMATOR_ABI);
+}
+
+/***
+ * Returns the Solidity source of a contract with the given number of
+ * external functions, which all use setEstimatedGas except the ones of
+ * GasEstimator. The functions read their indexes from storage like
+ * SampleContract, which initializes them with the generated constants.
+ */
+function generateContract(numberFunctions) {
+  let contractName = getContractName(numberFunctions);
+  let functions = FunctionHashes.getFunctions(getAbi(numberFunctions))
+    .filter(fn => fn.name.startsWith('functionNumber'));
+  let indexes = functions.map(fn => `${fn.name}Index`);
+  let constants = functions.map(fn =>
+    FunctionHashes.getConstantName(fn, false)
+  );
+
+  let lines = FunctionHashes.LICENSE_HEADER.concat([
+    '',
+    '// Generated by scripts/ManyFunctions.js, do not edit it.',
+    '',
+    'pragma solidity ^0.6.6;',
+    '',
+    'import "../GasEstimator.sol";',
+    `import "./${contractName}FunctionHashes.sol";`,
+    '',
+    '/**',
+    ` * @title A contract with ${numberFunctions} external functions for ` +
+      'testing the costs',
+    ' * of the dispatcher in setEstimatedGas.',
+    ' */',
+    `contract ${contractName} is GasEstimator, ${contractName}FunctionHashes {`,
+    ''
+  ]);
+
+  lines = lines.concat(indexes.map(index => `  uint ${index};`));
+  lines.push('');
+  lines.push('  constructor(bytes4[] memory _functionHashes, ' +
+    'Hardfork _hardfork)');
+  lines.push('    GasEstimator(_functionHashes) public {');
+  lines.push('    setHardfork(_hardfork);');
+  functions.forEach((fn, i) => {
+    lines.push(`    ${indexes[i]} = ${constants[i]}_INDEX;`);
+  });
+  lines.push('  }');
+
+  functions.forEach((fn, i) => {
+    let returnType = RETURN_TYPES[i % RETURN_TYPES.length];
+    lines = lines.concat([
+      '',
+      `  function ${fn.name}() public`,
+      `    setEstimatedGas(${indexes[i]}, ${fn.returnType})`,
+      `    returns (${returnType.solidity}) {`,
+      `    uint tmp = ${i % 10};`,
+      `    return ${returnType.result};`,
+      '  }'
+    ]);
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/***
+ * Writes the contract with the given number of functions and its constants
+ * into the output directory.
+ * @returns The paths of the written files.
+ */
+function generate(numberFunctions, outputDir) {
+  let contractName = getContractName(numberFunctions);
+  let contractFile = path.join(outputDir, `${contractName}.sol`);
+  let constantsFile = path.join(outputDir, `${contractName}FunctionHashes.sol`);
+
+  fs.mkdirSync(outputDir, {recursive: true});
+  fs.writeFileSync(contractFile, generateContract(numberFunctions));
+  fs.writeFileSync(
+    constantsFile,
+    FunctionHashes.generateConstants(contractName, getAbi(numberFunctions))
+  );
+  return [contractFile, constantsFile];
+}
+
+// Usage: node scripts/ManyFunctions.js [output dir] [number of functions...]
+if (require.main === module) {
+  let [outputDir, ...sizes] = process.argv.slice(2);
+
+  outputDir = outputDir || path.join(__dirname, '..', 'contracts', 'generated');
+  sizes = sizes.length > 0 ? sizes.map(Number) : SIZES;
+
+  for (let numberFunctions of sizes) {
+    for (let file of generate(numberFunctions, outputDir)) {
+      console.log(`Wrote ${file}`);
+    }
+  }
+}
+
+module.exports = {
+  SIZES,
+  getContractName,
+  getAbi,
+  generateContract,
+  generate
+}
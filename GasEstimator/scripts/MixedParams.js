@@ -0,0 +1,246 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require('fs');
+const path = require('path');
+const FunctionHashes = require('./FunctionHashes.js');
+
+const CONTRACT_NAME = 'MixedParams';
+
+// The functions of the generated contract with their parameters, the return
+// value and the body.
+const FUNCTIONS = [
+  {
+    'name': 'withAddress',
+    'inputs': [['address', 'account'], ['uint256', 'x']],
+    'output': 'address',
+    'body': ['return x > 0 ? account : address(0);']
+  },
+  {
+    'name': 'withBool',
+    'inputs': [['bool', 'flag'], ['uint8', 'x']],
+    'output': 'bool',
+    'body': ['return flag && x > 0;']
+  },
+  {
+    'name': 'withSmallInts',
+    'inputs': [['int8', 'a'], ['uint16', 'b'], ['int128', 'c']],
+    'output': 'int8',
+    'body': ['return c > int128(b) ? a : int8(0);']
+  },
+  {
+    'name': 'withSignedWord',
+    'inputs': [['int8', 'a'], ['int256', 'b']],
+    'output': 'int256',
+    'body': ['return a + b;']
+  },
+  {
+    'name': 'withFixedBytes',
+    'inputs': [['bytes4', 'a'], ['bytes20', 'b']],
+    'output': 'bytes4',
+    'body': ['return a ^ bytes4(b);']
+  },
+  {
+    'name': 'withBytes',
+    'inputs': [['bytes', 'data'], ['uint256', 'x']],
+    'output': 'bytes32',
+    'body': ['return bytes32(data.length + x);']
+  },
+  {
+    'name': 'withString',
+    'inputs': [['string', 'text']],
+    'output': 'string',
+    'body': [
+      'setReturnLength(bytes(text).length);',
+      'return text;'
+    ]
+  },
+  {
+    'name': 'withArray',
+    'inputs': [['uint256[]', 'values'], ['address', 'account']],
+    'output': 'uint256[]',
+    'body': [
+      'if (values.length > 0) {',
+      '  values[0] = uint(uint160(account));',
+      '}',
+      'setReturnLength(values.length);',
+      'return values;'
+    ]
+  },
+  {
+    'name': 'withArrayLength',
+    'inputs': [['uint256[]', 'values']],
+    'output': 'uint256',
+    'body': ['return values.length;']
+  }
+];
+
+// The names of the parameter types in GasEstimator.
+const PARAM_TYPE_NAMES = [
+  'PARAM_WORD',
+  'PARAM_MASKED',
+  'PARAM_BOOL',
+  'PARAM_SIGNED',
+  'PARAM_BYTES',
+  'PARAM_ARRAY'
+];
+
+
+/***
+ * Returns whether the type is stored in memory, i.e., bytes, string or an
+ * array.
+ */
+function isReferenceType(type) {
+  return type == 'bytes' || type == 'string' || type.endsWith('[]');
+}
+
+/***
+ * Returns the type with the memory location if necessary.
+ */
+function getSolidityType(type) {
+  return isReferenceType(type) ? `${type} memory` : type;
+}
+
+/***
+ * Returns the ABI of the functions of the generated contract including the
+ * ones of GasEstimator.
+ */
+function getAbi() {
+  return FUNCTIONS.map(fn => ({
+    'name': fn.name,
+    'type': 'function',
+    'inputs': fn.inputs.map(([type, name]) => ({'name': name, 'type': type})),
+    'outputs': [{'name': '', 'type': fn.output}]
+  })).concat(FunctionHashes.GAS_ESTIMATOR_FUNCTIONS.map(signature => {
+    let name = signature.substring(0, signature.indexOf('('));
+    let type = signature.substring(name.length + 1, signature.length - 1);
+
+    return {
+      'name': name,
+      'type': 'function',
+      'inputs': type ? [{'name': '', 'type': type}] : [],
+      'outputs': [{
+        'name': '',
+        'type': name == 'getFunctionHash' ? 'bytes4' : 'uint256'
+      }]
+    };
+  }));
+}
+
+/***
+ * Returns the Solidity source of a contract with functions of several
+ * parameter and return types, which set their parameter types in the
+ * constructor and read their indexes from storage like SampleContract.
+ */
+function generateContract() {
+  let functions = FunctionHashes.getFunctions(getAbi());
+  let lines = FunctionHashes.LICENSE_HEADER.concat([
+    '',
+    '// Generated by scripts/MixedParams.js, do not edit it.',
+    '',
+    'pragma solidity ^0.6.6;',
+    '',
+    'import "../GasEstimator.sol";',
+    `import "./${CONTRACT_NAME}FunctionHashes.sol";`,
+    '',
+    '/**',
+    ' * @title A contract with several parameter and return types for testing',
+    ' * the costs of the calldata, the decoder and the encoder in',
+    ' * setEstimatedGas.',
+    ' */',
+    `contract ${CONTRACT_NAME} is GasEstimator, ` +
+      `${CONTRACT_NAME}FunctionHashes {`,
+    ''
+  ]);
+
+  lines = lines.concat(FUNCTIONS.map(fn => `  uint ${fn.name}Index;`));
+  lines.push('');
+  lines.push('  constructor(bytes4[] memory _functionHashes, ' +
+    'Hardfork _hardfork)');
+  lines.push('    GasEstimator(_functionHashes) public {');
+  lines.push('    setHardfork(_hardfork);');
+  for (let fn of FUNCTIONS) {
+    let info = functions.find(other => other.name == fn.name);
+    let constant = FunctionHashes.getConstantName(info, false);
+    let paramTypes = info.paramTypes.map(type => PARAM_TYPE_NAMES[type]);
+
+    lines.push(`    ${fn.name}Index = ${constant}_INDEX;`);
+    lines = lines.concat([
+      '    setParamTypes(',
+      `      ${fn.name}Index,`,
+      `      abi.encodePacked(${paramTypes.join(', ')})`,
+      '    );'
+    ]);
+  }
+  lines.push('  }');
+
+  for (let fn of FUNCTIONS) {
+    let info = functions.find(other => other.name == fn.name);
+    let params = fn.inputs.map(([type, name]) =>
+      `${getSolidityType(type)} ${name}`
+    );
+
+    lines = lines.concat([
+      '',
+      `  function ${fn.name}(${params.join(', ')}) public`,
+      `    setEstimatedGas(${fn.name}Index, ${info.returnType})`,
+      `    returns (${getSolidityType(fn.output)}) {`
+    ]);
+    lines = lines.concat(fn.body.map(line => `    ${line}`));
+    lines.push('  }');
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/***
+ * Writes the contract and its constants into the output directory.
+ * @returns The paths of the written files.
+ */
+function generate(outputDir) {
+  let contractFile = path.join(outputDir, `${CONTRACT_NAME}.sol`);
+  let constantsFile = path.join(
+    outputDir,
+    `${CONTRACT_NAME}FunctionHashes.sol`
+  );
+
+  fs.mkdirSync(outputDir, {recursive: true});
+  fs.writeFileSync(contractFile, generateContract());
+  fs.writeFileSync(
+    constantsFile,
+    FunctionHashes.generateConstants(CONTRACT_NAME, getAbi())
+  );
+  return [contractFile, constantsFile];
+}
+
+// Usage: node scripts/MixedParams.js [output dir]
+if (require.main === module) {
+  let outputDir = process.argv[2] ||
+    path.join(__dirname, '..', 'contracts', 'generated');
+
+  for (let file of generate(outputDir)) {
+    console.log(`Wrote ${file}`);
+  }
+}
+
+module.exports = {
+  CONTRACT_NAME,
+  FUNCTIONS,
+  getAbi,
+  generateContract,
+  generate
+}
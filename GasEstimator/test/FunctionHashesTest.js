@@ -0,0 +1,93 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require("fs");
+const path = require("path");
+const SampleContract = artifacts.require("SampleContract");
+const FunctionHashes = require("../scripts/FunctionHashes.js");
+
+const CONSTANTS_FILE = path.join(
+  __dirname, "..", "contracts", "generated", "SampleContractFunctionHashes.sol"
+);
+const SAMPLE_CONTRACT_FUNCTIONS = [
+  "someFunction()",
+  "functionBool()",
+  "funcWithParams(uint256,uint256,uint256)"
+];
+
+contract("FunctionHashes", async accounts => {
+  it("Computes the same hashes as getFunctionHash.", async () => {
+    let instance = await SampleContract.deployed();
+
+    for (let fn of FunctionHashes.getFunctions(SampleContract.abi)) {
+      assert.equal(fn.hash, await instance.getFunctionHash(fn.signature));
+    }
+  });
+
+  it("Computes the same indexes as getFunctionHashIndex.", async () => {
+    let instance = await SampleContract.deployed();
+    let functions = FunctionHashes.getFunctionHashIndexes(SampleContract.abi);
+
+    // Every function, including the ones of GasEstimator, has an index.
+    assert.equal(functions.length, 6);
+    for (let fn of functions) {
+      let index = await instance.getFunctionHashIndex(fn.hash);
+      assert.equal(index.toNumber(), fn.index, fn.signature);
+    }
+  });
+
+  it("Computes the return types of the modifier.", async () => {
+    let returnTypes = {};
+    for (let fn of FunctionHashes.getFunctions(SampleContract.abi)) {
+      returnTypes[fn.signature] = fn.returnType;
+    }
+
+    assert.equal(returnTypes["someFunction()"], 0);
+    assert.equal(returnTypes["functionBool()"], 1);
+    assert.equal(returnTypes["funcWithParams(uint256,uint256,uint256)"], 3);
+    assert.equal(returnTypes["getFunctionHash(string)"], 4);
+    assert.isNull(FunctionHashes.getReturnType([]));
+    assert.equal(FunctionHashes.getReturnType([{type: "string"}]), 5);
+    assert.isNull(FunctionHashes.getReturnType([{type: "string[]"}]));
+  });
+
+  it("Keeps the constructor argument in the given order.", async () => {
+    assert.deepEqual(
+      FunctionHashes.getConstructorArgument(
+        SampleContract.abi,
+        SAMPLE_CONTRACT_FUNCTIONS
+      ),
+      ["0x35b09a6e", "0x8fe75f1b", "0x6599a6aa"]
+    );
+    assert.throws(() => FunctionHashes.getConstructorArgument(
+      SampleContract.abi,
+      ["missingFunction()"]
+    ));
+  });
+
+  it("Has generated the constants from the current ABI.", async () => {
+    // Run scripts/FunctionHashes.js again if this fails.
+    assert.equal(
+      fs.readFileSync(CONSTANTS_FILE).toString(),
+      FunctionHashes.generateConstants(
+        "SampleContract",
+        SampleContract.abi,
+        SAMPLE_CONTRACT_FUNCTIONS
+      )
+    );
+  });
+});
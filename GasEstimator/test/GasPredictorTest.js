@@ -0,0 +1,176 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require("fs");
+const SampleContract = artifacts.require("SampleContract");
+const Calibration = require("../scripts/Calibration.js");
+const GasPredictor = require("../scripts/GasPredictor.js");
+
+/***
+ * Sends a JSON-RPC request to the provider.
+ * @returns The result of the request.
+ */
+function send(method, params = []) {
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send(
+      {jsonrpc: "2.0", method: method, params: params, id: Date.now()},
+      (error, response) => {
+        if (error || response.error) {
+          reject(error || new Error(response.error.message));
+        } else {
+          resolve(response.result);
+        }
+      }
+    );
+  });
+}
+
+/***
+ * Calls the function with the given arguments and checks that the predictor
+ * returns getLastGas from the gas between the two gasleft of the trace.
+ */
+async function checkPrediction(instance, name, ...args) {
+  let previousLastGas = (await instance.getLastGas()).toNumber();
+  let result = await instance[name](...args);
+  let transaction = await web3.eth.getTransaction(result.tx);
+  let trace = await send("debug_traceTransaction", [result.tx, {
+    disableStorage: true,
+    disableMemory: true,
+    disableStack: true
+  }]);
+
+  let call = GasPredictor.describeCall(instance.abi, transaction.input, {
+    previousLastGas: previousLastGas,
+    executionGas: GasPredictor.getExecutionGas(trace.structLogs)
+  });
+  assert.equal(
+    GasPredictor.predictGas(call),
+    (await instance.getLastGas()).toNumber(),
+    `${name}(${JSON.stringify(args)})`
+  );
+}
+
+/***
+ * Returns the calls of the probes with the ABIs of the artifacts, without
+ * sending them. The probes that return bytes, a string or an array return
+ * their first argument.
+ */
+function describeProbes() {
+  let calls = [];
+
+  for (let probe of Calibration.PROBES) {
+    let abi = artifacts.require(probe.contract).abi;
+    for (let [name, ...args] of probe.calls) {
+      let entry = abi.find(entry => entry.name == name);
+      calls.push(GasPredictor.describeCall(
+        abi,
+        web3.eth.abi.encodeFunctionCall(entry, args),
+        {returnLength: Calibration.getReturnLength(args[0])}
+      ));
+    }
+  }
+  return calls;
+}
+
+contract("GasPredictor", async accounts => {
+
+  it("Has generated GasProfile.sol from the current profile.", async () => {
+    // Run truffle exec scripts/Calibrate.js again if this fails.
+    assert.equal(
+      fs.readFileSync(Calibration.PROFILE_CONTRACT_FILE).toString(),
+      Calibration.generateProfileContract(GasPredictor.loadProfile())
+    );
+  });
+
+  it("Predicts the estimation of SampleContract.", async () => {
+    let instance = await SampleContract.deployed();
+
+    await checkPrediction(instance, "someFunction");
+    // The second call in a row needs EQUAL_ESTIMATE_GAS.
+    await checkPrediction(instance, "someFunction");
+    await checkPrediction(instance, "functionBool");
+    await checkPrediction(instance, "funcWithParams", 99128, 1337, 5);
+  });
+
+  it("Recovers the corrections of a profile from the residuals.",
+    async () => {
+    let profile = GasPredictor.loadProfile();
+    let corrections = {
+      CONSTANT_GAS: 7,
+      DISPATCH_SPLIT_GAS: -2,
+      DECODING_GAS: 3,
+      SIGN_EXTENSION_GAS: 2,
+      RETURN_SIGNED_GAS: 1,
+      BYTES_ENCODING_GAS: -5,
+      ENCODING_WORD_GAS: 2,
+      PADDING_GAS: 4
+    };
+    let observations = describeProbes().map(call => {
+      let features = GasPredictor.getFeatures(call);
+      return {
+        features: features,
+        equalEstimate: false,
+        residual: Object.keys(corrections).reduce(
+          (sum, name) => sum + corrections[name] * features[name], 0
+        )
+      };
+    });
+
+    let fit = Calibration.fitProfile(profile, observations);
+    assert.equal(fit.maxResidual, 0);
+    assert.equal(fit.profile.version, profile.version + 1);
+    for (let name of Object.keys(fit.corrections)) {
+      assert.equal(
+        fit.profile.constants[name],
+        profile.constants[name] + (corrections[name] || 0),
+        name
+      );
+    }
+    // The constant costs can not be separated from returning a word.
+    assert.notProperty(fit.corrections, "RETURN_WORD_GAS");
+  });
+
+  it("Measures the probes with the gas used by their receipts.", async () => {
+    let profile = GasPredictor.loadProfile();
+    let observations = await Calibration.runProbes(artifacts, profile);
+
+    assert.deepEqual(
+      observations.map(observation => observation.method),
+      Calibration.PROBES.reduce((methods, probe) =>
+        methods.concat(probe.calls.map(([method]) => method)), [])
+    );
+    // The profile matches the chain, so every receipt used exactly the
+    // estimated gas.
+    for (let observation of observations) {
+      assert.equal(observation.residual, 0, observation.method);
+    }
+    assert.equal(Calibration.fitProfile(profile, observations).maxResidual, 0);
+  });
+
+  it("Rejects constants that the probes can not separate.", async () => {
+    assert.deepEqual(
+      Calibration.solveLeastSquares([[1, 0], [1, 1], [1, 2]], [1, 2, 3],
+        ["A", "B"]),
+      [1, 1]
+    );
+    assert.throws(
+      () => Calibration.solveLeastSquares([[1, 2], [2, 4]], [1, 2],
+        ["A", "B"]),
+      /B can not be separated/
+    );
+  });
+});
@@ -0,0 +1,79 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require("fs");
+const path = require("path");
+const FunctionHashes = require("../scripts/FunctionHashes.js");
+const Hardforks = require("../scripts/Hardforks.js");
+const ManyFunctions = require("../scripts/ManyFunctions.js");
+
+const GENERATED_DIR = path.join(__dirname, "..", "contracts", "generated");
+
+/***
+ * Calls the function with the given name and checks that getLastGas equals
+ * the gas used by the transaction.
+ */
+async function checkEstimation(instance, name) {
+  let result = await instance[name]();
+  let estimatedGas = await instance.getLastGas();
+  assert.equal(estimatedGas.toNumber(), result.receipt.gasUsed, name);
+}
+
+for (let numberFunctions of ManyFunctions.SIZES) {
+  let contractName = ManyFunctions.getContractName(numberFunctions);
+  let Contract = artifacts.require(contractName);
+
+  contract(contractName, async accounts => {
+    let instance, names;
+
+    before(async () => {
+      instance = await Contract.new(
+        FunctionHashes.getConstructorArgument(Contract.abi),
+        Hardforks.getHardfork()
+      );
+      names = Contract.abi
+        .filter(entry => entry.name && entry.name.startsWith("functionNumber"))
+        .map(entry => entry.name);
+    });
+
+    it("Has generated the contract with the current generator.", async () => {
+      // Run scripts/ManyFunctions.js again if this fails.
+      let file = path.join(GENERATED_DIR, `${contractName}.sol`);
+      assert.equal(
+        fs.readFileSync(file).toString(),
+        ManyFunctions.generateContract(numberFunctions)
+      );
+      assert.sameMembers(
+        FunctionHashes.getFunctions(Contract.abi).map(fn => fn.signature),
+        FunctionHashes.getFunctions(ManyFunctions.getAbi(numberFunctions))
+          .map(fn => fn.signature)
+      );
+    });
+
+    it(`Calculate gas correctly for all ${numberFunctions} functions.`,
+      async () => {
+      for (let name of names) {
+        await checkEstimation(instance, name);
+      }
+
+      // And again, after every function has set lastGas once.
+      for (let name of names) {
+        await checkEstimation(instance, name);
+      }
+    });
+  });
+}
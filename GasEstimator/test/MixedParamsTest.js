@@ -0,0 +1,114 @@
+// This file is part of the GasEstimator.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require("fs");
+const path = require("path");
+const MixedParams = artifacts.require("MixedParams");
+const FunctionHashes = require("../scripts/FunctionHashes.js");
+const Hardforks = require("../scripts/Hardforks.js");
+const MixedParamsGenerator = require("../scripts/MixedParams.js");
+
+const CONTRACT_FILE = path.join(
+  __dirname, "..", "contracts", "generated", "MixedParams.sol"
+);
+const ZERO_ADDRESS = "0x" + "00".repeat(20);
+
+/***
+ * Calls the function with the given arguments and checks that getLastGas
+ * equals the gas used by the transaction.
+ */
+async function checkEstimation(instance, name, ...args) {
+  let result = await instance[name](...args);
+  let estimatedGas = await instance.getLastGas();
+  assert.equal(
+    estimatedGas.toNumber(),
+    result.receipt.gasUsed,
+    `${name}(${JSON.stringify(args)})`
+  );
+}
+
+contract("MixedParams", async accounts => {
+  let instance;
+
+  before(async () => {
+    instance = await MixedParams.new(
+      FunctionHashes.getConstructorArgument(MixedParams.abi),
+      Hardforks.getHardfork()
+    );
+  });
+
+  it("Has generated the contract with the current generator.", async () => {
+    // Run scripts/MixedParams.js again if this fails.
+    assert.equal(
+      fs.readFileSync(CONTRACT_FILE).toString(),
+      MixedParamsGenerator.generateContract()
+    );
+  });
+
+  it("Determines the parameter and return types from the ABI.", async () => {
+    let types = {};
+    for (let fn of FunctionHashes.getFunctions(MixedParams.abi)) {
+      types[fn.name] = [fn.paramTypes, fn.returnType];
+    }
+
+    assert.deepEqual(types["withAddress"], [[1, 0], 1]);
+    assert.deepEqual(types["withSmallInts"], [[3, 1, 3], 2]);
+    assert.deepEqual(types["withString"], [[4], 5]);
+    assert.deepEqual(types["withArray"], [[5, 1], 6]);
+    assert.isNull(FunctionHashes.getParamTypes([{type: "uint256[][]"}]));
+  });
+
+  it("Calculate gas correctly for address, bool and small ints.",
+    async () => {
+    await checkEstimation(instance, "withAddress", accounts[1], 1);
+    await checkEstimation(instance, "withAddress", ZERO_ADDRESS, 2**40);
+    await checkEstimation(instance, "withBool", true, 255);
+    await checkEstimation(instance, "withBool", false, 0);
+    await checkEstimation(instance, "withSmallInts", -5, 65535, "-12345");
+    await checkEstimation(instance, "withSmallInts", 127, 1, 2);
+    await checkEstimation(instance, "withSignedWord", -128, "-1");
+  });
+
+  it("Calculate gas correctly for bytesX.", async () => {
+    await checkEstimation(
+      instance, "withFixedBytes", "0x12345678", "0x" + "ab".repeat(20)
+    );
+    await checkEstimation(
+      instance, "withFixedBytes", "0x00000001", "0x" + "00".repeat(20)
+    );
+  });
+
+  it("Calculate gas correctly for bytes and strings.", async () => {
+    await checkEstimation(instance, "withBytes", "0x", 0);
+    await checkEstimation(instance, "withBytes", "0x" + "ff".repeat(33), 7);
+    await checkEstimation(instance, "withBytes", "0x" + "00".repeat(100), 1);
+    await checkEstimation(instance, "withString", "");
+    await checkEstimation(instance, "withString", "Hello");
+    await checkEstimation(instance, "withString", "a".repeat(64));
+    await checkEstimation(instance, "withString", "b".repeat(1000));
+  });
+
+  it("Calculate gas correctly for dynamic arrays.", async () => {
+    await checkEstimation(instance, "withArray", [], ZERO_ADDRESS);
+    await checkEstimation(instance, "withArray", [1, 2, 3], accounts[0]);
+    await checkEstimation(
+      instance, "withArray", [...Array(40).keys()], accounts[1]
+    );
+    await checkEstimation(instance, "withArrayLength", []);
+    await checkEstimation(instance, "withArrayLength", [7, 8, 9]);
+  });
+});
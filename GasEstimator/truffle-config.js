@@ -24,6 +24,9 @@
 // const fs = require('fs');
 // const mnemonic = fs.readFileSync(".secret").toString().trim();
 
+// The provider of the chain of truffle test, see the test network.
+let testProvider;
+
 module.exports = {
   /**
    * Networks define how you connect to your ethereum client and let you set the
@@ -75,6 +78,32 @@ module.exports = {
       // network_id: 2111,   // This network is yours, in the cloud.
       // production: true    // Treats this network as if it was a public net. (default: false)
     // }
+
+    // The chain of truffle test, which lifts the code size limit that the
+    // generated contract with 64 functions exceeds. Truffle does not pass
+    // this option to the chain it starts itself, so Ganache is started in
+    // the process, once, since the provider is requested for every
+    // connection.
+    test: {
+      provider: () => {
+        if (!testProvider) {
+          testProvider = require('ganache').provider({
+            chain: {allowUnlimitedContractSize: true},
+            logging: {quiet: true}
+          });
+        }
+        return testProvider;
+      },
+      network_id: "*"
+    },
+
+    // The Ganache instance of scripts/HardforkMatrix.js, which tests the
+    // estimation with the gas costs of several hardforks.
+    hardforkMatrix: {
+      host: "127.0.0.1",
+      port: 8546,
+      network_id: "*"
+    }
   },
 
   // Set default mocha options here, use special reporters etc.
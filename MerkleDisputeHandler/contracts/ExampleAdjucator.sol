@@ -23,7 +23,7 @@ import "./MerkleDisputeHandler.sol";
 contract ExampleAdjucator is AccessRestriction, MerkleDisputeHandler(1 * 1e17, 3600) {
 
 
-  function makeStep(bytes32 leafPreimage)
+  function makeStepPreimage(bytes32 leafPreimage)
     override
     internal
     pure
@@ -45,8 +45,39 @@ contract ExampleAdjucator is AccessRestriction, MerkleDisputeHandler(1 * 1e17, 3
     // shift on the counter to set it as the the last byte of the new state.
     bytes32 state = nonce | bytes32(bytes1(counter)) >> 248;
 
-    // And finally, the new leaf is the hash of the new state.
-    return keccak256(abi.encodePacked(state));
+    // The new leaf is the hash of the new state with the hash profile of the
+    // dispute.
+    return state;
+  }
+
+  /**
+   * @notice Checks if the given leaf preimages are included in the Merkle tree
+   * with the given root, e.g., to settle several steps at once. The leaves are
+   * hashed with the hash profile of new disputes.
+   * @param root The hash of the root.
+   * @param height The height of the Merkle tree, starting at 1 for the root.
+   * @param leafIndexes The sorted indexes of the leaves in the Merkle tree.
+   * @param leafPreimages The preimages of the leaves in the order of
+   * leafIndexes.
+   * @param proof The Merkle multiproof for the leaves.
+   * @return True, if the multiproof is valid, otherwise false.
+   */
+  function verifyLeafPreimages(
+    bytes32 root,
+    uint height,
+    uint[] calldata leafIndexes,
+    bytes32[] calldata leafPreimages,
+    bytes32[] calldata proof)
+    external
+    view
+    returns (bool)
+  {
+    HashProfile storage profile = hashProfiles[hashProfileId];
+    bytes32[] memory leaves = new bytes32[](leafPreimages.length);
+    for (uint i = 0; i < leafPreimages.length; i++) {
+      leaves[i] = hashLeaf(profile, leafPreimages[i]);
+    }
+    return verifyMultiProof(profile, root, height, leafIndexes, leaves, proof);
   }
 
   function changeDefaultCollateral(uint collateral) external onlyBy(owner) {
@@ -57,6 +88,24 @@ contract ExampleAdjucator is AccessRestriction, MerkleDisputeHandler(1 * 1e17, 3
    defaultTimeLimit = timeLimit;
   }
 
+  function changeHashProfile(
+    HashFunction _hashFunction,
+    bool _sortPairs,
+    bytes calldata _leafPrefix,
+    bytes calldata _nodePrefix)
+    external
+    onlyBy(owner)
+  {
+   setHashProfile(_hashFunction, _sortPairs, _leafPrefix, _nodePrefix);
+  }
+
+  function addStepFunction(uint16 stepFunctionId, IStepFunction stepFunction)
+    external
+    onlyBy(owner)
+  {
+    registerStepFunction(stepFunctionId, stepFunction);
+  }
+
   function destroy() external onlyBy(owner) {
     selfdestruct(msg.sender);
   }
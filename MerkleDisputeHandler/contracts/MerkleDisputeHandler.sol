@@ -19,6 +19,9 @@
 pragma solidity ^0.7.0;
 
 import "./utils/ECDSA.sol";
+import "./utils/IERC20.sol";
+import "./utils/SafeERC20.sol";
+import "./steps/IStepFunction.sol";
 
 /**
  * @title The MerkleDisputeHandler
@@ -26,6 +29,25 @@ import "./utils/ECDSA.sol";
  * @dev An adjudicator for disputes about a Merkle Tree proof.
  */
 abstract contract MerkleDisputeHandler {
+  using SafeERC20 for IERC20;
+
+  // The hash functions that can be used for the leaves and nodes.
+  enum HashFunction { Keccak256, Sha256 }
+
+  // A hash profile defines how the leaves and nodes of the Merkle tree are
+  // hashed and corresponds to the hash profiles in MerkleTree.js.
+  struct HashProfile {
+    // The hash function for the leaves and nodes.
+    HashFunction hashFunction;
+    // If true, the two children of a node are sorted before they are
+    // concatenated (compatible with OpenZeppelin's MerkleProof).
+    bool sortPairs;
+    // Prepended to the preimage of a leaf before hashing.
+    bytes leafPrefix;
+    // Prepended to the children of a node before hashing. Distinct prefixes
+    // prevent that a node can be passed off as a leaf.
+    bytes nodePrefix;
+  }
 
   // This struct represents the dispute between two parties on a Merkle tree.
   struct MerkleDispute {
@@ -43,6 +65,9 @@ abstract contract MerkleDisputeHandler {
     bytes32 lastCommonHash;
     // The hash of the first leaf, both parties have agreed on.
     bytes32 firstLeafHash;
+    // The number of leaves both parties have agreed on. The leaves are padded
+    // with PADDING_LEAF up to the next power of arity.
+    uint numberLeaves;
     // The total height of the tree, starting at 1 = root.
     // The max. number of leaves/currentIndex = 2^256-1 -> max. height = 257 ->
     // 16 bits are sufficient.
@@ -51,7 +76,8 @@ abstract contract MerkleDisputeHandler {
     uint16 currentLevel;
     // The level of the last common hash.
     uint16 lastCommonHashLevel;
-    // The index of the current hash in the tree.
+    // The index of the current hash in the tree. If arity > 2, the index of
+    // the first of the children to submit.
     uint currentIndex;
     // The index of the last hash on which the parties have agreed on.
     uint lastCommonHashIndex;
@@ -75,19 +101,51 @@ abstract contract MerkleDisputeHandler {
     // 6 -> A party has submitted the correct preimage of the predecessor and
     //      the contract is ready to determine the guiltier.
     // 7 -> Special case where a party cheated by using a different first leaf
-    //      than the one they initially agreed on. Is ready to determine the
-    //      guiltier.
+    //      than the one they initially agreed on or by using a leaf that
+    //      differs from PADDING_LEAF after the agreed number of leaves. Is
+    //      ready to determine the guiltier.
     uint8 disputeStatus;
+    // The number of children of every node in the tree. With 2, the parties
+    // submit one node per round with submitHash, otherwise they submit all
+    // children of a node per round with submitChildren.
+    uint8 arity;
+    // The ERC-20 token of the collateral, or address(0) for ether. Shares the
+    // storage slot with the fields above, which are written at the
+    // registration, too.
+    IERC20 token;
+    // The id of the step function the dispute is about, see stepFunctions.
+    // Shares the storage slot with the token.
+    uint16 stepFunctionId;
+    // The id of the hash profile of the dispute, see hashProfiles, which is
+    // fixed at the registration. Shares the storage slot with the token.
+    uint16 hashProfileId;
     // The preimage from the predecessor leaf of the deviating leaf.
     bytes32 preimage;
+    // The children submitted by the party with index = lastParty if
+    // arity > 2.
+    bytes32[] childrenLastParty;
+    // The hashes of the last node on which the parties differed, by party
+    // index, starting with the roots. A party whose nodes below contradict
+    // its hash is convicted by reportIncorrectParent.
+    bytes32[2] differingHashes;
+    // The hash chain of all nodes both parties agreed on, i.e., the left
+    // siblings of the nodes which are skipped.
+    bytes32 commonHashesChain;
   }
 
+  // The party with partyIndex has registered the dispute first.
+  event DisputeRegistered(bytes32 disputeId, uint8 partyIndex);
   // After both parties have registered the dispute, it can be initialized.
   event ReadyForInitialization(bytes32 disputeId);
   // The dispute is initialized and the parties can submit hashes.
   event ReadyForSubmitting(bytes32 disputeId);
-  // Emits the new index of the leaf that the two parties should submit.
+  // Emits the new index of the leaf that the two parties should submit (of the
+  // first child if arity > 2).
   event NewIndexToSubmit(bytes32 disputeId, uint index);
+  // The party with partyIndex has submitted the first node (or children) of
+  // the round with the given index, the round ends with the submission of the
+  // other party.
+  event HashSubmitted(bytes32 disputeId, uint8 partyIndex, uint index);
   // The contract has found the index of the leaf that differs between the two
   // parties (index + 1) and now needs the preimage of the predecessor of this
   // leaf to be able to determine the guiltier.
@@ -98,14 +156,70 @@ abstract contract MerkleDisputeHandler {
   // The contract has determined the guiltier with partyIndex = 0 or 1, or 2 if
   // it could not determine the guiltier.
   event DetermindedGuiltier(bytes32 disputeId, uint8 partyIndex);
+  // The party has authorized the delegate to respond on its behalf.
+  event DelegateAuthorized(bytes32 disputeId, address party, address delegate);
+  // The party has revoked the authorization of its delegate.
+  event DelegateRevoked(bytes32 disputeId, address party);
+  // A step function has been registered with the given id.
+  event StepFunctionRegistered(uint16 stepFunctionId, address stepFunction);
+  // New disputes use the hash profile with the given id.
+  event HashProfileSet(uint16 hashProfileId);
+
+
+  // The value of the leaves that are used to pad the number of leaves up to
+  // the next power of the arity.
+  bytes32 constant PADDING_LEAF = bytes32(0);
+
+  // The id of the step function that makeStepPreimage of the inheriting
+  // contract implements, which is always available.
+  uint16 constant BUILT_IN_STEP_FUNCTION = 0;
+
+  // The EIP-712 type hashes of the domain, of the initialization of a
+  // dispute, which the other party signs, and of the authorization of a
+  // delegate, which the represented party signs.
+  bytes32 constant DOMAIN_TYPEHASH = keccak256(
+    "EIP712Domain(string name,string version,uint256 chainId,"
+    "address verifyingContract)"
+  );
+  bytes32 constant INITIALIZATION_TYPEHASH = keccak256(
+    "DisputeInitialization(bytes32 disputeId,uint8 arity,uint16 height,"
+    "uint256 numberLeaves,bytes32 firstLeafHash,bytes32 root,"
+    "bytes32 hashProfile)"
+  );
+  bytes32 constant DELEGATION_TYPEHASH = keccak256(
+    "DelegateAuthorization(bytes32 disputeId,address delegate,uint256 nonce)"
+  );
+
+  // The hash profiles by their id. A hash profile is never changed, since
+  // the disputes that use it rely on it. The id 0 stands for the default
+  // profile, i.e., keccak256 without sorting and without prefixes.
+  mapping (uint16 => HashProfile) hashProfiles;
+  // The id of the hash profile that new disputes use.
+  uint16 public hashProfileId;
+  // The highest id of a hash profile so far.
+  uint16 lastHashProfileId;
+
+  // The MerkleDispute struct for two parties, which is identified by the hash
+  // of their sorted concatenated addresses and the session id, so the same
+  // parties can have several disputes at once.
+  mapping (bytes32 => MerkleDispute) merkleDisputes;
 
+  // The balances of addresses involed in disputes per token, whereas
+  // address(0) stands for ether.
+  mapping (address => mapping (address => uint)) balances;
 
-  // The MerkleDispute struct for two parties, who are identified by the hash
-  // of their sorted concatenated addresses.
-  mapping (bytes32 => MerkleDispute) merkleDisputes;
+  // The delegates (e.g. watchtowers) that may respond on behalf of a party in
+  // a dispute, per disputeId and party.
+  mapping (bytes32 => mapping (address => address)) delegates;
+  // The nonce the next authorization of a delegate has to be signed with per
+  // disputeId and party. Increased on every authorization and revocation, so
+  // an authorization can be used only once.
+  mapping (bytes32 => mapping (address => uint)) delegationNonces;
 
-  // The balances of addresses involed in disputes.
-  mapping (address => uint) balances;
+  // The registered step functions (e.g. external verifiers of other
+  // computations) by their id, of which the parties choose one per dispute.
+  // The id BUILT_IN_STEP_FUNCTION stands for makeStepPreimage.
+  mapping (uint16 => IStepFunction) stepFunctions;
 
   // The default collateral each party has to submit before the contract will
   // begin to solve the dispute.
@@ -121,26 +235,14 @@ abstract contract MerkleDisputeHandler {
   /**
     * @notice This modifier checks if the time limit is exceeded and updates
     * the last timestamp if this is not the case.
-    * @param otherParty The address of the other party in this dispute.
+    * @dev The checks are internal functions, so the modifier does not copy
+    * them into every function that uses it.
+    * @param disputeId The identifier of this dispute.
     */
-  modifier withTimeLimit(address otherParty) {
-    bytes32 disputeId = getDisputeId(otherParty);
-    MerkleDispute storage merkleDispute = merkleDisputes[disputeId];
-    // Only check the time limit, if the dispute is registered.
-    if (merkleDispute.disputeStatus > 0) {
-      require(
-        merkleDispute.lastTimestamp + merkleDispute.timeLimit
-          >= block.timestamp,
-        "The time limit is exceeded!"
-      );
-    }
-
+  modifier withTimeLimit(bytes32 disputeId) {
+    checkTimeLimit(disputeId);
     _;
-
-    // If the disputeStatus changed to 0, it has been reseted.
-    if (merkleDispute.disputeStatus > 0) {
-      merkleDispute.lastTimestamp = block.timestamp;
-    }
+    updateLastTimestamp(disputeId);
   }
 
   /**
@@ -162,115 +264,191 @@ abstract contract MerkleDisputeHandler {
    * After both parties have registered the dispute, it is ready for
    * initalization.
    * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   */
+  function registerDispute(address otherParty, uint sessionId)
+    external
+    payable
+  {
+    registerDispute(
+      otherParty,
+      sessionId,
+      defaultCollateral,
+      defaultTimeLimit,
+      2,
+      BUILT_IN_STEP_FUNCTION
+    );
+  }
+
+  /**
+   * @notice Registers the dispute about a binary Merkle tree by depositing a
+   * custom collateral.
+   * After both parties have registered the dispute with the same values for
+   * the collateral and time limit, it is ready for initalization.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   * @param collateral The value for the collateral that should be used.
+   * @param timeLimit How many seconds should be used for the time limit.
    */
-  function registerDispute(address otherParty)
+  function registerDispute(
+    address otherParty,
+    uint sessionId,
+    uint collateral,
+    uint timeLimit)
     external
     payable
   {
-    registerDispute(otherParty, defaultCollateral, defaultTimeLimit);
+    registerDispute(
+      otherParty,
+      sessionId,
+      collateral,
+      timeLimit,
+      2,
+      BUILT_IN_STEP_FUNCTION
+    );
   }
 
   /**
    * @notice Initializes the dispute with the given parameters.
-   * @dev The contract only supports leaves whose number is a power of 2.
+   * @dev If the number of leaves isn't a power of the arity, the leaves are
+   * padded with PADDING_LEAF up to the next power of the arity.
    * @param otherParty The address of the other party in this dispute.
-   * @param height The height of the Merkle tree, staring at 1 for the root.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   * @param numberLeaves The number of leaves of the Merkle tree without the
+   * padding leaves.
    * @param firstLeafHash The hash of the first leaf of the Merkle tree.
    * @param rootCurrentParty The root hash from the current party.
    * @param rootOtherParty The root hash from the other party.
-   * @param firstLeafSig The signature of the other party on the first leaf.
-   * @param rootOtherPartySig The signature of the other party on the root hash.
+   * @param otherPartySig The EIP-712 signature of the other party on the
+   * initialization, see getInitializationHash.
    */
   function initDispute(
     address otherParty,
-    uint16 height,
+    uint sessionId,
+    uint numberLeaves,
     bytes32 firstLeafHash,
     bytes32 rootCurrentParty,
     bytes32 rootOtherParty,
-    bytes memory firstLeafSig,
-    bytes memory rootOtherPartySig)
+    bytes memory otherPartySig)
    external
-   withTimeLimit(otherParty)
+   withTimeLimit(getDisputeId(otherParty, sessionId))
   {
-    bytes32 disputeId = getDisputeId(otherParty);
+    bytes32 disputeId = getDisputeId(otherParty, sessionId);
     MerkleDispute storage merkleDispute = merkleDisputes[disputeId];
     require(
       merkleDispute.disputeStatus == 3,
       "The contract is not yet registered or has already been initialized."
     );
-    require(height > 1, "The height of the tree must be greater than 1.");
-
-    // Check the signatures from otherParty..
     require(
-      ECDSA.recover(
-        ECDSA.toEthSignedMessageHash(rootOtherParty),
-        rootOtherPartySig
-       )
-        == otherParty,
-      "The signature on the root hash from the other party is not valid."
+      numberLeaves > 1,
+      "The number of leaves must be greater than 1."
     );
+
+    merkleDispute.height = getHeight(numberLeaves, merkleDispute.arity);
+
+    // Check the signature from otherParty, which is bound to this contract,
+    // the chain and the dispute.
     require(
-      ECDSA.recover(ECDSA.toEthSignedMessageHash(firstLeafHash), firstLeafSig)
-        == otherParty,
-      "The signature on the first leaf hash from the other party is not valid."
+      ECDSA.recover(
+        getInitializationHash(
+          disputeId,
+          merkleDispute.arity,
+          merkleDispute.height,
+          numberLeaves,
+          firstLeafHash,
+          rootOtherParty,
+          getHashProfileHash(merkleDispute.hashProfileId)
+        ),
+        otherPartySig
+      ) == otherParty,
+      "The signature from the other party is not valid."
     );
 
     // If the root hashes are equal, both parties get their collateral back.
     if (rootCurrentParty == rootOtherParty) {
-      emit DetermindedGuiltier(disputeId, 2);
-      resetDispute(disputeId);
-      balances[otherParty] += merkleDispute.collateral;
-      balances[msg.sender] += merkleDispute.collateral;
+      settleDispute(disputeId, msg.sender, otherParty, 2);
+      return;
     }
 
     merkleDispute.firstLeafHash = firstLeafHash;
-    merkleDispute.height = height;
+    merkleDispute.numberLeaves = numberLeaves;
+    // The parties differ on the root.
+    merkleDispute.differingHashes[msg.sender < otherParty ? 0 : 1] =
+      rootCurrentParty;
+    merkleDispute.differingHashes[msg.sender < otherParty ? 1 : 0] =
+      rootOtherParty;
     merkleDispute.currentLevel = 2; // We directly go one level deeper..
     // ..to the first child of the root which both parties should submit.
-    uint indexToSubmit = getChildIndex(
-      2**uint(height) - 2,
-      height,
-      1
+    merkleDispute.currentIndex = getChildIndex(
+      getFirstIndexOnLevel(1, merkleDispute.height, merkleDispute.arity),
+      merkleDispute.height,
+      1,
+      merkleDispute.arity
     );
-    merkleDispute.currentIndex = indexToSubmit;
     merkleDispute.lastParty = 2;
     merkleDispute.disputeStatus = 4;
 
-    emit NewIndexToSubmit(disputeId, indexToSubmit);
+    emit NewIndexToSubmit(disputeId, merkleDispute.currentIndex);
   }
 
   /**
    * @notice Submits a given node represented by its hash and index and sets
-   * the new index to submit if both parties have submitted.
+   * the new index to submit if both parties have submitted. Only used for
+   * binary Merkle trees, see submitChildren.
    * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
    * @param hash The hash of the node with the given index.
    * @param index The index of the current node in the Merkle tree.
    */
-  function submitHash(address otherParty, bytes32 hash, uint index)
+  function submitHash(
+    address otherParty,
+    uint sessionId,
+    bytes32 hash,
+    uint index)
     external
-    withTimeLimit(otherParty)
   {
-    bytes32 disputeId = getDisputeId(otherParty);
+    submitHashFor(msg.sender, otherParty, sessionId, hash, index);
+  }
+
+  /**
+   * @notice Like submitHash, but on behalf of the given party, so it can be
+   * called by an authorized delegate, see authorizeDelegate.
+   * @param party The address of the party that submits the hash.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   * @param hash The hash of the node with the given index.
+   * @param index The index of the current node in the Merkle tree.
+   */
+  function submitHashFor(
+    address party,
+    address otherParty,
+    uint sessionId,
+    bytes32 hash,
+    uint index)
+    public
+    withTimeLimit(getDisputeIdOf(party, otherParty, sessionId))
+  {
+    bytes32 disputeId = getDisputeIdOf(party, otherParty, sessionId);
+    checkPartyOrDelegate(disputeId, party);
     MerkleDispute storage merkleDispute = merkleDisputes[disputeId];
+    uint8 currentParty = party < otherParty ? 0 : 1;
 
+    checkSubmission(merkleDispute, index, currentParty);
     require(
-      merkleDispute.disputeStatus == 4,
-      "Not ready for submitting hashes or deviating leaf already found!"
-    );
-    require(
-      index == merkleDispute.currentIndex,
-      "Element with wrong index submitted!"
+      merkleDispute.arity == 2,
+      "The children of a node need to be submitted with submitChildren!"
     );
 
-    uint8 currentParty = msg.sender < otherParty ? 0 : 1;
-
-    require(currentParty != merkleDispute.lastParty,
-      "You have already submitted your element!");
-
     // Both parties needed to submit their nodes.
     if (merkleDispute.lastParty == 2 ) {
       merkleDispute.hashLastParty = hash;
       merkleDispute.lastParty = currentParty;
+      emit HashSubmitted(disputeId, currentParty, index);
 
     } else {
       bytes32 hashLastParty = merkleDispute.hashLastParty;
@@ -279,14 +457,15 @@ abstract contract MerkleDisputeHandler {
 
       // If the current node is a leaf and the hashes are different, the
       // desired leaf is found.
-      if (isLeaf(index, height) && hash != hashLastParty) {
+      if (isLeaf(index, height, 2) && hash != hashLastParty) {
         // Need to save this hash for determining the guiltier.
           merkleDispute.hashOtherParty = hash;
 
           // A party cheated by using a different first leaf. Since the first
           // leaf does not  have a predecessor, the contract is ready to
-          // determine the guiltier.
-          if (index == 0) {
+          // determine the guiltier. The same applies to padding leaves, whose
+          // value is known without a predecessor.
+          if (index == 0 || index >= merkleDispute.numberLeaves) {
             merkleDispute.disputeStatus = 7;
             emit ReadyForDetermineGuiltier(disputeId);
 
@@ -301,36 +480,41 @@ abstract contract MerkleDisputeHandler {
       } else {
         // If it's a node and they're unequal, go to the first child.
         if (hash != hashLastParty) {
+         merkleDispute.differingHashes[currentParty] = hash;
+         merkleDispute.differingHashes[currentParty ^ 1] = hashLastParty;
          merkleDispute.currentIndex = getChildIndex(
            index,
            height,
-           currentLevel
+           currentLevel,
+           2
          );
          merkleDispute.currentLevel++; // Go one level deeper.
 
          // If they are equal and it's the first sibling of two leaves, go to
          // the other leaf.
-       } else if (index % 2 == 0 && isLeaf(index, height)) {
-         merkleDispute.lastCommonHash = hash;
+       } else if (index % 2 == 0 && isLeaf(index, height, 2)) {
+         addCommonHash(merkleDispute, hash);
          merkleDispute.lastCommonHashIndex = index;
          merkleDispute.lastCommonHashLevel = currentLevel;
          merkleDispute.currentIndex++;
 
          // Otherwise, it is a node and we directly go to the child of the next
          // sibling.
-       } else if (!isLeaf(index, height)) {
-         merkleDispute.lastCommonHash = hash;
+       } else if (!isLeaf(index, height, 2)) {
+         addCommonHash(merkleDispute, hash);
          merkleDispute.lastCommonHashIndex = index;
          merkleDispute.lastCommonHashLevel = currentLevel;
          merkleDispute.currentIndex = getChildIndex(
            index + 1,
            height,
-           currentLevel
+           currentLevel,
+           2
          );
          merkleDispute.currentLevel++; // Go one level deeper.
 
          // If none of those cases applied, the parent node has to be
-         // calculated incorrectly.
+         // calculated incorrectly. If the other party submitted first, it is
+         // convicted by reportIncorrectParent.
        } else {
          revert("Parent node has been calculated incorrectly!");
        }
@@ -343,23 +527,231 @@ abstract contract MerkleDisputeHandler {
     }
   }
 
+  /**
+   * @notice Submits all children of the current node of a k-ary Merkle tree
+   * and sets the new index to submit if both parties have submitted. The
+   * parties continue with the first child on which they differ.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   * @param children The hashes of the children ordered by their index.
+   * @param index The index of the first child in the Merkle tree.
+   */
+  function submitChildren(
+    address otherParty,
+    uint sessionId,
+    bytes32[] memory children,
+    uint index)
+    external
+  {
+    submitChildrenFor(msg.sender, otherParty, sessionId, children, index);
+  }
+
+  /**
+   * @notice Like submitChildren, but on behalf of the given party, so it can
+   * be called by an authorized delegate.
+   * @param party The address of the party that submits the children.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   * @param children The hashes of the children ordered by their index.
+   * @param index The index of the first child in the Merkle tree.
+   */
+  function submitChildrenFor(
+    address party,
+    address otherParty,
+    uint sessionId,
+    bytes32[] memory children,
+    uint index)
+    public
+    withTimeLimit(getDisputeIdOf(party, otherParty, sessionId))
+  {
+    bytes32 disputeId = getDisputeIdOf(party, otherParty, sessionId);
+    checkPartyOrDelegate(disputeId, party);
+    MerkleDispute storage merkleDispute = merkleDisputes[disputeId];
+    uint8 currentParty = party < otherParty ? 0 : 1;
+
+    checkSubmission(merkleDispute, index, currentParty);
+    require(
+      merkleDispute.arity > 2,
+      "The nodes of a binary Merkle tree need to be submitted with submitHash!"
+    );
+    require(
+      children.length == merkleDispute.arity,
+      "Incorrect number of children submitted!"
+    );
+
+    // Both parties needed to submit their children.
+    if (merkleDispute.lastParty == 2) {
+      merkleDispute.childrenLastParty = children;
+      merkleDispute.lastParty = currentParty;
+      emit HashSubmitted(disputeId, currentParty, index);
+      return;
+    }
+
+    // The position of the first child on which the parties differ.
+    uint position = 0;
+    while (
+      position < children.length &&
+      children[position] == merkleDispute.childrenLastParty[position])
+    {
+      position++;
+    }
+
+    // If all children are equal, the parent node has to be calculated
+    // incorrectly, see reportIncorrectParent.
+    require(
+      position < children.length,
+      "Parent node has been calculated incorrectly!"
+    );
+
+    // The preceding sibling is the last node both parties agreed on.
+    if (position > 0) {
+      merkleDispute.lastCommonHash = children[position - 1];
+      merkleDispute.lastCommonHashIndex = index + position - 1;
+      merkleDispute.lastCommonHashLevel = merkleDispute.currentLevel;
+    }
+    index += position;
+
+    // If the children are leaves, the deviating leaf is found.
+    if (isLeaf(index, merkleDispute.height, merkleDispute.arity)) {
+      // Need to save both hashes for determining the guiltier.
+      merkleDispute.hashLastParty = merkleDispute.childrenLastParty[position];
+      merkleDispute.hashOtherParty = children[position];
+      merkleDispute.currentIndex = index;
+
+      // Like in submitHash, there is no predecessor to reveal for the first
+      // leaf and for padding leaves.
+      if (index == 0 || index >= merkleDispute.numberLeaves) {
+        merkleDispute.disputeStatus = 7;
+        emit ReadyForDetermineGuiltier(disputeId);
+
+      } else {
+        merkleDispute.disputeStatus = 5;
+        merkleDispute.currentIndex--;
+        emit ReadyForRevealingPreimage(disputeId, index-1);
+      }
+
+    } else {
+      // Go to the children of the first differing child.
+      merkleDispute.differingHashes[currentParty] = children[position];
+      merkleDispute.differingHashes[currentParty ^ 1] =
+        merkleDispute.childrenLastParty[position];
+      merkleDispute.currentIndex = getChildIndex(
+        index,
+        merkleDispute.height,
+        merkleDispute.currentLevel,
+        merkleDispute.arity
+      );
+      merkleDispute.currentLevel++;
+      merkleDispute.lastParty = 2;
+      emit NewIndexToSubmit(disputeId, merkleDispute.currentIndex);
+    }
+  }
+
+  /**
+   * @notice Convicts the other party, if it submitted first in the current
+   * round and both parties agree on all nodes below the last node on which
+   * they differed, so the other party has calculated its hash of that node
+   * incorrectly. Is used instead of submitHash, which reverts on the second
+   * of two leaves both parties agree on, or submitChildren, which reverts if
+   * all children are equal.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   * @param commonHashes All nodes both parties agreed on, in the order of
+   * their submission. Empty if the arity is greater than 2.
+   */
+  function reportIncorrectParent(
+    address otherParty,
+    uint sessionId,
+    bytes32[] memory commonHashes)
+    external
+  {
+    reportIncorrectParentFor(msg.sender, otherParty, sessionId, commonHashes);
+  }
+
+  /**
+   * @notice Like reportIncorrectParent, but on behalf of the given party, so
+   * it can be called by an authorized delegate.
+   * @param party The address of the party that reports the incorrect node.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   * @param commonHashes All nodes both parties agreed on.
+   */
+  function reportIncorrectParentFor(
+    address party,
+    address otherParty,
+    uint sessionId,
+    bytes32[] memory commonHashes)
+    public
+    withTimeLimit(getDisputeIdOf(party, otherParty, sessionId))
+  {
+    bytes32 disputeId = getDisputeIdOf(party, otherParty, sessionId);
+    checkPartyOrDelegate(disputeId, party);
+    MerkleDispute storage merkleDispute = merkleDisputes[disputeId];
+    uint8 currentParty = party < otherParty ? 0 : 1;
+
+    require(
+      merkleDispute.disputeStatus == 4 &&
+      merkleDispute.lastParty == currentParty ^ 1,
+      "The other party has not submitted its element yet!"
+    );
+
+    // The parties differed on the node, so only the other party calculated it
+    // incorrectly.
+    require(
+      merkleDispute.differingHashes[currentParty] ==
+        getCorrectParent(merkleDispute, commonHashes),
+      "Parent node has been calculated incorrectly!"
+    );
+
+    settleDispute(disputeId, party, otherParty, currentParty ^ 1);
+  }
+
   /**
    * @notice After the deviating leaf has been found, a party need to
    * reveal the preimage of the predecessor of it, so the contract can
    * determine the guilty party by calculating the correct leaf.
    * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
    * @param preimage The preimage of the required predecessor leaf.
    * @param merkleProof The Merkle proof for proofing that the last common hash
-   * indeed contains this preimage.
+   * indeed contains this preimage, see getMerkleProofIndexes.
    */
   function revealPreimage(
     address otherParty,
+    uint sessionId,
     bytes32 preimage,
     bytes32[] memory merkleProof)
    external
-   withTimeLimit(otherParty)
   {
-    bytes32 disputeId = getDisputeId(otherParty);
+    revealPreimageFor(msg.sender, otherParty, sessionId, preimage, merkleProof);
+  }
+
+  /**
+   * @notice Like revealPreimage, but on behalf of the given party, so it can
+   * be called by an authorized delegate.
+   * @param party The address of the party that reveals the preimage.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   * @param preimage The preimage of the required predecessor leaf.
+   * @param merkleProof The Merkle proof for the preimage.
+   */
+  function revealPreimageFor(
+    address party,
+    address otherParty,
+    uint sessionId,
+    bytes32 preimage,
+    bytes32[] memory merkleProof)
+   public
+   withTimeLimit(getDisputeIdOf(party, otherParty, sessionId))
+  {
+    bytes32 disputeId = getDisputeIdOf(party, otherParty, sessionId);
+    checkPartyOrDelegate(disputeId, party);
     MerkleDispute storage merkleDispute = merkleDisputes[disputeId];
 
     require(
@@ -367,17 +759,33 @@ abstract contract MerkleDisputeHandler {
       "Not ready for receiving the preimage or it has already been submitted!"
     );
 
+    // The predecessor is always the last child of its parent, so every level
+    // requires all other children.
+    uint arity = merkleDispute.arity;
     require(
-      merkleProof.length == merkleDispute.height -
-        merkleDispute.lastCommonHashLevel,
+      merkleProof.length == (arity - 1) * (merkleDispute.height -
+        merkleDispute.lastCommonHashLevel),
       "Incorrect number of hashes for the Merkle proof!"
     );
 
     // Verify the Merkle proof while the first hash is the hashed preimage.
-    bytes32 hashMp = keccak256(abi.encodePacked(preimage));
+    HashProfile storage profile = hashProfiles[merkleDispute.hashProfileId];
+    bytes32 hashMp = hashLeaf(profile, preimage);
+
+    if (arity == 2) {
+      for (uint16 i = 0; i < merkleProof.length; i++) {
+        hashMp = hashNode(profile, merkleProof[i], hashMp);
+      }
 
-    for (uint16 i = 0; i < merkleProof.length; i++) {
-      hashMp = keccak256(abi.encodePacked(merkleProof[i], hashMp));
+    } else {
+      bytes32[] memory children = new bytes32[](arity);
+      for (uint i = 0; i < merkleProof.length; i += arity - 1) {
+        for (uint j = 0; j < arity - 1; j++) {
+          children[j] = merkleProof[i + j];
+        }
+        children[arity - 1] = hashMp;
+        hashMp = hashChildren(profile, children);
+      }
     }
 
     require(hashMp == merkleDispute.lastCommonHash,
@@ -393,33 +801,58 @@ abstract contract MerkleDisputeHandler {
    * deviating leaf correctly.
    * Updates the balances of the two parties according to the judgement.
    * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
    */
-  function determineGuiltier(address otherParty)
-    external
-    withTimeLimit(otherParty)
+  function determineGuiltier(address otherParty, uint sessionId) external {
+    determineGuiltierFor(msg.sender, otherParty, sessionId);
+  }
+
+  /**
+   * @notice Like determineGuiltier, but on behalf of the given party, so it
+   * can be called by an authorized delegate. The collateral is still credited
+   * to the balances of the parties.
+   * @param party The address of the party that requests the judgement.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   */
+  function determineGuiltierFor(
+    address party,
+    address otherParty,
+    uint sessionId)
+    public
+    withTimeLimit(getDisputeIdOf(party, otherParty, sessionId))
   {
-    bytes32 disputeId = getDisputeId(otherParty);
+    bytes32 disputeId = getDisputeIdOf(party, otherParty, sessionId);
+    checkPartyOrDelegate(disputeId, party);
     MerkleDispute storage merkleDispute = merkleDisputes[disputeId];
     require(merkleDispute.disputeStatus >= 6,
       "Contract is not yet ready to determine the guiltier!");
 
-    uint collateral = merkleDispute.collateral;
     uint8 lastParty = merkleDispute.lastParty;
-    uint8 currentParty = msg.sender < otherParty ? 0 : 1;
     // Setting it initially to 2 meaning that no party is guilty (both parties
     // miscalculated).
     uint8 guiltyParty = 2;
 
     bytes32 correctLeaf;
 
-    // Even though both parties agreed on the first leaf, a party used a
-    // different hash. So, we compare them to the saved first leaf hash.
+    // Even though both parties agreed on the first leaf or the number of
+    // leaves, a party used a different hash. So, we compare them to the saved
+    // first leaf hash or to the padding leaf.
     if (merkleDispute.disputeStatus == 7) {
-      correctLeaf = merkleDispute.firstLeafHash;
+      correctLeaf = merkleDispute.currentIndex == 0 ?
+        merkleDispute.firstLeafHash :
+        PADDING_LEAF;
 
     } else {
-      // Calculate the correct leaf hash by making one step on its predecessor.
-      correctLeaf = makeStep(merkleDispute.preimage);
+      // Calculate the correct leaf hash by making one step on its predecessor
+      // with the step function and the hash profile of the dispute.
+      correctLeaf = makeStepWith(
+        hashProfiles[merkleDispute.hashProfileId],
+        merkleDispute.stepFunctionId,
+        merkleDispute.preimage
+      );
     }
 
     // The party that last submitted its hash, is honest.
@@ -431,21 +864,7 @@ abstract contract MerkleDisputeHandler {
       guiltyParty = lastParty;
     }
 
-    resetDispute(disputeId);
-
-    // In a tie situation, both parties can withdraw the collateral.
-    if (guiltyParty == 2) {
-      balances[otherParty] += collateral;
-      balances[msg.sender] += collateral;
-
-    } else if (guiltyParty == currentParty) {
-      balances[otherParty] += collateral * 2;
-
-    } else {
-      balances[msg.sender] += collateral * 2;
-    }
-
-    emit DetermindedGuiltier(disputeId, guiltyParty);
+    settleDispute(disputeId, party, otherParty, guiltyParty);
   }
 
   /**
@@ -454,9 +873,31 @@ abstract contract MerkleDisputeHandler {
    * honest party.
    * Or both get their collaterals back, if both did not answer in time.
    * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
    */
-  function reportExceededTimeLimit(address otherParty) external {
-    bytes32 disputeId = getDisputeId(otherParty);
+  function reportExceededTimeLimit(address otherParty, uint sessionId)
+    external
+  {
+    reportExceededTimeLimitFor(msg.sender, otherParty, sessionId);
+  }
+
+  /**
+   * @notice Like reportExceededTimeLimit, but on behalf of the given party, so
+   * it can be called by an authorized delegate.
+   * @param party The address of the party that reports the timeout.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   */
+  function reportExceededTimeLimitFor(
+    address party,
+    address otherParty,
+    uint sessionId)
+    public
+  {
+    bytes32 disputeId = getDisputeIdOf(party, otherParty, sessionId);
+    checkPartyOrDelegate(disputeId, party);
     MerkleDispute storage merkleDispute = merkleDisputes[disputeId];
     uint8 disputeStatus = merkleDispute.disputeStatus;
     require(
@@ -469,14 +910,10 @@ abstract contract MerkleDisputeHandler {
     );
 
 
-    uint collateral = merkleDispute.collateral;
     uint8 lastParty = merkleDispute.lastParty;
-    uint8 currentParty = msg.sender < otherParty ? 0 : 1;
     // The index of the party that did not answer in time or 2 if both failed
     // to do so.
     uint8 guiltyParty;
-    // The address of the honest party that gets the compensation.
-    address honestParty;
 
 
     // Only the first party registered the dispute.
@@ -489,11 +926,13 @@ abstract contract MerkleDisputeHandler {
 
       // Both parties registered the dispute, but no one initialized it in time.
       // Or no party revealed the preimage of the predecessor in time.
-      // Or no one called the function determineGuiltier in time.
+      // Or no one called the function determineGuiltier in time, also if
+      // it does not require a preimage.
     } else if (
       disputeStatus == 3 ||
       disputeStatus == 5 ||
-      disputeStatus == 6)
+      disputeStatus == 6 ||
+      disputeStatus == 7)
     {
       guiltyParty = 2;
 
@@ -511,39 +950,84 @@ abstract contract MerkleDisputeHandler {
       revert("Unknown dispute status!");
     }
 
+    settleDispute(disputeId, party, otherParty, guiltyParty);
+  }
 
-    if (guiltyParty == 2) { // Both parties get their collateral back.
-      balances[otherParty] += collateral;
-      balances[msg.sender] += collateral;
-
-    } else { // Only the honest party gets the compensation.
-      honestParty = (guiltyParty ^ 1) == currentParty ? msg.sender : otherParty;
-
-      // Only if both parties registered the dispute, the honest party can get
-      // the collateral from both parties.
-      if (disputeStatus > 2) {
-        balances[honestParty] += collateral * 2;
-
-      } else { // Otherwise, the party can only get its own collateral back.
-        balances[honestParty] += collateral;
-      }
-
-    }
+  /**
+   * @notice Authorizes a delegate (e.g. a watchtower) to submit hashes, reveal
+   * the preimage, determine the guiltier and report an exceeded time limit on
+   * behalf of the party in this dispute. Can be called by anyone, e.g. by the delegate itself.
+   * @dev The payouts are still credited to the balance of the party. An
+   * authorization replaces the previous delegate and can be used only once.
+   * @param party The address of the party that signed the authorization.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   * @param delegate The address of the delegate.
+   * @param partySig The EIP-712 signature of the party on the authorization,
+   * see getDelegationHash.
+   */
+  function authorizeDelegate(
+    address party,
+    address otherParty,
+    uint sessionId,
+    address delegate,
+    bytes memory partySig)
+    external
+  {
+    bytes32 disputeId = getDisputeIdOf(party, otherParty, sessionId);
+    require(
+      ECDSA.recover(
+        getDelegationHash(
+          disputeId,
+          delegate,
+          delegationNonces[disputeId][party]
+        ),
+        partySig
+      ) == party,
+      "The signature of the authorization is not valid."
+    );
 
-    emit DetermindedGuiltier(disputeId, guiltyParty);
+    delegationNonces[disputeId][party]++;
+    delegates[disputeId][party] = delegate;
+    emit DelegateAuthorized(disputeId, party, delegate);
+  }
 
-    resetDispute(disputeId);
+  /**
+   * @notice Revokes the authorization of the delegate of the sender in this
+   * dispute, and invalidates all signed authorizations that have not been
+   * used yet.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   */
+  function revokeDelegate(address otherParty, uint sessionId) external {
+    bytes32 disputeId = getDisputeId(otherParty, sessionId);
+    delete delegates[disputeId][msg.sender];
+    delegationNonces[disputeId][msg.sender]++;
+    emit DelegateRevoked(disputeId, msg.sender);
   }
 
   /**
-   * @notice Sends the whole balance of the sender back to the sender.
+   * @notice Sends the whole balance in ether of the sender back to the sender.
    */
   function withdrawFunds() external {
-    uint funds = balances[msg.sender];
-    balances[msg.sender] = 0;
+    uint funds = balances[address(0)][msg.sender];
+    balances[address(0)][msg.sender] = 0;
     msg.sender.transfer(funds);
   }
 
+  /**
+   * @notice Sends the whole balance in the given ERC-20 token of the sender
+   * back to the sender.
+   * @param token The token of the collateral of the finished disputes.
+   */
+  function withdrawTokens(IERC20 token) external {
+    uint funds = balances[address(token)][msg.sender];
+    balances[address(token)][msg.sender] = 0;
+    token.safeTransfer(msg.sender, funds);
+  }
+
   /**
    * @notice Returns the index of the other party in this dispute.
    * @param otherParty The address of the other party in this dispute.
@@ -597,6 +1081,15 @@ abstract contract MerkleDisputeHandler {
     return merkleDisputes[disputeId].collateral;
   }
 
+  /**
+   * @notice Returns the token of the collateral used for this dispute.
+   * @param disputeId The identifier of this dispute.
+   * @return The ERC-20 token of the collateral, or address(0) for ether.
+   */
+  function getToken(bytes32 disputeId) external view returns (IERC20) {
+    return merkleDisputes[disputeId].token;
+  }
+
   /**
    * @notice Returns the current dispute status.
    * @param disputeId The identifier of this dispute.
@@ -607,78 +1100,458 @@ abstract contract MerkleDisputeHandler {
   }
 
   /**
-   * @notice Returns if the contract has found the index of the leaf that differs
-   * from the two parties.
+   * @notice Returns the number of children of every node in the Merkle tree of
+   * this dispute.
    * @param disputeId The identifier of this dispute.
-   * @return True, if the contract has found the index of the leaf that differs
-   * from the two parties, otherwise false.
+   * @return The arity of the Merkle tree, 2 for a binary Merkle tree.
    */
-  function leafIsFound(bytes32 disputeId) external view returns (bool) {
-    return merkleDisputes[disputeId].disputeStatus >= 5;
+  function getArity(bytes32 disputeId) external view returns (uint8) {
+    return merkleDisputes[disputeId].arity;
   }
 
   /**
-   * @notice Returns the indexes of the nodes that are required for the Merkle
-   * proof for revealing the predecessor preimage.
+   * @notice Returns the id of the step function of this dispute.
    * @param disputeId The identifier of this dispute.
-   * @return The required indexes of the nodes for the Merkle proof.
+   * @return The id of the step function, BUILT_IN_STEP_FUNCTION for
+   * makeStepPreimage.
    */
-  function getMerkleProofIndexes(bytes32 disputeId)
+  function getStepFunctionId(bytes32 disputeId)
     external
     view
-    returns (uint[] memory) {
-      MerkleDispute storage merkleDispute = merkleDisputes[disputeId];
-      require(merkleDispute.disputeStatus == 5,
-        "Deviating leaf has not been found or preimage already submitted!");
-
-      uint16 height = merkleDispute.height;
-      uint16 currentlevel = merkleDispute.lastCommonHashLevel;
-      uint16 numHashes = height - merkleDispute.lastCommonHashLevel;
-      uint[] memory mpIndexes = new uint[](numHashes);
-
-      if (numHashes == 0) { // Only the preimage is sufficient.
-        return mpIndexes;
-      }
-
-      // Add the indexes for the Merkle proof.
-      mpIndexes[numHashes-1] = getChildIndex(
-        merkleDispute.lastCommonHashIndex,
-        height,
-        currentlevel++);
-      numHashes--;
+    returns (uint16)
+  {
+    return merkleDisputes[disputeId].stepFunctionId;
+  }
 
-      while (numHashes > 0) {
-        mpIndexes[numHashes-1] = getChildIndex(
-          mpIndexes[numHashes] + 1,
-          height,
-          currentlevel++);
-        numHashes--;
-      }
+  /**
+   * @notice Returns the id of the hash profile of this dispute.
+   * @param disputeId The identifier of this dispute.
+   * @return The id of the hash profile, see getHashProfile.
+   */
+  function getHashProfileId(bytes32 disputeId)
+    external
+    view
+    returns (uint16)
+  {
+    return merkleDisputes[disputeId].hashProfileId;
+  }
 
-      return mpIndexes;
-    }
+  /**
+   * @notice Returns the hash profile with the given id.
+   * @param _hashProfileId The id of the hash profile.
+   * @return The hash function, if the pairs are sorted, the leaf prefix and
+   * the node prefix.
+   */
+  function getHashProfile(uint16 _hashProfileId)
+    external
+    view
+    returns (HashFunction, bool, bytes memory, bytes memory)
+  {
+    HashProfile storage profile = hashProfiles[_hashProfileId];
+    return (
+      profile.hashFunction,
+      profile.sortPairs,
+      profile.leafPrefix,
+      profile.nodePrefix
+    );
+  }
 
   /**
-   * @notice Registers the dispute by depositing a custom collateral.
-   * After both parties have registered the dispute with the same values for
-   * the collateral and time limit, it is ready for initalization.
-   * @param collateral The value for the collateral that should be used.
-   * @param timeLimit How many seconds should be used for the time limit.
+   * @notice Returns the hash of the hash profile with the given id, which the
+   * initialization of a dispute includes, see getProfileHash in
+   * TypedSignature.js.
+   * @param _hashProfileId The id of the hash profile.
+   * @return The hash of the hash function, sortPairs and the hashes of both
+   * prefixes.
    */
-  function registerDispute(address otherParty, uint collateral, uint timeLimit)
+  function getHashProfileHash(uint16 _hashProfileId)
     public
-    payable
-    withTimeLimit(otherParty)
+    view
+    returns (bytes32)
   {
-    require(
-      msg.sender != otherParty,
-      "The Address of the other party must not be equal to your address."
-    );
-    require(
+    HashProfile storage profile = hashProfiles[_hashProfileId];
+    return keccak256(abi.encode(
+      profile.hashFunction,
+      profile.sortPairs,
+      keccak256(profile.leafPrefix),
+      keccak256(profile.nodePrefix)
+    ));
+  }
+
+  /**
+   * @notice Returns the step function registered with the given id.
+   * @param stepFunctionId The id of the step function.
+   * @return The address of the step function, or address(0) if there is none
+   * or for BUILT_IN_STEP_FUNCTION.
+   */
+  function getStepFunction(uint16 stepFunctionId)
+    external
+    view
+    returns (IStepFunction)
+  {
+    return stepFunctions[stepFunctionId];
+  }
+
+  /**
+   * @notice Returns the delegate that may respond on behalf of the party.
+   * @param disputeId The identifier of this dispute.
+   * @param party The address of the represented party.
+   * @return The address of the delegate, or address(0) if there is none.
+   */
+  function getDelegate(bytes32 disputeId, address party)
+    external
+    view
+    returns (address)
+  {
+    return delegates[disputeId][party];
+  }
+
+  /**
+   * @notice Returns the nonce the next authorization of a delegate of the
+   * party has to be signed with.
+   * @param disputeId The identifier of this dispute.
+   * @param party The address of the represented party.
+   * @return The nonce for getDelegationHash.
+   */
+  function getDelegationNonce(bytes32 disputeId, address party)
+    external
+    view
+    returns (uint)
+  {
+    return delegationNonces[disputeId][party];
+  }
+
+  /**
+   * @notice Returns if the contract has found the index of the leaf that differs
+   * from the two parties.
+   * @param disputeId The identifier of this dispute.
+   * @return True, if the contract has found the index of the leaf that differs
+   * from the two parties, otherwise false.
+   */
+  function leafIsFound(bytes32 disputeId) external view returns (bool) {
+    return merkleDisputes[disputeId].disputeStatus >= 5;
+  }
+
+  /**
+   * @notice Returns the indexes of the nodes that are required for the Merkle
+   * proof for revealing the predecessor preimage.
+   * @dev The proof begins with the level of the leaves and contains
+   * arity - 1 nodes per level, ordered by their index.
+   * @param disputeId The identifier of this dispute.
+   * @return The required indexes of the nodes for the Merkle proof.
+   */
+  function getMerkleProofIndexes(bytes32 disputeId)
+    external
+    view
+    returns (uint[] memory) {
+      MerkleDispute storage merkleDispute = merkleDisputes[disputeId];
+      require(merkleDispute.disputeStatus == 5,
+        "Deviating leaf has not been found or preimage already submitted!");
+
+      uint16 height = merkleDispute.height;
+      uint16 currentlevel = merkleDispute.lastCommonHashLevel;
+      uint arity = merkleDispute.arity;
+      uint numHashes = (arity - 1) * (height - currentlevel);
+      uint[] memory mpIndexes = new uint[](numHashes);
+      uint index = merkleDispute.lastCommonHashIndex;
+
+      // Add the indexes for the Merkle proof from the top to the bottom, the
+      // predecessor is the last child on every level.
+      while (numHashes > 0) {
+        index = getChildIndex(index, height, currentlevel++, arity);
+        numHashes -= arity - 1;
+        for (uint i = 0; i < arity - 1; i++) {
+          mpIndexes[numHashes + i] = index++;
+        }
+      }
+
+      return mpIndexes;
+    }
+
+  /**
+   * @notice Returns the EIP-712 domain separator of this contract on the
+   * current chain.
+   * @return The hash of the domain with the name "MerkleDisputeHandler",
+   * the version "1", the chain id and the address of this contract.
+   */
+  function getDomainSeparator() public view returns (bytes32) {
+    uint chainId;
+    assembly {
+      chainId := chainid()
+    }
+    return keccak256(abi.encode(
+      DOMAIN_TYPEHASH,
+      keccak256(bytes("MerkleDisputeHandler")),
+      keccak256(bytes("1")),
+      chainId,
+      address(this)
+    ));
+  }
+
+  /**
+   * @notice Returns the EIP-712 hash of the initialization of a dispute,
+   * which the other party needs to sign for initDispute.
+   * @param disputeId The identifier of the dispute.
+   * @param arity The number of children of every node in the Merkle tree.
+   * @param height The height of the Merkle tree.
+   * @param numberLeaves The number of leaves without the padding leaves.
+   * @param firstLeafHash The hash of the first leaf.
+   * @param root The root hash of the signing party.
+   * @param hashProfile The hash of the hash profile of the dispute, see
+   * getHashProfileHash.
+   * @return The hash to sign.
+   */
+  function getInitializationHash(
+    bytes32 disputeId,
+    uint8 arity,
+    uint16 height,
+    uint numberLeaves,
+    bytes32 firstLeafHash,
+    bytes32 root,
+    bytes32 hashProfile)
+    public
+    view
+    returns (bytes32)
+  {
+    return ECDSA.toTypedDataHash(
+      getDomainSeparator(),
+      keccak256(abi.encode(
+        INITIALIZATION_TYPEHASH,
+        disputeId,
+        arity,
+        height,
+        numberLeaves,
+        firstLeafHash,
+        root,
+        hashProfile
+      ))
+    );
+  }
+
+  /**
+   * @notice Returns the EIP-712 hash of the authorization of a delegate,
+   * which the represented party needs to sign for authorizeDelegate.
+   * @param disputeId The identifier of the dispute.
+   * @param delegate The address of the delegate.
+   * @param nonce The current nonce of the party, see getDelegationNonce.
+   * @return The hash to sign.
+   */
+  function getDelegationHash(bytes32 disputeId, address delegate, uint nonce)
+    public
+    view
+    returns (bytes32)
+  {
+    return ECDSA.toTypedDataHash(
+      getDomainSeparator(),
+      keccak256(abi.encode(DELEGATION_TYPEHASH, disputeId, delegate, nonce))
+    );
+  }
+
+  /**
+   * @notice Returns the leaf that follows from the given leaf preimage by
+   * making one step, which allows to check off-chain implementations of
+   * makeStepPreimage against the contract. The leaf is hashed with the hash
+   * profile of new disputes.
+   * @param leafPreimage The preimage of the leaf that should be used.
+   * @return The leaf that follows from the given one.
+   */
+  function getNextLeaf(bytes32 leafPreimage) external view returns (bytes32) {
+    return makeStepWith(
+      hashProfiles[hashProfileId],
+      BUILT_IN_STEP_FUNCTION,
+      leafPreimage
+    );
+  }
+
+  /**
+   * @notice Returns the leaf that follows from the given leaf preimage by
+   * making one step with the given step function, like getNextLeaf.
+   * @param stepFunctionId The id of a registered step function, or
+   * BUILT_IN_STEP_FUNCTION for makeStepPreimage.
+   * @param leafPreimage The preimage of the leaf that should be used.
+   * @return The leaf that follows from the given one.
+   */
+  function getNextLeafOf(uint16 stepFunctionId, bytes32 leafPreimage)
+    external
+    view
+    returns (bytes32)
+  {
+    require(
+      isStepFunction(stepFunctionId),
+      "The step function is not registered!"
+    );
+    return makeStepWith(hashProfiles[hashProfileId], stepFunctionId,
+      leafPreimage);
+  }
+
+  /**
+   * @notice Registers the dispute about a k-ary Merkle tree by depositing a
+   * custom collateral.
+   * After both parties have registered the dispute with the same values for
+   * the collateral, time limit and arity, it is ready for initalization.
+   * @dev A higher arity reduces the number of rounds from log2(n) to
+   * logk(n), but every round submits k hashes.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   * @param collateral The value for the collateral that should be used.
+   * @param timeLimit How many seconds should be used for the time limit.
+   * @param arity The number of children of every node in the Merkle tree.
+   */
+  function registerDispute(
+    address otherParty,
+    uint sessionId,
+    uint collateral,
+    uint timeLimit,
+    uint8 arity)
+    external
+    payable
+  {
+    registerDispute(
+      otherParty,
+      sessionId,
+      collateral,
+      timeLimit,
+      arity,
+      BUILT_IN_STEP_FUNCTION
+    );
+  }
+
+  /**
+   * @notice Registers the dispute about a k-ary Merkle tree of the given step
+   * function by depositing a custom collateral.
+   * After both parties have registered the dispute with the same values for
+   * the collateral, time limit, arity and step function, it is ready for
+   * initalization.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   * @param collateral The value for the collateral that should be used.
+   * @param timeLimit How many seconds should be used for the time limit.
+   * @param arity The number of children of every node in the Merkle tree.
+   * @param stepFunctionId The id of a registered step function, or
+   * BUILT_IN_STEP_FUNCTION for makeStepPreimage.
+   */
+  function registerDispute(
+    address otherParty,
+    uint sessionId,
+    uint collateral,
+    uint timeLimit,
+    uint8 arity,
+    uint16 stepFunctionId)
+    public
+    payable
+  {
+    require(
       msg.value >= collateral,
       "Please transfer the required collateral with your commit!"
     );
-    bytes32 disputeId = getDisputeId(otherParty);
+
+    register(
+      otherParty,
+      sessionId,
+      collateral,
+      timeLimit,
+      arity,
+      stepFunctionId,
+      IERC20(0)
+    );
+
+    // Send back the change if the party sent too much funds as a collateral.
+    if (msg.value > collateral) {
+        msg.sender.transfer(msg.value - collateral);
+      }
+  }
+
+  /**
+   * @notice Registers the dispute by depositing a custom collateral in an
+   * ERC-20 token. The contract pulls the amount from the sender, who needs to
+   * approve it beforehand.
+   * After both parties have registered the dispute with the same token and
+   * the same values for the collateral, time limit, arity and step function,
+   * it is ready for initalization.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   * @param collateral The amount of tokens for the collateral.
+   * @param timeLimit How many seconds should be used for the time limit.
+   * @param arity The number of children of every node in the Merkle tree.
+   * @param stepFunctionId The id of a registered step function, or
+   * BUILT_IN_STEP_FUNCTION for makeStepPreimage.
+   * @param token The ERC-20 token of the collateral.
+   * @param amount The amount of tokens to transfer, at least the collateral.
+   */
+  function registerDisputeWithToken(
+    address otherParty,
+    uint sessionId,
+    uint collateral,
+    uint timeLimit,
+    uint8 arity,
+    uint16 stepFunctionId,
+    IERC20 token,
+    uint amount)
+    external
+  {
+    require(
+      address(token) != address(0),
+      "The token must not be the zero address!"
+    );
+    require(
+      amount >= collateral,
+      "Please transfer the required collateral with your commit!"
+    );
+
+    register(
+      otherParty,
+      sessionId,
+      collateral,
+      timeLimit,
+      arity,
+      stepFunctionId,
+      token
+    );
+    token.safeTransferFrom(msg.sender, address(this), amount);
+
+    // Like for ether, send back the change if the party transferred too many
+    // tokens.
+    if (amount > collateral) {
+      token.safeTransfer(msg.sender, amount - collateral);
+    }
+  }
+
+  /**
+   * @notice Registers the dispute for the sender after the collateral has
+   * been checked.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   * @param collateral The value for the collateral that should be used.
+   * @param timeLimit How many seconds should be used for the time limit.
+   * @param arity The number of children of every node in the Merkle tree.
+   * @param stepFunctionId The id of the step function.
+   * @param token The ERC-20 token of the collateral, or address(0) for ether.
+   */
+  function register(
+    address otherParty,
+    uint sessionId,
+    uint collateral,
+    uint timeLimit,
+    uint8 arity,
+    uint16 stepFunctionId,
+    IERC20 token)
+    internal
+    withTimeLimit(getDisputeId(otherParty, sessionId))
+  {
+    require(
+      msg.sender != otherParty,
+      "The Address of the other party must not be equal to your address."
+    );
+    require(arity >= 2, "Every node needs at least two children!");
+    require(
+      isStepFunction(stepFunctionId),
+      "The step function is not registered!"
+    );
+    bytes32 disputeId = getDisputeId(otherParty, sessionId);
     MerkleDispute storage merkleDispute = merkleDisputes[disputeId];
     // Is zero if the sender's address is lower as the otherParty's address or
     // 1, otherwise.
@@ -697,6 +1570,11 @@ abstract contract MerkleDisputeHandler {
       merkleDispute.disputeStatus += currentParty + 1;
       merkleDispute.collateral = collateral;
       merkleDispute.timeLimit = timeLimit;
+      merkleDispute.arity = arity;
+      merkleDispute.token = token;
+      merkleDispute.stepFunctionId = stepFunctionId;
+      merkleDispute.hashProfileId = hashProfileId;
+      emit DisputeRegistered(disputeId, currentParty);
 
     } else {
       uint8 partyToRegister = merkleDispute.disputeStatus == 1 ? 1 : 0;
@@ -712,35 +1590,188 @@ abstract contract MerkleDisputeHandler {
         merkleDispute.timeLimit == timeLimit,
         "Both parties need to choose the same time limit!"
       );
+      require(
+        merkleDispute.arity == arity,
+        "Both parties need to choose the same arity!"
+      );
+      require(
+        merkleDispute.token == token,
+        "Both parties need to choose the same token!"
+      );
+      require(
+        merkleDispute.stepFunctionId == stepFunctionId,
+        "Both parties need to choose the same step function!"
+      );
 
       merkleDispute.disputeStatus = 3;
       emit ReadyForInitialization(disputeId);
     }
-
-    // Send back the change if the party sent too much funds as a collateral.
-    if (msg.value > collateral) {
-        msg.sender.transfer(msg.value - collateral);
-      }
   }
 
   /**
    * @notice Returns the MerkleDispute identifier from the sender with the given
-   * address of the other party.
+   * address of the other party and session.
    * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
    * @return The MerkleDispute identifier from the sender with the given
-   * address of the other party.
+   * address of the other party and session.
+   */
+  function getDisputeId(address otherParty, uint sessionId)
+    public
+    view
+    returns (bytes32)
+  {
+    return getDisputeIdOf(msg.sender, otherParty, sessionId);
+  }
+
+  /**
+   * @notice Returns the MerkleDispute identifier of the two given parties and
+   * session.
+   * @param party The address of one party in this dispute.
+   * @param otherParty The address of the other party in this dispute.
+   * @param sessionId The identifier of this dispute among the disputes of
+   * the two parties, chosen by them.
+   * @return The MerkleDispute identifier, which does not depend on the order
+   * of the parties.
+   */
+  function getDisputeIdOf(address party, address otherParty, uint sessionId)
+    public
+    pure
+    returns (bytes32)
+  {
+    return party < otherParty ?
+      keccak256(abi.encodePacked(party, otherParty, sessionId)) :
+      keccak256(abi.encodePacked(otherParty, party, sessionId));
+  }
+
+  /**
+   * @notice Reverts if the sender is neither the given party nor its
+   * authorized delegate in this dispute.
+   * @param disputeId The identifier of this dispute.
+   * @param party The address of the party on whose behalf the sender acts.
+   */
+  function checkPartyOrDelegate(bytes32 disputeId, address party)
+    internal
+    view
+  {
+    require(
+      msg.sender == party || msg.sender == delegates[disputeId][party],
+      "You are neither the party nor its delegate!"
+    );
+  }
+
+  /**
+   * @notice Reverts unless the party can submit the node (or children) with
+   * the given index in the current round, see submitHash and submitChildren.
+   * @param merkleDispute The dispute.
+   * @param index The index of the submitted node.
+   * @param currentParty The index of the submitting party, 0 or 1.
+   */
+  function checkSubmission(
+    MerkleDispute storage merkleDispute,
+    uint index,
+    uint8 currentParty)
+    internal
+    view
+  {
+    require(
+      merkleDispute.disputeStatus == 4,
+      "Not ready for submitting hashes or deviating leaf already found!"
+    );
+    require(
+      index == merkleDispute.currentIndex,
+      "Element with wrong index submitted!"
+    );
+    require(currentParty != merkleDispute.lastParty,
+      "You have already submitted your element!");
+  }
+
+  /**
+   * @notice Reverts if the time limit of the registered dispute is exceeded,
+   * see withTimeLimit.
+   * @param disputeId The identifier of this dispute.
+   */
+  function checkTimeLimit(bytes32 disputeId) internal view {
+    MerkleDispute storage merkleDispute = merkleDisputes[disputeId];
+    // Only check the time limit, if the dispute is registered.
+    if (merkleDispute.disputeStatus > 0) {
+      require(
+        merkleDispute.lastTimestamp + merkleDispute.timeLimit
+          >= block.timestamp,
+        "The time limit is exceeded!"
+      );
+    }
+  }
+
+  /**
+   * @notice Sets the last timestamp of the dispute to the current one, unless
+   * the dispute has been reset, see withTimeLimit.
+   * @param disputeId The identifier of this dispute.
+   */
+  function updateLastTimestamp(bytes32 disputeId) internal {
+    MerkleDispute storage merkleDispute = merkleDisputes[disputeId];
+    // If the disputeStatus changed to 0, it has been reseted.
+    if (merkleDispute.disputeStatus > 0) {
+      merkleDispute.lastTimestamp = block.timestamp;
+    }
+  }
+
+  /**
+   * @notice Resets the dispute and credits the collateral to the balances.
+   * The honest party gets the collateral of both parties, or only its own if
+   * the guilty party has not registered the dispute. In a tie situation, both
+   * parties get their own collateral back.
+   * @param disputeId The id of the dispute to settle.
+   * @param party The address of one of the parties.
+   * @param otherParty The address of the other party.
+   * @param guiltyParty The index of the guilty party, or 2 if no party is
+   * guilty or both are.
    */
-  function getDisputeId(address otherParty) public view returns (bytes32) {
-    return msg.sender < otherParty ?
-      keccak256(abi.encodePacked(msg.sender, otherParty)) :
-      keccak256(abi.encodePacked(otherParty, msg.sender));
+  function settleDispute(
+    bytes32 disputeId,
+    address party,
+    address otherParty,
+    uint8 guiltyParty)
+    internal
+  {
+    MerkleDispute storage merkleDispute = merkleDisputes[disputeId];
+    uint collateral = merkleDispute.collateral;
+    address token = address(merkleDispute.token);
+    // Only if both parties registered the dispute, the honest party can get
+    // the collateral from both parties.
+    uint numberCollaterals = merkleDispute.disputeStatus > 2 ? 2 : 1;
+
+    resetDispute(disputeId, party, otherParty);
+
+    if (guiltyParty == 2) {
+      balances[token][otherParty] += collateral;
+      balances[token][party] += collateral;
+
+    } else if (guiltyParty == (party < otherParty ? 0 : 1)) {
+      balances[token][otherParty] += collateral * numberCollaterals;
+
+    } else {
+      balances[token][party] += collateral * numberCollaterals;
+    }
+
+    emit DetermindedGuiltier(disputeId, guiltyParty);
   }
 
   /**
-   * @notice Resets the dispute to the default type values.
+   * @notice Resets the dispute to the default type values and removes the
+   * delegates of both parties, so they cannot act in the next dispute with
+   * the same id.
    * @param disputeId The id for the dispute to reset.
+   * @param party The address of one of the parties.
+   * @param otherParty The address of the other party.
    */
-  function resetDispute(bytes32 disputeId) internal {
+  function resetDispute(bytes32 disputeId, address party, address otherParty)
+    internal
+  {
+    delete delegates[disputeId][party];
+    delete delegates[disputeId][otherParty];
+
     merkleDisputes[disputeId] = MerkleDispute(
       0,
       0,
@@ -756,25 +1787,392 @@ abstract contract MerkleDisputeHandler {
       0,
       0,
       0,
+      0,
+      0,
+      IERC20(0),
+      0,
+      0,
+      0,
+      new bytes32[](0),
+      [bytes32(0), bytes32(0)],
       0
     );
   }
 
   /**
-   * @notice Computes the next leaf by calculating one step from the given leaf
-   * preimage on. This application specific computation needs to be implemented
-   * by the inheriting contract.
+   * @notice Sets the node both parties agreed on as the last common hash and
+   * adds it to the hash chain of the common hashes.
+   * @param merkleDispute The dispute.
+   * @param commonHash The hash of the node at the current index.
+   */
+  function addCommonHash(
+    MerkleDispute storage merkleDispute,
+    bytes32 commonHash)
+    internal
+  {
+    merkleDispute.lastCommonHash = commonHash;
+    merkleDispute.commonHashesChain = keccak256(
+      abi.encodePacked(merkleDispute.commonHashesChain, commonHash)
+    );
+  }
+
+  /**
+   * @notice Returns the correct hash of the last node on which the parties
+   * differed, given that both agree on the nodes below it, see
+   * reportIncorrectParent.
+   * @param merkleDispute The dispute.
+   * @param commonHashes All nodes both parties agreed on.
+   * @return The hash of the node calculated from the nodes below it.
+   */
+  function getCorrectParent(
+    MerkleDispute storage merkleDispute,
+    bytes32[] memory commonHashes)
+    internal
+    view
+    returns (bytes32)
+  {
+    bytes32 chain;
+    for (uint i = 0; i < commonHashes.length; i++) {
+      chain = keccak256(abi.encodePacked(chain, commonHashes[i]));
+    }
+    require(chain == merkleDispute.commonHashesChain,
+      "The common hashes differ from the submitted ones!");
+
+    HashProfile storage profile = hashProfiles[merkleDispute.hashProfileId];
+
+    if (merkleDispute.arity == 2) {
+      uint index = merkleDispute.currentIndex;
+      // Only the second of two leaves completes the nodes below.
+      require(
+        index % 2 == 1 && isLeaf(index, merkleDispute.height, 2),
+        "Element with wrong index submitted!"
+      );
+
+      // The path to the leaf goes through the right child of every common
+      // hash, i.e., the bits of the index, and through the left child of
+      // every node on which the parties differed. So the trailing ones are
+      // the common hashes below the last node on which they differed.
+      bytes32 parent = merkleDispute.hashLastParty;
+      uint i = commonHashes.length;
+      for (; index % 2 == 1; index /= 2) {
+        parent = hashNode(profile, commonHashes[--i], parent);
+      }
+      return parent;
+
+    } else {
+      return hashChildren(profile, merkleDispute.childrenLastParty);
+    }
+  }
+
+  /**
+   * @notice Sets the hash profile which defines how the leaves and nodes of
+   * the Merkle tree are hashed in new disputes.
+   * @dev The profile is added under a new id, so disputes that are already
+   * registered keep their profile.
+   * @param _hashFunction The hash function for the leaves and nodes.
+   * @param _sortPairs If true, the two children of a node are sorted before
+   * they are concatenated.
+   * @param _leafPrefix Prepended to the preimage of a leaf before hashing.
+   * @param _nodePrefix Prepended to the two children of a node before hashing.
+   */
+  function setHashProfile(
+    HashFunction _hashFunction,
+    bool _sortPairs,
+    bytes memory _leafPrefix,
+    bytes memory _nodePrefix)
+    internal
+  {
+    lastHashProfileId++;
+    hashProfiles[lastHashProfileId] = HashProfile(
+      _hashFunction,
+      _sortPairs,
+      _leafPrefix,
+      _nodePrefix
+    );
+    hashProfileId = lastHashProfileId;
+    emit HashProfileSet(hashProfileId);
+  }
+
+  /**
+   * @notice Registers a step function under the given id, so the parties can
+   * choose it for their disputes.
+   * @dev A step function can not be replaced or removed, since disputes that
+   * are already running rely on it.
+   * @param stepFunctionId The id of the step function, must not be
+   * BUILT_IN_STEP_FUNCTION.
+   * @param stepFunction The contract that makes one step.
+   */
+  function registerStepFunction(
+    uint16 stepFunctionId,
+    IStepFunction stepFunction)
+    internal
+  {
+    require(
+      !isStepFunction(stepFunctionId),
+      "The id of the step function is already taken!"
+    );
+    require(
+      address(stepFunction) != address(0),
+      "The step function must not be the zero address!"
+    );
+
+    stepFunctions[stepFunctionId] = stepFunction;
+    emit StepFunctionRegistered(stepFunctionId, address(stepFunction));
+  }
+
+  /**
+   * @notice Checks if a step function is available under the given id.
+   * @param stepFunctionId The id of the step function.
+   * @return True, if it is BUILT_IN_STEP_FUNCTION or has been registered.
+   */
+  function isStepFunction(uint16 stepFunctionId) internal view returns (bool) {
+    return stepFunctionId == BUILT_IN_STEP_FUNCTION ||
+      address(stepFunctions[stepFunctionId]) != address(0);
+  }
+
+  /**
+   * @notice Computes the next leaf by making one step with the given step
+   * function from the given leaf preimage on.
+   * @param profile The hash profile of the leaf.
+   * @param stepFunctionId The id of an available step function.
    * @param leafPreimage The preimage of the leaf that should be used.
    * @return The leaf that follows from the given one.
-   * leaf preimage on.
    */
-  function makeStep(bytes32 leafPreimage)
+  function makeStepWith(
+    HashProfile storage profile,
+    uint16 stepFunctionId,
+    bytes32 leafPreimage)
+    internal
+    view
+    returns (bytes32)
+  {
+    // The step functions return the state, which is hashed with the hash
+    // profile of the dispute.
+    if (stepFunctionId == BUILT_IN_STEP_FUNCTION) {
+      return hashLeaf(profile, makeStepPreimage(leafPreimage));
+    }
+    return hashLeaf(
+      profile,
+      stepFunctions[stepFunctionId].makeStep(leafPreimage)
+    );
+  }
+
+  /**
+   * @notice Computes the preimage of the next leaf by calculating one step
+   * from the given leaf preimage on. This application specific computation
+   * needs to be implemented by the inheriting contract.
+   * @dev Returns the preimage, not the leaf, since the leaf is hashed with the
+   * hash profile of the dispute, see makeStepWith. Replaces makeStep, which
+   * returned the leaf, so that an override of it does not compile anymore
+   * instead of hashing the leaf twice.
+   * @param leafPreimage The preimage of the leaf that should be used.
+   * @return The preimage of the leaf that follows from the given one.
+   */
+  function makeStepPreimage(bytes32 leafPreimage)
     virtual
     internal
-    pure
+    view
+    returns (bytes32)
+  {
+
+  }
+
+  /**
+   * @notice Checks if the given Merkle multiproof proves that all leaves are
+   * included under the given root, see getMultiProof in MerkleTree.js.
+   * @param profile The hash profile of the Merkle tree.
+   * @param root The hash of the root.
+   * @param height The height of the Merkle tree, starting at 1 for the root.
+   * @param leafIndexes The sorted indexes of the leaves in the Merkle tree.
+   * @param leaves The hashes of the leaves in the order of leafIndexes.
+   * @param proof The required siblings level by level, beginning with the
+   * leaves, and on each level ordered by their index.
+   * @return True, if the multiproof is valid, otherwise false. Reverts if the
+   * indexes are not sorted, not unique or outside of the tree.
+   * @dev Overwrites leafIndexes and leaves with the positions and hashes of
+   * the known nodes level by level.
+   */
+  function verifyMultiProof(
+    HashProfile storage profile,
+    bytes32 root,
+    uint height,
+    uint[] memory leafIndexes,
+    bytes32[] memory leaves,
+    bytes32[] memory proof)
+    internal
+    view
+    returns (bool)
+  {
+    uint numberNodes = leafIndexes.length;
+    require(
+      numberNodes > 0 && numberNodes == leaves.length,
+      "Every leaf needs exactly one index!"
+    );
+
+    // From now on, leafIndexes and leaves hold the positions and hashes of
+    // the known nodes on the current level, the parents overwrite their
+    // children level by level.
+    uint proofIndex = 0;
+
+    for (uint i = 1; i < numberNodes; i++) {
+      require(
+        leafIndexes[i] > leafIndexes[i-1],
+        "The indexes of the leaves need to be sorted and unique!"
+      );
+    }
+    require(
+      leafIndexes[numberNodes - 1] < 2**(height - 1),
+      "The indexes of the leaves need to be inside the tree!"
+    );
+
+    for (uint level = 1; level < height; level++) {
+      uint numberParents = 0;
+
+      for (uint i = 0; i < numberNodes; i++) {
+        uint position = leafIndexes[i];
+        bytes32 node;
+
+        // If both children are known, no sibling is required.
+        if (
+          position % 2 == 0 &&
+          i + 1 < numberNodes &&
+          leafIndexes[i+1] == position + 1)
+        {
+          node = hashNode(profile, leaves[i], leaves[i+1]);
+          i++;
+
+        } else if (proofIndex >= proof.length) {
+          return false;
+
+        } else if (position % 2 == 0) {
+          node = hashNode(profile, leaves[i], proof[proofIndex++]);
+
+        } else {
+          node = hashNode(profile, proof[proofIndex++], leaves[i]);
+        }
+
+        leafIndexes[numberParents] = position / 2;
+        leaves[numberParents] = node;
+        numberParents++;
+      }
+      numberNodes = numberParents;
+    }
+
+    return (
+      proofIndex == proof.length &&
+      numberNodes == 1 &&
+      leafIndexes[0] == 0 &&
+      leaves[0] == root
+    );
+  }
+
+  /**
+   * @notice Returns the leaf for the given preimage according to the hash
+   * profile.
+   * @param profile The hash profile.
+   * @param leafPreimage The preimage of the leaf.
+   * @return The hash of the leaf prefix concatenated with the preimage.
+   */
+  function hashLeaf(HashProfile storage profile, bytes32 leafPreimage)
+    internal
+    view
+    returns (bytes32)
+  {
+    return hash(profile, abi.encodePacked(profile.leafPrefix, leafPreimage));
+  }
+
+  /**
+   * @notice Returns the parent of the two given nodes according to the hash
+   * profile.
+   * @param profile The hash profile.
+   * @param left The left child.
+   * @param right The right child.
+   * @return The hash of the node prefix concatenated with both children.
+   */
+  function hashNode(HashProfile storage profile, bytes32 left, bytes32 right)
+    internal
+    view
+    returns (bytes32)
+  {
+    if (profile.sortPairs && right < left) {
+      return hash(profile, abi.encodePacked(profile.nodePrefix, right, left));
+    }
+    return hash(profile, abi.encodePacked(profile.nodePrefix, left, right));
+  }
+
+  /**
+   * @notice Returns the parent of the given children according to the hash
+   * profile. Two children are hashed like in hashNode, more children are
+   * concatenated in their order.
+   * @param profile The hash profile.
+   * @param children The children ordered by their index.
+   * @return The hash of the node prefix concatenated with the children.
+   */
+  function hashChildren(HashProfile storage profile, bytes32[] memory children)
+    internal
+    view
+    returns (bytes32)
+  {
+    if (children.length == 2) {
+      return hashNode(profile, children[0], children[1]);
+    }
+    return hash(profile, abi.encodePacked(profile.nodePrefix, children));
+  }
+
+  /**
+   * @notice Hashes the given data with the hash function of the hash profile.
+   * @param profile The hash profile.
+   * @param data The data to hash.
+   * @return The hash of the data.
+   */
+  function hash(HashProfile storage profile, bytes memory data)
+    internal
+    view
     returns (bytes32)
   {
+    if (profile.hashFunction == HashFunction.Sha256) {
+      return sha256(data);
+    }
+    return keccak256(data);
+  }
+
+/**
+ * @notice Returns the height of a Merkle tree with the given number of leaves
+ * which are padded up to the next power of the arity.
+ * @param numberLeaves The number of leaves without the padding leaves.
+ * @param arity The number of children of every node.
+ * @return The height of the Merkle tree, starting at 1 for the root.
+ */
+  function getHeight(uint numberLeaves, uint arity)
+    internal
+    pure
+    returns (uint16)
+  {
+    uint16 height = 1;
+    // The number of leaves after padding.
+    uint paddedNumberLeaves = 1;
+    while (paddedNumberLeaves < numberLeaves) {
+      paddedNumberLeaves *= arity;
+      height++;
+    }
+    return height;
+  }
 
+/**
+ * @notice Returns the index of the first node on the given level. The leaves
+ * come first, the root last.
+ * @param level The level of the node, starting at 1 for the root.
+ * @param height The height of the Merkle tree, starting at 1 for the root.
+ * @param arity The number of children of every node.
+ * @return The index of the first node on the given level.
+ */
+  function getFirstIndexOnLevel(uint level, uint height, uint arity)
+    internal
+    pure
+    returns (uint)
+  {
+    // The number of nodes on all levels below the given level.
+    return (arity**height - arity**level) / (arity - 1);
   }
 
 /**
@@ -783,20 +2181,22 @@ abstract contract MerkleDisputeHandler {
  * @param index The index of the current node in the Merkle tree.
  * @param height The height of the Merkle tree, starting at 1 for the root.
  * @param currentLevel The level of the current node.
+ * @param arity The number of children of every node.
  * @return The index of the first child of the given node.
  */
-  function getChildIndex(uint index, uint height, uint currentLevel)
+  function getChildIndex(
+    uint index,
+    uint height,
+    uint currentLevel,
+    uint arity)
     internal
     pure
     returns (uint)
   {
-    // Initialized with the root index.
-    uint firstIndexOnLevel = 2**height - 2;
-    for (uint i = 1; i < currentLevel; i++) {
-      // Go lower to currentLevel step by step.
-      firstIndexOnLevel = firstIndexOnLevel - 2**i;
-    }
-    return index - 2**currentLevel + index - firstIndexOnLevel;
+    // The children follow each other in the order of their parents.
+    uint position = index - getFirstIndexOnLevel(currentLevel, height, arity);
+    return getFirstIndexOnLevel(currentLevel + 1, height, arity) +
+      position * arity;
   }
 
 
@@ -804,13 +2204,18 @@ abstract contract MerkleDisputeHandler {
  * @notice Returns true or false if the current node is a leaf or not.
  * @param index The index of the current node in the Merkle tree.
  * @param height The height of the Merkle tree, staring at 1 for the root.
+ * @param arity The number of children of every node.
  * @return true if the current node is a leaf and false, otherwise.
  */
-  function isLeaf(uint index, uint height) internal pure returns (bool) {
+  function isLeaf(uint index, uint height, uint arity)
+    internal
+    pure
+    returns (bool)
+  {
     if (height == 1) {
       return true;
     } else {
-      uint maxLeafIndex = 2**(height - 1) - 1;
+      uint maxLeafIndex = arity**(height - 1) - 1;
       return index >= 0 && index <= maxLeafIndex;
     }
   }
@@ -0,0 +1,41 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+pragma solidity ^0.7.0;
+
+import "./MerkleDisputeHandler.sol";
+
+/**
+ * @title An adjudicator with the first version of the MerkleDisputeHandler
+ * @dev Only used to compare the costs of both versions, see Benchmark.js.
+ * Every leaf is the keccak256 hash of its predecessor.
+ */
+contract ExampleAdjucatorV1 is MerkleDisputeHandler(1 * 1e17, 3600) {
+
+  function makeSteps(bytes32 firstLeaf, uint steps)
+    override
+    internal
+    pure
+    returns (bytes32)
+  {
+    bytes32 leaf = firstLeaf;
+    for (uint i = 0; i < steps; i++) {
+      leaf = keccak256(abi.encodePacked(leaf));
+    }
+    return leaf;
+  }
+}
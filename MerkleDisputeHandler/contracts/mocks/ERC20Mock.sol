@@ -0,0 +1,112 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+
+pragma solidity ^0.7.0;
+
+import "../utils/IERC20.sol";
+
+/**
+ * @title A mintable ERC-20 token for the tests
+ * @dev Anyone can mint tokens. If returnsValues is false, transfer and
+ * transferFrom return nothing like some tokens on the mainnet, e.g., USDT.
+ */
+contract ERC20Mock is IERC20 {
+
+  mapping (address => uint) balances;
+  mapping (address => mapping (address => uint)) allowances;
+
+  // If false, transfer and transferFrom do not return a value.
+  bool returnsValues;
+
+  constructor(bool _returnsValues) {
+    returnsValues = _returnsValues;
+  }
+
+  /**
+   * @notice Creates the given amount of tokens for the given account.
+   * @param account The receiver of the tokens.
+   * @param amount The amount of tokens.
+   */
+  function mint(address account, uint amount) external {
+    balances[account] += amount;
+  }
+
+  function balanceOf(address account) external view override returns (uint) {
+    return balances[account];
+  }
+
+  function allowance(address owner, address spender)
+    external
+    view
+    override
+    returns (uint)
+  {
+    return allowances[owner][spender];
+  }
+
+  function approve(address spender, uint amount)
+    external
+    override
+    returns (bool)
+  {
+    allowances[msg.sender][spender] = amount;
+    return true;
+  }
+
+  function transfer(address recipient, uint amount)
+    external
+    override
+    returns (bool)
+  {
+    move(msg.sender, recipient, amount);
+    return finish();
+  }
+
+  function transferFrom(address sender, address recipient, uint amount)
+    external
+    override
+    returns (bool)
+  {
+    require(
+      allowances[sender][msg.sender] >= amount,
+      "The transfer amount exceeds the allowance!"
+    );
+    allowances[sender][msg.sender] -= amount;
+    move(sender, recipient, amount);
+    return finish();
+  }
+
+  function move(address sender, address recipient, uint amount) internal {
+    require(
+      balances[sender] >= amount,
+      "The transfer amount exceeds the balance!"
+    );
+    balances[sender] -= amount;
+    balances[recipient] += amount;
+  }
+
+  // Returns true or, if returnsValues is false, stops without return data.
+  function finish() internal view returns (bool) {
+    if (!returnsValues) {
+      assembly {
+        return(0, 0)
+      }
+    }
+    return true;
+  }
+}
@@ -0,0 +1,32 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+pragma solidity ^0.7.0;
+
+import "./IStepFunction.sol";
+
+/**
+ * @title A hash chain as step function
+ * @dev Every state is the keccak256 hash of its predecessor, corresponds to
+ * hashChainStep in StepFunctions.js.
+ */
+contract HashChainStep is IStepFunction {
+
+  function makeStep(bytes32 state) external pure override returns (bytes32) {
+    return keccak256(abi.encodePacked(state));
+  }
+}
@@ -0,0 +1,34 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+pragma solidity ^0.7.0;
+
+/**
+ * @dev Interface of a step function which an adjudicator can register, so the
+ * parties of a dispute can choose the computation the dispute is about.
+ */
+interface IStepFunction {
+  /**
+   * @notice Computes the next state by making one step from the given state
+   * on.
+   * @dev Returns the state, not its leaf, since the leaf is hashed with the
+   * hash profile of the adjudicator.
+   * @param state The preimage of the leaf that should be used.
+   * @return The preimage of the leaf that follows from the given one.
+   */
+  function makeStep(bytes32 state) external view returns (bytes32);
+}
@@ -0,0 +1,521 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const MerkleTree = require('./MerkleTree.js');
+const TypedSignature = require('./TypedSignature.js');
+const { generateTrace } = require('./Trace.js');
+const { getCommonHashIndexes } = require('./DisputeSimulator.js');
+
+// The collateral in tokens and the time limit of the played disputes.
+const COLLATERAL = 1000;
+const TIME_LIMIT = 3600;
+
+
+/***
+ * Returns a pseudorandom number generator (mulberry32) for the given 32-bit
+ * seed, so a failing scenario can be reproduced.
+ * @returns A function that returns a number in [0, 1).
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/***
+ * Returns a random integer between min (inclusive) and max (exclusive).
+ */
+function randomInt(random, min, max) {
+  return Math.floor(random() * (max - min)) + min;
+}
+
+/***
+ * Returns the given number of random bytes as a hex string.
+ */
+function randomHex(random, numberBytes) {
+  let hex = '0x';
+  for (let i = 0; i < numberBytes; i++) {
+    hex += randomInt(random, 0, 256).toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/***
+ * Returns a copy of the Merkle tree in which the node with the given index is
+ * replaced and all its ancestors are recomputed.
+ * @param merkleTree The binary Merkle tree as returned by createMerkleTree.
+ * @param index The index of the node.
+ * @param hash The new hash of the node.
+ */
+function replaceNode(merkleTree, index, hash) {
+  let tree = merkleTree.slice();
+  let levelSize = (tree.length + 1) / 2;
+  let firstIndexOnLevel = 0;
+
+  while (index >= firstIndexOnLevel + levelSize) {
+    firstIndexOnLevel += levelSize;
+    levelSize /= 2;
+  }
+
+  tree[index] = hash;
+
+  while (levelSize > 1) {
+    let position = index - firstIndexOnLevel;
+    let left = index - position % 2;
+    let parent = firstIndexOnLevel + levelSize + Math.floor(position / 2);
+
+    tree[parent] = MerkleTree.getParentHash(tree[left], tree[left + 1]);
+    firstIndexOnLevel += levelSize;
+    levelSize /= 2;
+    index = parent;
+  }
+  return tree;
+}
+
+
+/***
+ * The base class of the strategies of the cheater, which follows the
+ * protocol with the correct tree. A strategy decides which tree the cheater
+ * claims, which hashes it submits, if it tries to reveal a wrong preimage and
+ * when it stops responding.
+ */
+class Strategy {
+
+  /***
+   * @param scenario The scenario as returned by randomScenario.
+   * @param random The random number generator of the scenario.
+   */
+  constructor(scenario, random) {
+    this.scenario = scenario;
+    this.random = random;
+  }
+
+  /***
+   * Returns the Merkle tree the cheater claims.
+   * @param trace The correct trace as returned by generateTrace.
+   */
+  getTree(trace) {
+    return trace.merkleTree;
+  }
+
+  /***
+   * Returns the hash the cheater submits for the node with the given index.
+   */
+  getNode(merkleTree, index) {
+    return merkleTree[index];
+  }
+
+  /***
+   * Returns a map with the preimage and the merkleProof the cheater reveals
+   * before the honest party, or null if it does not try to.
+   * @param proofLength The number of hashes of the required Merkle proof.
+   * @param proof The correct Merkle proof.
+   */
+  getReveal(proofLength, proof) {
+    return null;
+  }
+
+  /***
+   * Returns true if the cheater does not respond in the given status and
+   * round (for status 4).
+   */
+  isStalling(status, round) {
+    return false;
+  }
+
+  /***
+   * Returns true if the honest party does not respond either.
+   */
+  isHonestStalling(status, round) {
+    return false;
+  }
+}
+
+/***
+ * The cheater miscalculated the leaf at deviatingIndex. If propagate is true,
+ * it continues its computation from the wrong leaf, so all following leaves
+ * differ, too. A deviatingIndex after the number of leaves replaces a padding
+ * leaf.
+ */
+class MiscalculatedLeaf extends Strategy {
+
+  getTree(trace) {
+    let numberLeaves = this.scenario.numberLeaves;
+    let deviatingIndex = this.scenario.deviatingIndex;
+    let leaves = trace.merkleTree.slice(0, (trace.merkleTree.length + 1) / 2);
+
+    if (deviatingIndex >= numberLeaves) {
+      leaves[deviatingIndex] = randomHex(this.random, 32);
+      return MerkleTree.createMerkleTree(leaves);
+    }
+
+    let leafPreimage = randomHex(this.random, 32);
+    leaves[deviatingIndex] = MerkleTree.hashLeaf(leafPreimage);
+
+    for (let i = deviatingIndex + 1; this.scenario.propagate &&
+      i < numberLeaves; i++) {
+      leafPreimage = MerkleTree.getNextState(leafPreimage);
+      leaves[i] = MerkleTree.hashLeaf(leafPreimage);
+    }
+    return MerkleTree.createMerkleTree(leaves);
+  }
+}
+
+/***
+ * The cheater has the correct leaves, but lies about the internal node at
+ * nodeIndex (which may be the root) and computes the ancestors from the lie.
+ */
+class LieAboutNode extends Strategy {
+
+  getTree(trace) {
+    return replaceNode(
+      trace.merkleTree,
+      this.scenario.nodeIndex,
+      this.getLie(trace)
+    );
+  }
+
+  getLie(trace) {
+    return randomHex(this.random, 32);
+  }
+}
+
+/***
+ * The cheater passes a leaf off as the internal node at nodeIndex, i.e., it
+ * submits a leaf at the wrong level.
+ */
+class WrongLevel extends LieAboutNode {
+
+  getLie(trace) {
+    return trace.leaves[randomInt(this.random, 0, trace.leaves.length)];
+  }
+}
+
+/***
+ * The cheater miscalculated a leaf and tries to reveal a wrong preimage of
+ * the predecessor, either with the correct or with a fake Merkle proof.
+ */
+class FakeReveal extends MiscalculatedLeaf {
+
+  getReveal(proofLength, proof) {
+    let fakeProof = [];
+    for (let i = 0; i < proofLength; i++) {
+      fakeProof.push(randomHex(this.random, 32));
+    }
+
+    return {
+      'preimage': randomHex(this.random, 32),
+      'merkleProof': this.random() < 0.5 ? proof : fakeProof
+    }
+  }
+}
+
+/***
+ * The cheater miscalculated a leaf and stops responding once the dispute
+ * reaches stallStatus, in status 4 from the round stallRound on.
+ */
+class Stall extends MiscalculatedLeaf {
+
+  isStalling(status, round) {
+    let stallStatus = this.scenario.stallStatus;
+    return status > stallStatus || status == stallStatus &&
+      (status != 4 || round >= this.scenario.stallRound);
+  }
+}
+
+/***
+ * Like Stall, but the honest party stops responding at the same time, so
+ * both parties should get their collateral back.
+ */
+class BothStall extends Stall {
+
+  isHonestStalling(status, round) {
+    return this.isStalling(status, round);
+  }
+}
+
+// The strategies by their name.
+const STRATEGIES = {
+  miscalculatedLeaf: MiscalculatedLeaf,
+  lieAboutNode: LieAboutNode,
+  wrongLevel: WrongLevel,
+  fakeReveal: FakeReveal,
+  stall: Stall,
+  bothStall: BothStall
+};
+
+
+/***
+ * Returns a random scenario, which is completely determined by the seed.
+ * @param seed A 32-bit integer.
+ * @param maxLeaves The maximum number of leaves.
+ * @returns A map with the seed, the numberLeaves, the name of the strategy,
+ * the deviatingIndex (of MiscalculatedLeaf), whether the wrong leaf is
+ * propagated, the nodeIndex (of LieAboutNode), the stallStatus and the
+ * stallRound (of Stall) and whether the honest party is the second account
+ * (swapRoles).
+ */
+function randomScenario(seed, maxLeaves = 256) {
+  let random = createRandom(seed);
+  let numberLeaves = randomInt(random, 2, maxLeaves + 1);
+  let height = MerkleTree.getHeight(numberLeaves);
+  let strategies = Object.keys(STRATEGIES);
+  let strategy = strategies[randomInt(random, 0, strategies.length)];
+
+  return {
+    'seed': seed,
+    'numberLeaves': numberLeaves,
+    'strategy': strategy,
+    'deviatingIndex': randomInt(random, 0, 2**(height - 1)),
+    'propagate': random() < 0.5,
+    'nodeIndex': randomInt(random, 2**(height - 1), 2**height - 1),
+    // Both parties can only stall after both have registered.
+    'stallStatus': randomInt(random, strategy == 'bothStall' ? 3 : 1, 8),
+    'stallRound': randomInt(random, 1, height),
+    'swapRoles': random() < 0.5
+  }
+}
+
+/***
+ * Plays the dispute of the scenario between an honest party and a cheater
+ * with a collateral in the given token, and lets both withdraw afterwards.
+ * The honest party has the signature of the cheater before the registration.
+ * The party that submits first is chosen at random in every round. If the
+ * cheater submitted first and the contract rejects the same node of the
+ * honest party, since the cheater calculated the parent incorrectly, the
+ * honest party reports it with reportIncorrectParent. If a party stalls or
+ * the contract rejects the cheater, the honest party reports the exceeded
+ * time limit.
+ * @param instance The deployed adjudicator.
+ * @param token An ERC20Mock of which both parties own enough tokens and have
+ * approved the adjudicator.
+ * @param accounts Two accounts, the first one is the honest party unless
+ * swapRoles is set.
+ * @param scenario The scenario as returned by randomScenario.
+ * @param sessionId The session of the dispute.
+ * @param increaseTime An async function that lets the given number of
+ * seconds pass on the chain.
+ * @returns A map with the change of the token balances of the honest party
+ * and of the cheater, whether the cheater registered and the honest party
+ * stalled, and the guiltyParty of the verdict.
+ */
+async function playScenario(instance, token, accounts, scenario, sessionId,
+  increaseTime) {
+  // A separate stream, so the scenario does not depend on the strategy.
+  let random = createRandom(scenario.seed + 1);
+  // Another one for the order of the submissions.
+  let orderRandom = createRandom(scenario.seed + 2);
+  let strategy = new STRATEGIES[scenario.strategy](scenario, random);
+  let [honest, cheater] = scenario.swapRoles ?
+    [accounts[1], accounts[0]] :
+    [accounts[0], accounts[1]];
+
+  let numberLeaves = scenario.numberLeaves;
+  let height = MerkleTree.getHeight(numberLeaves);
+  let trace = generateTrace(
+    randomHex(random, 32),
+    MerkleTree.getNextState,
+    numberLeaves - 1
+  );
+  let web3 = instance.constructor.web3;
+  let honestTree = trace.merkleTree;
+  let cheaterTree = strategy.getTree(trace);
+  let rootIndex = honestTree.length - 1;
+  let disputeId = await instance.getDisputeIdOf(honest, cheater, sessionId);
+
+  let getStatus = async () =>
+    (await instance.getDisputeStatus(disputeId)).toNumber();
+  let getBalances = async () => [
+    (await token.balanceOf(honest)).toNumber(),
+    (await token.balanceOf(cheater)).toNumber()
+  ];
+  let register = (party, otherParty) => instance.registerDisputeWithToken(
+    otherParty, sessionId, COLLATERAL, TIME_LIMIT, 2, 0, token.address,
+    COLLATERAL, {from: party}
+  );
+
+  let initialBalances = await getBalances();
+  let cheaterRegistered = false;
+  let honestStalled = false;
+  let round = 0;
+  let verdict = null;
+
+  await register(honest, cheater);
+  if (!strategy.isStalling(await getStatus(), round)) {
+    await register(cheater, honest);
+    cheaterRegistered = true;
+  }
+
+  if (await getStatus() == 3) {
+    if (strategy.isHonestStalling(3, round)) {
+      honestStalled = true;
+    } else {
+      // The cheater signed its root on the agreed first leaf.
+      let typedData = TypedSignature.getTypedData(
+        instance.address,
+        await web3.eth.getChainId(),
+        {
+          'disputeId': disputeId,
+          'arity': 2,
+          'height': height,
+          'numberLeaves': numberLeaves,
+          'firstLeafHash': honestTree[0],
+          'root': cheaterTree[rootIndex]
+        }
+      );
+      await instance.initDispute(
+        cheater,
+        sessionId,
+        numberLeaves,
+        honestTree[0],
+        honestTree[rootIndex],
+        cheaterTree[rootIndex],
+        await TypedSignature.signTypedData(web3, cheater, typedData),
+        {from: honest}
+      );
+    }
+  }
+
+  while (await getStatus() == 4) {
+    round++;
+    let index = (await instance.getIndexToSubmit(disputeId)).toNumber();
+    let cheaterNode = strategy.getNode(cheaterTree, index);
+
+    // A stalling cheater leaves the round to the honest party, since the
+    // time limit only convicts a party the other one is waiting for.
+    if (orderRandom() < 0.5 && !strategy.isStalling(4, round)) {
+      await instance.submitHash(honest, sessionId, cheaterNode, index,
+        {from: cheater});
+
+      if (strategy.isHonestStalling(4, round)) {
+        honestStalled = true;
+        break;
+      }
+      // The same second leaf of two leaves both agree on, although they
+      // differed on the parent. Only odd indexes are the second of two.
+      if (index % 2 == 1 && cheaterNode == honestTree[index]) {
+        verdict = await instance.reportIncorrectParent(
+          cheater,
+          sessionId,
+          getCommonHashIndexes(index, height).map(i => honestTree[i]),
+          {from: honest}
+        );
+      } else {
+        await instance.submitHash(cheater, sessionId, honestTree[index],
+          index, {from: honest});
+      }
+
+    } else {
+      if (strategy.isHonestStalling(4, round)) {
+        honestStalled = true;
+        break;
+      }
+      await instance.submitHash(cheater, sessionId, honestTree[index], index,
+        {from: honest});
+
+      if (strategy.isStalling(4, round)) {
+        break;
+      }
+      try {
+        await instance.submitHash(honest, sessionId, cheaterNode, index,
+          {from: cheater});
+      } catch (error) {
+        // The contract rejected the cheater, which can only stall now.
+        break;
+      }
+    }
+  }
+
+  if (await getStatus() == 5) {
+    let revealIndex = (await instance.getIndexToSubmit(disputeId)).toNumber();
+    let proofLength = (await instance.getMerkleProofIndexes(disputeId))
+      .length;
+    let proof = MerkleTree.getProof(honestTree, revealIndex)
+      .slice(0, proofLength);
+    let reveal = strategy.getReveal(proofLength, proof);
+
+    if (reveal && !strategy.isStalling(5, round)) {
+      try {
+        await instance.revealPreimage(honest, sessionId, reveal.preimage,
+          reveal.merkleProof, {from: cheater});
+      } catch (error) {
+        // The wrong preimage is rejected.
+      }
+    }
+
+    if (strategy.isHonestStalling(5, round)) {
+      honestStalled = true;
+    } else if (await getStatus() == 5) {
+      await instance.revealPreimage(cheater, sessionId,
+        trace.leafPreimages[revealIndex], proof, {from: honest});
+    }
+  }
+
+  let status = await getStatus();
+  if (status >= 6) {
+    if (strategy.isHonestStalling(status, round)) {
+      honestStalled = true;
+    } else {
+      verdict = await instance.determineGuiltier(cheater, sessionId,
+        {from: honest});
+    }
+  }
+
+  if (await getStatus() != 0) {
+    await increaseTime(TIME_LIMIT + 1);
+    verdict = await instance.reportExceededTimeLimit(cheater, sessionId,
+      {from: honest});
+  }
+
+  await instance.withdrawTokens(token.address, {from: honest});
+  await instance.withdrawTokens(token.address, {from: cheater});
+  let balances = await getBalances();
+  let log = verdict.logs.find(log => log.event == 'DetermindedGuiltier');
+
+  return {
+    'honestGain': balances[0] - initialBalances[0],
+    'cheaterGain': balances[1] - initialBalances[1],
+    'cheaterRegistered': cheaterRegistered,
+    'honestStalled': honestStalled,
+    'guiltyParty': log.args.partyIndex.toNumber()
+  }
+}
+
+module.exports = {
+  COLLATERAL,
+  TIME_LIMIT,
+  STRATEGIES,
+  Strategy,
+  MiscalculatedLeaf,
+  LieAboutNode,
+  WrongLevel,
+  FakeReveal,
+  Stall,
+  BothStall,
+  createRandom,
+  randomInt,
+  randomHex,
+  replaceNode,
+  randomScenario,
+  playScenario
+}
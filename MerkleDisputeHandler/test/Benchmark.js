@@ -0,0 +1,458 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require('fs');
+const path = require('path');
+const web3 = require('web3');
+const MerkleTree = require('./MerkleTree.js');
+const StepFunctions = require('./StepFunctions.js');
+const { DisputeClient } = require('./DisputeClient.js');
+const { ChainTime } = require('./ChainTime.js');
+
+// The version of the report format, which has to be increased for every
+// change.
+const REPORT_VERSION = 1;
+
+// The handlers that can be measured, the current MerkleDisputeHandler and the
+// legacy one in contracts/V1.
+const CURRENT = 'current';
+const V1 = 'v1';
+
+// The tree sizes from 2 to 2^20 leaves.
+const DEFAULT_SIZES = Array.from({length: 20}, (_, i) => 2**(i + 1));
+
+// An increase of more than this fraction of the baseline gas is a
+// regression.
+const DEFAULT_TOLERANCE = 0.01;
+
+// The leaf of the cheater.
+const WRONG_LEAF = web3.utils.sha3('I made a mistake');
+
+
+/***
+ * Plays a complete dispute between an honest party and a cheater with the
+ * given handler and records the gas of every call. The inputs only depend on
+ * the number of leaves, so the gas can be compared between runs.
+ * @param version CURRENT or V1.
+ * @param instance A freshly deployed adjudicator of the version, so no
+ * storage slot is written for the second time.
+ * @param accounts The honest party and the cheater.
+ * @param numberLeaves The number of leaves, a power of 2.
+ * @param deviatingIndex The index of the leaf the cheater miscalculated,
+ * defaults to the last leaf, which is the worst case for V1.
+ * @returns A map with the version, numberLeaves, height, deviatingIndex,
+ * rounds, the calls in their order with method and gas, the gas per method
+ * together with the total, the guiltyParty and the error that ended the
+ * dispute early (e.g. exceeding the block gas limit) or null.
+ */
+async function benchmarkDispute(version, instance, accounts, numberLeaves,
+  deviatingIndex = numberLeaves - 1) {
+  let result = {
+    'version': version,
+    'numberLeaves': numberLeaves,
+    'height': MerkleTree.getHeight(numberLeaves),
+    'deviatingIndex': deviatingIndex,
+    'rounds': 0,
+    'calls': [],
+    'gas': {},
+    'guiltyParty': null,
+    'error': null
+  };
+
+  try {
+    if (version == V1) {
+      await playV1(instance, accounts, result);
+    } else {
+      await playCurrent(instance, accounts, result);
+    }
+  } catch (error) {
+    result.error = error.reason || error.message;
+  }
+
+  for (let call of result.calls) {
+    result.gas[call.method] = (result.gas[call.method] || 0) + call.gas;
+  }
+  result.gas.total = result.calls.reduce((total, call) => total + call.gas, 0);
+  return result;
+}
+
+/***
+ * Runs benchmarkDispute for every version and tree size.
+ * @param adjudicators A map from the version to an async function that
+ * deploys a new adjudicator of this version.
+ * @param accounts The honest party and the cheater.
+ * @param sizes The numbers of leaves, defaults to DEFAULT_SIZES.
+ * @param log Called with every result, e.g., to print the progress.
+ * @returns The report as a map with the version of the format, the time of
+ * creation and the results.
+ */
+async function runBenchmark(adjudicators, accounts, sizes = DEFAULT_SIZES,
+  log = () => {}) {
+  let results = [];
+
+  for (let version of Object.keys(adjudicators)) {
+    for (let numberLeaves of sizes) {
+      let instance = await adjudicators[version]();
+      let result = await benchmarkDispute(
+        version,
+        instance,
+        accounts,
+        numberLeaves
+      );
+
+      log(result);
+      results.push(result);
+    }
+  }
+
+  return {
+    'version': REPORT_VERSION,
+    'createdAt': new Date().toISOString(),
+    'results': results
+  }
+}
+
+/***
+ * Compares the gas of every method and the total with the baseline for the
+ * results that both reports contain.
+ * @param report The report as returned by runBenchmark.
+ * @param baseline An earlier report.
+ * @param tolerance The fraction by which the gas may exceed the baseline.
+ * @returns The regressions as maps with the version, numberLeaves, method,
+ * baseline and current gas and the change as a fraction, whereas the method
+ * 'error' means that a dispute failed that succeeded in the baseline.
+ */
+function compareToBaseline(report, baseline, tolerance = DEFAULT_TOLERANCE) {
+  if (baseline.version != REPORT_VERSION) {
+    throw new Error(`Unsupported baseline version ${baseline.version}.`);
+  }
+
+  let regressions = [];
+
+  for (let result of report.results) {
+    let base = baseline.results.find(b =>
+      b.version == result.version && b.numberLeaves == result.numberLeaves
+    );
+    if (!base) {
+      continue;
+    }
+
+    if (result.error && !base.error) {
+      regressions.push({
+        'version': result.version,
+        'numberLeaves': result.numberLeaves,
+        'method': 'error',
+        'baseline': null,
+        'current': result.error,
+        'change': null
+      });
+      continue;
+    }
+
+    for (let method of Object.keys(result.gas)) {
+      let before = base.gas[method];
+      let after = result.gas[method];
+
+      if (before !== undefined && after > before * (1 + tolerance)) {
+        regressions.push({
+          'version': result.version,
+          'numberLeaves': result.numberLeaves,
+          'method': method,
+          'baseline': before,
+          'current': after,
+          'change': after / before - 1
+        });
+      }
+    }
+  }
+  return regressions;
+}
+
+/***
+ * Returns the report in markdown with a table per version, whose growth
+ * column is the factor of the total gas compared to the previous tree size.
+ * @param report The report as returned by runBenchmark.
+ * @param regressions The result of compareToBaseline, or null if there was
+ * no baseline.
+ */
+function toMarkdown(report, regressions = null) {
+  let lines = [
+    '# Dispute cost benchmark',
+    '',
+    `Created at ${report.createdAt}.`
+  ];
+  let versions = [...new Set(report.results.map(result => result.version))];
+
+  for (let version of versions) {
+    let results = report.results.filter(result => result.version == version);
+    let methods = [...new Set(
+      [].concat(...results.map(result => result.calls.map(call => call.method)))
+    )];
+
+    lines.push('', `## ${version}`, '');
+    lines.push('| Leaves | Rounds | ' + methods.join(' | ') +
+      ' | Total | Growth |');
+    lines.push('|' + ' ---: |'.repeat(methods.length + 4));
+
+    let previous = null;
+    for (let result of results) {
+      let cells = methods.map(method => {
+        let count = result.calls.filter(call => call.method == method).length;
+        let gas = result.gas[method] || 0;
+        return count > 1 ? `${gas} (${count}x)` : `${gas}`;
+      });
+      let total = result.error ?
+        `failed: ${result.error}` :
+        `${result.gas.total}`;
+      let growth = previous && !result.error && !previous.error ?
+        `x${(result.gas.total / previous.gas.total).toFixed(2)}` :
+        '';
+
+      lines.push(`| ${result.numberLeaves} | ${result.rounds} | ` +
+        cells.join(' | ') + ` | ${total} | ${growth} |`);
+      previous = result;
+    }
+  }
+
+  if (regressions !== null) {
+    lines.push('', '## Regressions', '');
+
+    if (regressions.length == 0) {
+      lines.push('No regressions compared to the baseline.');
+    }
+    for (let r of regressions) {
+      lines.push(r.method == 'error' ?
+        `- ${r.version}, ${r.numberLeaves} leaves: failed with ${r.current}` :
+        `- ${r.version}, ${r.numberLeaves} leaves, ${r.method}: ` +
+        `${r.baseline} -> ${r.current} gas ` +
+        `(+${(r.change * 100).toFixed(2)} %)`
+      );
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/***
+ * Saves the report as report.json and report.md in the given directory.
+ * @param regressions The result of compareToBaseline, or null.
+ */
+function saveReport(dir, report, regressions = null) {
+  fs.mkdirSync(dir, {recursive: true});
+  fs.writeFileSync(
+    path.join(dir, 'report.json'),
+    JSON.stringify(report, null, 2)
+  );
+  fs.writeFileSync(
+    path.join(dir, 'report.md'),
+    toMarkdown(report, regressions)
+  );
+}
+
+/***
+ * Saves the report as the baseline for later runs.
+ */
+function saveBaseline(file, report) {
+  fs.mkdirSync(path.dirname(file), {recursive: true});
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+}
+
+/***
+ * Loads a report, e.g., the baseline.
+ * @returns The report or null if the file does not exist.
+ */
+function loadReport(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file).toString());
+}
+
+/***
+ * Sends the call one second after the previous block and records its gas
+ * under the given method. Otherwise, the gas would depend on whether the
+ * stored timestamp of the last call changes, i.e., on the real time between
+ * the calls.
+ * @param time The ChainTime of the chain.
+ * @param send Sends the call and returns its result.
+ * @returns The result of the call.
+ */
+async function measure(time, result, method, send) {
+  await time.increase(1);
+  let callResult = await send();
+
+  if (callResult) {
+    result.calls.push({'method': method, 'gas': callResult.receipt.gasUsed});
+  }
+  return callResult;
+}
+
+function getGuiltyParty(callResult) {
+  let log = callResult.logs.find(log => log.event == 'DetermindedGuiltier');
+  return log.args['partyIndex'].toNumber();
+}
+
+/***
+ * Plays the dispute with the current handler and the DisputeClient.
+ */
+async function playCurrent(instance, [honestAccount, cheaterAccount],
+  result) {
+  let time = new ChainTime(instance.constructor.web3);
+  let initialPreimage = web3.utils.sha3(`benchmark ${result.numberLeaves}`)
+    .substring(0, 64) + '00';
+  let trace = StepFunctions.generateTrace(
+    StepFunctions.BUILT_IN,
+    initialPreimage,
+    result.numberLeaves - 1
+  );
+  let leaves = trace.leaves.slice();
+  leaves[result.deviatingIndex] = WRONG_LEAF;
+
+  let honest = new DisputeClient(instance, honestAccount, {
+    merkleTree: trace.merkleTree,
+    leafPreimages: trace.leafPreimages,
+    numberLeaves: result.numberLeaves
+  });
+  let cheater = new DisputeClient(instance, cheaterAccount, {
+    merkleTree: MerkleTree.createMerkleTree(leaves),
+    leafPreimages: trace.leafPreimages,
+    numberLeaves: result.numberLeaves
+  });
+
+  await measure(time, result, 'registerDispute',
+    () => honest.open(cheaterAccount));
+  await measure(time, result, 'registerDispute',
+    () => cheater.open(honestAccount));
+  let signature = await cheater.getSignature();
+  await measure(time, result, 'initDispute', () => honest.init(signature));
+
+  while (await honest.getStatus() == 4) {
+    await measure(time, result, 'submitHash', () => honest.respond());
+    await measure(time, result, 'submitHash', () => cheater.respond());
+    result.rounds++;
+  }
+
+  await measure(time, result, 'revealPreimage', () => honest.reveal());
+  let verdict = await measure(time, result, 'determineGuiltier',
+    () => instance.determineGuiltier(cheaterAccount, 0,
+      {from: honestAccount}));
+  result.guiltyParty = getGuiltyParty(verdict);
+  await measure(time, result, 'withdrawFunds', () => honest.withdraw());
+}
+
+/***
+ * Plays the dispute with the V1 handler, which only supports one dispute per
+ * pair of parties, commits to the first leaf instead of signing the
+ * initialization and computes the deviating leaf from the first one. Every
+ * leaf is the hash of its predecessor, see ExampleAdjucatorV1.
+ */
+async function playV1(instance, [honest, cheater], result) {
+  let time = new ChainTime(instance.constructor.web3);
+  let leaves = [web3.utils.sha3(`benchmark ${result.numberLeaves}`)];
+  for (let i = 1; i < result.numberLeaves; i++) {
+    leaves.push(StepFunctions.hashChainStep(leaves[i-1]));
+  }
+  let cheaterLeaves = leaves.slice();
+  cheaterLeaves[result.deviatingIndex] = WRONG_LEAF;
+
+  let trees = {
+    [honest]: MerkleTree.createMerkleTree(leaves),
+    [cheater]: MerkleTree.createMerkleTree(cheaterLeaves)
+  };
+  let otherParty = {[honest]: cheater, [cheater]: honest};
+  let nonces = {
+    [honest]: web3.utils.sha3('nonce of the honest party'),
+    [cheater]: web3.utils.sha3('nonce of the cheater')
+  };
+  let honestIndex = BigInt(honest) < BigInt(cheater) ? 0 : 1;
+  let rootIndex = trees[honest].length - 1;
+  let collateral = await instance.defaultCollateral();
+  let disputeId = await instance.getDisputeId(cheater, {from: honest});
+
+  // The root of the registering party counts as its first submission.
+  await measure(time, result, 'registerDispute',
+    () => instance.methods['registerDispute(address,bytes32,uint16)'](
+      cheater,
+      trees[honest][rootIndex],
+      result.height,
+      {from: honest}
+    )
+  );
+
+  for (let party of [honest, cheater]) {
+    let commit = web3.utils.soliditySha3(
+      {type: 'bytes32', value: leaves[0]},
+      {type: 'bytes32', value: nonces[party]}
+    );
+    await measure(time, result, 'commitFirstLeaf',
+      () => instance.commitFirstLeaf(
+        otherParty[party],
+        commit,
+        {from: party, value: collateral}
+      )
+    );
+  }
+
+  while (!(await instance.leafIsFound(disputeId))) {
+    let index = (await instance.getIndexToSubmit(disputeId)).toNumber();
+    let partyToSubmit = (await instance.partyToSubmit(disputeId)).toNumber();
+    let parties = partyToSubmit == 2 ?
+      [honest, cheater] :
+      [partyToSubmit == honestIndex ? honest : cheater];
+
+    for (let party of parties) {
+      await measure(time, result, 'submitHash', () => instance.submitHash(
+        otherParty[party],
+        trees[party][index],
+        index,
+        {from: party}
+      ));
+    }
+    result.rounds++;
+  }
+
+  for (let party of [honest, cheater]) {
+    await measure(time, result, 'revealFirstLeaf',
+      () => instance.revealFirstLeaf(
+        otherParty[party],
+        leaves[0],
+        nonces[party],
+        {from: party}
+      )
+    );
+  }
+
+  let verdict = await measure(time, result, 'determineGuiltier',
+    () => instance.determineGuiltier(cheater, {from: honest}));
+  result.guiltyParty = getGuiltyParty(verdict);
+  await measure(time, result, 'withdrawFunds',
+    () => instance.withdrawFunds({from: honest}));
+}
+
+module.exports = {
+  REPORT_VERSION,
+  CURRENT,
+  V1,
+  DEFAULT_SIZES,
+  DEFAULT_TOLERANCE,
+  benchmarkDispute,
+  runBenchmark,
+  compareToBaseline,
+  toMarkdown,
+  saveReport,
+  saveBaseline,
+  loadReport
+}
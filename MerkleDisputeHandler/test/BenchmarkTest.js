@@ -0,0 +1,167 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const path = require('path');
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const ExampleAdjucatorV1 = artifacts.require("ExampleAdjucatorV1");
+const Benchmark = require("./Benchmark.js");
+
+// The largest tree of the benchmark, the complete growth curve up to 2^20
+// leaves is measured with BENCHMARK_MAX_LEAVES=1048576 truffle test.
+const MAX_LEAVES = Number(process.env.BENCHMARK_MAX_LEAVES || 1024);
+// The directory of the reports and the baseline, which is replaced by the
+// report with BENCHMARK_UPDATE_BASELINE=1.
+const REPORT_DIR = process.env.BENCHMARK_DIR ||
+  path.join(__dirname, '..', 'benchmark');
+const BASELINE = path.join(REPORT_DIR, 'baseline.json');
+
+const ADJUDICATORS = {
+  [Benchmark.CURRENT]: () => ExampleAdjucator.new(),
+  [Benchmark.V1]: () => ExampleAdjucatorV1.new()
+};
+
+
+contract("Benchmark", async accounts => {
+
+  let parties = [accounts[0], accounts[1]];
+  let cheaterIndex = BigInt(accounts[1]) < BigInt(accounts[0]) ? 0 : 1;
+
+  it("Measures every call of a dispute with both handlers", async () => {
+    let current = await Benchmark.benchmarkDispute(
+      Benchmark.CURRENT,
+      await ExampleAdjucator.new(),
+      parties,
+      8
+    );
+    let v1 = await Benchmark.benchmarkDispute(
+      Benchmark.V1,
+      await ExampleAdjucatorV1.new(),
+      parties,
+      8
+    );
+
+    for (let result of [current, v1]) {
+      assert.isNull(result.error);
+      assert.equal(result.guiltyParty, cheaterIndex);
+      assert.equal(
+        result.gas.total,
+        result.calls.reduce((total, call) => total + call.gas, 0)
+      );
+      assert.deepEqual(
+        result.calls.slice(-2).map(call => call.method),
+        ['determineGuiltier', 'withdrawFunds']
+      );
+    }
+
+    assert.deepEqual(
+      current.calls.map(call => call.method).filter(m => m != 'submitHash'),
+      ['registerDispute', 'registerDispute', 'initDispute', 'revealPreimage',
+        'determineGuiltier', 'withdrawFunds']
+    );
+    assert.equal(
+      current.calls.filter(call => call.method == 'submitHash').length,
+      current.rounds * 2
+    );
+    assert.deepEqual(
+      v1.calls.map(call => call.method).filter(m => m != 'submitHash'),
+      ['registerDispute', 'commitFirstLeaf', 'commitFirstLeaf',
+        'revealFirstLeaf', 'revealFirstLeaf', 'determineGuiltier',
+        'withdrawFunds']
+    );
+  });
+
+  it("Flags regressions compared to a baseline", async () => {
+    let result = await Benchmark.benchmarkDispute(
+      Benchmark.CURRENT,
+      await ExampleAdjucator.new(),
+      parties,
+      4
+    );
+    let report = {'version': Benchmark.REPORT_VERSION, 'results': [result]};
+
+    // The same inputs use the same gas.
+    assert.deepEqual(Benchmark.compareToBaseline(report, report), []);
+
+    // An increase by half the tolerance is accepted, one by twice the
+    // tolerance is flagged.
+    let getBaseline = factor => {
+      let baseline = JSON.parse(JSON.stringify(report));
+      for (let method of ['submitHash', 'total']) {
+        let gas = baseline.results[0].gas;
+        gas[method] -= Math.ceil(
+          gas[method] * factor * Benchmark.DEFAULT_TOLERANCE
+        );
+      }
+      return baseline;
+    };
+    assert.deepEqual(Benchmark.compareToBaseline(report, getBaseline(0.5)), []);
+
+    let baseline = getBaseline(2);
+    let regressions = Benchmark.compareToBaseline(report, baseline);
+    assert.deepEqual(
+      regressions.map(regression => regression.method),
+      ['submitHash', 'total']
+    );
+    assert.equal(
+      regressions[0].current - regressions[0].baseline,
+      Math.ceil(result.gas.submitHash * 2 * Benchmark.DEFAULT_TOLERANCE)
+    );
+    assert.include(
+      Benchmark.toMarkdown(report, regressions),
+      `${Benchmark.CURRENT}, 4 leaves, submitHash`
+    );
+  });
+
+  it(`Reports the costs for up to ${MAX_LEAVES} leaves`, async function() {
+    this.timeout(0);
+
+    let sizes = Benchmark.DEFAULT_SIZES.filter(size => size <= MAX_LEAVES);
+    let report = await Benchmark.runBenchmark(
+      ADJUDICATORS,
+      parties,
+      sizes,
+      result => console.log(`    ${result.version}, ${result.numberLeaves} ` +
+        `leaves: ${result.error ? result.error : result.gas.total + ' gas'}`)
+    );
+
+    let updateBaseline = Boolean(process.env.BENCHMARK_UPDATE_BASELINE);
+    let baseline = updateBaseline ? null : Benchmark.loadReport(BASELINE);
+    let regressions = baseline ?
+      Benchmark.compareToBaseline(report, baseline) :
+      null;
+
+    Benchmark.saveReport(REPORT_DIR, report, regressions);
+    if (updateBaseline) {
+      Benchmark.saveBaseline(BASELINE, report);
+    }
+
+    // V1 recomputes all steps up to the deviating leaf, so it may exceed the
+    // block gas limit for large trees, but the current version must not.
+    for (let result of report.results) {
+      if (result.version == Benchmark.CURRENT) {
+        assert.isNull(result.error, `${result.numberLeaves} leaves`);
+      }
+    }
+    if (regressions !== null) {
+      assert.deepEqual(
+        regressions,
+        [],
+        Benchmark.toMarkdown(report, regressions)
+      );
+    }
+  });
+});
@@ -0,0 +1,152 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+// The seconds beforeDeadline stays away from the deadline, since the
+// timestamp of the next block also advances with the wall clock.
+const DEADLINE_MARGIN = 10;
+
+
+/***
+ * Controls the time of a development chain like Ganache with evm_increaseTime
+ * and evm_mine instead of waiting in real time, and saves and restores the
+ * state of the chain with evm_snapshot and evm_revert.
+ */
+class ChainTime {
+
+  /***
+   * @param web3 The web3 instance connected to the development chain.
+   */
+  constructor(web3) {
+    this.web3 = web3;
+  }
+
+  /***
+   * Sends a JSON-RPC request to the provider.
+   * @returns The result of the request.
+   */
+  send(method, params = []) {
+    return new Promise((resolve, reject) => {
+      this.web3.currentProvider.send(
+        {jsonrpc: '2.0', method: method, params: params, id: Date.now()},
+        (error, response) => {
+          if (error || response.error) {
+            reject(error || new Error(response.error.message));
+          } else {
+            resolve(response.result);
+          }
+        }
+      );
+    });
+  }
+
+  /***
+   * Mines a new block.
+   */
+  async mine() {
+    await this.send('evm_mine');
+  }
+
+  /***
+   * Returns the timestamp of the latest block.
+   */
+  async latest() {
+    return Number((await this.web3.eth.getBlock('latest')).timestamp);
+  }
+
+  /***
+   * Lets the given number of seconds pass and mines a block with the new
+   * time.
+   */
+  async increase(seconds) {
+    await this.send('evm_increaseTime', [seconds]);
+    await this.mine();
+  }
+
+  /***
+   * Lets the time pass until the latest block has at least the given
+   * timestamp.
+   */
+  async increaseTo(timestamp) {
+    let seconds = timestamp - await this.latest();
+
+    if (seconds > 0) {
+      await this.increase(seconds);
+    }
+  }
+
+  /***
+   * Moves shortly before the deadline of the dispute, so the next transaction
+   * is still in time.
+   * @param instance The deployed adjudicator.
+   * @param disputeId The identifier of the dispute.
+   * @param margin The seconds before the deadline.
+   */
+  async beforeDeadline(instance, disputeId, margin = DEADLINE_MARGIN) {
+    let deadline = (await instance.getDeadline(disputeId)).toNumber();
+    await this.increaseTo(deadline - margin);
+  }
+
+  /***
+   * Moves just after the deadline of the dispute, so the time limit is
+   * exceeded.
+   * @param instance The deployed adjudicator.
+   * @param disputeId The identifier of the dispute.
+   */
+  async afterDeadline(instance, disputeId) {
+    let deadline = (await instance.getDeadline(disputeId)).toNumber();
+    await this.increaseTo(deadline + 1);
+  }
+
+  /***
+   * Saves the current state of the chain.
+   * @returns The id of the snapshot for revert.
+   */
+  async snapshot() {
+    return this.send('evm_snapshot');
+  }
+
+  /***
+   * Restores the state of the given snapshot, which can only be used once.
+   */
+  async revert(snapshotId) {
+    let reverted = await this.send('evm_revert', [snapshotId]);
+
+    if (!reverted) {
+      throw new Error(`The snapshot ${snapshotId} could not be restored.`);
+    }
+  }
+
+  /***
+   * Runs the given async function and restores the state of the chain
+   * afterwards, e.g., to try several branches from the same state.
+   * @returns The result of the function.
+   */
+  async isolate(fn) {
+    let snapshotId = await this.snapshot();
+
+    try {
+      return await fn();
+    } finally {
+      await this.revert(snapshotId);
+    }
+  }
+}
+
+module.exports = {
+  DEADLINE_MARGIN,
+  ChainTime
+}
@@ -0,0 +1,189 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const ERC20Mock = artifacts.require("ERC20Mock");
+const MerkleTree = require("./MerkleTree.js");
+const { DisputeClient, DelegationError } = require("./DisputeClient.js");
+
+const NUMBER_LEAVES = 64;
+const COLLATERAL = 1000;
+const TIME_LIMIT = 3600;
+
+
+/***
+ * Returns the trees of the honest party and of the cheater, which
+ * miscalculated a leaf.
+ */
+function getTrees() {
+  let testObj = MerkleTree.getTwoDifferentTrees(NUMBER_LEAVES, true);
+
+  return [testObj["merkleTree1"], testObj["merkleTree2"]].map(merkleTree => {
+    return {
+      merkleTree: merkleTree,
+      leafPreimages: testObj["leafPreimages"],
+      numberLeaves: NUMBER_LEAVES
+    };
+  });
+}
+
+async function openDispute(honest, cheater, options = {}) {
+  await honest.open(cheater.account, options);
+  await cheater.open(honest.account, options);
+  await honest.init(await cheater.getSignature());
+}
+
+/***
+ * Expects that the given call is rejected because the sender may not act on
+ * behalf of the party.
+ */
+async function expectDelegationError(call) {
+  try {
+    await call();
+    assert.fail("The call should have been rejected.");
+  } catch (error) {
+    assert.instanceOf(error, DelegationError);
+  }
+}
+
+
+contract("Delegation", async accounts => {
+
+  it("Lets a delegate respond in time for an offline party", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honestTree, cheaterTree] = getTrees();
+    let honest = new DisputeClient(instance, accounts[0], honestTree);
+    let cheater = new DisputeClient(instance, accounts[1], cheaterTree);
+    let watchtower = new DisputeClient(instance, accounts[2], honestTree);
+    let token = await ERC20Mock.new(true);
+
+    for (let account of [accounts[0], accounts[1]]) {
+      await token.mint(account, COLLATERAL);
+      await token.approve(instance.address, COLLATERAL, {from: account});
+    }
+    await openDispute(honest, cheater, {
+      collateral: COLLATERAL,
+      timeLimit: TIME_LIMIT,
+      token: token.address
+    });
+
+    // The honest party hands the dispute over to the watchtower and goes
+    // offline.
+    await watchtower.actFor(await honest.authorize(accounts[2]));
+
+    let disputeId = await honest.getDisputeId();
+    assert.equal(await watchtower.getDisputeId(), disputeId);
+    assert.equal(await instance.getDelegate(disputeId, accounts[0]),
+      accounts[2]);
+    assert.equal(await watchtower.getOwnPartyIndex(),
+      honest.getOwnPartyIndex());
+
+    while (await watchtower.getStatus() == 4) {
+      await watchtower.respond();
+      await cheater.respond();
+    }
+    await watchtower.reveal();
+    assert.equal(await watchtower.settle(), cheater.getOwnPartyIndex());
+
+    // The collateral of both parties is credited to the honest party.
+    await watchtower.withdraw(token.address);
+    assert.equal((await token.balanceOf(accounts[2])).toNumber(), 0);
+    await honest.withdraw(token.address);
+    assert.equal((await token.balanceOf(accounts[0])).toNumber(),
+      COLLATERAL * 2);
+  });
+
+  it("Rejects responders without a valid authorization", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honestTree, cheaterTree] = getTrees();
+    let honest = new DisputeClient(instance, accounts[3], honestTree);
+    let cheater = new DisputeClient(instance, accounts[4], cheaterTree);
+    let watchtower = new DisputeClient(instance, accounts[5], honestTree);
+
+    await openDispute(honest, cheater);
+
+    // An account without an authorization.
+    let disputeId = await honest.getDisputeId();
+    let index = (await instance.getIndexToSubmit(disputeId)).toNumber();
+    await expectDelegationError(() => watchtower.call(
+      instance.submitHashFor,
+      accounts[3],
+      accounts[4],
+      honest.sessionId,
+      honestTree.merkleTree[index],
+      index,
+      {from: accounts[5]}
+    ));
+
+    // An authorization that is not signed by the represented party.
+    let forged = await cheater.authorize(accounts[5]);
+    forged.party = accounts[3];
+    forged.otherParty = accounts[4];
+    await expectDelegationError(() => watchtower.actFor(forged));
+
+    // A revoked authorization can neither be used nor replayed.
+    let authorization = await honest.authorize(accounts[5]);
+    await watchtower.actFor(authorization);
+    await honest.revoke();
+
+    assert.equal(
+      await instance.getDelegate(disputeId, accounts[3]),
+      "0x0000000000000000000000000000000000000000"
+    );
+    await expectDelegationError(() => watchtower.respond());
+    await expectDelegationError(() => watchtower.actFor(authorization));
+
+    // The party itself can still respond.
+    await honest.respond();
+    assert.equal((await instance.partyToSubmit(disputeId)).toNumber(),
+      cheater.getOwnPartyIndex());
+  });
+
+  it("Removes the delegates of both parties when the dispute ends", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honestTree, cheaterTree] = getTrees();
+    let honest = new DisputeClient(instance, accounts[6], honestTree);
+    let cheater = new DisputeClient(instance, accounts[7], cheaterTree);
+    let watchtower = new DisputeClient(instance, accounts[8], honestTree);
+    let helper = new DisputeClient(instance, accounts[9], cheaterTree);
+
+    await openDispute(honest, cheater);
+    await watchtower.actFor(await honest.authorize(accounts[8]));
+    await helper.actFor(await cheater.authorize(accounts[9]));
+
+    while (await watchtower.getStatus() == 4) {
+      await watchtower.respond();
+      await helper.respond();
+    }
+    await watchtower.reveal();
+    await watchtower.settle();
+
+    let disputeId = await honest.getDisputeId();
+    for (let party of [accounts[6], accounts[7]]) {
+      assert.equal(
+        await instance.getDelegate(disputeId, party),
+        "0x0000000000000000000000000000000000000000"
+      );
+    }
+
+    // The next dispute with the same id needs new authorizations.
+    await openDispute(honest, cheater);
+    await expectDelegationError(() => watchtower.respond());
+    await expectDelegationError(() => helper.respond());
+  });
+});
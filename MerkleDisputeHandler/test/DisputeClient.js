@@ -0,0 +1,601 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const MerkleTree = require('./MerkleTree.js');
+const TypedSignature = require('./TypedSignature.js');
+const { getCommonHashIndexes } = require('./DisputeSimulator.js');
+
+
+/***
+ * The base class of all errors that are raised because the adjudicator
+ * reverted a transaction.
+ */
+class DisputeError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = this.constructor.name;
+    // The revert reason of the contract.
+    this.reason = reason;
+  }
+}
+
+// The deadline of the dispute has passed.
+class TimeLimitError extends DisputeError {}
+// The dispute is not in the status which is required by the call.
+class DisputeStatusError extends DisputeError {}
+// The party has already registered or submitted.
+class AlreadyDoneError extends DisputeError {}
+// The collateral, time limit or other party of a registration is not valid.
+class RegistrationError extends DisputeError {}
+// A signature of the other party is not valid.
+class SignatureError extends DisputeError {}
+// A submitted hash, index or Merkle proof is not valid.
+class SubmissionError extends DisputeError {}
+// The sender is not allowed to act on behalf of the party.
+class DelegationError extends DisputeError {}
+
+// Maps the revert reasons of MerkleDisputeHandler to the error classes.
+const REVERT_REASONS = {
+  "The time limit is exceeded!": TimeLimitError,
+  "The time limit is not exceeded yet!": TimeLimitError,
+  "The contract is not yet registered or has already been initialized.":
+    DisputeStatusError,
+  "Not ready for submitting hashes or deviating leaf already found!":
+    DisputeStatusError,
+  "Not ready for receiving the preimage or it has already been submitted!":
+    DisputeStatusError,
+  "Contract is not yet ready to determine the guiltier!": DisputeStatusError,
+  "Deviating leaf has not been found or preimage already submitted!":
+    DisputeStatusError,
+  "This dispute has not been registered yet!": DisputeStatusError,
+  "Unknown dispute status!": DisputeStatusError,
+  "The dispute has already been registered!": AlreadyDoneError,
+  "You have already registered this dispute!": AlreadyDoneError,
+  "You have already submitted your element!": AlreadyDoneError,
+  "The Address of the other party must not be equal to your address.":
+    RegistrationError,
+  "Please transfer the required collateral with your commit!":
+    RegistrationError,
+  "Both parties need to choose the same collateral!": RegistrationError,
+  "Both parties need to choose the same time limit!": RegistrationError,
+  "Both parties need to choose the same arity!": RegistrationError,
+  "Both parties need to choose the same token!": RegistrationError,
+  "Both parties need to choose the same step function!": RegistrationError,
+  "The step function is not registered!": RegistrationError,
+  "The token must not be the zero address!": RegistrationError,
+  "Every node needs at least two children!": RegistrationError,
+  "The number of leaves must be greater than 1.": RegistrationError,
+  "The signature from the other party is not valid.": SignatureError,
+  "Element with wrong index submitted!": SubmissionError,
+  "Incorrect number of children submitted!": SubmissionError,
+  "The children of a node need to be submitted with submitChildren!":
+    SubmissionError,
+  "The nodes of a binary Merkle tree need to be submitted with submitHash!":
+    SubmissionError,
+  "Parent node has been calculated incorrectly!": SubmissionError,
+  "The other party has not submitted its element yet!": DisputeStatusError,
+  "The common hashes differ from the submitted ones!": SubmissionError,
+  "Incorrect number of hashes for the Merkle proof!": SubmissionError,
+  "Merkle proof does not proof that the preimage is included!":
+    SubmissionError,
+  "You are neither the party nor its delegate!": DelegationError,
+  "The signature of the authorization is not valid.": DelegationError
+};
+
+
+/***
+ * Returns the typed error for an error thrown by a contract call, or the
+ * error itself if it is no known revert.
+ */
+function toDisputeError(error) {
+  let reason = error.reason;
+
+  if (reason === undefined) {
+    let match = /revert (.*?)(?: -- Reason given|$)/.exec(error.message || '');
+    reason = match ? match[1] : undefined;
+  }
+
+  let ErrorClass = REVERT_REASONS[reason];
+  return ErrorClass ? new ErrorClass(reason) : error;
+}
+
+
+/***
+ * Drives the complete lifecycle of a dispute for one party: registration,
+ * initialization, submitting the hashes, revealing the preimage, determining
+ * the guiltier and the withdrawal. The hashes, proofs and indexes are taken
+ * from the local tree according to the contract.
+ */
+class DisputeClient {
+
+  /***
+   * @param instance The deployed adjudicator (a Truffle contract instance).
+   * @param account The address of this party.
+   * @param tree The local tree as a map with the merkleTree, leafPreimages,
+   * numberLeaves and optionally the hash profile, the arity (2 by default)
+   * and the stepFunctionId of the computation (0 for makeStepPreimage by
+   * default), e.g., dispute material as created by createDisputeMaterial.
+   * @param web3 The web3 instance used for signing, defaults to the one of
+   * the contract abstraction.
+   */
+  constructor(instance, account, tree, web3 = instance.constructor.web3) {
+    this.instance = instance;
+    this.account = account;
+    // The party this client acts for, which differs from the account if this
+    // client is a delegate, see actFor.
+    this.party = account;
+    this.merkleTree = tree.merkleTree;
+    this.leafPreimages = tree.leafPreimages;
+    this.numberLeaves = tree.numberLeaves;
+    this.profile = tree.profile || MerkleTree.DEFAULT_PROFILE;
+    this.arity = tree.arity || 2;
+    this.stepFunctionId = tree.stepFunctionId || 0;
+    // The root is the last node of the tree.
+    this.rootIndex = this.merkleTree.length - 1;
+    this.web3 = web3;
+    this.otherParty = null;
+    // Distinguishes the disputes with the same other party.
+    this.sessionId = 0;
+    // The signature of the other party for initializing the dispute.
+    this.signature = null;
+  }
+
+  /***
+   * Registers the dispute with the other party and initializes it, if the
+   * other party has already registered it and its signature is given.
+   * @param otherParty The address of the other party.
+   * @param options.sessionId The session of the dispute, defaults to 0.
+   * @param options.collateral A custom collateral (together with timeLimit).
+   * @param options.timeLimit A custom time limit in seconds.
+   * The arity of the tree and the step function are registered, too.
+   * @param options.token The address of an ERC-20 token for the collateral,
+   * of which the adjudicator needs to be approved to transfer the amount.
+   * @param options.amount The amount of tokens to transfer, defaults to the
+   * collateral.
+   * @param options.signature The signature of the other party as returned by
+   * its getSignature.
+   * @returns The result of the registration.
+   */
+  async open(otherParty, options = {}) {
+    this.otherParty = otherParty;
+    this.sessionId = options.sessionId || 0;
+    this.signature = options.signature || null;
+    let result;
+
+    if (options.collateral !== undefined || options.timeLimit !== undefined ||
+      options.token !== undefined || this.arity != 2 ||
+      this.stepFunctionId != 0) {
+      let collateral = options.collateral !== undefined ?
+        options.collateral : await this.instance.defaultCollateral();
+      let timeLimit = options.timeLimit !== undefined ?
+        options.timeLimit : await this.instance.defaultTimeLimit();
+
+      if (options.token !== undefined) {
+        let amount = options.amount !== undefined ?
+          options.amount : collateral;
+
+        result = await this.call(
+          this.instance.registerDisputeWithToken,
+          otherParty,
+          this.sessionId,
+          collateral.toString(),
+          timeLimit.toString(),
+          this.arity,
+          this.stepFunctionId,
+          options.token,
+          amount.toString(),
+          {from: this.account}
+        );
+      } else {
+        result = await this.call(
+          this.instance.methods[
+            'registerDispute(address,uint256,uint256,uint256,uint8,uint16)'
+          ],
+          otherParty,
+          this.sessionId,
+          collateral.toString(),
+          timeLimit.toString(),
+          this.arity,
+          this.stepFunctionId,
+          {from: this.account, value: collateral.toString()}
+        );
+      }
+    } else {
+      let collateral = await this.instance.defaultCollateral();
+
+      result = await this.call(
+        this.instance.methods['registerDispute(address,uint256)'],
+        otherParty,
+        this.sessionId,
+        {from: this.account, value: collateral}
+      );
+    }
+
+    if (options.signature && await this.getStatus() == 3) {
+      await this.init(options.signature);
+    }
+    return result;
+  }
+
+  /***
+   * Returns the EIP-712 signature of this party on the initialization of the
+   * dispute, which the other party needs for initializing the dispute.
+   * @param otherParty The address of the other party, defaults to the one
+   * given to open.
+   * @param sessionId The session of the dispute, defaults to the one given to
+   * open.
+   * @returns A map with the root and the sig.
+   */
+  async getSignature(otherParty = this.otherParty, sessionId = this.sessionId) {
+    let root = this.getRoot();
+    let typedData = TypedSignature.getTypedData(
+      this.instance.address,
+      await this.web3.eth.getChainId(),
+      {
+        'disputeId': await this.instance.getDisputeId(
+          otherParty,
+          sessionId,
+          {from: this.account}
+        ),
+        'arity': this.arity,
+        'height': MerkleTree.getHeight(this.numberLeaves, this.arity),
+        'numberLeaves': this.numberLeaves,
+        'firstLeafHash': this.merkleTree[0],
+        'root': root,
+        'profile': this.profile
+      }
+    );
+
+    return {
+      'root': root,
+      'sig': await TypedSignature.signTypedData(
+        this.web3,
+        this.account,
+        typedData
+      )
+    }
+  }
+
+  /***
+   * Initializes the registered dispute.
+   * @param signature The signature of the other party as returned by its
+   * getSignature.
+   * @returns The result of initDispute.
+   */
+  async init(signature) {
+    return this.call(
+      this.instance.initDispute,
+      this.otherParty,
+      this.sessionId,
+      this.numberLeaves,
+      this.merkleTree[0],
+      this.getRoot(),
+      signature.root,
+      signature.sig,
+      {from: this.account}
+    );
+  }
+
+  /***
+   * Signs the authorization of a delegate (e.g. a watchtower) that may
+   * respond on behalf of this party in the current dispute.
+   * @param delegate The address of the delegate.
+   * @returns A map with the party, the otherParty, the sessionId, the
+   * delegate and the sig, which the delegate passes to its actFor.
+   */
+  async authorize(delegate) {
+    let disputeId = await this.getDisputeId();
+    let typedData = TypedSignature.getDelegationTypedData(
+      this.instance.address,
+      await this.web3.eth.getChainId(),
+      {
+        'disputeId': disputeId,
+        'delegate': delegate,
+        'nonce': await this.instance.getDelegationNonce(disputeId, this.party)
+      }
+    );
+
+    return {
+      'party': this.party,
+      'otherParty': this.otherParty,
+      'sessionId': this.sessionId,
+      'delegate': delegate,
+      'sig': await TypedSignature.signTypedData(
+        this.web3,
+        this.party,
+        typedData
+      )
+    }
+  }
+
+  /***
+   * Submits the authorization of the party, so this client responds on its
+   * behalf from now on. The payouts are still credited to the party.
+   * @param authorization The authorization as returned by authorize of the
+   * party's client.
+   * @returns The result of authorizeDelegate.
+   */
+  async actFor(authorization) {
+    let result = await this.call(
+      this.instance.authorizeDelegate,
+      authorization.party,
+      authorization.otherParty,
+      authorization.sessionId,
+      authorization.delegate,
+      authorization.sig,
+      {from: this.account}
+    );
+
+    this.party = authorization.party;
+    this.otherParty = authorization.otherParty;
+    this.sessionId = authorization.sessionId;
+    return result;
+  }
+
+  /***
+   * Revokes the authorization of the delegate of this party.
+   * @returns The result of revokeDelegate.
+   */
+  async revoke() {
+    return this.call(
+      this.instance.revokeDelegate,
+      this.otherParty,
+      this.sessionId,
+      {from: this.account}
+    );
+  }
+
+  /***
+   * Submits the hash of the required node, or all children if the arity is
+   * greater than 2, if it is the turn of this party. If the other party has
+   * submitted the same node (or children) first, although the parties
+   * differed on the parent, the other party is reported instead, see
+   * reportIncorrectParent.
+   * @returns The result of submitHash, submitChildren or
+   * reportIncorrectParent or null if this party does not need to submit a
+   * hash.
+   */
+  async respond() {
+    if (!(await this.isOwnTurn())) {
+      return null;
+    }
+
+    let disputeId = await this.getDisputeId();
+    let index = (await this.instance.getIndexToSubmit(disputeId)).toNumber();
+    let args = this.arity > 2 ?
+      ['submitChildren', this.merkleTree.slice(index, index + this.arity)] :
+      ['submitHash', this.merkleTree[index]];
+
+    // Only the second submission of a round can reveal an incorrect parent,
+    // which the contract rejects.
+    if ((await this.instance.partyToSubmit(disputeId)).toNumber() != 2) {
+      try {
+        await this.simulateForParty(...args, index);
+      } catch (error) {
+        if (error.reason != "Parent node has been calculated incorrectly!") {
+          throw error;
+        }
+        return this.callForParty(
+          'reportIncorrectParent',
+          this.getCommonHashes(index)
+        );
+      }
+    }
+
+    return this.callForParty(...args, index);
+  }
+
+  /***
+   * Reveals the preimage of the predecessor of the deviating leaf together
+   * with its Merkle proof.
+   * @returns The result of revealPreimage or null if no preimage is required.
+   */
+  async reveal() {
+    if (await this.getStatus() != 5) {
+      return null;
+    }
+
+    let disputeId = await this.getDisputeId();
+    let revealIndex = (await this.instance.getIndexToSubmit(disputeId))
+      .toNumber();
+    let mpIndexes = await this.instance.getMerkleProofIndexes(disputeId);
+
+    return this.callForParty(
+      'revealPreimage',
+      this.leafPreimages[revealIndex],
+      MerkleTree.getProof(this.merkleTree, revealIndex, this.arity)
+        .slice(0, mpIndexes.length)
+    );
+  }
+
+  /***
+   * Determines the guiltier.
+   * @returns The index of the guilty party, or 2 if no party is guilty.
+   */
+  async settle() {
+    let result = await this.callForParty('determineGuiltier');
+    return getGuiltyParty(result);
+  }
+
+  /***
+   * Reports that the other party did not respond before the deadline.
+   * @returns The index of the guilty party, or 2 if both are guilty.
+   */
+  async reportTimeout() {
+    let result = await this.callForParty('reportExceededTimeLimit');
+    return getGuiltyParty(result);
+  }
+
+  /***
+   * Withdraws the balance of this party.
+   * @param token The address of the ERC-20 token to withdraw, or undefined
+   * for ether.
+   * @returns The result of withdrawFunds or withdrawTokens.
+   */
+  async withdraw(token) {
+    if (token !== undefined) {
+      return this.call(
+        this.instance.withdrawTokens,
+        token,
+        {from: this.account}
+      );
+    }
+    return this.call(this.instance.withdrawFunds, {from: this.account});
+  }
+
+  /***
+   * Plays the dispute from the current state up to the verdict, given that
+   * the other party responds in between, e.g., through its own client.
+   * @returns The result of the next step or null if it's not this party's
+   * turn.
+   */
+  async step() {
+    let status = await this.getStatus();
+
+    if (status == 4) {
+      return this.respond();
+    } else if (status == 5) {
+      return this.reveal();
+    }
+    return null;
+  }
+
+  async getDisputeId() {
+    return this.instance.getDisputeIdOf(
+      this.party,
+      this.otherParty,
+      this.sessionId
+    );
+  }
+
+  async getStatus() {
+    let status = await this.instance.getDisputeStatus(
+      await this.getDisputeId()
+    );
+    return status.toNumber();
+  }
+
+  /***
+   * Returns the index of this party in the dispute, 0 or 1.
+   */
+  getOwnPartyIndex() {
+    return BigInt(this.party) < BigInt(this.otherParty) ? 0 : 1;
+  }
+
+  /***
+   * Returns true if this party needs to submit the hash of the current node.
+   */
+  async isOwnTurn() {
+    let disputeId = await this.getDisputeId();
+
+    if ((await this.instance.getDisputeStatus(disputeId)).toNumber() != 4) {
+      return false;
+    }
+    let partyToSubmit = (await this.instance.partyToSubmit(disputeId))
+      .toNumber();
+    return partyToSubmit == 2 || partyToSubmit == this.getOwnPartyIndex();
+  }
+
+  getRoot() {
+    return this.merkleTree[this.rootIndex];
+  }
+
+  /***
+   * Returns the hashes of all nodes both parties agreed on until the node
+   * with the given index is reached, see reportIncorrectParent. A k-ary
+   * dispute does not need them.
+   */
+  getCommonHashes(index) {
+    if (this.arity > 2) {
+      return [];
+    }
+    let height = MerkleTree.getHeight(this.numberLeaves);
+    return getCommonHashIndexes(index, height)
+      .map(commonIndex => this.merkleTree[commonIndex]);
+  }
+
+  /***
+   * Calls the given method of the adjudicator for the dispute of the party,
+   * i.e., name(otherParty, sessionId, ...args) if this client is the party
+   * itself, otherwise nameFor(party, otherParty, sessionId, ...args).
+   */
+  async callForParty(name, ...args) {
+    let [method, ...callArgs] = this.getCallForParty(name, args);
+    return this.call(method, ...callArgs);
+  }
+
+  /***
+   * Like callForParty, but only simulates the call without sending a
+   * transaction, so it raises the typed errors of a revert.
+   */
+  async simulateForParty(name, ...args) {
+    let [method, ...callArgs] = this.getCallForParty(name, args);
+    return this.call(method.call, ...callArgs);
+  }
+
+  /***
+   * Returns the contract method and its arguments for callForParty.
+   */
+  getCallForParty(name, args) {
+    if (this.party == this.account) {
+      return [
+        this.instance[name],
+        this.otherParty,
+        this.sessionId,
+        ...args,
+        {from: this.account}
+      ];
+    }
+    return [
+      this.instance[name + 'For'],
+      this.party,
+      this.otherParty,
+      this.sessionId,
+      ...args,
+      {from: this.account}
+    ];
+  }
+
+  /***
+   * Calls the given contract method and raises the typed errors.
+   */
+  async call(method, ...args) {
+    try {
+      return await method(...args);
+    } catch (error) {
+      throw toDisputeError(error);
+    }
+  }
+}
+
+function getGuiltyParty(result) {
+  let log = result.logs.find(log => log.event == 'DetermindedGuiltier');
+  return log.args['partyIndex'].toNumber();
+}
+
+module.exports = {
+  DisputeClient,
+  DisputeError,
+  TimeLimitError,
+  DisputeStatusError,
+  AlreadyDoneError,
+  RegistrationError,
+  SignatureError,
+  SubmissionError,
+  DelegationError,
+  toDisputeError
+}
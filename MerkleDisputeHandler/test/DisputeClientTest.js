@@ -0,0 +1,245 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const MerkleTree = require("./MerkleTree.js");
+const { replaceNode } = require("./Adversary.js");
+const {
+  DisputeClient,
+  DisputeStatusError,
+  SignatureError,
+  SubmissionError
+} = require("./DisputeClient.js");
+
+
+/***
+ * Returns a client for each of the two parties, whereas the second party
+ * miscalculated a leaf.
+ */
+function getClients(instance, accounts, numberLeaves) {
+  let testObj = MerkleTree.getTwoDifferentTrees(numberLeaves, true);
+
+  let honest = new DisputeClient(instance, accounts[0], {
+    merkleTree: testObj["merkleTree1"],
+    leafPreimages: testObj["leafPreimages"],
+    numberLeaves: numberLeaves
+  });
+  let cheater = new DisputeClient(instance, accounts[1], {
+    merkleTree: testObj["merkleTree2"],
+    leafPreimages: testObj["leafPreimages"],
+    numberLeaves: numberLeaves
+  });
+  return [honest, cheater];
+}
+
+
+contract("DisputeClient", async accounts => {
+
+  it("Plays a complete dispute", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honest, cheater] = getClients(instance, accounts, 100);
+
+    await honest.open(accounts[1]);
+    await cheater.open(accounts[0], {
+      signature: await honest.getSignature(accounts[1])
+    });
+
+    assert.equal(await honest.getStatus(), 4);
+
+    while (await honest.getStatus() == 4) {
+      await honest.step();
+      await cheater.step();
+    }
+
+    await honest.reveal();
+
+    let guiltyParty = await honest.settle();
+    assert.equal(guiltyParty, cheater.getOwnPartyIndex());
+
+    // The balances exceed the precision of a number.
+    let collateral = BigInt(await instance.defaultCollateral());
+    let initBal = BigInt(await web3.eth.getBalance(accounts[0]));
+    let result = await honest.withdraw();
+    let gasPrice = BigInt(result.receipt.effectiveGasPrice);
+    let newBal = BigInt(await web3.eth.getBalance(accounts[0]));
+
+    assert.equal(
+      newBal,
+      initBal + collateral * 2n - BigInt(result.receipt.gasUsed) * gasPrice
+    );
+  });
+
+  it("Only responds if it is the party's turn", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honest, cheater] = getClients(instance, accounts, 16);
+
+    await honest.open(accounts[1], {collateral: 10**15, timeLimit: 600});
+    await cheater.open(accounts[0], {
+      collateral: 10**15,
+      timeLimit: 600,
+      signature: await honest.getSignature(accounts[1])
+    });
+
+    assert.isNotNull(await honest.respond());
+    assert.isNull(await honest.respond());
+    assert.isNotNull(await cheater.respond());
+
+    while (await honest.getStatus() == 4) {
+      await honest.respond();
+      await cheater.respond();
+    }
+    await cheater.reveal();
+
+    assert.equal(await cheater.settle(), cheater.getOwnPartyIndex());
+  });
+
+  it("Plays several disputes with the same party side by side", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let disputes = [];
+
+    for (let sessionId of [1, 2, 3]) {
+      let [honest, cheater] = getClients(instance, accounts, 16 * sessionId);
+
+      await honest.open(accounts[1], {sessionId: sessionId});
+      await cheater.open(accounts[0], {
+        sessionId: sessionId,
+        signature: await honest.getSignature(accounts[1], sessionId)
+      });
+      disputes.push([honest, cheater]);
+    }
+
+    let disputeIds = [];
+    for (let [honest] of disputes) {
+      disputeIds.push(await honest.getDisputeId());
+    }
+    assert.equal(new Set(disputeIds).size, disputes.length);
+
+    // Every dispute makes one step per round.
+    let isSubmitting = async () => {
+      for (let [honest] of disputes) {
+        if (await honest.getStatus() == 4) {
+          return true;
+        }
+      }
+      return false;
+    };
+    while (await isSubmitting()) {
+      for (let [honest, cheater] of disputes) {
+        await honest.step();
+        await cheater.step();
+      }
+    }
+
+    for (let [honest] of disputes) {
+      await honest.reveal();
+    }
+
+    // Settling one dispute does not reset the others.
+    for (let i = 0; i < disputes.length; i++) {
+      let [honest, cheater] = disputes[i];
+
+      assert.equal(await honest.settle(), cheater.getOwnPartyIndex());
+      assert.equal(await honest.getStatus(), 0);
+      for (let [otherHonest] of disputes.slice(i + 1)) {
+        assert.equal(await otherHonest.getStatus(), 6);
+      }
+    }
+  });
+
+  it("Raises typed errors for revert reasons", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honest, cheater] = getClients(instance, accounts, 8);
+
+    await honest.open(accounts[1]);
+    await cheater.open(accounts[0]);
+
+    // The signature is from the wrong party.
+    let error;
+    try {
+      await cheater.init(await cheater.getSignature());
+    } catch (e) {
+      error = e;
+    }
+    assert.instanceOf(error, SignatureError);
+
+    error = undefined;
+    try {
+      await honest.settle();
+    } catch (e) {
+      error = e;
+    }
+    assert.instanceOf(error, DisputeStatusError);
+    assert.equal(
+      error.reason,
+      "Contract is not yet ready to determine the guiltier!"
+    );
+  });
+
+  it("Reports a parent node that the other party calculated incorrectly",
+    async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let testObj = MerkleTree.getTwoDifferentTrees(16, true);
+    let tree = {
+      merkleTree: testObj["merkleTree1"],
+      leafPreimages: testObj["leafPreimages"],
+      numberLeaves: 16
+    };
+    // The cheater lies about the right child of the left child of the root,
+    // so both parties agree on all nodes below it.
+    let cheaterTree = Object.assign({}, tree, {
+      merkleTree: replaceNode(tree.merkleTree, 25, web3.utils.randomHex(32))
+    });
+
+    // Opens a dispute of the parties in the given session.
+    let openDispute = async (sessionId) => {
+      let honest = new DisputeClient(instance, accounts[6], tree);
+      let cheater = new DisputeClient(instance, accounts[7], cheaterTree);
+      await honest.open(accounts[7], {sessionId: sessionId});
+      await cheater.open(accounts[6], {
+        sessionId: sessionId,
+        signature: await honest.getSignature(accounts[7], sessionId)
+      });
+      return [honest, cheater];
+    };
+
+    // If the honest party submits first, the cheater cannot report it.
+    let [honest, cheater] = await openDispute(0);
+    let error;
+    while (!error && await honest.getStatus() == 4) {
+      await honest.respond();
+      try {
+        await cheater.respond();
+      } catch (e) {
+        error = e;
+      }
+    }
+    assert.instanceOf(error, SubmissionError);
+    assert.equal(error.reason, "Parent node has been calculated incorrectly!");
+    assert.equal(await honest.getStatus(), 4);
+
+    // If the cheater submits first, the honest party reports it.
+    [honest, cheater] = await openDispute(1);
+    let result;
+    while (await honest.getStatus() == 4) {
+      await cheater.respond();
+      result = await honest.respond();
+    }
+    let log = result.logs.find(log => log.event == 'DetermindedGuiltier');
+    assert.equal(log.args.partyIndex.toNumber(), cheater.getOwnPartyIndex());
+    assert.equal(await honest.getStatus(), 0);
+  });
+});
@@ -0,0 +1,329 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require('fs');
+const web3 = require('web3');
+const MerkleTree = require('./MerkleTree.js');
+const TypedSignature = require('./TypedSignature.js');
+
+// The version of the format, which has to be increased for every change.
+const FORMAT_VERSION = 1;
+
+// The first bytes of the binary format.
+const BINARY_MAGIC = Buffer.from('MDHM');
+
+const SIGNATURE_LENGTH = 65;
+const ADDRESS_LENGTH = 20;
+
+
+/***
+ * Returns the material a party needs to keep until the dispute ends.
+ * @param merkleTree The Merkle tree as returned by createMerkleTree.
+ * @param leafPreimages The preimages of the leaves.
+ * @param numberLeaves The number of leaves without the padding leaves.
+ * @param profile The hash profile used for the leaves and nodes.
+ * @param signature Optional, a map with the address of the otherParty, the
+ * adjudicator, the chainId, the disputeId and the EIP-712 sig of the other
+ * party as used by initDispute.
+ * @param arity The number of children of every node in the Merkle tree.
+ * @returns The dispute material.
+ */
+function createDisputeMaterial(merkleTree, leafPreimages, numberLeaves,
+  profile = MerkleTree.DEFAULT_PROFILE, signature = {}, arity = 2) {
+  let height = MerkleTree.getHeight(numberLeaves, arity);
+
+  return {
+    'version': FORMAT_VERSION,
+    'numberLeaves': numberLeaves,
+    'arity': arity,
+    'height': height,
+    'rootIndex': getNumberNodes(numberLeaves, arity) - 1,
+    'profile': profile,
+    'leafPreimages': leafPreimages,
+    'merkleTree': merkleTree,
+    'otherParty': signature.otherParty || null,
+    'adjudicator': signature.adjudicator || null,
+    'chainId': signature.chainId || null,
+    'disputeId': signature.disputeId || null,
+    'sig': signature.sig || null
+  }
+}
+
+/***
+ * Checks if the dispute material is consistent, i.e., if the Merkle tree
+ * results from its leaves, the leaves from their preimages and the signature
+ * from the other party.
+ * @param material The dispute material.
+ * @throws An Error describing the first inconsistency.
+ */
+function checkIntegrity(material) {
+  if (material.version != FORMAT_VERSION) {
+    throw new Error(`Unsupported format version ${material.version}.`);
+  }
+
+  let numberLeaves = material.numberLeaves;
+  let arity = material.arity;
+  let height = MerkleTree.getHeight(numberLeaves, arity);
+  let merkleTree = material.merkleTree;
+
+  if (!Number.isInteger(arity) || arity < 2) {
+    throw new Error("The arity is not valid.");
+  }
+  if (material.height != height ||
+    material.rootIndex != getNumberNodes(numberLeaves, arity) - 1) {
+    throw new Error("The height or the root index is not valid.");
+  }
+
+  let leaves = merkleTree.slice(0, numberLeaves);
+  let expectedTree = MerkleTree.createMerkleTree(
+    leaves,
+    material.profile,
+    arity
+  );
+
+  if (merkleTree.length != expectedTree.length) {
+    throw new Error("The Merkle tree has a wrong number of nodes.");
+  }
+  for (let i = 0; i < merkleTree.length; i++) {
+    if (merkleTree[i] != expectedTree[i]) {
+      throw new Error(`The node ${i} of the Merkle tree is not valid.`);
+    }
+  }
+
+  material.leafPreimages.forEach((leafPreimage, i) => {
+    if (MerkleTree.hashLeaf(leafPreimage, material.profile) != leaves[i]) {
+      throw new Error(`The preimage of the leaf ${i} is not valid.`);
+    }
+  });
+
+  if (material.otherParty) {
+    let typedData = TypedSignature.getTypedData(
+      material.adjudicator,
+      material.chainId,
+      {
+        'disputeId': material.disputeId,
+        'arity': arity,
+        'height': height,
+        'numberLeaves': numberLeaves,
+        'firstLeafHash': merkleTree[0],
+        'root': merkleTree[material.rootIndex],
+        'profile': material.profile
+      }
+    );
+    let signer = TypedSignature.recoverSigner(typedData, material.sig);
+
+    if (!signer || signer.toLowerCase() != material.otherParty.toLowerCase()) {
+      throw new Error("The signature of the other party is not valid.");
+    }
+  }
+}
+
+/***
+ * Returns the dispute material in the JSON format.
+ */
+function toJSON(material) {
+  return JSON.stringify(material);
+}
+
+/***
+ * Returns the dispute material from the JSON format.
+ */
+function fromJSON(json) {
+  let material = JSON.parse(json);
+
+  if (material.version != FORMAT_VERSION) {
+    throw new Error(`Unsupported format version ${material.version}.`);
+  }
+  return material;
+}
+
+/***
+ * Returns the dispute material in the compact binary format:
+ * magic 'MDHM' | version (1) | hash function (1) | sort pairs (1) |
+ * arity (1) | leaf prefix length (1) | leaf prefix | node prefix length (1) |
+ * node prefix | number of leaves (8) | number of preimages (8) |
+ * has signature (1) | other party (20) | adjudicator (20) | chain id (8) |
+ * dispute id (32) | sig (65) | preimages (32 each) | nodes (32 each).
+ * The height, root index and number of nodes follow from the number of
+ * leaves and the arity.
+ */
+function toBinary(material) {
+  let profile = material.profile;
+  let leafPrefix = hexToBuffer(profile.leafPrefix);
+  let nodePrefix = hexToBuffer(profile.nodePrefix);
+  let hasSignature = material.otherParty ? 1 : 0;
+
+  let header = Buffer.alloc(4 + 4);
+  BINARY_MAGIC.copy(header);
+  header.writeUInt8(FORMAT_VERSION, 4);
+  header.writeUInt8(MerkleTree.HASH_FUNCTIONS.indexOf(profile.hashFunction), 5);
+  header.writeUInt8(profile.sortPairs ? 1 : 0, 6);
+  header.writeUInt8(material.arity, 7);
+
+  let counts = Buffer.alloc(8 + 8 + 1);
+  counts.writeBigUInt64BE(BigInt(material.numberLeaves), 0);
+  counts.writeBigUInt64BE(BigInt(material.leafPreimages.length), 8);
+  counts.writeUInt8(hasSignature, 16);
+
+  let signature = [];
+  if (hasSignature) {
+    let chainId = Buffer.alloc(8);
+    chainId.writeBigUInt64BE(BigInt(material.chainId));
+
+    signature = [
+      hexToBuffer(material.otherParty),
+      hexToBuffer(material.adjudicator),
+      chainId,
+      hexToBuffer(material.disputeId),
+      hexToBuffer(material.sig)
+    ];
+  }
+
+  return Buffer.concat([
+    header,
+    Buffer.from([leafPrefix.length]),
+    leafPrefix,
+    Buffer.from([nodePrefix.length]),
+    nodePrefix,
+    counts,
+    ...signature,
+    ...material.leafPreimages.map(hexToBuffer),
+    ...material.merkleTree.map(hexToBuffer)
+  ]);
+}
+
+/***
+ * Returns the dispute material from the compact binary format, see toBinary.
+ */
+function fromBinary(buffer) {
+  let offset = 0;
+  let read = (length) => {
+    if (offset + length > buffer.length) {
+      throw new Error("The binary dispute material is truncated.");
+    }
+    offset += length;
+    return buffer.slice(offset - length, offset);
+  };
+
+  if (!read(4).equals(BINARY_MAGIC)) {
+    throw new Error("The data is no binary dispute material.");
+  }
+
+  let version = read(1).readUInt8();
+  if (version != FORMAT_VERSION) {
+    throw new Error(`Unsupported format version ${version}.`);
+  }
+
+  let hashFunction = MerkleTree.HASH_FUNCTIONS[read(1).readUInt8()];
+  let sortPairs = read(1).readUInt8() == 1;
+  let arity = read(1).readUInt8();
+  let profile = {
+    hashFunction: hashFunction,
+    sortPairs: sortPairs,
+    leafPrefix: bufferToHex(read(read(1).readUInt8())),
+    nodePrefix: bufferToHex(read(read(1).readUInt8()))
+  };
+
+  let numberLeaves = Number(read(8).readBigUInt64BE());
+  let numberPreimages = Number(read(8).readBigUInt64BE());
+  let signature = {};
+
+  if (read(1).readUInt8() == 1) {
+    signature.otherParty = web3.utils.toChecksumAddress(
+      bufferToHex(read(ADDRESS_LENGTH))
+    );
+    signature.adjudicator = web3.utils.toChecksumAddress(
+      bufferToHex(read(ADDRESS_LENGTH))
+    );
+    signature.chainId = Number(read(8).readBigUInt64BE());
+    signature.disputeId = bufferToHex(read(32));
+    signature.sig = bufferToHex(read(SIGNATURE_LENGTH));
+  }
+
+  let leafPreimages = [];
+  for (let i = 0; i < numberPreimages; i++) {
+    leafPreimages.push(bufferToHex(read(32)));
+  }
+
+  let numberNodes = numberLeaves < 2 ? numberLeaves :
+    getNumberNodes(numberLeaves, arity);
+  let merkleTree = [];
+  for (let i = 0; i < numberNodes; i++) {
+    merkleTree.push(bufferToHex(read(32)));
+  }
+
+  if (offset != buffer.length) {
+    throw new Error("The binary dispute material has trailing data.");
+  }
+
+  return createDisputeMaterial(
+    merkleTree, leafPreimages, numberLeaves, profile, signature, arity
+  );
+}
+
+/***
+ * Saves the dispute material to the given file.
+ * @param file The path of the file.
+ * @param material The dispute material.
+ * @param binary If true, the compact binary format is used, otherwise JSON.
+ */
+function saveDisputeMaterial(file, material, binary = false) {
+  fs.writeFileSync(file, binary ? toBinary(material) : toJSON(material));
+}
+
+/***
+ * Loads the dispute material from the given file in either format and checks
+ * its integrity.
+ * @param file The path of the file.
+ * @returns The dispute material.
+ */
+function loadDisputeMaterial(file) {
+  let data = fs.readFileSync(file);
+  let material = data.slice(0, BINARY_MAGIC.length).equals(BINARY_MAGIC) ?
+    fromBinary(data) :
+    fromJSON(data.toString());
+
+  checkIntegrity(material);
+  return material;
+}
+
+// The number of nodes of a Merkle tree whose leaves are padded up to the next
+// power of the arity.
+function getNumberNodes(numberLeaves, arity) {
+  let height = MerkleTree.getHeight(numberLeaves, arity);
+  return (arity**height - 1) / (arity - 1);
+}
+
+function hexToBuffer(hex) {
+  return Buffer.from(hex.substring(2), 'hex');
+}
+
+function bufferToHex(buffer) {
+  return '0x' + buffer.toString('hex');
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  createDisputeMaterial,
+  checkIntegrity,
+  toJSON,
+  fromJSON,
+  toBinary,
+  fromBinary,
+  saveDisputeMaterial,
+  loadDisputeMaterial
+}
@@ -0,0 +1,147 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const MerkleTree = require("./MerkleTree.js");
+const TypedSignature = require("./TypedSignature.js");
+const DisputeMaterial = require("./DisputeMaterial.js");
+
+let directory;
+
+
+/***
+ * Returns the dispute material of a random tree with the given number of
+ * leaves of otherParty, signed by otherParty for its dispute with account.
+ */
+async function getDisputeMaterial(numberLeaves, account, otherParty, profile) {
+  let instance = await ExampleAdjucator.deployed();
+  let testObj = MerkleTree.getTwoDifferentTrees(numberLeaves, true, profile);
+  let merkleTree = testObj["merkleTree1"];
+  let height = MerkleTree.getHeight(numberLeaves);
+  let chainId = await web3.eth.getChainId();
+  let disputeId = await instance.getDisputeId(otherParty, 0, {from: account});
+
+  let typedData = TypedSignature.getTypedData(instance.address, chainId, {
+    'disputeId': disputeId,
+    'arity': 2,
+    'height': height,
+    'numberLeaves': numberLeaves,
+    'firstLeafHash': merkleTree[0],
+    'root': merkleTree[2**height - 2],
+    'profile': profile
+  });
+
+  return DisputeMaterial.createDisputeMaterial(
+    merkleTree,
+    testObj["leafPreimages"],
+    numberLeaves,
+    profile,
+    {
+      'otherParty': otherParty,
+      'adjudicator': instance.address,
+      'chainId': chainId,
+      'disputeId': disputeId,
+      'sig': await TypedSignature.signTypedData(web3, otherParty, typedData)
+    }
+  );
+}
+
+
+contract("DisputeMaterial", async accounts => {
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dispute-material-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, {recursive: true});
+  });
+
+  it("Saves and loads the dispute material as JSON", async () => {
+    let material = await getDisputeMaterial(100, accounts[0], accounts[1]);
+    let file = path.join(directory, 'material.json');
+
+    DisputeMaterial.saveDisputeMaterial(file, material);
+
+    assert.deepEqual(DisputeMaterial.loadDisputeMaterial(file), material);
+  });
+
+  it("Saves and loads the dispute material in the binary format", async () => {
+    let material = await getDisputeMaterial(
+      37,
+      accounts[0],
+      accounts[1],
+      MerkleTree.HASH_PROFILES.PREFIXED_SHA256
+    );
+    let file = path.join(directory, 'material.bin');
+
+    DisputeMaterial.saveDisputeMaterial(file, material, true);
+
+    assert.deepEqual(DisputeMaterial.loadDisputeMaterial(file), material);
+    // The binary format only needs 32 bytes per node and preimage.
+    assert.isBelow(
+      fs.statSync(file).size,
+      fs.statSync(path.join(directory, 'material.json')).size / 2
+    );
+  });
+
+  it("Detects a modified Merkle tree", async () => {
+    let material = await getDisputeMaterial(16, accounts[0], accounts[1]);
+    material.merkleTree[20] = web3.utils.sha3('modified');
+
+    assert.throws(
+      () => DisputeMaterial.checkIntegrity(material),
+      "The node 20 of the Merkle tree is not valid."
+    );
+  });
+
+  it("Detects a modified preimage", async () => {
+    let material = await getDisputeMaterial(16, accounts[0], accounts[1]);
+    material.leafPreimages[3] = material.leafPreimages[4];
+
+    assert.throws(
+      () => DisputeMaterial.checkIntegrity(material),
+      "The preimage of the leaf 3 is not valid."
+    );
+  });
+
+  it("Detects a signature from a different party", async () => {
+    let material = await getDisputeMaterial(16, accounts[0], accounts[1]);
+    material.otherParty = accounts[2];
+
+    let file = path.join(directory, 'wrong-signature.bin');
+    DisputeMaterial.saveDisputeMaterial(file, material, true);
+
+    assert.throws(
+      () => DisputeMaterial.loadDisputeMaterial(file),
+      "The signature of the other party is not valid."
+    );
+  });
+
+  it("Detects a signature for a different dispute", async () => {
+    let material = await getDisputeMaterial(16, accounts[0], accounts[1]);
+    material.disputeId = web3.utils.soliditySha3(accounts[1], accounts[2]);
+
+    assert.throws(
+      () => DisputeMaterial.checkIntegrity(material),
+      "The signature of the other party is not valid."
+    );
+  });
+});
@@ -0,0 +1,480 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const MerkleTree = require('./MerkleTree.js');
+// The least squares fit of the calibration of the GasEstimator.
+const {
+  solveLeastSquares
+} = require('../../GasEstimator/scripts/Calibration.js');
+
+
+/***
+ * The gas used by the transactions of a dispute with ExampleAdjucator
+ * (compiled with solc 0.7.0 and the optimizer with 200 runs, measured on
+ * the Ganache of Truffle), derived with deriveGasModel from the disputes of
+ * DisputeSimulatorTest. Every call costs the sum of the entries in its
+ * costs, see simulateDispute. The costs of a submission depend on the branch
+ * it takes and on whether a storage slot is written for the first time in
+ * the dispute.
+ */
+const DEFAULT_GAS_MODEL = {
+  // The registration of the first and of the second party.
+  registerFirst: 120200,
+  registerSecond: 41700,
+  // The difference for registering a k-ary tree, which uses the registration
+  // with the arity.
+  registerArity: -3200,
+  initDispute: 185900,
+  // The first submission of a round, which only stores the hash.
+  submitFirst: 43400,
+  // Additional costs for the first submission of the dispute.
+  submitFirstInitial: 17100,
+  // The second submission of a round with unequal nodes, which continues
+  // with the first child.
+  submitDifferent: 58800,
+  // The second submission of a round with equal nodes, which stores the last
+  // common hash and continues with the child of the next sibling.
+  submitEqual: 65400,
+  // Additional costs for storing the first common hash of the dispute.
+  submitEqualInitial: 50400,
+  // The second submission of a round if the deviating leaf is found.
+  submitLeafFound: 68900,
+  // The first submission of the children of a k-ary tree, which stores them,
+  // and the additional costs per child and per child in the first round.
+  submitChildrenFirst: 47100,
+  submitChildrenFirstPerChild: 5000,
+  submitChildrenFirstInitialPerChild: 19100,
+  // The second submission of the children, which continues with the
+  // children of the first differing child or finds the deviating leaf, and
+  // the additional costs per child and per compared child.
+  submitChildrenDifferent: 60100,
+  submitChildrenLeafFound: 95000,
+  submitChildrenPerChild: 500,
+  submitChildrenPerComparison: 2600,
+  // Additional costs for storing the last common hash if the first children
+  // are equal, and for storing it for the first time in the dispute.
+  submitChildrenEqual: 10800,
+  submitChildrenEqualInitial: 32900,
+  revealPreimage: 67000,
+  // Additional costs for every hash of the Merkle proof, and the difference
+  // for every level of the proof in a k-ary tree, whose children are hashed
+  // at once.
+  revealPerHash: 2100,
+  revealPerLevel: -3100,
+  determineGuiltier: 101700,
+  // The difference for the first leaf or a padding leaf (status 7), where no
+  // step is computed.
+  determineGuiltierWithoutPreimage: -10400,
+  // Additional costs for deleting every stored child of a k-ary tree.
+  determineGuiltierPerChild: 3900
+}
+
+
+function getFirstIndexOnLevel(level, height, arity = 2) {
+  return (arity**height - arity**level) / (arity - 1);
+}
+
+/***
+ * Returns the index of the first child of the node with the given index,
+ * like getChildIndex of the contract.
+ * @param index The index of the node.
+ * @param height The height of the Merkle tree.
+ * @param currentLevel The level of the node, where the root is on level 1.
+ * @param arity The number of children of every node.
+ */
+function getChildIndex(index, height, currentLevel, arity = 2) {
+  return getFirstIndexOnLevel(currentLevel + 1, height, arity) +
+    (index - getFirstIndexOnLevel(currentLevel, height, arity)) * arity;
+}
+
+function isLeaf(index, height, arity = 2) {
+  return height == 1 || index <= arity**(height - 1) - 1;
+}
+
+/***
+ * Returns the indexes of the Merkle proof that the contract requests for the
+ * preimage, like getMerkleProofIndexes of the contract.
+ * @param height The height of the Merkle tree.
+ * @param lastCommonHashIndex The index of the last node both parties agreed
+ * on.
+ * @param lastCommonHashLevel The level of this node.
+ * @param arity The number of children of every node.
+ */
+function getMerkleProofIndexes(height, lastCommonHashIndex,
+  lastCommonHashLevel, arity = 2) {
+  let numHashes = (arity - 1) * (height - lastCommonHashLevel);
+  let mpIndexes = new Array(numHashes);
+  let currentLevel = lastCommonHashLevel;
+  let index = lastCommonHashIndex;
+
+  // The predecessor is the last child on every level, so the proof contains
+  // all other children from the bottom to the top.
+  while (numHashes > 0) {
+    index = getChildIndex(index, height, currentLevel++, arity);
+    numHashes -= arity - 1;
+    for (let i = 0; i < arity - 1; i++) {
+      mpIndexes[numHashes + i] = index++;
+    }
+  }
+  return mpIndexes;
+}
+
+/***
+ * Returns the indexes of all nodes both parties agreed on in a binary tree
+ * until the leaf with the given index is reached, in the order of their
+ * submission, as reportIncorrectParent of the contract requires them. The
+ * path to the leaf goes through the right child of every agreed node.
+ * @param leafIndex The index of the leaf.
+ * @param height The height of the Merkle tree.
+ */
+function getCommonHashIndexes(leafIndex, height) {
+  let indexes = [];
+  for (let level = 2; level <= height; level++) {
+    let position = Math.floor(leafIndex / 2**(height - level));
+    if (position % 2 == 1) {
+      indexes.push(getFirstIndexOnLevel(level, height) + position - 1);
+    }
+  }
+  return indexes;
+}
+
+/***
+ * Plays a dispute between two parties off-chain with the same state machine
+ * as MerkleDisputeHandler, i.e., without a blockchain. The first party
+ * registers first and always submits first. Both parties respond honestly
+ * according to their trees and in time, so the dispute passes the statuses
+ * 1 or 2 (depending on the order of the addresses), 3, 4, 5 and 6 or 7, but
+ * the exceeded time limits of reportExceededTimeLimit are not simulated.
+ * @param merkleTree1 The Merkle tree of the first party.
+ * @param merkleTree2 The Merkle tree of the second party.
+ * @param numberLeaves The number of leaves (without the padding).
+ * @param gasModel The gas costs of the transactions, see DEFAULT_GAS_MODEL.
+ * @param arity The number of children of every node. For k-ary trees, both
+ * parties submit all children of a node per round, see submitChildren.
+ * @returns A map with the indexes that are submitted (in order), the number
+ * of rounds, the status after the last submission (5 or 7, or 0 if the roots
+ * are equal), the deviatingIndex, the revealIndex of the preimage (or null if
+ * the status is 7), the merkleProofIndexes and the gas as a map with the list
+ * of calls (each with the method, its costs as a map from the entries of the
+ * gas model to their multiplicity, and the gas) and the total.
+ */
+function simulateDispute(merkleTree1, merkleTree2, numberLeaves,
+  gasModel = DEFAULT_GAS_MODEL, arity = 2) {
+  if (numberLeaves <= 1) {
+    throw new Error("The number of leaves must be greater than 1.");
+  }
+
+  let height = MerkleTree.getHeight(numberLeaves, arity);
+  let rootIndex = (arity**height - 1) / (arity - 1) - 1;
+  let calls = [];
+  let addCall = (method, costs) => calls.push({
+    'method': method,
+    'costs': costs,
+    'gas': getGas(costs, gasModel)
+  });
+
+  addCall('registerDispute', {
+    'registerFirst': 1,
+    'registerArity': arity > 2 ? 1 : 0
+  });
+  addCall('registerDispute', {
+    'registerSecond': 1,
+    'registerArity': arity > 2 ? 1 : 0
+  });
+  addCall('initDispute', {'initDispute': 1});
+
+  let result = {
+    'indexes': [],
+    'rounds': 0,
+    'status': 0,
+    'deviatingIndex': null,
+    'revealIndex': null,
+    'merkleProofIndexes': [],
+    'gas': {'calls': calls, 'total': 0}
+  }
+
+  if (merkleTree1[rootIndex] == merkleTree2[rootIndex]) {
+    result.gas.total = getTotal(calls);
+    return result;
+  }
+
+  let state = {
+    'height': height,
+    'arity': arity,
+    'numberLeaves': numberLeaves,
+    'currentIndex': getChildIndex(rootIndex, height, 1, arity),
+    'currentLevel': 2,
+    'lastCommonHashIndex': rootIndex,
+    'lastCommonHashLevel': 1,
+    'status': 4
+  };
+  let submit = arity == 2 ? submitHashes : submitChildren;
+
+  while (state.status == 4) {
+    result.indexes.push(state.currentIndex);
+    result.rounds++;
+    submit(state, merkleTree1, merkleTree2, result.rounds, addCall);
+  }
+
+  result.deviatingIndex = state.deviatingIndex;
+  if (state.status == 5) {
+    result.revealIndex = state.currentIndex;
+    result.merkleProofIndexes = getMerkleProofIndexes(
+      height,
+      state.lastCommonHashIndex,
+      state.lastCommonHashLevel,
+      arity
+    );
+    addCall('revealPreimage', {
+      'revealPreimage': 1,
+      'revealPerHash': result.merkleProofIndexes.length,
+      'revealPerLevel': arity > 2 ? height - state.lastCommonHashLevel : 0
+    });
+  }
+
+  addCall('determineGuiltier', {
+    'determineGuiltier': 1,
+    'determineGuiltierWithoutPreimage': state.status == 7 ? 1 : 0,
+    'determineGuiltierPerChild': arity > 2 ? arity : 0
+  });
+
+  result.status = state.status;
+  result.gas.total = getTotal(calls);
+  return result;
+}
+
+/***
+ * Moves the state of a binary dispute to the next node after both parties
+ * submitted their hash of the current node, like submitHash of the contract.
+ * @param state The state with the height, numberLeaves, currentIndex,
+ * currentLevel, lastCommonHashIndex and lastCommonHashLevel, which is
+ * updated. If the deviating leaf is found, the status is set to 5 or 7 and
+ * the deviatingIndex is added.
+ * @param hash The hash of the party that submitted second.
+ * @param hashLastParty The hash of the party that submitted first.
+ * @returns The branch of submitHash: 'leafFound', 'different', 'equal', or
+ * 'incorrectParent' if the parties agree on the second of two leaves, where
+ * the contract reverts and the state is unchanged.
+ */
+function advanceWithHash(state, hash, hashLastParty) {
+  let height = state.height;
+  let index = state.currentIndex;
+  let leaf = isLeaf(index, height);
+
+  if (leaf && hash != hashLastParty) {
+    findLeaf(state, index);
+    return 'leafFound';
+
+  } else if (hash != hashLastParty) {
+    state.currentIndex = getChildIndex(index, height, state.currentLevel);
+    state.currentLevel++;
+    return 'different';
+
+  } else if (leaf && index % 2 == 1) {
+    return 'incorrectParent';
+  }
+
+  setLastCommonHash(state, hash, index);
+  if (leaf) {
+    state.currentIndex++;
+  } else {
+    state.currentIndex = getChildIndex(index + 1, height, state.currentLevel);
+    state.currentLevel++;
+  }
+  return 'equal';
+}
+
+/***
+ * Moves the state of a k-ary dispute to the children of the first child on
+ * which the parties differ, or finds the deviating leaf, like submitChildren
+ * of the contract. The state is updated like in advanceWithHash.
+ * @param children The children of the party that submitted second.
+ * @param childrenLastParty The children of the party that submitted first.
+ * @returns The position of the first child on which the parties differ. If
+ * it equals the arity, the parent has been calculated incorrectly, the
+ * contract reverts and the state is unchanged.
+ */
+function advanceWithChildren(state, children, childrenLastParty) {
+  let arity = state.arity;
+  let index = state.currentIndex;
+  let position = 0;
+
+  while (position < arity &&
+    children[position] == childrenLastParty[position]) {
+    position++;
+  }
+  if (position == arity) {
+    return position;
+  }
+
+  // The preceding sibling is the last node both parties agreed on.
+  if (position > 0) {
+    setLastCommonHash(state, children[position - 1], index + position - 1);
+  }
+  index += position;
+
+  if (isLeaf(index, state.height, arity)) {
+    findLeaf(state, index);
+  } else {
+    state.currentIndex = getChildIndex(
+      index,
+      state.height,
+      state.currentLevel,
+      arity
+    );
+    state.currentLevel++;
+  }
+  return position;
+}
+
+function setLastCommonHash(state, hash, index) {
+  state.lastCommonHash = hash;
+  state.lastCommonHashIndex = index;
+  state.lastCommonHashLevel = state.currentLevel;
+}
+
+// Sets the status after the deviating leaf is found at the given index.
+function findLeaf(state, index) {
+  state.deviatingIndex = index;
+
+  // The first leaf and the padding leaves have no predecessor to reveal.
+  if (index == 0 || index >= state.numberLeaves) {
+    state.currentIndex = index;
+    state.status = 7;
+  } else {
+    state.currentIndex = index - 1;
+    state.status = 5;
+  }
+}
+
+// Plays a round of a binary tree, where both parties submit a hash.
+function submitHashes(state, merkleTree1, merkleTree2, round, addCall) {
+  let index = state.currentIndex;
+  let initial = state.lastCommonHashLevel == 1;
+
+  addCall('submitHash', {
+    'submitFirst': 1,
+    'submitFirstInitial': round == 1 ? 1 : 0
+  });
+
+  let branch = advanceWithHash(state, merkleTree2[index], merkleTree1[index]);
+  if (branch == 'leafFound') {
+    addCall('submitHash', {'submitLeafFound': 1});
+  } else if (branch == 'different') {
+    addCall('submitHash', {'submitDifferent': 1});
+  } else if (branch == 'equal') {
+    addCall('submitHash', {
+      'submitEqual': 1,
+      'submitEqualInitial': initial ? 1 : 0
+    });
+  } else {
+    throw new Error("Parent node has been calculated incorrectly!");
+  }
+}
+
+// Plays a round of a k-ary tree, where both parties submit all children.
+function submitChildren(state, merkleTree1, merkleTree2, round, addCall) {
+  let arity = state.arity;
+  let index = state.currentIndex;
+  let initial = state.lastCommonHashLevel == 1;
+  let position = advanceWithChildren(
+    state,
+    merkleTree2.slice(index, index + arity),
+    merkleTree1.slice(index, index + arity)
+  );
+
+  if (position == arity) {
+    throw new Error("Parent node has been calculated incorrectly!");
+  }
+
+  addCall('submitChildren', {
+    'submitChildrenFirst': 1,
+    'submitChildrenFirstPerChild': arity,
+    'submitChildrenFirstInitialPerChild': round == 1 ? arity : 0
+  });
+  let costs = {
+    'submitChildrenPerChild': arity,
+    'submitChildrenPerComparison': position + 1,
+    'submitChildrenEqual': position > 0 ? 1 : 0,
+    'submitChildrenEqualInitial': position > 0 && initial ? 1 : 0
+  };
+  if (state.status == 4) {
+    costs.submitChildrenDifferent = 1;
+  } else {
+    costs.submitChildrenLeafFound = 1;
+  }
+  addCall('submitChildren', costs);
+}
+
+/***
+ * Derives a gas model from measured calls by the least squares fit of the
+ * entries to the gas of the calls.
+ * @param calls The measured calls, each with the gas it used and its costs
+ * as predicted by simulateDispute for the same dispute.
+ * @param fallback The gas model whose entries are used if the calls do not
+ * determine them, e.g., if no call takes a certain branch.
+ * @returns The gas model with the entries rounded to whole gas.
+ */
+function deriveGasModel(calls, fallback = DEFAULT_GAS_MODEL) {
+  let model = Object.assign({}, fallback);
+  let keys = Object.keys(fallback).filter(key =>
+    calls.some(call => call.costs[key])
+  );
+
+  // Fixes the entries the calls do not determine one by one, as long as the
+  // normal equations are singular.
+  while (keys.length > 0) {
+    let rows = calls.map(call => keys.map(key => call.costs[key] || 0));
+    let values = calls.map(call => call.gas - getGas(call.costs, model,
+      Object.keys(call.costs).filter(key => !keys.includes(key))));
+    let solution;
+    try {
+      solution = solveLeastSquares(rows, values, keys);
+    } catch (error) {
+      if (error.unknown === undefined) {
+        throw error;
+      }
+      keys.splice(keys.indexOf(error.unknown), 1);
+      continue;
+    }
+    keys.forEach((key, i) => model[key] = Math.round(solution[i]));
+    break;
+  }
+  return model;
+}
+
+// The gas of a call with the given costs, optionally only of some entries.
+function getGas(costs, gasModel, keys = Object.keys(costs)) {
+  return keys.reduce((gas, key) => gas + costs[key] * gasModel[key], 0);
+}
+
+function getTotal(calls) {
+  return calls.reduce((total, call) => total + call.gas, 0);
+}
+
+module.exports = {
+  DEFAULT_GAS_MODEL,
+  getFirstIndexOnLevel,
+  getChildIndex,
+  isLeaf,
+  getMerkleProofIndexes,
+  getCommonHashIndexes,
+  advanceWithHash,
+  advanceWithChildren,
+  simulateDispute,
+  deriveGasModel
+}
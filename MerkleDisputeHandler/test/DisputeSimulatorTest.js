@@ -0,0 +1,267 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const MerkleTree = require("./MerkleTree.js");
+const { DisputeClient } = require("./DisputeClient.js");
+const {
+  DEFAULT_GAS_MODEL,
+  simulateDispute,
+  deriveGasModel
+} = require("./DisputeSimulator.js");
+
+// The maximum relative deviation of the predicted gas.
+const GAS_TOLERANCE = 0.05;
+
+
+/***
+ * Plays the dispute on-chain and records the same values as simulateDispute.
+ */
+async function playDispute(instance, accounts, merkleTree1, merkleTree2,
+  leafPreimages, numberLeaves, arity = 2) {
+  let first = new DisputeClient(instance, accounts[0], {
+    merkleTree: merkleTree1,
+    leafPreimages: leafPreimages,
+    numberLeaves: numberLeaves,
+    arity: arity
+  });
+  let second = new DisputeClient(instance, accounts[1], {
+    merkleTree: merkleTree2,
+    leafPreimages: leafPreimages,
+    numberLeaves: numberLeaves,
+    arity: arity
+  });
+  let calls = [];
+  let indexes = [];
+  let merkleProofIndexes = [];
+  let revealIndex = null;
+  let measure = async call => calls.push((await call).receipt.gasUsed);
+
+  await measure(first.open(accounts[1]));
+  await measure(second.open(accounts[0]));
+  await measure(first.init(await second.getSignature()));
+
+  let disputeId = await first.getDisputeId();
+
+  while (await first.getStatus() == 4) {
+    indexes.push((await instance.getIndexToSubmit(disputeId)).toNumber());
+    await measure(first.respond());
+    await measure(second.respond());
+  }
+
+  let status = await first.getStatus();
+
+  if (status == 5) {
+    revealIndex = (await instance.getIndexToSubmit(disputeId)).toNumber();
+    merkleProofIndexes = (await instance.getMerkleProofIndexes(disputeId))
+      .map(index => index.toNumber());
+    await measure(first.reveal());
+  }
+
+  await measure(instance.determineGuiltier(
+    accounts[1],
+    first.sessionId,
+    {from: accounts[0]}
+  ));
+
+  return {
+    'indexes': indexes,
+    'status': status,
+    'revealIndex': revealIndex,
+    'merkleProofIndexes': merkleProofIndexes,
+    'calls': calls,
+    'gas': calls.reduce((total, gas) => total + gas, 0)
+  }
+}
+
+/***
+ * Returns the mean relative error of the gas of the calls predicted with the
+ * given gas model.
+ */
+function getMeanError(calls, gasModel) {
+  return calls.reduce((sum, call) => {
+    let gas = Object.keys(call.costs).reduce(
+      (gas, key) => gas + call.costs[key] * gasModel[key],
+      0
+    );
+    return sum + Math.abs(gas - call.gas) / call.gas;
+  }, 0) / calls.length;
+}
+
+/***
+ * Simulates the dispute and plays it on-chain, see playDispute.
+ * @returns A map with the prediction of simulateDispute, the played dispute
+ * and the deviating index of the trees.
+ */
+async function runDispute(instance, accounts, merkleTree1, merkleTree2,
+  leafPreimages, numberLeaves, deviatingIndex, arity = 2) {
+  return {
+    'prediction': simulateDispute(
+      merkleTree1,
+      merkleTree2,
+      numberLeaves,
+      DEFAULT_GAS_MODEL,
+      arity
+    ),
+    'dispute': await playDispute(
+      instance,
+      accounts,
+      merkleTree1,
+      merkleTree2,
+      leafPreimages,
+      numberLeaves,
+      arity
+    ),
+    'deviatingIndex': deviatingIndex
+  };
+}
+
+/***
+ * Returns the calls of the disputes with the gas they used and their costs
+ * as predicted by simulateDispute.
+ */
+function getMeasuredCalls(disputes) {
+  return disputes.flatMap(({prediction, dispute}) =>
+    prediction.gas.calls.map((call, i) => ({
+      'costs': call.costs,
+      'gas': dispute.calls[i]
+    }))
+  );
+}
+
+function checkPrediction(prediction, dispute) {
+  assert.equal(prediction.gas.calls.length, dispute.calls.length);
+  assert.deepEqual(prediction.indexes, dispute.indexes);
+  assert.equal(prediction.rounds, dispute.indexes.length);
+  assert.equal(prediction.status, dispute.status);
+  assert.equal(prediction.revealIndex, dispute.revealIndex);
+  assert.deepEqual(prediction.merkleProofIndexes, dispute.merkleProofIndexes);
+  assert.approximately(
+    prediction.gas.total,
+    dispute.gas,
+    dispute.gas * GAS_TOLERANCE
+  );
+}
+
+
+contract("DisputeSimulator", async accounts => {
+  // The disputes are played before the tests, so that every test, including
+  // the one about the gas model, sees all of them.
+  let binaryDisputes = [];
+  let paddingDispute;
+  let karyDisputes = [];
+
+  before(async () => {
+    let instance = await ExampleAdjucator.deployed();
+
+    for (let [numberLeaves, onlySingleDiffLeaf] of
+      [[8, true], [100, false], [1000, true], [2049, false]]) {
+      let testObj = MerkleTree.getTwoDifferentTrees(
+        numberLeaves,
+        onlySingleDiffLeaf
+      );
+      binaryDisputes.push(await runDispute(
+        instance,
+        accounts,
+        testObj["merkleTree1"],
+        testObj["merkleTree2"],
+        testObj["leafPreimages"],
+        numberLeaves,
+        testObj["deviatingIndex"]
+      ));
+    }
+
+    let numberLeaves = 5;
+    let testObj = MerkleTree.getTwoDifferentTrees(numberLeaves, true);
+    let leafPreimages = testObj["leafPreimages"];
+
+    // The second party appends one more step.
+    let leaves = testObj["merkleTree1"].slice(0, numberLeaves);
+    leaves.push(web3.utils.sha3(MerkleTree.getNextState(
+      leafPreimages[numberLeaves-1]
+    )));
+    paddingDispute = await runDispute(
+      instance,
+      accounts,
+      testObj["merkleTree1"],
+      MerkleTree.createMerkleTree(leaves),
+      leafPreimages,
+      numberLeaves,
+      numberLeaves
+    );
+
+    for (let [arity, numberLeaves, onlySingleDiffLeaf] of
+      [[4, 100, false], [8, 600, true], [16, 300, false], [4, 64, true]]) {
+      let testObj = MerkleTree.getTwoDifferentTrees(
+        numberLeaves,
+        onlySingleDiffLeaf,
+        MerkleTree.DEFAULT_PROFILE,
+        arity
+      );
+      karyDisputes.push(await runDispute(
+        instance,
+        accounts,
+        testObj["merkleTree1"],
+        testObj["merkleTree2"],
+        testObj["leafPreimages"],
+        numberLeaves,
+        testObj["deviatingIndex"],
+        arity
+      ));
+    }
+  });
+
+  it("Predicts the indexes, the Merkle proof and the gas", () => {
+    for (let {prediction, dispute, deviatingIndex} of binaryDisputes) {
+      checkPrediction(prediction, dispute);
+      assert.equal(prediction.deviatingIndex, deviatingIndex);
+      assert.equal(prediction.revealIndex, deviatingIndex - 1);
+    }
+  });
+
+  it("Predicts a dispute about a padding leaf", () => {
+    let {prediction, dispute, deviatingIndex} = paddingDispute;
+
+    checkPrediction(prediction, dispute);
+    assert.equal(prediction.status, 7);
+    assert.equal(prediction.deviatingIndex, deviatingIndex);
+  });
+
+  it("Predicts a dispute with a k-ary tree", () => {
+    for (let {prediction, dispute, deviatingIndex} of karyDisputes) {
+      checkPrediction(prediction, dispute);
+      assert.equal(prediction.deviatingIndex, deviatingIndex);
+    }
+  });
+
+  it("Derives the default gas model from the measured disputes", () => {
+    let measuredCalls = getMeasuredCalls(
+      binaryDisputes.concat([paddingDispute], karyDisputes)
+    );
+
+    // The default model has to predict the calls of all disputes about
+    // as well as the model derived from them, otherwise it is outdated.
+    let model = deriveGasModel(measuredCalls);
+
+    assert.isAtMost(
+      getMeanError(measuredCalls, DEFAULT_GAS_MODEL),
+      getMeanError(measuredCalls, model) + 0.01,
+      `The default gas model is outdated, the derived one is ` +
+        JSON.stringify(model)
+    );
+  });
+});
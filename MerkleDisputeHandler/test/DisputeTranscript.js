@@ -0,0 +1,816 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require('fs');
+const web3 = require('web3');
+const MerkleTree = require('./MerkleTree.js');
+const TypedSignature = require('./TypedSignature.js');
+const StepFunctions = require('./StepFunctions.js');
+const {
+  getFirstIndexOnLevel,
+  getChildIndex,
+  isLeaf,
+  advanceWithHash,
+  advanceWithChildren
+} = require('./DisputeSimulator.js');
+
+// Used for decoding the transaction inputs without a provider.
+const abi = new web3().eth.abi;
+
+// The version of the transcript format, which has to be increased for every
+// change.
+const TRANSCRIPT_VERSION = 2;
+
+const ZERO_ADDRESS = '0x' + '0'.repeat(40);
+
+
+/***
+ * Rebuilds the transcript of a dispute from the events and the transaction
+ * inputs of the adjudicator, since the MerkleDispute struct is deleted once
+ * the guiltier is determined. The transcript covers the first dispute with
+ * the given id that ends at or after fromBlock, or the running one if there
+ * is no verdict yet. Reverted transactions are left out.
+ * @dev The default collateral and time limit of a registration and the id of
+ * the hash profile of the dispute are read at the block of the transaction,
+ * which requires a node that keeps the historical state (e.g. Ganache or an
+ * archive node).
+ * @param instance The deployed adjudicator (a Truffle contract instance).
+ * @param disputeId The identifier of the dispute.
+ * @param options.fromBlock The first block to search, defaults to 0. Should
+ * not be later than the first registration of the dispute.
+ * @param options.toBlock The last block to search, defaults to the latest.
+ * @param web3Instance The web3 instance, defaults to the one of the contract
+ * abstraction.
+ * @returns The transcript, see the README for its fields.
+ */
+async function reconstructTranscript(instance, disputeId, options = {},
+  web3Instance = instance.constructor.web3) {
+  let fromBlock = options.fromBlock || 0;
+  let toBlock = options.toBlock !== undefined ?
+    options.toBlock : await web3Instance.eth.getBlockNumber();
+
+  let events = (await instance.getPastEvents('allEvents', {
+    fromBlock: fromBlock,
+    toBlock: toBlock
+  })).filter(event => event.args.disputeId == disputeId);
+
+  // The first verdict ends the dispute, later events belong to a new dispute
+  // with the same id.
+  let verdictEvent = events.find(event =>
+    event.event == 'DetermindedGuiltier'
+  );
+  if (verdictEvent) {
+    events = events.filter(event => !isAfter(event, verdictEvent));
+  }
+
+  let calls = await getCalls(instance, disputeId, events, web3Instance);
+
+  if (calls.length == 0) {
+    throw new Error(`No transactions of the dispute ${disputeId} found.`);
+  }
+
+  let first = calls[0];
+  let parties = [first.party, first.args.otherParty]
+    .sort((a, b) => BigInt(a) < BigInt(b) ? -1 : 1);
+
+  let transcript = {
+    'version': TRANSCRIPT_VERSION,
+    'adjudicator': instance.address,
+    'chainId': await web3Instance.eth.getChainId(),
+    'disputeId': disputeId,
+    'parties': parties,
+    'sessionId': first.args.sessionId.toString(),
+    'profile': await getProfile(instance, disputeId, first.blockNumber),
+    'registrations': [],
+    'initialization': null,
+    'submissions': [],
+    'reveal': null,
+    'delegations': [],
+    'verdict': null,
+    'events': events.map(toEventEntry)
+  }
+
+  for (let call of calls) {
+    let partyIndex = getPartyIndex(parties, call.party);
+    let entry = {
+      'party': partyIndex,
+      'sender': call.sender,
+      'transactionHash': call.transactionHash,
+      'blockNumber': call.blockNumber,
+      'transactionIndex': call.transactionIndex,
+      'timestamp': call.timestamp
+    };
+    let args = call.args;
+    let verdict = events.find(event =>
+      event.event == 'DetermindedGuiltier' &&
+      event.transactionHash == call.transactionHash
+    );
+
+    if (call.method.startsWith('registerDispute')) {
+      transcript.registrations.push(Object.assign(entry,
+        await getRegistration(instance, call)
+      ));
+
+    } else if (call.method == 'initDispute') {
+      let arity = transcript.registrations.length > 0 ?
+        transcript.registrations[0].arity : 2;
+      let roots = [];
+      roots[partyIndex] = args.rootCurrentParty;
+      roots[partyIndex ^ 1] = args.rootOtherParty;
+
+      transcript.initialization = Object.assign(entry, {
+        'numberLeaves': Number(args.numberLeaves),
+        'height': MerkleTree.getHeight(Number(args.numberLeaves), arity),
+        'firstLeafHash': args.firstLeafHash,
+        'roots': roots,
+        'sig': args.otherPartySig
+      });
+
+    } else if (call.method.startsWith('submit')) {
+      transcript.submissions.push(Object.assign(entry, {
+        'index': Number(args.index),
+        'hashes': args.children ? Array.from(args.children) : [args.hash]
+      }));
+
+    } else if (call.method.startsWith('revealPreimage')) {
+      transcript.reveal = Object.assign(entry, {
+        'preimage': args.preimage,
+        'merkleProof': Array.from(args.merkleProof)
+      });
+
+    } else if (call.method == 'authorizeDelegate' ||
+      call.method == 'revokeDelegate') {
+      transcript.delegations.push(Object.assign(entry, {
+        'delegate': args.delegate || null
+      }));
+    }
+
+    // The verdict is emitted by determineGuiltier, reportExceededTimeLimit,
+    // reportIncorrectParent, or by initDispute if the roots are equal.
+    if (verdict) {
+      transcript.verdict = Object.assign({}, entry, {
+        'method': call.method.replace(/For$/, ''),
+        'guiltyParty': Number(verdict.args.partyIndex)
+      });
+      if (args.commonHashes) {
+        transcript.verdict.commonHashes = Array.from(args.commonHashes);
+      }
+    }
+  }
+
+  return transcript;
+}
+
+/***
+ * Replays the transcript with the same state machine as MerkleDisputeHandler
+ * and checks it independently of the contract: the registrations, the
+ * signature of the initialization, that every hash was submitted for the
+ * required index and in time, the Merkle proof of the revealed preimage and
+ * that the recorded verdict follows from it.
+ * @param transcript The transcript as returned by reconstructTranscript.
+ * @param options.step The JS twin of the step function of the dispute, which
+ * returns the next preimage for a given preimage, defaults to the one
+ * registered in StepFunctions.js for the registered stepFunctionId, see
+ * generateTrace in Trace.js.
+ * @returns A map with the guiltyParty (or null if the dispute is still
+ * running), the final status, the deviatingIndex (or null) and the number
+ * of rounds.
+ * @throws An Error describing the first inconsistency.
+ */
+function auditTranscript(transcript, options = {}) {
+  if (transcript.version != TRANSCRIPT_VERSION) {
+    throw new Error(`Unsupported transcript version ${transcript.version}.`);
+  }
+
+  let profile = transcript.profile;
+  let state = {
+    'status': 0,
+    // The time of the last call, null before the first registration.
+    'lastTimestamp': null,
+    'timeLimit': 0,
+    'lastParty': 2,
+    'lastCommonHash': MerkleTree.PADDING_LEAF,
+    'lastCommonHashLevel': 0,
+    'rounds': 0,
+    'deviatingIndex': null
+  };
+
+  // Every call except reportExceededTimeLimit has to be made in time.
+  let checkTime = (entry) => {
+    if (state.lastTimestamp !== null &&
+      entry.timestamp > state.lastTimestamp + state.timeLimit) {
+      throw new Error(`The transaction ${entry.transactionHash} exceeded ` +
+        "the time limit.");
+    }
+    state.lastTimestamp = entry.timestamp;
+  };
+
+  for (let registration of transcript.registrations) {
+    checkRegistration(state, registration);
+    checkTime(registration);
+  }
+
+  let init = transcript.initialization;
+  if (init) {
+    checkSender(transcript, init);
+    checkTime(init);
+    checkInitialization(transcript, state, init);
+  }
+
+  for (let submission of transcript.submissions) {
+    checkSender(transcript, submission);
+    checkTime(submission);
+    if (state.arity == 2) {
+      replaySubmitHash(state, submission);
+    } else {
+      replaySubmitChildren(state, submission);
+    }
+  }
+
+  if (transcript.reveal) {
+    checkSender(transcript, transcript.reveal);
+    checkTime(transcript.reveal);
+    replayRevealPreimage(state, transcript.reveal, profile);
+  }
+
+  let guiltyParty = null;
+  let verdict = transcript.verdict;
+
+  if (verdict) {
+    checkSender(transcript, verdict);
+
+    if (verdict.method == 'initDispute') {
+      guiltyParty = state.rootsEqual ? 2 : null;
+
+    } else if (verdict.method == 'determineGuiltier') {
+      checkTime(verdict);
+      let step = options.step ||
+        StepFunctions.getStepFunction(state.stepFunctionId).step;
+      guiltyParty = replayDetermineGuiltier(state, step, profile);
+
+    } else if (verdict.method == 'reportIncorrectParent') {
+      checkTime(verdict);
+      guiltyParty = replayReportIncorrectParent(state, verdict, profile);
+
+    } else if (verdict.method == 'reportExceededTimeLimit') {
+      if (verdict.timestamp <= state.lastTimestamp + state.timeLimit) {
+        throw new Error("The time limit was not exceeded when it was " +
+          "reported.");
+      }
+      guiltyParty = replayReportExceededTimeLimit(state);
+    }
+
+    if (guiltyParty !== verdict.guiltyParty) {
+      throw new Error(`The recorded verdict ${verdict.guiltyParty} differs ` +
+        `from the replayed verdict ${guiltyParty}.`);
+    }
+  }
+
+  return {
+    'guiltyParty': guiltyParty,
+    'status': state.status,
+    'deviatingIndex': state.deviatingIndex,
+    'rounds': state.rounds
+  }
+}
+
+/***
+ * Returns the transcript in the JSON format.
+ */
+function toJSON(transcript) {
+  return JSON.stringify(transcript, null, 2);
+}
+
+/***
+ * Returns the transcript from the JSON format.
+ */
+function fromJSON(json) {
+  let transcript = JSON.parse(json);
+
+  if (transcript.version != TRANSCRIPT_VERSION) {
+    throw new Error(`Unsupported transcript version ${transcript.version}.`);
+  }
+  return transcript;
+}
+
+/***
+ * Saves the transcript to the given file in the JSON format.
+ */
+function saveTranscript(file, transcript) {
+  fs.writeFileSync(file, toJSON(transcript));
+}
+
+/***
+ * Loads the transcript from the given file.
+ */
+function loadTranscript(file) {
+  return fromJSON(fs.readFileSync(file).toString());
+}
+
+/***
+ * Returns the successful calls of the adjudicator that belong to the dispute,
+ * in the order of their execution. Every call of a dispute emits an event,
+ * so only the transactions of the given events of the dispute are fetched.
+ */
+async function getCalls(instance, disputeId, events, web3Instance) {
+  let functions = getFunctions(instance.abi);
+  let address = instance.address.toLowerCase();
+  let transactionHashes = new Set();
+  let timestamps = {};
+  let calls = [];
+
+  for (let event of events) {
+    if (transactionHashes.has(event.transactionHash)) {
+      continue;
+    }
+    transactionHashes.add(event.transactionHash);
+
+    let tx = await web3Instance.eth.getTransaction(event.transactionHash);
+    if (!tx.to || tx.to.toLowerCase() != address) {
+      continue;
+    }
+
+    let call = decodeCall(functions, tx);
+    if (!call || getDisputeIdOf(call.party, call.args.otherParty,
+      call.args.sessionId) != disputeId) {
+      continue;
+    }
+
+    if (timestamps[tx.blockNumber] === undefined) {
+      timestamps[tx.blockNumber] =
+        Number((await web3Instance.eth.getBlock(tx.blockNumber)).timestamp);
+    }
+
+    calls.push(Object.assign(call, {
+      'sender': tx.from,
+      'transactionHash': tx.hash,
+      'blockNumber': tx.blockNumber,
+      'transactionIndex': tx.transactionIndex,
+      'timestamp': timestamps[tx.blockNumber]
+    }));
+  }
+  return calls;
+}
+
+/***
+ * Returns the functions of the ABI that belong to a dispute, i.e., that take
+ * the other party and the session id, by their selector.
+ */
+function getFunctions(contractAbi) {
+  let functions = {};
+
+  for (let entry of contractAbi) {
+    let names = (entry.inputs || []).map(input => input.name);
+
+    if (entry.type == 'function' && names.includes('otherParty') &&
+      names.includes('sessionId') && entry.stateMutability != 'view' &&
+      entry.stateMutability != 'pure') {
+      functions[abi.encodeFunctionSignature(entry)] = entry;
+    }
+  }
+  return functions;
+}
+
+/***
+ * Decodes the input of a transaction, or returns null if it does not call a
+ * function of a dispute.
+ */
+function decodeCall(functions, tx) {
+  let entry = functions[tx.input.substring(0, 10)];
+
+  if (!entry) {
+    return null;
+  }
+
+  let args = abi.decodeParameters(entry.inputs, '0x' + tx.input.substring(10));
+  let types = entry.inputs.map(input => input.type).join(',');
+
+  return {
+    'method': entry.name,
+    'signature': `${entry.name}(${types})`,
+    // The delegated calls and authorizeDelegate name the party explicitly.
+    'party': args.party || tx.from,
+    'args': args
+  }
+}
+
+/***
+ * Returns the values of a registration, the defaults of the overloads are
+ * read at the block before the registration.
+ */
+async function getRegistration(instance, call) {
+  let args = call.args;
+  let methods = instance.contract.methods;
+  let block = call.blockNumber - 1;
+  let collateral = args.collateral !== undefined ? args.collateral :
+    await methods.defaultCollateral().call({}, block);
+  let timeLimit = args.timeLimit !== undefined ? args.timeLimit :
+    await methods.defaultTimeLimit().call({}, block);
+
+  return {
+    'collateral': collateral.toString(),
+    'timeLimit': Number(timeLimit),
+    'arity': args.arity !== undefined ? Number(args.arity) : 2,
+    'stepFunctionId': args.stepFunctionId !== undefined ?
+      Number(args.stepFunctionId) : StepFunctions.BUILT_IN,
+    'token': args.token || ZERO_ADDRESS
+  }
+}
+
+/***
+ * Returns the hash profile of the dispute in the format of MerkleTree.js.
+ * Its id is read at the block of the first registration, since the dispute
+ * is deleted after the verdict, whereas the profiles never change.
+ */
+async function getProfile(instance, disputeId, block) {
+  let methods = instance.contract.methods;
+  let hashProfileId = await methods.getHashProfileId(disputeId).call({}, block);
+  let profile = await methods.getHashProfile(hashProfileId).call();
+
+  return {
+    hashFunction: MerkleTree.HASH_FUNCTIONS[Number(profile[0])],
+    sortPairs: profile[1],
+    leafPrefix: profile[2] || '0x',
+    nodePrefix: profile[3] || '0x'
+  }
+}
+
+function checkRegistration(state, registration) {
+  if (state.status == 0) {
+    state.status = registration.party + 1;
+    state.collateral = registration.collateral;
+    state.timeLimit = registration.timeLimit;
+    state.arity = registration.arity;
+    state.stepFunctionId = registration.stepFunctionId;
+    state.token = registration.token;
+    return;
+  }
+
+  if (state.status != 3 - (registration.party + 1)) {
+    throw new Error(`The party ${registration.party} registered the ` +
+      "dispute twice.");
+  }
+  if (state.collateral != registration.collateral ||
+    state.timeLimit != registration.timeLimit ||
+    state.arity != registration.arity ||
+    state.stepFunctionId != registration.stepFunctionId ||
+    state.token.toLowerCase() != registration.token.toLowerCase()) {
+    throw new Error("The parties registered the dispute with different " +
+      "values.");
+  }
+  state.status = 3;
+}
+
+function checkInitialization(transcript, state, init) {
+  if (state.status != 3) {
+    throw new Error("The dispute was initialized before both parties " +
+      "registered it.");
+  }
+  if (init.numberLeaves <= 1 ||
+    init.height != MerkleTree.getHeight(init.numberLeaves, state.arity)) {
+    throw new Error("The number of leaves or the height is not valid.");
+  }
+
+  // The other party signed the initialization with its own root.
+  let otherPartyIndex = init.party ^ 1;
+  let typedData = TypedSignature.getTypedData(
+    transcript.adjudicator,
+    transcript.chainId,
+    {
+      'disputeId': transcript.disputeId,
+      'arity': state.arity,
+      'height': init.height,
+      'numberLeaves': init.numberLeaves,
+      'firstLeafHash': init.firstLeafHash,
+      'root': init.roots[otherPartyIndex],
+      'profile': transcript.profile
+    }
+  );
+  let signer = TypedSignature.recoverSigner(typedData, init.sig);
+
+  if (!signer || signer.toLowerCase() !=
+    transcript.parties[otherPartyIndex].toLowerCase()) {
+    throw new Error("The signature of the initialization is not valid.");
+  }
+
+  state.rootsEqual = init.roots[0] == init.roots[1];
+  state.height = init.height;
+  state.numberLeaves = init.numberLeaves;
+  state.firstLeafHash = init.firstLeafHash;
+  state.currentLevel = 2;
+  state.currentIndex = getChildIndex(
+    getFirstIndexOnLevel(1, state.height, state.arity),
+    state.height,
+    1,
+    state.arity
+  );
+  state.lastParty = 2;
+  state.status = 4;
+  // The hashes of the last node on which the parties differed and all nodes
+  // both agreed on, for reportIncorrectParent.
+  state.differingHashes = init.roots.slice();
+  state.commonHashes = [];
+}
+
+/***
+ * Replays submitHash of the contract for a binary Merkle tree.
+ */
+function replaySubmitHash(state, submission) {
+  checkSubmission(state, submission);
+  let hash = submission.hashes[0];
+  let index = submission.index;
+
+  if (state.lastParty == 2) {
+    state.hashLastParty = hash;
+    state.lastParty = submission.party;
+    return;
+  }
+
+  state.rounds++;
+  let branch = advanceWithHash(state, hash, state.hashLastParty);
+
+  if (branch == 'incorrectParent') {
+    throw new Error(`The parent of the node ${index} has been calculated ` +
+      "incorrectly, the contract should have reverted.");
+  } else if (branch == 'leafFound') {
+    state.hashOtherParty = hash;
+    return;
+  } else if (branch == 'different') {
+    state.differingHashes[submission.party] = hash;
+    state.differingHashes[submission.party ^ 1] = state.hashLastParty;
+  } else {
+    state.commonHashes.push(hash);
+  }
+  state.lastParty = 2;
+}
+
+/***
+ * Replays submitChildren of the contract for a k-ary Merkle tree.
+ */
+function replaySubmitChildren(state, submission) {
+  checkSubmission(state, submission);
+  let children = submission.hashes;
+  let index = submission.index;
+
+  if (children.length != state.arity) {
+    throw new Error(`The submission for the node ${index} has a wrong ` +
+      "number of children.");
+  }
+
+  if (state.lastParty == 2) {
+    state.childrenLastParty = children;
+    state.lastParty = submission.party;
+    return;
+  }
+
+  state.rounds++;
+  let position = advanceWithChildren(state, children, state.childrenLastParty);
+
+  if (position == children.length) {
+    throw new Error(`The parent of the node ${index} has been calculated ` +
+      "incorrectly, the contract should have reverted.");
+  }
+
+  if (state.status == 4) {
+    state.differingHashes[submission.party] = children[position];
+    state.differingHashes[submission.party ^ 1] =
+      state.childrenLastParty[position];
+    state.lastParty = 2;
+  } else {
+    state.hashLastParty = state.childrenLastParty[position];
+    state.hashOtherParty = children[position];
+  }
+}
+
+function checkSubmission(state, submission) {
+  if (state.status != 4) {
+    throw new Error(`The node ${submission.index} was submitted while the ` +
+      `dispute had the status ${state.status}.`);
+  }
+  if (submission.index != state.currentIndex) {
+    throw new Error(`The node ${submission.index} was submitted instead of ` +
+      `the node ${state.currentIndex}.`);
+  }
+  if (submission.party == state.lastParty) {
+    throw new Error(`The party ${submission.party} submitted the node ` +
+      `${submission.index} twice.`);
+  }
+}
+
+/***
+ * Replays revealPreimage of the contract, i.e., checks the Merkle proof of the
+ * preimage against the last common hash.
+ */
+function replayRevealPreimage(state, reveal, profile) {
+  if (state.status != 5) {
+    throw new Error("The preimage was revealed while the dispute had the " +
+      `status ${state.status}.`);
+  }
+
+  let arity = state.arity;
+  let proof = reveal.merkleProof;
+  if (proof.length != (arity - 1) * (state.height -
+    state.lastCommonHashLevel)) {
+    throw new Error("The Merkle proof of the preimage has a wrong number of " +
+      "hashes.");
+  }
+
+  // The predecessor is the last child on every level.
+  let hash = MerkleTree.hashLeaf(reveal.preimage, profile);
+  for (let i = 0; i < proof.length; i += arity - 1) {
+    hash = MerkleTree.getNodeHash(
+      proof.slice(i, i + arity - 1).concat([hash]),
+      profile
+    );
+  }
+
+  if (hash != state.lastCommonHash) {
+    throw new Error("The Merkle proof does not prove that the preimage is " +
+      "included.");
+  }
+
+  state.preimage = reveal.preimage;
+  state.status = 6;
+}
+
+/***
+ * Replays determineGuiltier of the contract.
+ * @returns The index of the guilty party, or 2 if no party is guilty.
+ */
+function replayDetermineGuiltier(state, step, profile) {
+  if (state.status < 6) {
+    throw new Error("The guiltier was determined before the dispute was " +
+      "ready.");
+  }
+
+  let correctLeaf;
+  if (state.status == 7) {
+    correctLeaf = state.deviatingIndex == 0 ?
+      state.firstLeafHash :
+      MerkleTree.PADDING_LEAF;
+  } else {
+    correctLeaf = MerkleTree.hashLeaf(step(state.preimage), profile);
+  }
+
+  if (state.hashLastParty == correctLeaf) {
+    return state.lastParty ^ 1;
+  } else if (state.hashOtherParty == correctLeaf) {
+    return state.lastParty;
+  }
+  return 2;
+}
+
+/***
+ * Replays reportIncorrectParent of the contract, i.e., recomputes the last
+ * node on which the parties differed from the nodes both agreed on and the
+ * node of the other party in the current round.
+ * @returns The index of the guilty party, the other party.
+ */
+function replayReportIncorrectParent(state, verdict, profile) {
+  if (state.status != 4 || state.lastParty != (verdict.party ^ 1)) {
+    throw new Error("The incorrect parent was reported before the other " +
+      "party submitted its node.");
+  }
+  if (verdict.commonHashes.length != state.commonHashes.length ||
+    verdict.commonHashes.some((hash, i) => hash != state.commonHashes[i])) {
+    throw new Error("The reported common hashes differ from the submitted " +
+      "ones.");
+  }
+
+  let parent;
+  if (state.arity == 2) {
+    let index = state.currentIndex;
+    if (index % 2 == 0 || !isLeaf(index, state.height, 2)) {
+      throw new Error(`The incorrect parent was reported for the node ` +
+        `${index}, which is not the second of two leaves.`);
+    }
+
+    // The trailing ones of the index are the common hashes below the node.
+    parent = state.hashLastParty;
+    let i = state.commonHashes.length;
+    for (; index % 2 == 1; index = Math.floor(index / 2)) {
+      parent = MerkleTree.getNodeHash([state.commonHashes[--i], parent],
+        profile);
+    }
+  } else {
+    parent = MerkleTree.getNodeHash(state.childrenLastParty, profile);
+  }
+
+  if (parent != state.differingHashes[verdict.party]) {
+    throw new Error("The parent node of the reporting party has been " +
+      "calculated incorrectly, too.");
+  }
+  return verdict.party ^ 1;
+}
+
+/***
+ * Replays reportExceededTimeLimit of the contract.
+ * @returns The index of the party that did not respond in time, or 2 if both
+ * did not.
+ */
+function replayReportExceededTimeLimit(state) {
+  if (state.status == 1) {
+    return 1;
+  } else if (state.status == 2) {
+    return 0;
+  } else if (state.status == 4) {
+    return state.lastParty == 2 ? 2 : state.lastParty ^ 1;
+  }
+  return 2;
+}
+
+/***
+ * Checks that the sender of the call is the party or a delegate that the
+ * party had authorized before.
+ */
+function checkSender(transcript, entry) {
+  let party = transcript.parties[entry.party];
+  if (entry.sender.toLowerCase() == party.toLowerCase()) {
+    return;
+  }
+
+  let delegate = null;
+  for (let delegation of transcript.delegations) {
+    if (delegation.party == entry.party && isAfter(entry, delegation)) {
+      delegate = delegation.delegate;
+    }
+  }
+
+  if (!delegate || delegate.toLowerCase() != entry.sender.toLowerCase()) {
+    throw new Error(`The sender of ${entry.transactionHash} is neither the ` +
+      "party nor its delegate.");
+  }
+}
+
+/***
+ * Returns the identifier of the dispute of the two parties and the session,
+ * like getDisputeIdOf of the contract.
+ */
+function getDisputeIdOf(party, otherParty, sessionId) {
+  let [first, second] = BigInt(party) < BigInt(otherParty) ?
+    [party, otherParty] :
+    [otherParty, party];
+
+  return web3.utils.soliditySha3(
+    {t: 'address', v: first},
+    {t: 'address', v: second},
+    {t: 'uint256', v: sessionId.toString()}
+  );
+}
+
+function getPartyIndex(parties, address) {
+  return parties[0].toLowerCase() == address.toLowerCase() ? 0 : 1;
+}
+
+// Returns true if a was executed after b, both being transactions or events.
+function isAfter(a, b) {
+  if (a.blockNumber != b.blockNumber) {
+    return a.blockNumber > b.blockNumber;
+  }
+  return a.transactionIndex > b.transactionIndex;
+}
+
+function toEventEntry(event) {
+  let args = {};
+
+  // Skip the positional duplicates of the named arguments.
+  for (let name of Object.keys(event.args)) {
+    if (isNaN(name) && name != '__length__') {
+      let value = event.args[name];
+      args[name] = web3.utils.isBN(value) ? value.toString() : value;
+    }
+  }
+
+  return {
+    'event': event.event,
+    'args': args,
+    'transactionHash': event.transactionHash,
+    'blockNumber': event.blockNumber,
+    'logIndex': event.logIndex
+  }
+}
+
+module.exports = {
+  TRANSCRIPT_VERSION,
+  reconstructTranscript,
+  auditTranscript,
+  toJSON,
+  fromJSON,
+  saveTranscript,
+  loadTranscript,
+  getDisputeIdOf
+}
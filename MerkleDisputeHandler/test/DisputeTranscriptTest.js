@@ -0,0 +1,178 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const MerkleTree = require("./MerkleTree.js");
+const { DisputeClient } = require("./DisputeClient.js");
+const DisputeTranscript = require("./DisputeTranscript.js");
+const { ChainTime } = require("./ChainTime.js");
+
+
+/***
+ * Returns the test object of getTwoDifferentTrees and a client for each of
+ * the two parties, whereas the second party miscalculated a leaf.
+ */
+function getClients(instance, accounts, numberLeaves) {
+  let testObj = MerkleTree.getTwoDifferentTrees(numberLeaves, true);
+
+  let honest = new DisputeClient(instance, accounts[0], {
+    merkleTree: testObj["merkleTree1"],
+    leafPreimages: testObj["leafPreimages"],
+    numberLeaves: numberLeaves
+  });
+  let cheater = new DisputeClient(instance, accounts[1], {
+    merkleTree: testObj["merkleTree2"],
+    leafPreimages: testObj["leafPreimages"],
+    numberLeaves: numberLeaves
+  });
+  return [testObj, honest, cheater];
+}
+
+function expectInconsistency(transcript, pattern) {
+  assert.throws(() => DisputeTranscript.auditTranscript(transcript), pattern);
+}
+
+function copy(transcript) {
+  return DisputeTranscript.fromJSON(DisputeTranscript.toJSON(transcript));
+}
+
+
+contract("DisputeTranscript", async accounts => {
+
+  let instance, testObj, honest, cheater, transcript;
+
+  before(async () => {
+    instance = await ExampleAdjucator.deployed();
+    [testObj, honest, cheater] = getClients(instance, accounts, 100);
+    let fromBlock = await web3.eth.getBlockNumber() + 1;
+
+    await honest.open(accounts[1]);
+    await cheater.open(accounts[0], {
+      signature: await honest.getSignature(accounts[1])
+    });
+    while (await honest.getStatus() == 4) {
+      await honest.respond();
+      await cheater.respond();
+    }
+    await honest.reveal();
+    await honest.settle();
+
+    transcript = await DisputeTranscript.reconstructTranscript(
+      instance,
+      await honest.getDisputeId(),
+      {fromBlock: fromBlock}
+    );
+  });
+
+  it("Rebuilds a finished dispute from the chain", async () => {
+    let honestIndex = honest.getOwnPartyIndex();
+    let deviatingIndex = testObj["deviatingIndex"];
+
+    assert.equal(transcript.registrations.length, 2);
+    assert.equal(
+      transcript.registrations[0].collateral,
+      (await instance.defaultCollateral()).toString()
+    );
+    assert.equal(transcript.initialization.numberLeaves, 100);
+    assert.equal(transcript.initialization.roots[honestIndex], honest.getRoot());
+    assert.equal(
+      transcript.initialization.roots[honestIndex ^ 1],
+      cheater.getRoot()
+    );
+    assert.equal(transcript.submissions.length % 2, 0);
+    assert.equal(
+      transcript.reveal.preimage,
+      testObj["leafPreimages"][deviatingIndex - 1]
+    );
+    assert.equal(transcript.verdict.method, 'determineGuiltier');
+    assert.equal(transcript.verdict.guiltyParty, cheater.getOwnPartyIndex());
+    assert.isTrue(transcript.events.some(event =>
+      event.event == 'ReadyForRevealingPreimage' &&
+      event.args.index == deviatingIndex - 1
+    ));
+  });
+
+  it("Confirms the verdict off-chain", async () => {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-'));
+    let file = path.join(directory, 'transcript.json');
+
+    DisputeTranscript.saveTranscript(file, transcript);
+    let audit = DisputeTranscript.auditTranscript(
+      DisputeTranscript.loadTranscript(file)
+    );
+    fs.rmSync(directory, {recursive: true});
+
+    assert.equal(audit.guiltyParty, cheater.getOwnPartyIndex());
+    assert.equal(audit.deviatingIndex, testObj["deviatingIndex"]);
+    assert.equal(audit.rounds, transcript.submissions.length / 2);
+    assert.equal(audit.status, 6);
+  });
+
+  it("Detects a manipulated transcript", async () => {
+    let manipulated = copy(transcript);
+    manipulated.reveal.preimage = web3.utils.randomHex(32);
+    expectInconsistency(manipulated, /Merkle proof/);
+
+    manipulated = copy(transcript);
+    manipulated.submissions[2].index++;
+    expectInconsistency(manipulated, /instead of/);
+
+    manipulated = copy(transcript);
+    manipulated.verdict.guiltyParty ^= 1;
+    expectInconsistency(manipulated, /verdict/);
+
+    manipulated = copy(transcript);
+    manipulated.initialization.roots[honest.getOwnPartyIndex()] =
+      web3.utils.randomHex(32);
+    expectInconsistency(manipulated, /signature/);
+  });
+
+  it("Rebuilds a dispute that ended with a timeout", async () => {
+    let [, late, idle] = getClients(instance, accounts, 16);
+    let fromBlock = await web3.eth.getBlockNumber() + 1;
+    let options = {sessionId: 1, collateral: 10**15, timeLimit: 3600};
+
+    await late.open(accounts[1], options);
+    await idle.open(accounts[0], Object.assign({
+      signature: await late.getSignature(accounts[1], 1)
+    }, options));
+    await late.respond();
+
+    await new ChainTime(web3).afterDeadline(
+      instance, await late.getDisputeId()
+    );
+    await late.reportTimeout();
+
+    let timeout = await DisputeTranscript.reconstructTranscript(
+      instance,
+      await late.getDisputeId(),
+      {fromBlock: fromBlock}
+    );
+
+    assert.equal(timeout.sessionId, '1');
+    assert.equal(timeout.registrations[0].timeLimit, 3600);
+    assert.equal(timeout.submissions.length, 1);
+    assert.equal(timeout.verdict.method, 'reportExceededTimeLimit');
+    assert.equal(
+      DisputeTranscript.auditTranscript(timeout).guiltyParty,
+      idle.getOwnPartyIndex()
+    );
+  });
+});
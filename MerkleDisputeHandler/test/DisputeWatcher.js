@@ -0,0 +1,215 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const EventEmitter = require('events');
+
+
+/***
+ * Watches the events of an adjudicator for the disputes of a set of
+ * DisputeClients and responds automatically: it initializes the dispute (if
+ * the client has the signature of the other party), submits the required
+ * hashes, reveals the preimage and determines the guiltier. If the deadline
+ * of a dispute has passed while the other party had to act, it reports the
+ * exceeded time limit.
+ * Emits 'action' with {account, action, result} for every transaction and
+ * 'error' with {account, action, error} if a transaction or a poll failed
+ * (with the action 'poll' and no account if the events could not be
+ * fetched). The dispute of a failed action is checked again on the next
+ * poll, even without new events.
+ */
+class DisputeWatcher extends EventEmitter {
+
+  /***
+   * @param instance The deployed adjudicator (a Truffle contract instance).
+   * @param options.pollInterval The interval in ms for checking for new
+   * events and exceeded deadlines, defaults to 1000.
+   * @param web3 The web3 instance, defaults to the one of the contract
+   * abstraction.
+   */
+  constructor(instance, options = {}, web3 = instance.constructor.web3) {
+    super();
+    this.instance = instance;
+    this.web3 = web3;
+    this.pollInterval = options.pollInterval || 1000;
+    this.clients = [];
+    // The first block whose events have not been processed yet.
+    this.nextBlock = null;
+    // The clients whose last action failed.
+    this.pending = new Set();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /***
+   * Adds a DisputeClient whose dispute should be watched. The client needs
+   * to have opened its dispute.
+   */
+  watch(client) {
+    this.clients.push(client);
+  }
+
+  /***
+   * Stops watching the dispute of the given client.
+   */
+  unwatch(client) {
+    this.clients = this.clients.filter(c => c !== client);
+    this.pending.delete(client);
+  }
+
+  /***
+   * Starts polling for new events and exceeded deadlines.
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), this.pollInterval);
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /***
+   * Processes the new events and checks the deadlines once. Never rejects,
+   * errors are emitted instead.
+   */
+  async poll() {
+    // Don't start a second round while the previous one is still running.
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      let latestBlock = await this.web3.eth.getBlock('latest');
+      let disputeIds = null;
+
+      // On the first round, every dispute is checked.
+      if (this.nextBlock !== null) {
+        let events = await this.instance.getPastEvents('allEvents', {
+          fromBlock: this.nextBlock,
+          toBlock: latestBlock.number
+        });
+        disputeIds = new Set(events.map(event => event.args.disputeId));
+      }
+      this.nextBlock = latestBlock.number + 1;
+
+      for (let client of this.clients) {
+        await this.check(client, latestBlock.timestamp, disputeIds);
+      }
+    } catch (error) {
+      this.emit('error', {account: null, action: 'poll', error});
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /***
+   * Reports the exceeded time limit of the other party or responds if there
+   * are new events for the dispute of the client or its last action failed.
+   * @param client The DisputeClient.
+   * @param timestamp The timestamp of the latest block.
+   * @param disputeIds The ids of the disputes with new events, null for all.
+   */
+  async check(client, timestamp, disputeIds) {
+    let retry = this.pending.delete(client);
+
+    try {
+      let disputeId = await client.getDisputeId();
+
+      if (await this.isOtherPartyLate(client, timestamp)) {
+        await this.execute(client, 'reportTimeout');
+
+      } else if (retry || disputeIds === null || disputeIds.has(disputeId)) {
+        await this.respond(client);
+      }
+    } catch (error) {
+      this.pending.add(client);
+      this.emit('error', {account: client.account, action: 'poll', error});
+    }
+  }
+
+  /***
+   * Makes the next required step of the client according to the status.
+   */
+  async respond(client) {
+    let status = await client.getStatus();
+
+    if (status == 3 && client.signature) {
+      await this.execute(client, 'init', client.signature);
+
+    } else if (status == 4 && await client.isOwnTurn()) {
+      await this.execute(client, 'respond');
+
+    } else if (status == 5) {
+      await this.execute(client, 'reveal');
+
+    } else if (status >= 6) {
+      await this.execute(client, 'settle');
+    }
+  }
+
+  /***
+   * Returns true if the deadline of the dispute has passed and reporting it
+   * does not convict the party of the client, i.e., the other party had to
+   * act or both had to.
+   * @param client The DisputeClient.
+   * @param timestamp The timestamp of the latest block.
+   */
+  async isOtherPartyLate(client, timestamp) {
+    let disputeId = await client.getDisputeId();
+    let status = await client.getStatus();
+
+    // There is no time limit for unregistered disputes, and status 7 only
+    // waits for determineGuiltier, which the watcher calls itself.
+    if (status == 0 || status == 7) {
+      return false;
+    }
+    if (timestamp <= (await this.instance.getDeadline(disputeId)).toNumber()) {
+      return false;
+    }
+
+    let ownPartyIndex = client.getOwnPartyIndex();
+
+    // Only one party has registered the dispute.
+    if (status == 1 || status == 2) {
+      return status - 1 == ownPartyIndex;
+    }
+
+    if (status == 4) {
+      let partyToSubmit = (await this.instance.partyToSubmit(disputeId))
+        .toNumber();
+      return partyToSubmit != ownPartyIndex;
+    }
+    return true;
+  }
+
+  async execute(client, action, ...args) {
+    try {
+      let result = await client[action](...args);
+      this.emit('action', {account: client.account, action, result});
+    } catch (error) {
+      this.pending.add(client);
+      this.emit('error', {account: client.account, action, error});
+    }
+  }
+}
+
+module.exports = {
+  DisputeWatcher
+}
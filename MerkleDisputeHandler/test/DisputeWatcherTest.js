@@ -0,0 +1,160 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const MerkleTree = require("./MerkleTree.js");
+const { DisputeClient } = require("./DisputeClient.js");
+const { DisputeWatcher } = require("./DisputeWatcher.js");
+const { ChainTime } = require("./ChainTime.js");
+
+
+function getClients(instance, accounts, numberLeaves) {
+  let testObj = MerkleTree.getTwoDifferentTrees(numberLeaves, true);
+
+  let honest = new DisputeClient(instance, accounts[0], {
+    merkleTree: testObj["merkleTree1"],
+    leafPreimages: testObj["leafPreimages"],
+    numberLeaves: numberLeaves
+  });
+  let cheater = new DisputeClient(instance, accounts[1], {
+    merkleTree: testObj["merkleTree2"],
+    leafPreimages: testObj["leafPreimages"],
+    numberLeaves: numberLeaves
+  });
+  return [honest, cheater];
+}
+
+
+contract("DisputeWatcher", async accounts => {
+
+  it("Responds automatically until the guiltier is determined", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honest, cheater] = getClients(instance, accounts, 64);
+    let watcher = new DisputeWatcher(instance);
+    let actions = [];
+
+    watcher.on('action', action => actions.push(action));
+    watcher.on('error', ({error}) => assert.fail(error.message));
+
+    await honest.open(accounts[1], {
+      signature: await cheater.getSignature(accounts[0])
+    });
+    await cheater.open(accounts[0]);
+    watcher.watch(honest);
+
+    // The watcher initializes the dispute, submits the hashes, reveals the
+    // preimage and determines the guiltier, while the cheater only submits.
+    while (!actions.some(action => action.action == 'settle')) {
+      await watcher.poll();
+      await cheater.respond();
+    }
+
+    assert.equal(actions[0].action, 'init');
+    assert.isTrue(actions.some(action => action.action == 'reveal'));
+    assert.equal(
+      actions[actions.length - 1].result,
+      cheater.getOwnPartyIndex()
+    );
+  });
+
+  it("Reports the exceeded time limit of the other party", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honest, cheater] = getClients(instance, accounts, 64);
+    let watcher = new DisputeWatcher(instance);
+    let actions = [];
+
+    watcher.on('action', action => actions.push(action));
+
+    await honest.open(accounts[1], {collateral: 10**15, timeLimit: 3600});
+    await cheater.open(accounts[0], {
+      collateral: 10**15,
+      timeLimit: 3600,
+      signature: await honest.getSignature(accounts[1])
+    });
+    watcher.watch(honest);
+
+    // The watcher submits the first hash, but the cheater does not respond.
+    await watcher.poll();
+    assert.equal(actions.length, 1);
+    assert.equal(actions[0].action, 'respond');
+
+    // Nothing is reported before the deadline.
+    let time = new ChainTime(web3);
+    let disputeId = await honest.getDisputeId();
+    await time.beforeDeadline(instance, disputeId);
+    await watcher.poll();
+    assert.equal(actions.length, 1);
+
+    await time.afterDeadline(instance, disputeId);
+    await watcher.poll();
+
+    assert.equal(actions[1].action, 'reportTimeout');
+    assert.equal(actions[1].result, cheater.getOwnPartyIndex());
+  });
+
+  it("Retries a failed action on the next poll", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honest, cheater] = getClients(instance, accounts, 64);
+    let watcher = new DisputeWatcher(instance);
+    let actions = [];
+    let errors = [];
+
+    watcher.on('action', action => actions.push(action));
+    watcher.on('error', error => errors.push(error));
+
+    await honest.open(accounts[1], {
+      signature: await cheater.getSignature(accounts[0])
+    });
+    await cheater.open(accounts[0]);
+    watcher.watch(honest);
+
+    // The first initialization fails, e.g., because the node is unreachable.
+    let init = honest.init;
+    honest.init = async () => {
+      honest.init = init;
+      throw new Error("The node is unreachable.");
+    };
+    await watcher.poll();
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].action, 'init');
+    assert.equal(actions.length, 0);
+
+    // There are no new events, but the initialization is retried.
+    await watcher.poll();
+
+    assert.equal(errors.length, 1);
+    assert.equal(actions[0].action, 'init');
+  });
+
+  it("Emits an error if a poll fails", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let failingWeb3 = {eth: {getBlock: async () => {
+      throw new Error("The node is unreachable.");
+    }}};
+    let watcher = new DisputeWatcher(instance, {}, failingWeb3);
+    let errors = [];
+
+    watcher.on('error', error => errors.push(error));
+    await watcher.poll();
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].action, 'poll');
+    assert.equal(errors[0].error.message, "The node is unreachable.");
+    assert.isNull(watcher.nextBlock);
+  });
+});
@@ -0,0 +1,106 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const ERC20Mock = artifacts.require("ERC20Mock");
+const Adversary = require("./Adversary.js");
+const { ChainTime } = require("./ChainTime.js");
+
+// The seed of the fuzzing run, a failing run can be repeated with
+// FUZZ_SEED=<seed> truffle test.
+const FUZZ_SEED = process.env.FUZZ_SEED !== undefined ?
+  Number(process.env.FUZZ_SEED) :
+  Math.floor(Math.random() * 2**32);
+// The number of random scenarios.
+const FUZZ_RUNS = Number(process.env.FUZZ_RUNS || 20);
+
+// The maximum allowance.
+const MAX_UINT = (2n**256n - 1n).toString();
+
+
+/***
+ * Deploys a token of which both parties own enough tokens for the given
+ * number of disputes and have approved the adjudicator.
+ */
+async function getToken(instance, accounts, numberDisputes) {
+  let token = await ERC20Mock.new(true);
+
+  for (let account of accounts) {
+    await token.mint(account, Adversary.COLLATERAL * numberDisputes);
+    await token.approve(instance.address, MAX_UINT, {from: account});
+  }
+  return token;
+}
+
+/***
+ * Checks that the honest party got both collaterals (or its own one back if
+ * the cheater never registered) and that the cheater lost its collateral.
+ * If the honest party stalled, too, both get their collateral back.
+ */
+function checkOutcome(outcome, scenario) {
+  let message = `FUZZ_SEED=${FUZZ_SEED}, scenario ${JSON.stringify(scenario)}`;
+  let gain = outcome.cheaterRegistered && !outcome.honestStalled ?
+    Adversary.COLLATERAL : 0;
+
+  assert.equal(outcome.honestGain, gain, message);
+  assert.equal(outcome.cheaterGain, -gain, message);
+}
+
+
+contract("Fuzzing", async accounts => {
+
+  let instance, token, time, sessionId = 0;
+
+  before(async () => {
+    instance = await ExampleAdjucator.deployed();
+    time = new ChainTime(web3);
+    let numberDisputes = FUZZ_RUNS + Object.keys(Adversary.STRATEGIES).length;
+    token = await getToken(instance, accounts.slice(0, 2), numberDisputes);
+  });
+
+  it("Convicts every scripted strategy", async () => {
+    let random = Adversary.createRandom(FUZZ_SEED);
+
+    for (let strategy of Object.keys(Adversary.STRATEGIES)) {
+      let scenario = Object.assign(
+        Adversary.randomScenario(Adversary.randomInt(random, 0, 2**32), 64),
+        {'strategy': strategy}
+      );
+      let outcome = await Adversary.playScenario(
+        instance, token, accounts, scenario, sessionId++,
+        seconds => time.increase(seconds)
+      );
+      checkOutcome(outcome, scenario);
+    }
+  });
+
+  it(`Never lets a cheater win (seed ${FUZZ_SEED})`, async () => {
+    // A different stream than the one of the scripted strategies.
+    let random = Adversary.createRandom(FUZZ_SEED ^ 0xFFFFFFFF);
+
+    for (let run = 0; run < FUZZ_RUNS; run++) {
+      let scenario = Adversary.randomScenario(
+        Adversary.randomInt(random, 0, 2**32)
+      );
+      let outcome = await Adversary.playScenario(
+        instance, token, accounts, scenario, sessionId++,
+        seconds => time.increase(seconds)
+      );
+      checkOutcome(outcome, scenario);
+    }
+  });
+});
@@ -0,0 +1,320 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require('fs');
+const path = require('path');
+const MerkleTree = require('./MerkleTree.js');
+
+
+/***
+ * A Merkle tree that is built by appending one leaf after another. Only the
+ * frontier, i.e., the roots of the complete subtrees on the right edge, is
+ * kept to compute the root. Any other node is read from a store or recomputed
+ * from the leaves on demand. The tree uses the same layout and padding as
+ * createMerkleTree, so getNode(i) equals createMerkleTree(leaves)[i].
+ */
+class IncrementalMerkleTree {
+
+  /***
+   * @param options.store The store for the nodes with the methods
+   * get(level, position) and set(level, position, hash), e.g., a
+   * MemoryNodeStore or a FileNodeStore. By default, only the frontier is
+   * kept, so nodes other than the root can only be recomputed with getLeaf.
+   * @param options.storeFromLevel Only the nodes with this level or above are
+   * saved in the store, starting at 0 for the leaves. Defaults to 0.
+   * @param options.getLeaf A function that returns the leaf hash for a given
+   * leaf index, used to recompute nodes that are not in the store.
+   * @param options.profile The hash profile used for the nodes, see
+   * MerkleTree.js.
+   */
+  constructor(options = {}) {
+    this.getLeaf = options.getLeaf;
+    this.profile = options.profile || MerkleTree.DEFAULT_PROFILE;
+    this.store = options.store || null;
+    this.storeFromLevel = options.storeFromLevel || 0;
+    this.numberLeaves = 0;
+    // frontier[l] is the root of the complete subtree with level l that
+    // still waits for its right sibling, or undefined.
+    this.frontier = [];
+    // zeroHashes[l] is the root of a subtree with level l that only contains
+    // padding leaves.
+    this.zeroHashes = [MerkleTree.PADDING_LEAF];
+  }
+
+  /***
+   * Appends a leaf and updates the frontier.
+   * @param leaf The hash of the leaf (should start with '0x..').
+   */
+  append(leaf) {
+    let node = leaf;
+    let position = this.numberLeaves;
+    let level = 0;
+
+    this.storeNode(level, position, node);
+
+    // Every complete left sibling on the frontier is merged with the new node.
+    while (this.frontier[level] !== undefined) {
+      node = MerkleTree.getParentHash(this.frontier[level], node, this.profile);
+      this.frontier[level] = undefined;
+      level++;
+      position = Math.floor(position / 2);
+      this.storeNode(level, position, node);
+    }
+
+    this.frontier[level] = node;
+    this.numberLeaves++;
+  }
+
+  /***
+   * Returns the height of the tree, starting at 1 for the root.
+   */
+  getHeight() {
+    return MerkleTree.getHeight(this.numberLeaves);
+  }
+
+  /***
+   * Returns the index of the root in the flat layout of createMerkleTree.
+   */
+  getRootIndex() {
+    return this.numberLeaves < 2 ? 0 : 2**this.getHeight() - 2;
+  }
+
+  /***
+   * Returns the root of the tree, whereas the leaves are padded with
+   * PADDING_LEAF up to the next power of 2.
+   */
+  getRoot() {
+    if (this.numberLeaves == 0) {
+      throw new Error("The tree does not contain any leaves.");
+    }
+
+    let height = this.getHeight();
+    // The root of the right part of the tree that is not complete yet.
+    let node;
+
+    for (let level = 0; level < height - 1; level++) {
+      if (this.frontier[level] !== undefined) {
+        node = MerkleTree.getParentHash(
+          this.frontier[level],
+          node === undefined ? this.getZeroHash(level) : node,
+          this.profile
+        );
+      } else if (node !== undefined) {
+        node = MerkleTree.getParentHash(
+          node, this.getZeroHash(level), this.profile
+        );
+      }
+    }
+
+    // If the number of leaves is a power of 2, the root is already complete.
+    return node === undefined ? this.frontier[height - 1] : node;
+  }
+
+  /***
+   * Returns the node with the given index in the flat layout of
+   * createMerkleTree, beginning with the leaves and ending with the root.
+   * @param index The index of the node in the Merkle tree.
+   */
+  getNode(index) {
+    let levelSize = this.numberLeaves < 2 ? this.numberLeaves :
+      2**(this.getHeight() - 1);
+    let level = 0;
+
+    while (index >= levelSize && levelSize > 1) {
+      index -= levelSize;
+      levelSize /= 2;
+      level++;
+    }
+
+    if (index < 0 || index >= levelSize) {
+      throw new Error("The index is out of range.");
+    }
+    return this.getSubtreeRoot(level, index);
+  }
+
+  /***
+   * Returns the Merkle proof for the leaf with the given index, see getProof
+   * in MerkleTree.js.
+   * @param leafIndex The index of the leaf.
+   */
+  getProof(leafIndex) {
+    let proof = [];
+    let position = leafIndex;
+
+    for (let level = 0; level < this.getHeight() - 1; level++) {
+      proof.push(this.getSubtreeRoot(
+        level,
+        position % 2 == 0 ? position + 1 : position - 1
+      ));
+      position = Math.floor(position / 2);
+    }
+    return proof;
+  }
+
+  /***
+   * Returns the root of the subtree with the given level and position, which
+   * is either taken from the store or recomputed from its children.
+   * @param level The level of the subtree, starting at 0 for the leaves.
+   * @param position The position of the subtree on its level.
+   */
+  getSubtreeRoot(level, position) {
+    // The subtree only contains padding leaves.
+    if (position * 2**level >= this.numberLeaves) {
+      return this.getZeroHash(level);
+    }
+
+    if (this.store && level >= this.storeFromLevel) {
+      let node = this.store.get(level, position);
+      if (node !== undefined) {
+        return node;
+      }
+    }
+
+    if (level == 0) {
+      if (!this.getLeaf) {
+        throw new Error(`The leaf ${position} can't be recomputed.`);
+      }
+      return this.getLeaf(position);
+    }
+
+    return MerkleTree.getParentHash(
+      this.getSubtreeRoot(level - 1, position * 2),
+      this.getSubtreeRoot(level - 1, position * 2 + 1),
+      this.profile
+    );
+  }
+
+  /***
+   * Returns the root of a subtree with the given level that only contains
+   * padding leaves.
+   * @param level The level of the subtree, starting at 0 for the leaves.
+   */
+  getZeroHash(level) {
+    while (this.zeroHashes.length <= level) {
+      let zeroHash = this.zeroHashes[this.zeroHashes.length - 1];
+      this.zeroHashes.push(
+        MerkleTree.getParentHash(zeroHash, zeroHash, this.profile)
+      );
+    }
+    return this.zeroHashes[level];
+  }
+
+  /***
+   * Saves the node in the store if its level should be stored.
+   */
+  storeNode(level, position, node) {
+    if (this.store && level >= this.storeFromLevel) {
+      this.store.set(level, position, node);
+    }
+  }
+}
+
+/***
+ * Keeps the nodes of an IncrementalMerkleTree in memory, which needs as much
+ * memory as createMerkleTree.
+ */
+class MemoryNodeStore {
+
+  constructor() {
+    this.levels = [];
+  }
+
+  get(level, position) {
+    return this.levels[level] ? this.levels[level][position] : undefined;
+  }
+
+  set(level, position, hash) {
+    if (!this.levels[level]) {
+      this.levels[level] = [];
+    }
+    this.levels[level][position] = hash;
+  }
+}
+
+/***
+ * Keeps the nodes of an IncrementalMerkleTree on disk with one file per level,
+ * in which every node takes 32 bytes at the offset position * 32.
+ */
+class FileNodeStore {
+
+  /***
+   * @param directory The directory for the files, which is created if it does
+   * not exist. It needs to be empty, since the nodes of an earlier tree would
+   * be mistaken for the nodes of the new tree.
+   * @param options.clear If true, the files of an earlier tree in the
+   * directory are deleted instead.
+   */
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.fileDescriptors = [];
+    fs.mkdirSync(directory, {recursive: true});
+
+    for (let file of fs.readdirSync(directory)) {
+      if (!options.clear) {
+        throw new Error(`The directory ${directory} is not empty.`);
+      }
+      if (/^level-\d+\.bin$/.test(file)) {
+        fs.unlinkSync(path.join(directory, file));
+      }
+    }
+  }
+
+  get(level, position) {
+    let buffer = Buffer.alloc(32);
+    let bytesRead = fs.readSync(
+      this.getFileDescriptor(level), buffer, 0, 32, position * 32
+    );
+
+    // A node that has not been written yet is read as zeros (or not at all).
+    if (bytesRead < 32 || buffer.equals(Buffer.alloc(32))) {
+      return undefined;
+    }
+    return '0x' + buffer.toString('hex');
+  }
+
+  set(level, position, hash) {
+    fs.writeSync(
+      this.getFileDescriptor(level),
+      Buffer.from(hash.substring(2), 'hex'),
+      0,
+      32,
+      position * 32
+    );
+  }
+
+  /***
+   * Closes all files of this store.
+   */
+  close() {
+    this.fileDescriptors.forEach(fd => fd !== undefined && fs.closeSync(fd));
+    this.fileDescriptors = [];
+  }
+
+  getFileDescriptor(level) {
+    if (this.fileDescriptors[level] === undefined) {
+      let file = path.join(this.directory, `level-${level}.bin`);
+      this.fileDescriptors[level] = fs.openSync(file, 'w+');
+    }
+    return this.fileDescriptors[level];
+  }
+}
+
+module.exports = {
+  IncrementalMerkleTree,
+  MemoryNodeStore,
+  FileNodeStore
+}
@@ -0,0 +1,129 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MerkleTree = require("./MerkleTree.js");
+const {
+  IncrementalMerkleTree,
+  MemoryNodeStore,
+  FileNodeStore
+} = require("./IncrementalMerkleTree.js");
+
+
+function getLeaves(numberLeaves) {
+  let leaves = [];
+  for (let i = 0; i < numberLeaves; i++) {
+    leaves.push(web3.utils.sha3(web3.utils.randomHex(32)));
+  }
+  return leaves;
+}
+
+function buildTree(leaves, options) {
+  let tree = new IncrementalMerkleTree(options);
+  leaves.forEach(leaf => tree.append(leaf));
+  return tree;
+}
+
+
+contract("IncrementalMerkleTree", async accounts => {
+
+  it("Computes the same root and nodes as createMerkleTree", async () => {
+    for (let size of [1, 2, 3, 5, 8, 1000, 2049]) {
+      let leaves = getLeaves(size);
+      let merkleTree = MerkleTree.createMerkleTree(leaves);
+      let tree = buildTree(leaves, {store: new MemoryNodeStore()});
+
+      assert.equal(tree.getRootIndex(), merkleTree.length - 1);
+      assert.equal(tree.getRoot(), merkleTree[merkleTree.length - 1]);
+
+      for (let i = 0; i < merkleTree.length; i++) {
+        assert.equal(tree.getNode(i), merkleTree[i], `Node ${i} of ${size}.`);
+      }
+    }
+  });
+
+  it("Only keeps the frontier by default", async () => {
+    let leaves = getLeaves(1000);
+    let merkleTree = MerkleTree.createMerkleTree(leaves);
+    let tree = buildTree(leaves);
+
+    assert.isNull(tree.store);
+    assert.isAtMost(tree.frontier.length, tree.getHeight());
+    assert.equal(tree.getRoot(), merkleTree[merkleTree.length - 1]);
+    assert.throws(() => tree.getNode(0), /can't be recomputed/);
+  });
+
+  it("Recomputes the nodes that are not stored", async () => {
+    let leaves = getLeaves(1000);
+    let merkleTree = MerkleTree.createMerkleTree(leaves);
+
+    // Only the nodes with level 4 or above are kept, the rest is recomputed
+    // from the leaves.
+    let tree = buildTree(leaves, {
+      getLeaf: (index) => leaves[index],
+      storeFromLevel: 4
+    });
+
+    for (let i = 0; i < merkleTree.length; i += 7) {
+      assert.equal(tree.getNode(i), merkleTree[i]);
+    }
+
+    assert.deepEqual(tree.getProof(777), MerkleTree.getProof(merkleTree, 777));
+  });
+
+  it("Stores the nodes on disk", async () => {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'merkle-'));
+    let leaves = getLeaves(300);
+    let merkleTree = MerkleTree.createMerkleTree(leaves);
+    let store = new FileNodeStore(directory);
+    let tree = buildTree(leaves, {store: store});
+
+    for (let i = 0; i < merkleTree.length; i++) {
+      assert.equal(tree.getNode(i), merkleTree[i]);
+    }
+
+    store.close();
+    fs.rmSync(directory, {recursive: true});
+  });
+
+  it("Does not reuse the nodes of an earlier tree on disk", async () => {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'merkle-'));
+    let store = new FileNodeStore(directory);
+    buildTree(getLeaves(300), {store: store});
+    store.close();
+
+    assert.throws(() => new FileNodeStore(directory), /is not empty/);
+
+    // The second tree is smaller, so stale nodes would remain at its end.
+    let leaves = getLeaves(100);
+    let merkleTree = MerkleTree.createMerkleTree(leaves);
+    store = new FileNodeStore(directory, {clear: true});
+    let tree = buildTree(leaves, {
+      store: store,
+      getLeaf: (index) => leaves[index]
+    });
+
+    for (let i = 0; i < merkleTree.length; i++) {
+      assert.equal(tree.getNode(i), merkleTree[i]);
+    }
+
+    store.close();
+    fs.rmSync(directory, {recursive: true});
+  });
+});
@@ -0,0 +1,231 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const MerkleTree = require("./MerkleTree.js");
+const { DisputeClient, SubmissionError } = require("./DisputeClient.js");
+
+// The number of leaves of the benchmark, a power of all compared arities.
+const NUMBER_LEAVES = 4096;
+const ARITIES = [2, 4, 8, 16];
+
+
+/***
+ * Returns a client for each of the two parties with k-ary trees, whereas the
+ * second party miscalculated a leaf.
+ */
+function getClients(instance, account1, account2, numberLeaves, arity) {
+  let testObj = MerkleTree.getTwoDifferentTrees(
+    numberLeaves,
+    false,
+    MerkleTree.DEFAULT_PROFILE,
+    arity
+  );
+
+  return [
+    new DisputeClient(instance, account1, {
+      merkleTree: testObj["merkleTree1"],
+      leafPreimages: testObj["leafPreimages"],
+      numberLeaves: numberLeaves,
+      arity: arity
+    }),
+    new DisputeClient(instance, account2, {
+      merkleTree: testObj["merkleTree2"],
+      leafPreimages: testObj["leafPreimages"],
+      numberLeaves: numberLeaves,
+      arity: arity
+    })
+  ];
+}
+
+/***
+ * Plays the dispute between the honest party and the cheater in the given
+ * session.
+ * @returns A map with the number of rounds, the gas used by both parties and
+ * the index of the guilty party.
+ */
+async function playDispute(honest, cheater, sessionId) {
+  let gas = 0;
+  let rounds = 0;
+
+  gas += (await honest.open(cheater.account, {sessionId: sessionId}))
+    .receipt.gasUsed;
+  gas += (await cheater.open(honest.account, {sessionId: sessionId}))
+    .receipt.gasUsed;
+  gas += (await honest.init(await cheater.getSignature())).receipt.gasUsed;
+
+  while (await honest.getStatus() == 4) {
+    gas += (await honest.respond()).receipt.gasUsed;
+    gas += (await cheater.respond()).receipt.gasUsed;
+    rounds++;
+  }
+
+  let reveal = await honest.reveal();
+  if (reveal) {
+    gas += reveal.receipt.gasUsed;
+  }
+
+  let result = await honest.instance.determineGuiltier(
+    cheater.account,
+    sessionId,
+    {from: honest.account}
+  );
+  gas += result.receipt.gasUsed;
+
+  return {
+    'rounds': rounds,
+    'gas': gas,
+    'guiltyParty': result.logs[0].args['partyIndex'].toNumber()
+  }
+}
+
+
+contract("KaryBisection", async accounts => {
+
+  it("Builds k-ary trees and proofs off-chain", async () => {
+    for (let arity of ARITIES) {
+      for (let numberLeaves of [2, 5, 17, 64]) {
+        let leaves = [];
+        for (let i = 0; i < numberLeaves; i++) {
+          leaves.push(web3.utils.sha3(web3.utils.randomHex(32)));
+        }
+        let merkleTree = MerkleTree.createMerkleTree(
+          leaves,
+          MerkleTree.DEFAULT_PROFILE,
+          arity
+        );
+        let height = MerkleTree.getHeight(numberLeaves, arity);
+        let root = merkleTree[merkleTree.length - 1];
+
+        assert.equal(
+          merkleTree.length,
+          (arity**height - 1) / (arity - 1)
+        );
+
+        for (let leafIndex of [0, numberLeaves - 1]) {
+          let proof = MerkleTree.getProof(merkleTree, leafIndex, arity);
+
+          assert.equal(proof.length, (arity - 1) * (height - 1));
+          assert.isTrue(MerkleTree.verifyProof(
+            leaves[leafIndex],
+            proof,
+            root,
+            leafIndex,
+            MerkleTree.DEFAULT_PROFILE,
+            arity
+          ));
+          assert.isFalse(MerkleTree.verifyProof(
+            leaves[leafIndex],
+            proof,
+            root,
+            leafIndex + 1,
+            MerkleTree.DEFAULT_PROFILE,
+            arity
+          ));
+        }
+      }
+    }
+  });
+
+  it("Rejects a submission in the wrong mode", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honest, cheater] = getClients(instance, accounts[2], accounts[3], 64,
+      4);
+
+    await honest.open(accounts[3]);
+    await cheater.open(accounts[2]);
+    await honest.init(await cheater.getSignature());
+
+    let disputeId = await honest.getDisputeId();
+    let index = (await instance.getIndexToSubmit(disputeId)).toNumber();
+
+    try {
+      await honest.call(
+        instance.submitHash,
+        accounts[3],
+        honest.sessionId,
+        honest.merkleTree[index],
+        index,
+        {from: accounts[2]}
+      );
+      assert.fail("The submission should have been rejected.");
+    } catch (error) {
+      assert.instanceOf(error, SubmissionError);
+    }
+
+    // Only all children together are accepted.
+    await honest.respond();
+    await cheater.respond();
+    assert.equal(await honest.getStatus(), 4);
+  });
+
+  it("Reports children that contradict the parent of the other party",
+    async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honest, cheater] = getClients(instance, accounts[2], accounts[3], 64,
+      4);
+    // The cheater has the same children of the root, but a different root.
+    cheater.merkleTree = honest.merkleTree.slice();
+    cheater.merkleTree[cheater.rootIndex] = web3.utils.randomHex(32);
+
+    await honest.open(accounts[3], {sessionId: 1});
+    await cheater.open(accounts[2], {sessionId: 1});
+    await honest.init(await cheater.getSignature());
+
+    await cheater.respond();
+    let result = await honest.respond();
+
+    let log = result.logs.find(log => log.event == 'DetermindedGuiltier');
+    assert.equal(log.args.partyIndex.toNumber(), cheater.getOwnPartyIndex());
+    assert.equal(await honest.getStatus(), 0);
+  });
+
+  it("Needs fewer rounds with a higher arity", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let results = [];
+
+    for (let [i, arity] of ARITIES.entries()) {
+      let [honest, cheater] = getClients(
+        instance,
+        accounts[4],
+        accounts[5],
+        NUMBER_LEAVES,
+        arity
+      );
+
+      // Every arity is played in its own session.
+      let result = await playDispute(honest, cheater, arity);
+      let height = MerkleTree.getHeight(NUMBER_LEAVES, arity);
+
+      assert.equal(result.guiltyParty, cheater.getOwnPartyIndex());
+      // The k-ary mode narrows down one level per round, while the binary
+      // mode may need an additional round for the sibling of a leaf.
+      if (arity > 2) {
+        assert.equal(result.rounds, height - 1);
+      } else {
+        assert.isAtLeast(result.rounds, height - 1);
+      }
+      if (i > 0) {
+        assert.isBelow(result.rounds, results[i-1].rounds);
+      }
+
+      results.push(result);
+      console.log(`    k = ${arity}: ${result.rounds} rounds, ` +
+        `${result.gas} gas for ${NUMBER_LEAVES} leaves.`);
+    }
+  });
+});
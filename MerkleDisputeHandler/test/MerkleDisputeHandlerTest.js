@@ -17,20 +17,27 @@
 
 const ExampleAdjucator = artifacts.require("ExampleAdjucator");
 const MerkleTree = require("./MerkleTree.js");
+const TypedSignature = require("./TypedSignature.js");
+const { ChainTime } = require("./ChainTime.js");
+const { replaceNode } = require("./Adversary.js");
+
+// The session of the disputes in this test.
+const SESSION_ID = 0;
 
 let numberLeaves, height, rootIndex, testObj, leafPreimages, merkleTree1,
-  merkleTree2, deviatingIndex, nonce1, nonce2;
+  merkleTree2, deviatingIndex, nonce1, nonce2, hashProfile;
 
 
-function initMerkleTree(_numberLeaves) {
+function initMerkleTree(_numberLeaves, profile = MerkleTree.DEFAULT_PROFILE) {
   numberLeaves = _numberLeaves;
-  height = Math.log(numberLeaves) / Math.log(2) + 1;
+  hashProfile = profile;
+  height = MerkleTree.getHeight(numberLeaves);
   rootIndex = 2**height - 2;
 
   // The Merkle Dispute Handler finds the deviating leaf regardless of whether
   // only one the deviating leaf is different (onlySingleDiffLeaf = true) or
   // every leaf after this one (onlySingleDiffLeaf = false).
-  testObj = MerkleTree.getTwoDifferentTrees(numberLeaves, true);
+  testObj = MerkleTree.getTwoDifferentTrees(numberLeaves, true, profile);
 
   leafPreimages = testObj["leafPreimages"];
   merkleTree1 = testObj["merkleTree1"];
@@ -44,22 +51,198 @@ function initMerkleTree(_numberLeaves) {
   }
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => {
-    setTimeout(resolve, ms);
-  });
+/***
+ * Returns the EIP-712 signature of account on the initialization of its
+ * dispute with otherParty for the given tree with numberLeaves leaves.
+ */
+async function signInitialization(instance, merkleTree, account, otherParty) {
+  let typedData = TypedSignature.getTypedData(
+    instance.address,
+    await web3.eth.getChainId(),
+    {
+      'disputeId': await instance.getDisputeId(
+        otherParty,
+        SESSION_ID,
+        {from: account}
+      ),
+      'arity': 2,
+      'height': height,
+      'numberLeaves': numberLeaves,
+      'firstLeafHash': merkleTree[0],
+      'root': merkleTree[rootIndex],
+      'profile': hashProfile
+    }
+  );
+  return TypedSignature.signTypedData(web3, account, typedData);
 }
 
-async function sign(message, account) {
-  var sig = await web3.eth.sign(message, account);
-  // web3.eth.sign returns the v value in an older format, we need to add 27.
-  var v = sig.substring(sig.length -2);
-  v = parseInt(v, 16);
-  v += 27;
-  v = v.toString(16);
-  v = v.substring(v.length -2, v.length);
-  sig = sig.substring(0, sig.length -2) + v;
-  return sig;
+/***
+ * Lets the owner set the hash profile for new disputes.
+ */
+function changeHashProfile(instance, profile, owner) {
+  return instance.changeHashProfile(
+    MerkleTree.HASH_FUNCTIONS.indexOf(profile.hashFunction),
+    profile.sortPairs,
+    profile.leafPrefix,
+    profile.nodePrefix,
+    {from: owner}
+  );
+}
+
+/***
+ * Plays a complete dispute between accounts[0] with merkleTree1 and
+ * accounts[1] with merkleTree2 until the guiltier is determined.
+ * @param afterRegistration Called after both parties have registered.
+ * @returns The result of the determineGuiltier transaction.
+ */
+async function runDispute(instance, accounts, afterRegistration = () => {}) {
+  let collateral = await instance.defaultCollateral();
+
+  await instance.registerDispute(
+    accounts[1],
+    SESSION_ID,
+    {from: accounts[0], value: collateral}
+  );
+  await instance.registerDispute(
+    accounts[0],
+    SESSION_ID,
+    {from: accounts[1], value: collateral}
+  );
+  await afterRegistration();
+
+  let disputeId = await instance.getDisputeId(
+    accounts[1], SESSION_ID, {from: accounts[0]}
+  );
+
+  let otherPartySig = await signInitialization(
+    instance, merkleTree2, accounts[1], accounts[0]
+  );
+
+  await instance.initDispute(
+    accounts[1],
+    SESSION_ID,
+    numberLeaves,
+    merkleTree1[0],
+    merkleTree1[rootIndex],
+    merkleTree2[rootIndex],
+    otherPartySig,
+    {from: accounts[0]}
+  );
+
+  while (!(await instance.leafIsFound(disputeId))) {
+    let indexToSubmit = (await instance.getIndexToSubmit(disputeId)).toNumber();
+
+    await instance.submitHash(
+      accounts[1],
+      SESSION_ID,
+      merkleTree1[indexToSubmit],
+      indexToSubmit,
+      {from: accounts[0]}
+    );
+    await instance.submitHash(
+      accounts[0],
+      SESSION_ID,
+      merkleTree2[indexToSubmit],
+      indexToSubmit,
+      {from: accounts[1]}
+    );
+  }
+
+  // The preimage is not required if the deviating leaf is the first leaf or
+  // a padding leaf.
+  if ((await instance.getDisputeStatus(disputeId)).toNumber() == 5) {
+    let revealIndex = (await instance.getIndexToSubmit(disputeId)).toNumber();
+    let mpIndexes = await instance.getMerkleProofIndexes(disputeId);
+
+    await instance.revealPreimage(
+      accounts[1],
+      SESSION_ID,
+      leafPreimages[revealIndex],
+      MerkleTree.getProof(merkleTree1, revealIndex).slice(0, mpIndexes.length),
+      {from: accounts[0]}
+    );
+  }
+
+  return instance.determineGuiltier(
+    accounts[1],
+    SESSION_ID,
+    {from: accounts[0]}
+  );
+}
+
+/***
+ * Asserts that the given transaction reverts with the given reason.
+ */
+async function assertRevert(transaction, reason) {
+  try {
+    await transaction;
+    assert.fail("The transaction should have been reverted.");
+  } catch (error) {
+    assert.include(error.message, reason);
+  }
+}
+
+/***
+ * Registers a dispute between honestParty with merkleTree1 and cheater with
+ * cheaterTree and plays it with submitHash until the second leaf of the
+ * last pair is to be submitted, where the parties agree on every node.
+ * @param cheaterFirst If true, the cheater submits first in every round.
+ * @returns The id of the dispute.
+ */
+async function playUntilLastLeaf(
+  instance,
+  honestParty,
+  cheater,
+  cheaterTree,
+  cheaterFirst)
+{
+  let collateral = await instance.defaultCollateral();
+  await instance.registerDispute(
+    cheater,
+    SESSION_ID,
+    {from: honestParty, value: collateral}
+  );
+  await instance.registerDispute(
+    honestParty,
+    SESSION_ID,
+    {from: cheater, value: collateral}
+  );
+  await instance.initDispute(
+    cheater,
+    SESSION_ID,
+    numberLeaves,
+    merkleTree1[0],
+    merkleTree1[rootIndex],
+    cheaterTree[rootIndex],
+    await signInitialization(instance, cheaterTree, cheater, honestParty),
+    {from: honestParty}
+  );
+
+  let disputeId = await instance.getDisputeId(
+    cheater, SESSION_ID, {from: honestParty}
+  );
+  let submissions = [
+    [honestParty, cheater, merkleTree1],
+    [cheater, honestParty, cheaterTree]
+  ];
+  if (cheaterFirst) {
+    submissions.reverse();
+  }
+
+  let indexToSubmit = (await instance.getIndexToSubmit(disputeId)).toNumber();
+  while (indexToSubmit != numberLeaves - 1) {
+    for (let [party, otherParty, tree] of submissions) {
+      await instance.submitHash(
+        otherParty,
+        SESSION_ID,
+        tree[indexToSubmit],
+        indexToSubmit,
+        {from: party}
+      );
+    }
+    indexToSubmit = (await instance.getIndexToSubmit(disputeId)).toNumber();
+  }
+  return disputeId;
 }
 
 
@@ -77,6 +260,7 @@ contract("MerkleDisputeHandler", async accounts => {
 
     let result = await instance.registerDispute(
       accounts[1],
+      SESSION_ID,
       {from: accounts[0], value: collateral}
     );
 
@@ -84,26 +268,28 @@ contract("MerkleDisputeHandler", async accounts => {
 
     result = await instance.registerDispute(
       accounts[0],
+      SESSION_ID,
       {from: accounts[1], value: collateral}
     );
 
     gasUsed += result.receipt.gasUsed;
 
     let disputeId = await instance.getDisputeId(
-      accounts[1], {from: accounts[0]}
+      accounts[1], SESSION_ID, {from: accounts[0]}
     );
 
-    let firstLeafSig = await sign(merkleTree2[0], accounts[1]);
-    let rootOtherPartySig = await sign(merkleTree2[rootIndex], accounts[1]);
+    let otherPartySig = await signInitialization(
+      instance, merkleTree2, accounts[1], accounts[0]
+    );
 
     result = await instance.initDispute(
       accounts[1],
-      height,
+      SESSION_ID,
+      numberLeaves,
       merkleTree1[0], // The first leaf is equal for both parties.
       merkleTree1[rootIndex],
       merkleTree2[rootIndex],
-      firstLeafSig,
-      rootOtherPartySig,
+      otherPartySig,
       {from: accounts[0]}
     );
 
@@ -118,6 +304,7 @@ contract("MerkleDisputeHandler", async accounts => {
 
       result = await instance.submitHash(
         accounts[1],
+        SESSION_ID,
         merkleTree1[indexToSubmit],
         indexToSubmit,
         {from: accounts[0]}
@@ -127,6 +314,7 @@ contract("MerkleDisputeHandler", async accounts => {
 
       result = await instance.submitHash(
         accounts[0],
+        SESSION_ID,
         merkleTree2[indexToSubmit],
         indexToSubmit,
         {from: accounts[1]}
@@ -145,7 +333,7 @@ contract("MerkleDisputeHandler", async accounts => {
     let instance = await ExampleAdjucator.deployed();
 
     let disputeId = await instance.getDisputeId(
-      accounts[1], {from: accounts[0]}
+      accounts[1], SESSION_ID, {from: accounts[0]}
     );
 
     let revealIndex = (await instance.getIndexToSubmit(disputeId)).toNumber();
@@ -160,9 +348,20 @@ contract("MerkleDisputeHandler", async accounts => {
 
     mpIndexes.forEach((mpIndex) => merkleProof.push(merkleTree1[mpIndex]));
 
+    // The proof generated off-chain has to contain the same hashes.
+    let offChainProof = MerkleTree.getProof(merkleTree1, revealIndex)
+      .slice(0, merkleProof.length);
+    assert.deepEqual(offChainProof, merkleProof);
+    assert.isTrue(MerkleTree.verifyProof(
+      merkleTree1[revealIndex],
+      MerkleTree.getProof(merkleTree1, revealIndex),
+      merkleTree1[rootIndex],
+      revealIndex
+    ));
 
     let result = await instance.revealPreimage(
       accounts[1],
+      SESSION_ID,
       leafPreimages[revealIndex],
       merkleProof,
       {from: accounts[0]}
@@ -172,6 +371,7 @@ contract("MerkleDisputeHandler", async accounts => {
 
     result = await instance.determineGuiltier(
       accounts[1],
+      SESSION_ID,
       {from: accounts[0]}
     );
 
@@ -230,28 +430,31 @@ contract("MerkleDisputeHandler", async accounts => {
 
     await instance.registerDispute(
       accounts[1],
+      SESSION_ID,
       {from: accounts[0], value: collateral}
     );
     await instance.registerDispute(
       accounts[0],
+      SESSION_ID,
       {from: accounts[1], value: collateral}
     );
 
     let disputeId = await instance.getDisputeId(
-      accounts[1], {from: accounts[0]}
+      accounts[1], SESSION_ID, {from: accounts[0]}
     );
 
-    let firstLeafSig = await sign(merkleTree2[0], accounts[1]);
-    let rootOtherPartySig = await sign(merkleTree2[rootIndex], accounts[1]);
+    let otherPartySig = await signInitialization(
+      instance, merkleTree2, accounts[1], accounts[0]
+    );
 
     await instance.initDispute(
       accounts[1],
-      height,
+      SESSION_ID,
+      numberLeaves,
       merkleTree1[0],
       merkleTree1[rootIndex],
       merkleTree2[rootIndex],
-      firstLeafSig,
-      rootOtherPartySig,
+      otherPartySig,
       {from: accounts[0]}
     );
 
@@ -269,6 +472,7 @@ contract("MerkleDisputeHandler", async accounts => {
 
       await instance.submitHash(
         accounts[1],
+        SESSION_ID,
         merkleTree1[indexToSubmit],
         indexToSubmit,
         {from: accounts[0]}
@@ -276,6 +480,7 @@ contract("MerkleDisputeHandler", async accounts => {
 
       await instance.submitHash(
         accounts[0],
+        SESSION_ID,
         merkleTree2[indexToSubmit],
         indexToSubmit,
         {from: accounts[1]}
@@ -284,6 +489,7 @@ contract("MerkleDisputeHandler", async accounts => {
 
     let result = await instance.determineGuiltier(
       accounts[1],
+      SESSION_ID,
       {from: accounts[0]}
     );
 
@@ -297,62 +503,355 @@ contract("MerkleDisputeHandler", async accounts => {
     );
   });
 
+  // Like above, but no one calls determineGuiltier after the deviating first
+  // leaf has been found (status 7), so both parties get their collateral back.
+  it("Refunds both parties if no one settles a different first leaf", async () => {
+    let instance = await ExampleAdjucator.deployed();
+
+    initMerkleTree(8);
+
+    let customCollateral = 10**15;
+    let customTimeLimit = 3600;
+
+    for (let [party, otherParty] of [[4, 5], [5, 4]]) {
+      await instance.methods['registerDispute(address,uint256,uint256,uint256)'](
+        accounts[otherParty],
+        SESSION_ID,
+        customCollateral.toString(),
+        customTimeLimit,
+        {from: accounts[party], value: customCollateral}
+      );
+    }
+
+    let disputeId = await instance.getDisputeId(
+      accounts[5], SESSION_ID, {from: accounts[4]}
+    );
+
+    let otherPartySig = await signInitialization(
+      instance, merkleTree2, accounts[5], accounts[4]
+    );
+
+    await instance.initDispute(
+      accounts[5],
+      SESSION_ID,
+      numberLeaves,
+      merkleTree1[0],
+      merkleTree1[rootIndex],
+      merkleTree2[rootIndex],
+      otherPartySig,
+      {from: accounts[4]}
+    );
+
+    // accounts[5] uses a different first leaf.
+    merkleTree2 = MerkleTree.getTwoDifferentTrees(8, false)['merkleTree2'];
+
+    while (!(await instance.leafIsFound(disputeId))) {
+      let indexToSubmit = (await instance.getIndexToSubmit(disputeId)).toNumber();
+
+      await instance.submitHash(accounts[5], SESSION_ID, merkleTree1[indexToSubmit], indexToSubmit, {from: accounts[4]});
+      await instance.submitHash(accounts[4], SESSION_ID, merkleTree2[indexToSubmit], indexToSubmit, {from: accounts[5]});
+    }
+    assert.equal((await instance.getDisputeStatus(disputeId)).toNumber(), 7);
+
+    // accounts[5] submitted last, but the verdict is open to both parties.
+    await new ChainTime(web3).afterDeadline(instance, disputeId);
+    let result = await instance.reportExceededTimeLimit(accounts[5], SESSION_ID, {from: accounts[4]});
+
+    assert.equal(result.logs[0].args['partyIndex'].toNumber(), 2);
+    assert.equal((await instance.getDisputeStatus(disputeId)).toNumber(), 0);
+  });
+
+  it("Determines the guilty party for a number of leaves that isn't a power of 2", async () => {
+    let instance = await ExampleAdjucator.deployed();
+
+    for (let size of [3, 5, 1000, 2049]) {
+      initMerkleTree(size);
+
+      let result = await runDispute(instance, accounts);
+
+      let guiltyPartyIndex = accounts[0] < accounts[1] ? 1 : 0;
+
+      assert.equal(
+        result.logs[0].args['partyIndex'].toNumber(),
+        guiltyPartyIndex,
+        `Wrong guiltier for ${size} leaves.`
+      );
+    }
+  });
+
+  // In this test, a party cheats by using a leaf after the agreed number of
+  // leaves that differs from the padding leaf.
+  it("Determines a cheating party that does not use the padding leaf", async () => {
+    let instance = await ExampleAdjucator.deployed();
+
+    initMerkleTree(5);
+
+    // The second party agrees on the leaves but appends one more step.
+    let leaves = merkleTree1.slice(0, numberLeaves);
+    leaves.push(web3.utils.sha3(MerkleTree.getNextState(
+      leafPreimages[numberLeaves-1]
+    )));
+    merkleTree2 = MerkleTree.createMerkleTree(leaves);
+
+    let disputeId = await instance.getDisputeId(
+      accounts[1], SESSION_ID, {from: accounts[0]}
+    );
+    let result = await runDispute(instance, accounts);
+
+    let guiltyPartyIndex = accounts[0] < accounts[1] ? 1 : 0;
+
+    assert.equal(
+      result.logs[0].args['partyIndex'].toNumber(),
+      guiltyPartyIndex
+    );
+    assert.equal(
+      (await instance.getDisputeStatus(disputeId)).toNumber(),
+      0
+    );
+  });
+
+  it("Determines the guilty party with different hash profiles", async () => {
+    let instance = await ExampleAdjucator.deployed();
+
+    let profiles = [
+      MerkleTree.HASH_PROFILES.SHA256,
+      MerkleTree.HASH_PROFILES.SORTED_KECCAK256,
+      MerkleTree.HASH_PROFILES.PREFIXED_KECCAK256,
+      MerkleTree.HASH_PROFILES.PREFIXED_SHA256,
+      MerkleTree.DEFAULT_PROFILE
+    ];
+
+    for (let profile of profiles) {
+      await changeHashProfile(instance, profile, accounts[0]);
+
+      initMerkleTree(13, profile);
+
+      let result = await runDispute(instance, accounts);
+
+      let guiltyPartyIndex = accounts[0] < accounts[1] ? 1 : 0;
+
+      assert.equal(
+        result.logs[0].args['partyIndex'].toNumber(),
+        guiltyPartyIndex
+      );
+    }
+  });
+
+  it("Keeps the hash profile of a running dispute", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let profile = MerkleTree.HASH_PROFILES.PREFIXED_SHA256;
+
+    await changeHashProfile(instance, profile, accounts[0]);
+    initMerkleTree(13, profile);
+
+    // The owner changes the profile of new disputes while the dispute runs.
+    let result = await runDispute(instance, accounts, () =>
+      changeHashProfile(instance, MerkleTree.DEFAULT_PROFILE, accounts[0])
+    );
+
+    assert.equal(
+      result.logs[0].args['partyIndex'].toNumber(),
+      accounts[0] < accounts[1] ? 1 : 0
+    );
+  });
+
+  it("Rejects a signature on a different hash profile", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let collateral = await instance.defaultCollateral();
+
+    await changeHashProfile(
+      instance, MerkleTree.HASH_PROFILES.SORTED_KECCAK256, accounts[0]
+    );
+    await instance.registerDispute(
+      accounts[5], SESSION_ID, {from: accounts[4], value: collateral}
+    );
+    await instance.registerDispute(
+      accounts[4], SESSION_ID, {from: accounts[5], value: collateral}
+    );
+    await changeHashProfile(instance, MerkleTree.DEFAULT_PROFILE, accounts[0]);
+
+    // The other party signs the current profile instead of the one of the
+    // dispute.
+    initMerkleTree(13);
+    let otherPartySig = await signInitialization(
+      instance, merkleTree2, accounts[5], accounts[4]
+    );
+
+    try {
+      await instance.initDispute(
+        accounts[5],
+        SESSION_ID,
+        numberLeaves,
+        merkleTree1[0],
+        merkleTree1[rootIndex],
+        merkleTree2[rootIndex],
+        otherPartySig,
+        {from: accounts[4]}
+      );
+      assert.fail("The initialization should have been rejected.");
+    } catch (error) {
+      assert.include(error.message, "The signature from the other party");
+    }
+  });
+
   it("The non-responding party is convicted", async () => {
     let instance = await ExampleAdjucator.deployed();
 
     initMerkleTree(32);
 
     let customCollateral = 23*10**15;
-    let customTimeLimit = 3;
+    let customTimeLimit = 3600;
 
     // We have to specify the function ABI because Truffle does not detect
     // overloading automatically.
-    await instance.methods['registerDispute(address,uint256,uint256)'](
+    await instance.methods['registerDispute(address,uint256,uint256,uint256)'](
       accounts[3],
+      SESSION_ID,
       customCollateral.toString(),
       customTimeLimit,
       {from: accounts[2], value: customCollateral}
     );
 
-    await instance.methods['registerDispute(address,uint256,uint256)'](
+    await instance.methods['registerDispute(address,uint256,uint256,uint256)'](
       accounts[2],
+      SESSION_ID,
       customCollateral.toString(),
       customTimeLimit,
       {from: accounts[3], value: customCollateral}
     );
 
-    let disputeId = await instance.getDisputeId(accounts[3], {from: accounts[2]});
+    let disputeId = await instance.getDisputeId(accounts[3], SESSION_ID, {from: accounts[2]});
 
     collateral = await instance.getCollateral(disputeId);
 
     // Check if the custom collateral is applied.
     assert.equal(collateral.toString(), customCollateral.toString());
 
-    let firstLeafSig = await sign(merkleTree2[0], accounts[3]);
-    let rootOtherPartySig = await sign(merkleTree2[rootIndex], accounts[3]);
+    let otherPartySig = await signInitialization(
+      instance, merkleTree2, accounts[3], accounts[2]
+    );
 
     await instance.initDispute(
       accounts[3],
-      height,
+      SESSION_ID,
+      numberLeaves,
       merkleTree1[0], // The first leaf is equal for both parties.
       merkleTree1[rootIndex],
       merkleTree2[rootIndex],
-      firstLeafSig,
-      rootOtherPartySig,
+      otherPartySig,
       {from: accounts[2]}
     );
 
     let indexToSubmit = (await instance.getIndexToSubmit(disputeId)).toNumber();
 
     // Only accounts[3] submits the next required node.
-    await instance.submitHash(accounts[2], merkleTree2[indexToSubmit], indexToSubmit, {from: accounts[3]});
+    await instance.submitHash(accounts[2], SESSION_ID, merkleTree2[indexToSubmit], indexToSubmit, {from: accounts[3]});
 
-    // Wait until the timeLimit is exceeded..
-    await sleep((customTimeLimit + 1) * 1000);
-    let result = await instance.reportExceededTimeLimit(accounts[2], {from: accounts[3]});
+    // Let the timeLimit pass on the chain.
+    await new ChainTime(web3).afterDeadline(instance, disputeId);
+    let result = await instance.reportExceededTimeLimit(accounts[2], SESSION_ID, {from: accounts[3]});
 
     let guiltyPartyIndex = accounts[2] < accounts[3] ? 0 : 1;
 
     assert.equal(guiltyPartyIndex, result.logs[0].args['partyIndex']);
   });
+
+  it("Convicts a party that calculated a parent node incorrectly", async () => {
+    let instance = await ExampleAdjucator.new();
+    let honestParty = accounts[6];
+    let cheater = accounts[7];
+
+    initMerkleTree(4);
+    // The cheater lies about the right child of the root, so both parties
+    // agree on the left child and on the leaves below the right child.
+    let cheaterTree = replaceNode(merkleTree1, 5, web3.utils.randomHex(32));
+    let disputeId = await playUntilLastLeaf(
+      instance, honestParty, cheater, cheaterTree, true
+    );
+
+    // The cheater has not submitted the last leaf yet.
+    await assertRevert(
+      instance.reportIncorrectParent(
+        cheater,
+        SESSION_ID,
+        [merkleTree1[4], merkleTree1[2]],
+        {from: honestParty}
+      ),
+      "The other party has not submitted its element yet!"
+    );
+
+    await instance.submitHash(
+      honestParty,
+      SESSION_ID,
+      cheaterTree[3],
+      3,
+      {from: cheater}
+    );
+    await assertRevert(
+      instance.submitHash(
+        cheater,
+        SESSION_ID,
+        merkleTree1[3],
+        3,
+        {from: honestParty}
+      ),
+      "Parent node has been calculated incorrectly!"
+    );
+    // The common hashes need to be the ones submitted in their order.
+    await assertRevert(
+      instance.reportIncorrectParent(
+        cheater,
+        SESSION_ID,
+        [merkleTree1[2], merkleTree1[4]],
+        {from: honestParty}
+      ),
+      "The common hashes differ from the submitted ones!"
+    );
+
+    let result = await instance.reportIncorrectParent(
+      cheater,
+      SESSION_ID,
+      [merkleTree1[4], merkleTree1[2]],
+      {from: honestParty}
+    );
+    let log = result.logs.find(log => log.event == 'DetermindedGuiltier');
+    assert.equal(
+      log.args['partyIndex'].toNumber(),
+      cheater < honestParty ? 0 : 1
+    );
+    assert.equal((await instance.getDisputeStatus(disputeId)).toNumber(), 0);
+  });
+
+  it("Rejects the report of the party that calculated the parent incorrectly",
+    async () => {
+    let instance = await ExampleAdjucator.new();
+    let honestParty = accounts[8];
+    let cheater = accounts[9];
+
+    initMerkleTree(4);
+    let cheaterTree = replaceNode(merkleTree1, 5, web3.utils.randomHex(32));
+    let disputeId = await playUntilLastLeaf(
+      instance, honestParty, cheater, cheaterTree, false
+    );
+
+    await instance.submitHash(
+      cheater,
+      SESSION_ID,
+      merkleTree1[3],
+      3,
+      {from: honestParty}
+    );
+    // The common hashes are correct, but they lead to the root of the honest
+    // party.
+    await assertRevert(
+      instance.reportIncorrectParent(
+        honestParty,
+        SESSION_ID,
+        [cheaterTree[4], cheaterTree[2]],
+        {from: cheater}
+      ),
+      "Parent node has been calculated incorrectly!"
+    );
+    assert.equal((await instance.getDisputeStatus(disputeId)).toNumber(), 4);
+  });
 });
@@ -15,38 +15,92 @@
 // You should have received a copy of the GNU General Public License
 // along with this program.  If not, see <https://www.gnu.org/licenses/>
 
+const crypto = require('crypto');
 const web3 = require('web3');
 
 
+// The hash functions that can be used by a hash profile, their index
+// corresponds to the HashFunction enum in MerkleDisputeHandler.
+const HASH_FUNCTIONS = ['keccak256', 'sha256'];
+
+// A hash profile defines how leaves and nodes are hashed and corresponds to
+// the hash profile of MerkleDisputeHandler (see setHashProfile):
+// hashFunction -> One of HASH_FUNCTIONS.
+// sortPairs    -> If true, the two children are sorted before they are
+//                 concatenated (compatible with OpenZeppelin's MerkleProof).
+// leafPrefix   -> Prepended to the preimage of a leaf before hashing.
+// nodePrefix   -> Prepended to the children of a node before hashing.
+// Distinct prefixes prevent that a node can be passed off as a leaf.
+const HASH_PROFILES = {
+  KECCAK256: {
+    hashFunction: 'keccak256',
+    sortPairs: false,
+    leafPrefix: '0x',
+    nodePrefix: '0x'
+  },
+  SHA256: {
+    hashFunction: 'sha256',
+    sortPairs: false,
+    leafPrefix: '0x',
+    nodePrefix: '0x'
+  },
+  SORTED_KECCAK256: {
+    hashFunction: 'keccak256',
+    sortPairs: true,
+    leafPrefix: '0x',
+    nodePrefix: '0x'
+  },
+  PREFIXED_KECCAK256: {
+    hashFunction: 'keccak256',
+    sortPairs: false,
+    leafPrefix: '0x00',
+    nodePrefix: '0x01'
+  },
+  PREFIXED_SHA256: {
+    hashFunction: 'sha256',
+    sortPairs: false,
+    leafPrefix: '0x00',
+    nodePrefix: '0x01'
+  }
+};
+
+// The profile which is used if no profile is given.
+const DEFAULT_PROFILE = HASH_PROFILES.KECCAK256;
+
+// The value of the leaves that are used to pad the number of leaves up to the
+// next power of the arity, corresponds to PADDING_LEAF in MerkleDisputeHandler.
+const PADDING_LEAF = '0x' + '0'.repeat(64);
+
+
 /***
- * Returns a Merkle tree starting with the given leaves.
- * @param leaves The sha3 hashes with which the Merkle tree is created (should
- * start with '0x..').
- * @returns The Merkle tree as an array that begins with the leaves and ends
- * with the root.
+ * Returns a Merkle tree starting with the given leaves. If the number of leaves
+ * isn't a power of the arity, they are padded with PADDING_LEAF up to the next
+ * power of the arity, the same way as MerkleDisputeHandler does.
+ * @param leaves The leaf hashes with which the Merkle tree is created (should
+ * start with '0x..'), see hashLeaf.
+ * @param profile The hash profile used for the nodes.
+ * @param arity The number of children of every node.
+ * @returns The Merkle tree as an array that begins with the leaves (including
+ * the padding leaves) and ends with the root.
  */
-function createMerkleTree(leaves) {
+function createMerkleTree(leaves, profile = DEFAULT_PROFILE, arity = 2) {
   if (leaves.length < 2) {
     return leaves;
   }
 
+  let nodes = leaves.concat(
+    Array(arity**(getHeight(leaves.length, arity) - 1) - leaves.length)
+      .fill(PADDING_LEAF)
+  );
   let merkleTree = [];
-  let nodes = leaves;
 
   merkleTree = merkleTree.concat(nodes);
 
   while (nodes.length > 1) {
     let parents = [];
 
-    // If the length of the nodes is odd, duplicate the last one.
-    if (nodes.length % 2 == 1) {
-      nodes.push(nodes[nodes.length-1]);
-    }
-
-    for (let i = 0; i < nodes.length-1; i++) {
-      if (i % 2 == 0) {
-        parents.push(getParentHash(nodes[i], nodes[i+1]));
-      }
+    for (let i = 0; i < nodes.length; i += arity) {
+      parents.push(getNodeHash(nodes.slice(i, i + arity), profile));
     }
     nodes = parents;
     merkleTree = merkleTree.concat(nodes);
@@ -54,15 +108,268 @@ function createMerkleTree(leaves) {
   return merkleTree;
 }
 
+/***
+ * Returns the height of a Merkle tree with the given number of leaves, which
+ * are padded up to the next power of the arity.
+ * @param numberLeaves The number of leaves without the padding leaves.
+ * @param arity The number of children of every node.
+ * @returns The height of the Merkle tree, starting at 1 for the root.
+ */
+function getHeight(numberLeaves, arity = 2) {
+  let height = 1;
+  for (let width = 1; width < numberLeaves; width *= arity) {
+    height++;
+  }
+  return height;
+}
+
+/***
+ * Returns the Merkle proof for the leaf with the given index.
+ * @param merkleTree The Merkle tree as returned by createMerkleTree.
+ * @param leafIndex The index of the leaf in the Merkle tree.
+ * @param arity The number of children of every node.
+ * @returns The hashes of the siblings on the path from the leaf to the root,
+ * level by level beginning with the siblings of the leaf, and on each level
+ * ordered by their index. revealPreimage expects the first
+ * (arity - 1) * (height - lastCommonHashLevel) of them, i.e., the same hashes
+ * that getMerkleProofIndexes points to.
+ */
+function getProof(merkleTree, leafIndex, arity = 2) {
+  // Since the leaves are padded, the tree contains
+  // (arity * numberLeaves - 1) / (arity - 1) nodes.
+  let levelSize = ((arity - 1) * merkleTree.length + 1) / arity;
+
+  if (leafIndex < 0 || leafIndex >= levelSize) {
+    throw new Error("The leaf index is out of range.");
+  }
+
+  let proof = [];
+  let firstIndexOnLevel = 0;
+  let index = leafIndex;
+
+  while (levelSize > 1) {
+    let firstSibling = index - index % arity;
+
+    for (let sibling = firstSibling; sibling < firstSibling + arity;
+      sibling++) {
+      if (sibling != index) {
+        proof.push(merkleTree[firstIndexOnLevel + sibling]);
+      }
+    }
+    firstIndexOnLevel += levelSize;
+    levelSize /= arity;
+    index = Math.floor(index / arity);
+  }
+  return proof;
+}
+
+/***
+ * Checks if the given Merkle proof proves that the leaf is included under the
+ * given root.
+ * @param leaf The hash of the leaf.
+ * @param proof The hashes of the siblings, beginning with the siblings of the
+ * leaf, as returned by getProof.
+ * @param root The hash of the root. Can also be the hash of an inner node if
+ * the proof only contains the siblings up to this node.
+ * @param index The index of the leaf in the Merkle tree.
+ * @param profile The hash profile used for the nodes.
+ * @param arity The number of children of every node.
+ * @returns True, if the proof is valid, otherwise false.
+ */
+function verifyProof(leaf, proof, root, index, profile = DEFAULT_PROFILE,
+  arity = 2) {
+  let hash = leaf;
+
+  if (proof.length % (arity - 1) != 0) {
+    return false;
+  }
+
+  for (let i = 0; i < proof.length; i += arity - 1) {
+    // The position of the current node decides the order of concatenation.
+    let children = proof.slice(i, i + arity - 1);
+    children.splice(index % arity, 0, hash);
+    hash = getNodeHash(children, profile);
+    index = Math.floor(index / arity);
+  }
+  return hash == root;
+}
+
+/***
+ * Returns a Merkle multiproof for several leaves, which contains every
+ * required sibling only once. Siblings that are part of the proven leaves or
+ * that can be computed from them are omitted.
+ * @param merkleTree The Merkle tree as returned by createMerkleTree.
+ * @param leafIndexes The indexes of the leaves in the Merkle tree.
+ * @returns A map with the sorted and deduplicated leafIndexes and the proof,
+ * i.e., the required siblings level by level, beginning with the leaves, and
+ * on each level ordered by their index.
+ */
+function getMultiProof(merkleTree, leafIndexes) {
+  // Since the leaves are padded, the tree contains 2 * numberLeaves - 1 nodes.
+  let levelSize = (merkleTree.length + 1) / 2;
+  let indexes = [...new Set(leafIndexes)].sort((a, b) => a - b);
+
+  if (indexes.length == 0 || indexes[0] < 0 ||
+    indexes[indexes.length-1] >= levelSize) {
+    throw new Error("The leaf indexes are empty or out of range.");
+  }
+
+  let proof = [];
+  let firstIndexOnLevel = 0;
+  let positions = indexes;
+
+  while (levelSize > 1) {
+    let parents = [];
+
+    for (let i = 0; i < positions.length; i++) {
+      let position = positions[i];
+
+      // If both children are known, no sibling is required.
+      if (position % 2 == 0 && positions[i+1] == position + 1) {
+        i++;
+      } else {
+        let siblingIndex = position % 2 == 0 ? position + 1 : position - 1;
+        proof.push(merkleTree[firstIndexOnLevel + siblingIndex]);
+      }
+      parents.push(Math.floor(position / 2));
+    }
+
+    positions = parents;
+    firstIndexOnLevel += levelSize;
+    levelSize /= 2;
+  }
+
+  return {
+    'leafIndexes': indexes,
+    'proof': proof
+  }
+}
+
+/***
+ * Checks if the given Merkle multiproof proves that all leaves are included
+ * under the given root.
+ * @param leaves The hashes of the leaves in the order of
+ * multiProof.leafIndexes.
+ * @param multiProof The multiproof as returned by getMultiProof.
+ * @param root The hash of the root.
+ * @param height The height of the Merkle tree, starting at 1 for the root.
+ * @param profile The hash profile used for the nodes.
+ * @returns True, if the multiproof is valid, otherwise false.
+ */
+function verifyMultiProof(leaves, multiProof, root, height,
+  profile = DEFAULT_PROFILE) {
+  let positions = multiProof.leafIndexes;
+  let hashes = leaves;
+  let proofIndex = 0;
+
+  if (positions.length == 0 || positions.length != hashes.length) {
+    return false;
+  }
+
+  // Every index has to address a leaf of a tree with the given height.
+  if (positions.some(position =>
+    !Number.isInteger(position) || position < 0 || position >= 2**(height-1))) {
+    return false;
+  }
+
+  for (let level = 1; level < height; level++) {
+    let parentPositions = [];
+    let parentHashes = [];
+
+    for (let i = 0; i < positions.length; i++) {
+      let position = positions[i];
+      let node;
+
+      if (i > 0 && position <= positions[i-1]) {
+        return false; // The indexes have to be sorted and unique.
+      }
+
+      if (position % 2 == 0 && positions[i+1] == position + 1) {
+        node = getParentHash(hashes[i], hashes[i+1], profile);
+        i++;
+      } else if (proofIndex >= multiProof.proof.length) {
+        return false;
+      } else if (position % 2 == 0) {
+        node = getParentHash(hashes[i], multiProof.proof[proofIndex++], profile);
+      } else {
+        node = getParentHash(multiProof.proof[proofIndex++], hashes[i], profile);
+      }
+
+      parentPositions.push(Math.floor(position / 2));
+      parentHashes.push(node);
+    }
+
+    positions = parentPositions;
+    hashes = parentHashes;
+  }
+
+  // Exactly the root has to be left.
+  return proofIndex == multiProof.proof.length && positions.length == 1 &&
+    positions[0] == 0 && hashes[0] == root;
+}
+
   /***
   * Returns the hash of the two concatination of the two given hashes (without '0x' twice).
   * @param hash1 The first hash.
   * @param hash2 The second hash.
+  * @param profile The hash profile used for the nodes.
   * @returns The hash of the two concatination of the two given hashes.
   */
-  function getParentHash(hash1, hash2) {
-    // Removing the '0x' from the second hash, concatinating them and then hashing the result.
-    return web3.utils.sha3(hash1 + hash2.substring(2));
+  function getParentHash(hash1, hash2, profile = DEFAULT_PROFILE) {
+    if (profile.sortPairs && BigInt(hash2) < BigInt(hash1)) {
+      [hash1, hash2] = [hash2, hash1];
+    }
+    // Removing the '0x' from the hashes, concatinating them and then hashing the result.
+    return hash(
+      profile.nodePrefix + hash1.substring(2) + hash2.substring(2),
+      profile
+    );
+  }
+
+  /***
+  * Returns the hash of a node with the given children. Two children are
+  * hashed like in getParentHash, more children are concatenated in their
+  * order.
+  * @param children The hashes of the children ordered by their index.
+  * @param profile The hash profile used for the nodes.
+  * @returns The hash of the node prefix concatenated with the children.
+  */
+  function getNodeHash(children, profile = DEFAULT_PROFILE) {
+    if (children.length == 2) {
+      return getParentHash(children[0], children[1], profile);
+    }
+    return hash(
+      profile.nodePrefix + children.map(child => child.substring(2)).join(''),
+      profile
+    );
+  }
+
+  /***
+  * Returns the leaf for the given preimage.
+  * @param leafPreimage The preimage of the leaf (should start with '0x..').
+  * @param profile The hash profile used for the leaves.
+  * @returns The hash of the leaf prefix concatenated with the preimage.
+  */
+  function hashLeaf(leafPreimage, profile = DEFAULT_PROFILE) {
+    return hash(profile.leafPrefix + leafPreimage.substring(2), profile);
+  }
+
+  /***
+  * Hashes the given bytes with the hash function of the profile.
+  * @param data The bytes to hash as a hex string (should start with '0x..').
+  * @param profile The hash profile.
+  * @returns The hash as a hex string.
+  */
+  function hash(data, profile) {
+    if (profile.hashFunction == 'keccak256') {
+      return web3.utils.sha3(data);
+
+    } else if (profile.hashFunction == 'sha256') {
+      return '0x' + crypto.createHash('sha256')
+        .update(Buffer.from(data.substring(2), 'hex'))
+        .digest('hex');
+    }
+    throw new Error(`Unknown hash function ${profile.hashFunction}.`);
   }
 
   /***
@@ -70,9 +377,12 @@ function createMerkleTree(leaves) {
   * @param numberLeaves The number of leaves the tree should have.
   * @param onlySingleDiffLeaf If true, the leaves differ only at deviatingIndex,
   * if false, every leaf after the deviating leaf will be different, too.
+  * @param profile The hash profile used for the leaves and nodes.
+  * @param arity The number of children of every node.
   * @returns A map of two Merkle trees that differ at one specific leaf at index = deviatingIndex.
   */
-  function getTwoDifferentTrees(numberLeaves, onlySingleDiffLeaf) {
+  function getTwoDifferentTrees(numberLeaves, onlySingleDiffLeaf,
+    profile = DEFAULT_PROFILE, arity = 2) {
     let leafPreimages = [];
 
     leafPreimages[0] = (web3.utils.sha3(web3.utils.randomHex(32)));
@@ -83,7 +393,7 @@ function createMerkleTree(leaves) {
     }
 
     // A leaf is the hash of the preimage.
-    let leaves1 = leafPreimages.map(lp => web3.utils.sha3(lp));
+    let leaves1 = leafPreimages.map(lp => hashLeaf(lp, profile));
 
     let deviatingIndex = getRandomInt(1, numberLeaves);
     let leaves2;
@@ -107,12 +417,12 @@ function createMerkleTree(leaves) {
         leafPreimages2.push(getNextState(leafPreimages2[i-1]));
       }
 
-      leaves2 = leafPreimages2.map(lp => web3.utils.sha3(lp));
+      leaves2 = leafPreimages2.map(lp => hashLeaf(lp, profile));
     }
 
 
-    let merkleTree1 = createMerkleTree(leaves1);
-    let merkleTree2 = createMerkleTree(leaves2);
+    let merkleTree1 = createMerkleTree(leaves1, profile, arity);
+    let merkleTree2 = createMerkleTree(leaves2, profile, arity);
     return {
       'merkleTree1': merkleTree1,
       'merkleTree2': merkleTree2,
@@ -122,8 +432,9 @@ function createMerkleTree(leaves) {
   }
 
   /***
-  * Correponds to the makeStep function in ExampleAdjucator but the new state
-  * does not get hashed becaue we need it to calcuate the following leafs.
+  * Correponds to the makeStepPreimage function in ExampleAdjucator, the new
+  * state does not get hashed becaue we need it to calcuate the following
+  * leafs.
   * @param leafPreimage The preimage of the leaf that should be used to
   * calcuate the following leaf.
   * @returns The next state whereas its hash corresponds to the next leaf.
@@ -155,39 +466,6 @@ function createMerkleTree(leaves) {
   }
 
 
-  function incHash(array1, array2) {
-    let left = 0;
-    let right = array1.length-1;
-    let lastCommonHash;
-    let lastDiffHash = [];
-
-    let times = 0;
-
-    while (left < right) {
-      let index = left + Math.floor((right-left)/2);
-      times++;
-      if (array1[index] == array2[index]) {
-        lastCommonHash = array1[index];
-        left = index + 1;
-      } else {
-        lastDiffHash[0] = array1[index];
-        lastDiffHash[1] = array2[index];
-        right = index - 1;
-      }
-    }
-
-    if (array1[left] == array2[left]) {
-      lastCommonHash = array1[left];
-    } else {
-      lastDiffHash[0] = array1[left];
-      lastDiffHash[1] = array2[left];
-    }
-
-    times++;
-
-    return times;
-  }
-
   /***
   * Returns a random value between min and max.
   * @param min The minimum number (inclusive).
@@ -201,7 +479,19 @@ function createMerkleTree(leaves) {
 }
 
 module.exports = {
+  HASH_FUNCTIONS,
+  HASH_PROFILES,
+  DEFAULT_PROFILE,
+  PADDING_LEAF,
   createMerkleTree,
+  getHeight,
+  getParentHash,
+  getNodeHash,
+  hashLeaf,
+  getProof,
+  verifyProof,
+  getMultiProof,
+  verifyMultiProof,
   getTwoDifferentTrees,
   getNextState
 }
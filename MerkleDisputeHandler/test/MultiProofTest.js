@@ -0,0 +1,179 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const MerkleTree = require("./MerkleTree.js");
+
+let numberLeaves, height, rootIndex, leafPreimages, merkleTree;
+
+
+function initMerkleTree(_numberLeaves) {
+  numberLeaves = _numberLeaves;
+  height = MerkleTree.getHeight(numberLeaves);
+  rootIndex = 2**height - 2;
+
+  let testObj = MerkleTree.getTwoDifferentTrees(numberLeaves, true);
+  leafPreimages = testObj["leafPreimages"];
+  merkleTree = testObj["merkleTree1"];
+}
+
+/***
+ * Expects that the given call is rejected with a revert reason that contains
+ * the given message.
+ */
+async function expectRevert(promise, message) {
+  try {
+    await promise;
+    assert.fail("The call should have been rejected.");
+  } catch (error) {
+    assert.include(error.message, message);
+  }
+}
+
+
+contract("MultiProof", async accounts => {
+
+  it("Verifies a multiproof off-chain", async () => {
+    initMerkleTree(1000);
+
+    let multiProof = MerkleTree.getMultiProof(merkleTree, [999, 3, 4, 500, 3]);
+    let leaves = multiProof.leafIndexes.map(index => merkleTree[index]);
+
+    assert.deepEqual(multiProof.leafIndexes, [3, 4, 500, 999]);
+    assert.isTrue(MerkleTree.verifyMultiProof(
+      leaves, multiProof, merkleTree[rootIndex], height
+    ));
+
+    // A different leaf must not be accepted.
+    leaves[2] = merkleTree[501];
+    assert.isFalse(MerkleTree.verifyMultiProof(
+      leaves, multiProof, merkleTree[rootIndex], height
+    ));
+  });
+
+  it("Is smaller than the single proofs together", async () => {
+    initMerkleTree(2048);
+
+    for (let leafIndexes of [[0, 1], [10, 11, 12, 13], [5, 700, 701, 2047]]) {
+      let multiProof = MerkleTree.getMultiProof(merkleTree, leafIndexes);
+      let singleProofsLength = leafIndexes
+        .map(index => MerkleTree.getProof(merkleTree, index).length)
+        .reduce((a, b) => a + b);
+
+      assert.isBelow(multiProof.proof.length, singleProofsLength);
+    }
+  });
+
+  it("Verifies a multiproof on-chain", async () => {
+    let instance = await ExampleAdjucator.deployed();
+
+    initMerkleTree(37);
+
+    let multiProof = MerkleTree.getMultiProof(merkleTree, [0, 6, 7, 20, 36]);
+    let preimages = multiProof.leafIndexes.map(index => leafPreimages[index]);
+
+    assert.isTrue(await instance.verifyLeafPreimages(
+      merkleTree[rootIndex],
+      height,
+      multiProof.leafIndexes,
+      preimages,
+      multiProof.proof
+    ));
+
+    // The preimages have to match their indexes.
+    assert.isFalse(await instance.verifyLeafPreimages(
+      merkleTree[rootIndex],
+      height,
+      multiProof.leafIndexes,
+      preimages.reverse(),
+      multiProof.proof
+    ));
+  });
+
+  it("Rejects forged multiproofs off-chain", async () => {
+    initMerkleTree(2);
+    let random = web3.utils.randomHex(32);
+    let root = merkleTree[rootIndex];
+
+    // A second node next to the root must not be ignored.
+    assert.isFalse(MerkleTree.verifyMultiProof(
+      [merkleTree[0], random],
+      {'leafIndexes': [0, 2], 'proof': [merkleTree[1], random]},
+      root, height
+    ));
+
+    initMerkleTree(37);
+    root = merkleTree[rootIndex];
+    let multiProof = MerkleTree.getMultiProof(merkleTree, [6, 20]);
+    let leaves = multiProof.leafIndexes.map(index => merkleTree[index]);
+
+    // An index outside of the tree.
+    assert.isFalse(MerkleTree.verifyMultiProof(
+      leaves.concat([random]),
+      {'leafIndexes': [6, 20, 2**(height-1)], 'proof': multiProof.proof},
+      root, height
+    ));
+
+    // A duplicate index.
+    assert.isFalse(MerkleTree.verifyMultiProof(
+      [leaves[0], leaves[0], leaves[1]],
+      {'leafIndexes': [6, 6, 20], 'proof': multiProof.proof},
+      root, height
+    ));
+
+    // An extra proof element.
+    assert.isFalse(MerkleTree.verifyMultiProof(
+      leaves,
+      {'leafIndexes': [6, 20], 'proof': multiProof.proof.concat([random])},
+      root, height
+    ));
+  });
+
+  it("Rejects forged multiproofs on-chain", async () => {
+    let instance = await ExampleAdjucator.deployed();
+
+    initMerkleTree(2);
+    let random = web3.utils.randomHex(32);
+
+    await expectRevert(instance.verifyLeafPreimages(
+      merkleTree[rootIndex], height, [0, 2], [leafPreimages[0], random],
+      [merkleTree[1], random]
+    ), "inside the tree");
+
+    initMerkleTree(37);
+    let root = merkleTree[rootIndex];
+    let multiProof = MerkleTree.getMultiProof(merkleTree, [6, 20]);
+    let preimages = multiProof.leafIndexes.map(index => leafPreimages[index]);
+
+    await expectRevert(instance.verifyLeafPreimages(
+      root, height, [6, 20, 2**(height-1)], preimages.concat([random]),
+      multiProof.proof
+    ), "inside the tree");
+
+    await expectRevert(instance.verifyLeafPreimages(
+      root, height, [6, 6, 20], [preimages[0]].concat(preimages),
+      multiProof.proof
+    ), "sorted and unique");
+
+    assert.isFalse(await instance.verifyLeafPreimages(
+      root, height, [6, 20], preimages, multiProof.proof.concat([random])
+    ));
+    assert.isTrue(await instance.verifyLeafPreimages(
+      root, height, [6, 20], preimages, multiProof.proof
+    ));
+  });
+});
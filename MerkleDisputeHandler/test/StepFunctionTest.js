@@ -0,0 +1,186 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const HashChainStep = artifacts.require("HashChainStep");
+const MerkleTree = require("./MerkleTree.js");
+const Trace = require("./Trace.js");
+const StepFunctions = require("./StepFunctions.js");
+const { DisputeClient, RegistrationError } = require("./DisputeClient.js");
+
+const NUMBER_LEAVES = 32;
+
+
+/***
+ * Returns a client for each of the two parties with the trace of the given
+ * step function, whereas the second party miscalculated a leaf. The dispute
+ * is registered with registeredStepFunctionId, which defaults to the one of
+ * the trace.
+ */
+function getClients(instance, accounts, stepFunctionId,
+  registeredStepFunctionId = stepFunctionId) {
+  let trace = StepFunctions.generateTrace(
+    stepFunctionId,
+    web3.utils.sha3(web3.utils.randomHex(32)),
+    NUMBER_LEAVES - 1
+  );
+  let deviatingIndex = 1 + Math.floor(Math.random() * (NUMBER_LEAVES - 1));
+  let leaves = trace.leaves.slice();
+  leaves[deviatingIndex] = web3.utils.sha3('I made a mistake');
+
+  let honest = new DisputeClient(instance, accounts[0], {
+    merkleTree: trace.merkleTree,
+    leafPreimages: trace.leafPreimages,
+    numberLeaves: NUMBER_LEAVES,
+    stepFunctionId: registeredStepFunctionId
+  });
+  let cheater = new DisputeClient(instance, accounts[1], {
+    merkleTree: MerkleTree.createMerkleTree(leaves),
+    leafPreimages: trace.leafPreimages,
+    numberLeaves: NUMBER_LEAVES,
+    stepFunctionId: registeredStepFunctionId
+  });
+  return [honest, cheater];
+}
+
+/***
+ * Plays the dispute of the two clients until the guiltier is determined.
+ * @returns The index of the guilty party.
+ */
+async function playDispute(honest, cheater, sessionId) {
+  await honest.open(cheater.account, {sessionId: sessionId});
+  await cheater.open(honest.account, {
+    sessionId: sessionId,
+    signature: await honest.getSignature()
+  });
+
+  while (await honest.getStatus() == 4) {
+    await honest.respond();
+    await cheater.respond();
+  }
+  await honest.reveal();
+
+  return honest.settle();
+}
+
+
+contract("StepFunctions", async accounts => {
+
+  it("Registers the hash chain under its id", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let hashChainStep = await HashChainStep.deployed();
+
+    assert.equal(
+      await instance.getStepFunction(StepFunctions.HASH_CHAIN),
+      hashChainStep.address
+    );
+
+    for (let stepFunctionId of [StepFunctions.BUILT_IN,
+      StepFunctions.HASH_CHAIN]) {
+      let divergence = await Trace.checkConformance(
+        instance,
+        StepFunctions.getStepFunction(stepFunctionId).step,
+        20,
+        MerkleTree.DEFAULT_PROFILE,
+        stepFunctionId
+      );
+      assert.isNull(divergence);
+    }
+  });
+
+  it("Convicts the cheater with either step function", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let sessionId = 0;
+
+    for (let stepFunctionId of [StepFunctions.BUILT_IN,
+      StepFunctions.HASH_CHAIN]) {
+      let [honest, cheater] = getClients(instance, accounts, stepFunctionId);
+
+      let guiltyParty = await playDispute(honest, cheater, sessionId++);
+      assert.equal(guiltyParty, cheater.getOwnPartyIndex());
+    }
+  });
+
+  it("Judges a dispute with its registered step function", async () => {
+    let instance = await ExampleAdjucator.deployed();
+
+    // The trace is a hash chain, but the dispute is about makeStepPreimage, so
+    // neither leaf follows from the revealed preimage.
+    let [honest, cheater] = getClients(
+      instance,
+      accounts,
+      StepFunctions.HASH_CHAIN,
+      StepFunctions.BUILT_IN
+    );
+
+    assert.equal(await playDispute(honest, cheater, 2), 2);
+  });
+
+  it("Rejects different and unknown step functions", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honest, cheater] = getClients(
+      instance,
+      accounts,
+      StepFunctions.HASH_CHAIN
+    );
+
+    await honest.open(accounts[1], {sessionId: 3});
+    assert.equal(
+      await instance.getStepFunctionId(await honest.getDisputeId()),
+      StepFunctions.HASH_CHAIN
+    );
+
+    for (let stepFunctionId of [StepFunctions.BUILT_IN, 100]) {
+      cheater.stepFunctionId = stepFunctionId;
+      try {
+        await cheater.open(accounts[0], {sessionId: 3});
+        assert.fail("The registration should have been rejected.");
+      } catch (error) {
+        assert.instanceOf(error, RegistrationError);
+      }
+    }
+  });
+
+  it("Does not reassign the id of a step function", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let other = await HashChainStep.new();
+
+    try {
+      await instance.addStepFunction(StepFunctions.HASH_CHAIN, other.address);
+      assert.fail("The id should not have been reassigned.");
+    } catch (error) {
+      assert.include(
+        error.message,
+        "The id of the step function is already taken!"
+      );
+    }
+
+    // Only the owner can add step functions.
+    try {
+      await instance.addStepFunction(2, other.address, {from: accounts[1]});
+      assert.fail("Only the owner should add step functions.");
+    } catch (error) {
+      assert.include(error.message, "Sender not authorized.");
+    }
+
+    await instance.addStepFunction(2, other.address);
+    assert.equal(await instance.getStepFunction(2), other.address);
+    assert.throws(() => StepFunctions.registerStepFunction(
+      StepFunctions.HASH_CHAIN, 'other', StepFunctions.hashChainStep
+    ));
+  });
+});
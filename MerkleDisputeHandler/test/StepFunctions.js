@@ -0,0 +1,101 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const web3 = require('web3');
+const MerkleTree = require('./MerkleTree.js');
+const Trace = require('./Trace.js');
+
+// The ids of the step functions, which correspond to the ids under which the
+// adjudicator knows them (see the migrations). BUILT_IN stands for
+// makeStepPreimage of ExampleAdjucator.
+const BUILT_IN = 0;
+const HASH_CHAIN = 1;
+
+// The JS twins of the step functions by their id.
+const registry = {};
+
+
+/***
+ * Corresponds to HashChainStep, the next state is the hash of the state.
+ * @param leafPreimage The preimage of the leaf that should be used.
+ * @returns The next state whereas its hash corresponds to the next leaf.
+ */
+function hashChainStep(leafPreimage) {
+  return web3.utils.sha3(leafPreimage);
+}
+
+/***
+ * Registers the JS twin of a step function of the adjudicator.
+ * @param stepFunctionId The id under which the adjudicator knows the step
+ * function.
+ * @param name A readable name of the step function.
+ * @param step Returns the next preimage for a given preimage (not its leaf),
+ * see generateTrace in Trace.js.
+ * @throws An Error if the id is already taken.
+ */
+function registerStepFunction(stepFunctionId, name, step) {
+  if (registry[stepFunctionId] !== undefined) {
+    throw new Error(`The step function id ${stepFunctionId} is already ` +
+      "taken.");
+  }
+
+  registry[stepFunctionId] = {
+    'id': stepFunctionId,
+    'name': name,
+    'step': step
+  };
+}
+
+/***
+ * Returns the registered step function with the given id.
+ * @returns A map with the id, the name and the step.
+ * @throws An Error if no step function is registered with the id.
+ */
+function getStepFunction(stepFunctionId) {
+  let stepFunction = registry[stepFunctionId];
+
+  if (stepFunction === undefined) {
+    throw new Error(`Unknown step function id ${stepFunctionId}.`);
+  }
+  return stepFunction;
+}
+
+/***
+ * Returns the trace of the computation of the step function with the given
+ * id, see generateTrace in Trace.js.
+ */
+function generateTrace(stepFunctionId, initialPreimage, numberSteps,
+  profile = MerkleTree.DEFAULT_PROFILE) {
+  return Trace.generateTrace(
+    initialPreimage,
+    getStepFunction(stepFunctionId).step,
+    numberSteps,
+    profile
+  );
+}
+
+registerStepFunction(BUILT_IN, 'nonce-counter', MerkleTree.getNextState);
+registerStepFunction(HASH_CHAIN, 'hash-chain', hashChainStep);
+
+module.exports = {
+  BUILT_IN,
+  HASH_CHAIN,
+  hashChainStep,
+  registerStepFunction,
+  getStepFunction,
+  generateTrace
+}
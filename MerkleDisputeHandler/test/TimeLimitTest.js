@@ -0,0 +1,245 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const MerkleTree = require("./MerkleTree.js");
+const { DisputeClient, TimeLimitError } = require("./DisputeClient.js");
+const { ChainTime } = require("./ChainTime.js");
+
+const NUMBER_LEAVES = 32;
+const COLLATERAL = 10**15;
+const TIME_LIMIT = 3600;
+
+let sessionId = 0;
+
+
+/***
+ * Returns a client for each of the two parties ordered by their index in the
+ * dispute, whereas the second party has the second tree.
+ */
+function getClients(instance, accounts, merkleTree1, merkleTree2,
+  leafPreimages, numberLeaves) {
+  let [first, second] = BigInt(accounts[0]) < BigInt(accounts[1]) ?
+    [accounts[0], accounts[1]] :
+    [accounts[1], accounts[0]];
+
+  return [
+    new DisputeClient(instance, first, {
+      merkleTree: merkleTree1,
+      leafPreimages: leafPreimages,
+      numberLeaves: numberLeaves
+    }),
+    new DisputeClient(instance, second, {
+      merkleTree: merkleTree2,
+      leafPreimages: leafPreimages,
+      numberLeaves: numberLeaves
+    })
+  ];
+}
+
+function getDifferentClients(instance, accounts) {
+  let testObj = MerkleTree.getTwoDifferentTrees(NUMBER_LEAVES, true);
+  return getClients(
+    instance,
+    accounts,
+    testObj["merkleTree1"],
+    testObj["merkleTree2"],
+    testObj["leafPreimages"],
+    NUMBER_LEAVES
+  );
+}
+
+/***
+ * Registers the dispute for both parties in a new session and initializes
+ * it, unless initialize is false.
+ */
+async function openDispute(first, second, initialize = true) {
+  let options = {
+    sessionId: ++sessionId,
+    collateral: COLLATERAL,
+    timeLimit: TIME_LIMIT
+  };
+
+  await first.open(second.account, options);
+  await second.open(first.account, Object.assign({
+    signature: initialize ? await first.getSignature() : undefined
+  }, options));
+}
+
+async function expectTimeLimitError(promise) {
+  try {
+    await promise;
+    assert.fail("The call should have been rejected.");
+  } catch (error) {
+    assert.instanceOf(error, TimeLimitError);
+  }
+}
+
+/***
+ * Checks that the exceeded time limit can not be reported shortly before the
+ * deadline, and that it convicts the given party just after it.
+ */
+async function checkTimeout(time, instance, client, guiltyParty) {
+  let disputeId = await client.getDisputeId();
+
+  await time.beforeDeadline(instance, disputeId);
+  await expectTimeLimitError(client.reportTimeout());
+
+  await time.afterDeadline(instance, disputeId);
+  assert.equal(await client.reportTimeout(), guiltyParty);
+  assert.equal(await client.getStatus(), 0);
+}
+
+
+contract("TimeLimit", async accounts => {
+
+  let instance, time;
+
+  before(async () => {
+    instance = await ExampleAdjucator.deployed();
+    time = new ChainTime(web3);
+  });
+
+  it("Convicts the second party if it does not register (status 1)",
+    async () => {
+    let [first, second] = getDifferentClients(instance, accounts);
+
+    await first.open(second.account, {
+      sessionId: ++sessionId,
+      collateral: COLLATERAL,
+      timeLimit: TIME_LIMIT
+    });
+    assert.equal(await first.getStatus(), 1);
+
+    await checkTimeout(time, instance, first, 1);
+  });
+
+  it("Convicts the first party if it does not register (status 2)",
+    async () => {
+    let [first, second] = getDifferentClients(instance, accounts);
+
+    await second.open(first.account, {
+      sessionId: ++sessionId,
+      collateral: COLLATERAL,
+      timeLimit: TIME_LIMIT
+    });
+    assert.equal(await second.getStatus(), 2);
+
+    await checkTimeout(time, instance, second, 0);
+  });
+
+  it("Refunds both parties if no one initializes (status 3)", async () => {
+    let [first, second] = getDifferentClients(instance, accounts);
+
+    await openDispute(first, second, false);
+    assert.equal(await first.getStatus(), 3);
+
+    await checkTimeout(time, instance, second, 2);
+  });
+
+  it("Refunds both parties if no one submits (status 4)", async () => {
+    let [first, second] = getDifferentClients(instance, accounts);
+
+    await openDispute(first, second);
+    assert.equal(await first.getStatus(), 4);
+
+    await checkTimeout(time, instance, first, 2);
+  });
+
+  it("Convicts the party that does not submit (status 4)", async () => {
+    let [first, second] = getDifferentClients(instance, accounts);
+
+    await openDispute(first, second);
+    await first.respond();
+    let disputeId = await first.getDisputeId();
+
+    // A submission shortly before the deadline is still accepted.
+    await time.isolate(async () => {
+      await time.beforeDeadline(instance, disputeId);
+      assert.isNotNull(await second.respond());
+    });
+
+    await checkTimeout(time, instance, first, 1);
+  });
+
+  it("Rejects a submission after the deadline (status 4)", async () => {
+    let [first, second] = getDifferentClients(instance, accounts);
+
+    await openDispute(first, second);
+    await first.respond();
+
+    await time.afterDeadline(instance, await first.getDisputeId());
+    await expectTimeLimitError(second.respond());
+    assert.equal(await second.reportTimeout(), 1);
+  });
+
+  it("Refunds both parties if no one reveals (status 5)", async () => {
+    let [first, second] = getDifferentClients(instance, accounts);
+
+    await openDispute(first, second);
+    while (await first.getStatus() == 4) {
+      await first.respond();
+      await second.respond();
+    }
+    assert.equal(await first.getStatus(), 5);
+
+    await checkTimeout(time, instance, second, 2);
+  });
+
+  it("Refunds both parties if no one settles (status 6)", async () => {
+    let [first, second] = getDifferentClients(instance, accounts);
+
+    await openDispute(first, second);
+    while (await first.getStatus() == 4) {
+      await first.respond();
+      await second.respond();
+    }
+    await first.reveal();
+    assert.equal(await first.getStatus(), 6);
+
+    await checkTimeout(time, instance, first, 2);
+  });
+
+  it("Refunds both parties if no one settles (status 7)", async () => {
+    let numberLeaves = 5;
+    let testObj = MerkleTree.getTwoDifferentTrees(numberLeaves, true);
+    let leafPreimages = testObj["leafPreimages"];
+
+    // The second party uses a different padding leaf.
+    let leaves = testObj["merkleTree1"].slice(0, numberLeaves);
+    leaves.push(web3.utils.sha3(MerkleTree.getNextState(
+      leafPreimages[numberLeaves-1]
+    )));
+    let [first, second] = getClients(
+      instance,
+      accounts,
+      testObj["merkleTree1"],
+      MerkleTree.createMerkleTree(leaves),
+      leafPreimages,
+      numberLeaves
+    );
+
+    await openDispute(first, second);
+    while (await first.getStatus() == 4) {
+      await first.respond();
+      await second.respond();
+    }
+    assert.equal(await first.getStatus(), 7);
+
+    await checkTimeout(time, instance, second, 2);
+  });
+});
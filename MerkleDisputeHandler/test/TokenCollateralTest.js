@@ -0,0 +1,193 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const ERC20Mock = artifacts.require("ERC20Mock");
+const MerkleTree = require("./MerkleTree.js");
+const { DisputeClient, RegistrationError } = require("./DisputeClient.js");
+const { ChainTime } = require("./ChainTime.js");
+
+const NUMBER_LEAVES = 32;
+const COLLATERAL = 1000;
+const TIME_LIMIT = 3600;
+// The tokens every party owns before the dispute.
+const INITIAL_TOKENS = 5000;
+
+
+/***
+ * Returns a client for each of the two parties, whereas the second party
+ * miscalculated a leaf.
+ */
+function getClients(instance, account1, account2) {
+  let testObj = MerkleTree.getTwoDifferentTrees(NUMBER_LEAVES, true);
+
+  return [
+    new DisputeClient(instance, account1, {
+      merkleTree: testObj["merkleTree1"],
+      leafPreimages: testObj["leafPreimages"],
+      numberLeaves: NUMBER_LEAVES
+    }),
+    new DisputeClient(instance, account2, {
+      merkleTree: testObj["merkleTree2"],
+      leafPreimages: testObj["leafPreimages"],
+      numberLeaves: NUMBER_LEAVES
+    })
+  ];
+}
+
+/***
+ * Deploys a new token, mints INITIAL_TOKENS for both parties and approves the
+ * adjudicator to transfer all of them.
+ */
+async function getToken(instance, accounts, returnsValues = true) {
+  let token = await ERC20Mock.new(returnsValues);
+
+  for (let account of accounts) {
+    await token.mint(account, INITIAL_TOKENS);
+    await token.approve(instance.address, INITIAL_TOKENS, {from: account});
+  }
+  return token;
+}
+
+/***
+ * Registers the dispute of both parties with a collateral in the given token
+ * and initializes it.
+ */
+async function openDispute(honest, cheater, token, amount = COLLATERAL) {
+  let options = {
+    collateral: COLLATERAL,
+    timeLimit: TIME_LIMIT,
+    token: token.address
+  };
+
+  await honest.open(cheater.account, options);
+  await cheater.open(honest.account, Object.assign({amount: amount}, options));
+  await honest.init(await cheater.getSignature(honest.account));
+}
+
+async function getBalance(token, account) {
+  return (await token.balanceOf(account)).toNumber();
+}
+
+
+contract("TokenCollateral", async accounts => {
+
+  it("Pays both collaterals in tokens to the honest party", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honest, cheater] = getClients(instance, accounts[0], accounts[1]);
+    let token = await getToken(instance, [accounts[0], accounts[1]]);
+
+    // The cheater transfers too many tokens and gets the change back.
+    await openDispute(honest, cheater, token, COLLATERAL * 2);
+
+    let disputeId = await honest.getDisputeId();
+    assert.equal(await instance.getToken(disputeId), token.address);
+    assert.equal(await getBalance(token, instance.address), COLLATERAL * 2);
+    assert.equal(
+      await getBalance(token, accounts[1]),
+      INITIAL_TOKENS - COLLATERAL
+    );
+
+    while (await honest.getStatus() == 4) {
+      await honest.respond();
+      await cheater.respond();
+    }
+    await honest.reveal();
+
+    assert.equal(await honest.settle(), cheater.getOwnPartyIndex());
+
+    await honest.withdraw(token.address);
+    assert.equal(
+      await getBalance(token, accounts[0]),
+      INITIAL_TOKENS + COLLATERAL
+    );
+    assert.equal(await getBalance(token, instance.address), 0);
+
+    // The balance has been withdrawn.
+    await cheater.withdraw(token.address);
+    assert.equal(
+      await getBalance(token, accounts[1]),
+      INITIAL_TOKENS - COLLATERAL
+    );
+  });
+
+  it("Refunds the tokens if both parties exceed the time limit", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honest, cheater] = getClients(instance, accounts[2], accounts[3]);
+    // A token that does not return a value on transfers.
+    let token = await getToken(instance, [accounts[2], accounts[3]], false);
+
+    await openDispute(honest, cheater, token);
+    assert.equal(await getBalance(token, instance.address), COLLATERAL * 2);
+
+    // No party submits the first hash.
+    await new ChainTime(web3).increase(TIME_LIMIT + 1);
+    assert.equal(await honest.reportTimeout(), 2);
+
+    await honest.withdraw(token.address);
+    await cheater.withdraw(token.address);
+
+    assert.equal(await getBalance(token, accounts[2]), INITIAL_TOKENS);
+    assert.equal(await getBalance(token, accounts[3]), INITIAL_TOKENS);
+    assert.equal(await getBalance(token, instance.address), 0);
+  });
+
+  it("Convicts a cheater that stops responding", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honest, cheater] = getClients(instance, accounts[4], accounts[5]);
+    let token = await getToken(instance, [accounts[4], accounts[5]]);
+    let otherToken = await getToken(instance, [accounts[5]]);
+
+    await honest.open(accounts[5], {
+      collateral: COLLATERAL,
+      timeLimit: TIME_LIMIT,
+      token: token.address
+    });
+
+    // The cheater can neither choose another token nor pay in ether.
+    for (let options of [{token: otherToken.address}, {}]) {
+      try {
+        await cheater.open(accounts[4], Object.assign({
+          collateral: COLLATERAL,
+          timeLimit: TIME_LIMIT
+        }, options));
+        assert.fail("The registration should have been rejected.");
+      } catch (error) {
+        assert.instanceOf(error, RegistrationError);
+      }
+    }
+
+    await cheater.open(accounts[4], {
+      collateral: COLLATERAL,
+      timeLimit: TIME_LIMIT,
+      token: token.address
+    });
+    await honest.init(await cheater.getSignature());
+
+    // The cheater does not respond after the first hash of the honest party.
+    await honest.respond();
+    await new ChainTime(web3).increase(TIME_LIMIT + 1);
+    assert.equal(await honest.reportTimeout(), cheater.getOwnPartyIndex());
+
+    await honest.withdraw(token.address);
+    assert.equal(
+      await getBalance(token, accounts[4]),
+      INITIAL_TOKENS + COLLATERAL
+    );
+    assert.equal(await getBalance(otherToken, accounts[5]), INITIAL_TOKENS);
+  });
+});
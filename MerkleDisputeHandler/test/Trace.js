@@ -0,0 +1,88 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const web3 = require('web3');
+const MerkleTree = require('./MerkleTree.js');
+
+
+/***
+ * Returns the trace of a computation, i.e., the leaf preimages that result
+ * from making one step after another, their leaves and the Merkle tree.
+ * @param initialPreimage The preimage of the first leaf (should start with
+ * '0x..').
+ * @param step The JS twin of makeStepPreimage of an adjudicator, which returns
+ * the next preimage for a given preimage (not its leaf), e.g., getNextState.
+ * @param numberSteps The number of steps, the trace has numberSteps + 1
+ * leaves.
+ * @param profile The hash profile used for the leaves and nodes.
+ * @returns A map with the leafPreimages, the leaves and the merkleTree.
+ */
+function generateTrace(initialPreimage, step, numberSteps,
+  profile = MerkleTree.DEFAULT_PROFILE) {
+  let leafPreimages = [initialPreimage];
+
+  for (let i = 0; i < numberSteps; i++) {
+    leafPreimages.push(step(leafPreimages[i]));
+  }
+
+  let leaves = leafPreimages.map(lp => MerkleTree.hashLeaf(lp, profile));
+
+  return {
+    'leafPreimages': leafPreimages,
+    'leaves': leaves,
+    'merkleTree': MerkleTree.createMerkleTree(leaves, profile)
+  }
+}
+
+/***
+ * Checks if the JS step function computes the same leaves as makeStepPreimage
+ * of the deployed adjudicator for random leaf preimages.
+ * @param instance The deployed adjudicator.
+ * @param step The JS twin of makeStepPreimage, see generateTrace.
+ * @param numberInputs How many random leaf preimages are checked.
+ * @param profile The hash profile used by the adjudicator.
+ * @param stepFunctionId If given, the step is checked against the step
+ * function of the adjudicator with this id instead of makeStepPreimage.
+ * @returns The first divergence as a map with the iteration, the leaf
+ * preimage, the leaf expected by the contract and the leaf computed by step,
+ * or null if there is none.
+ */
+async function checkConformance(instance, step, numberInputs = 100,
+  profile = MerkleTree.DEFAULT_PROFILE, stepFunctionId = null) {
+  for (let i = 0; i < numberInputs; i++) {
+    let leafPreimage = web3.utils.randomHex(32);
+    let expectedLeaf = stepFunctionId !== null ?
+      await instance.getNextLeafOf(stepFunctionId, leafPreimage) :
+      await instance.getNextLeaf(leafPreimage);
+    let actualLeaf = MerkleTree.hashLeaf(step(leafPreimage), profile);
+
+    if (expectedLeaf != actualLeaf) {
+      return {
+        'iteration': i,
+        'leafPreimage': leafPreimage,
+        'expectedLeaf': expectedLeaf,
+        'actualLeaf': actualLeaf
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  generateTrace,
+  checkConformance
+}
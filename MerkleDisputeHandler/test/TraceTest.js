@@ -0,0 +1,74 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const MerkleTree = require("./MerkleTree.js");
+const Trace = require("./Trace.js");
+
+
+contract("Trace", async accounts => {
+
+  it("Generates the leaves and the Merkle tree of a trace", async () => {
+    let initialPreimage = web3.utils.sha3('initial state');
+    let trace = Trace.generateTrace(initialPreimage, MerkleTree.getNextState, 9);
+
+    assert.equal(trace.leafPreimages.length, 10);
+    assert.equal(trace.leafPreimages[0], initialPreimage);
+    assert.equal(
+      trace.leafPreimages[5],
+      MerkleTree.getNextState(trace.leafPreimages[4])
+    );
+    assert.deepEqual(
+      trace.merkleTree,
+      MerkleTree.createMerkleTree(trace.leaves)
+    );
+  });
+
+  it("Finds no divergence between getNextState and makeStepPreimage",
+    async () => {
+    let instance = await ExampleAdjucator.deployed();
+
+    let divergence = await Trace.checkConformance(
+      instance,
+      MerkleTree.getNextState,
+      50
+    );
+
+    assert.isNull(divergence);
+  });
+
+  it("Reports the first divergence from makeStepPreimage", async () => {
+    let instance = await ExampleAdjucator.deployed();
+
+    // This step function never decreases the counter.
+    let wrongStep = (leafPreimage) => {
+      let nextState = MerkleTree.getNextState(leafPreimage);
+      let counter = parseInt(leafPreimage.substring(64), 16);
+      return nextState.substring(0, 64) +
+        ((counter + 1) % 256).toString(16).padStart(2, '0');
+    };
+
+    let divergence = await Trace.checkConformance(instance, wrongStep, 50);
+
+    assert.isNotNull(divergence);
+    assert.equal(
+      divergence.expectedLeaf,
+      web3.utils.sha3(MerkleTree.getNextState(divergence.leafPreimage))
+    );
+    assert.notEqual(divergence.expectedLeaf, divergence.actualLeaf);
+  });
+});
@@ -0,0 +1,216 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const web3 = require('web3');
+const MerkleTree = require('./MerkleTree.js');
+
+// Used for encoding and recovering without a provider.
+const eth = new web3().eth;
+
+// The EIP-712 domain of MerkleDisputeHandler.sol.
+const DOMAIN_NAME = 'MerkleDisputeHandler';
+const DOMAIN_VERSION = '1';
+
+// The EIP-712 types, the order of the fields has to match the type hashes of
+// the contract.
+const TYPES = {
+  EIP712Domain: [
+    {name: 'name', type: 'string'},
+    {name: 'version', type: 'string'},
+    {name: 'chainId', type: 'uint256'},
+    {name: 'verifyingContract', type: 'address'}
+  ],
+  DisputeInitialization: [
+    {name: 'disputeId', type: 'bytes32'},
+    {name: 'arity', type: 'uint8'},
+    {name: 'height', type: 'uint16'},
+    {name: 'numberLeaves', type: 'uint256'},
+    {name: 'firstLeafHash', type: 'bytes32'},
+    {name: 'root', type: 'bytes32'},
+    {name: 'hashProfile', type: 'bytes32'}
+  ],
+  DelegateAuthorization: [
+    {name: 'disputeId', type: 'bytes32'},
+    {name: 'delegate', type: 'address'},
+    {name: 'nonce', type: 'uint256'}
+  ]
+};
+
+
+/***
+ * Returns the typed data of the initialization of a dispute, which the other
+ * party needs to sign for initDispute.
+ * @param verifyingContract The address of the adjudicator.
+ * @param chainId The id of the chain the adjudicator is deployed on.
+ * @param initialization A map with the disputeId, the arity, the height,
+ * the numberLeaves, the firstLeafHash, the root of the signing party and the
+ * hash profile of the dispute (DEFAULT_PROFILE by default).
+ * @returns The typed data as used by eth_signTypedData_v4.
+ */
+function getTypedData(verifyingContract, chainId, initialization) {
+  return {
+    'types': TYPES,
+    'primaryType': 'DisputeInitialization',
+    'domain': getDomain(verifyingContract, chainId),
+    'message': {
+      'disputeId': initialization.disputeId,
+      'arity': Number(initialization.arity),
+      'height': Number(initialization.height),
+      'numberLeaves': Number(initialization.numberLeaves),
+      'firstLeafHash': initialization.firstLeafHash,
+      'root': initialization.root,
+      'hashProfile': getProfileHash(
+        initialization.profile || MerkleTree.DEFAULT_PROFILE
+      )
+    }
+  }
+}
+
+/***
+ * Returns the typed data of the authorization of a delegate, which the
+ * represented party needs to sign for authorizeDelegate.
+ * @param verifyingContract The address of the adjudicator.
+ * @param chainId The id of the chain the adjudicator is deployed on.
+ * @param authorization A map with the disputeId, the address of the delegate
+ * and the current delegation nonce of the party.
+ * @returns The typed data as used by eth_signTypedData_v4.
+ */
+function getDelegationTypedData(verifyingContract, chainId, authorization) {
+  return {
+    'types': TYPES,
+    'primaryType': 'DelegateAuthorization',
+    'domain': getDomain(verifyingContract, chainId),
+    'message': {
+      'disputeId': authorization.disputeId,
+      'delegate': authorization.delegate,
+      'nonce': Number(authorization.nonce)
+    }
+  }
+}
+
+/***
+ * Returns the hash of a hash profile like getHashProfileHash of the
+ * contract, which binds the initialization to the hash profile.
+ * @param profile The hash profile, see MerkleTree.js.
+ */
+function getProfileHash(profile) {
+  return web3.utils.keccak256(eth.abi.encodeParameters(
+    ['uint8', 'bool', 'bytes32', 'bytes32'],
+    [
+      MerkleTree.HASH_FUNCTIONS.indexOf(profile.hashFunction),
+      profile.sortPairs,
+      // sha3 would return null for the empty prefix '0x'.
+      web3.utils.sha3Raw(profile.leafPrefix),
+      web3.utils.sha3Raw(profile.nodePrefix)
+    ]
+  ));
+}
+
+/***
+ * Returns the hash of the typed data that is signed, like
+ * getInitializationHash or getDelegationHash of the contract.
+ */
+function hashTypedData(typedData) {
+  return web3.utils.soliditySha3(
+    {t: 'bytes2', v: '0x1901'},
+    {t: 'bytes32', v: hashStruct('EIP712Domain', typedData.domain)},
+    {t: 'bytes32', v: hashStruct(typedData.primaryType, typedData.message)}
+  );
+}
+
+/***
+ * Signs the typed data with eth_signTypedData_v4 of the provider.
+ * @param web3Instance The web3 instance whose provider holds the account.
+ * @param account The address of the signing party.
+ * @param typedData The typed data as returned by getTypedData.
+ * @returns The signature.
+ */
+function signTypedData(web3Instance, account, typedData) {
+  return new Promise((resolve, reject) => {
+    web3Instance.currentProvider.send({
+      jsonrpc: '2.0',
+      method: 'eth_signTypedData_v4',
+      params: [account, typedData],
+      id: Date.now()
+    }, (error, response) => {
+      if (error || response.error) {
+        reject(error || new Error(response.error.message));
+      } else {
+        resolve(normalizeSignature(response.result));
+      }
+    });
+  });
+}
+
+/***
+ * Returns the address that signed the typed data, or null if the signature is
+ * malformed.
+ */
+function recoverSigner(typedData, signature) {
+  try {
+    return eth.accounts.recover(hashTypedData(typedData), signature, true);
+  } catch (e) {
+    return null;
+  }
+}
+
+function getDomain(verifyingContract, chainId) {
+  return {
+    'name': DOMAIN_NAME,
+    'version': DOMAIN_VERSION,
+    'chainId': Number(chainId),
+    'verifyingContract': verifyingContract
+  }
+}
+
+function hashStruct(primaryType, data) {
+  let fields = TYPES[primaryType];
+  let encodeType = primaryType + '(' +
+    fields.map(field => field.type + ' ' + field.name).join(',') + ')';
+
+  // Strings are encoded by their hash, all other types by their value.
+  let types = ['bytes32'].concat(fields.map(field =>
+    field.type == 'string' ? 'bytes32' : field.type
+  ));
+  let values = [web3.utils.keccak256(encodeType)].concat(fields.map(field =>
+    field.type == 'string' ? web3.utils.keccak256(data[field.name]) :
+      data[field.name]
+  ));
+
+  return web3.utils.keccak256(eth.abi.encodeParameters(types, values));
+}
+
+// Some clients return the v value in an older format (0 or 1).
+function normalizeSignature(signature) {
+  let v = parseInt(signature.substring(signature.length - 2), 16);
+  if (v < 27) {
+    v += 27;
+  }
+  return signature.substring(0, signature.length - 2) + v.toString(16);
+}
+
+module.exports = {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  TYPES,
+  getTypedData,
+  getDelegationTypedData,
+  getProfileHash,
+  hashTypedData,
+  signTypedData,
+  recoverSigner
+}
@@ -0,0 +1,167 @@
+// This file is part of the MerkleDisputeHandler.
+// Copyright (C) 2020 Chair of Applied Cryptography, Technische Universität
+// Darmstadt, Germany.
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>
+
+const ExampleAdjucator = artifacts.require("ExampleAdjucator");
+const MerkleTree = require("./MerkleTree.js");
+const TypedSignature = require("./TypedSignature.js");
+const { DisputeClient, SignatureError } = require("./DisputeClient.js");
+
+const NUMBER_LEAVES = 16;
+
+
+/***
+ * Returns a client for each of the two parties, whereas the second party
+ * miscalculated a leaf.
+ */
+function getClients(instance, account1, account2) {
+  let testObj = MerkleTree.getTwoDifferentTrees(NUMBER_LEAVES, true);
+
+  return [
+    new DisputeClient(instance, account1, {
+      merkleTree: testObj["merkleTree1"],
+      leafPreimages: testObj["leafPreimages"],
+      numberLeaves: NUMBER_LEAVES
+    }),
+    new DisputeClient(instance, account2, {
+      merkleTree: testObj["merkleTree2"],
+      leafPreimages: testObj["leafPreimages"],
+      numberLeaves: NUMBER_LEAVES
+    })
+  ];
+}
+
+async function getError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+
+contract("TypedSignature", async accounts => {
+
+  it("Hashes the initialization like the contract", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let initialization = {
+      'disputeId': web3.utils.randomHex(32),
+      'arity': 4,
+      'height': 5,
+      'numberLeaves': 13,
+      'firstLeafHash': web3.utils.randomHex(32),
+      'root': web3.utils.randomHex(32)
+    };
+    let typedData = TypedSignature.getTypedData(
+      instance.address,
+      await web3.eth.getChainId(),
+      initialization
+    );
+
+    assert.equal(
+      TypedSignature.hashTypedData(typedData),
+      await instance.getInitializationHash(
+        initialization.disputeId,
+        initialization.arity,
+        initialization.height,
+        initialization.numberLeaves,
+        initialization.firstLeafHash,
+        initialization.root,
+        TypedSignature.getProfileHash(MerkleTree.DEFAULT_PROFILE)
+      )
+    );
+
+    let signature = await TypedSignature.signTypedData(
+      web3,
+      accounts[0],
+      typedData
+    );
+    assert.equal(
+      TypedSignature.recoverSigner(typedData, signature),
+      accounts[0]
+    );
+  });
+
+  it("Rejects a signature from another dispute", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honest, cheater] = getClients(instance, accounts[0], accounts[1]);
+
+    await honest.open(accounts[1]);
+    await cheater.open(accounts[0]);
+
+    // The cheater signed the same tree for a dispute with accounts[2].
+    let replayed = await cheater.getSignature(accounts[2]);
+
+    let error = await getError(honest.init(replayed));
+    assert.instanceOf(error, SignatureError);
+    assert.equal(
+      error.reason,
+      "The signature from the other party is not valid."
+    );
+
+    // The signature for this dispute is accepted.
+    await honest.init(await cheater.getSignature());
+    assert.equal(await honest.getStatus(), 4);
+  });
+
+  it("Rejects a signature for another adjudicator", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let otherInstance = await ExampleAdjucator.new();
+    let [honest, cheater] = getClients(instance, accounts[2], accounts[3]);
+    let otherCheater = new DisputeClient(otherInstance, accounts[3], {
+      merkleTree: cheater.merkleTree,
+      leafPreimages: cheater.leafPreimages,
+      numberLeaves: NUMBER_LEAVES
+    });
+
+    await honest.open(accounts[3]);
+    await cheater.open(accounts[2]);
+
+    // The same dispute id and tree, but signed for the other adjudicator.
+    let replayed = await otherCheater.getSignature(accounts[2]);
+
+    assert.instanceOf(await getError(honest.init(replayed)), SignatureError);
+  });
+
+  it("Rejects a signature on a different height", async () => {
+    let instance = await ExampleAdjucator.deployed();
+    let [honest, cheater] = getClients(instance, accounts[4], accounts[5]);
+
+    await honest.open(accounts[5]);
+    await cheater.open(accounts[4]);
+
+    // The height does not match the number of leaves.
+    let typedData = TypedSignature.getTypedData(
+      instance.address,
+      await web3.eth.getChainId(),
+      {
+        'disputeId': await cheater.getDisputeId(),
+        'arity': 2,
+        'height': MerkleTree.getHeight(NUMBER_LEAVES) + 1,
+        'numberLeaves': NUMBER_LEAVES,
+        'firstLeafHash': cheater.merkleTree[0],
+        'root': cheater.getRoot()
+      }
+    );
+    let signature = {
+      'root': cheater.getRoot(),
+      'sig': await TypedSignature.signTypedData(web3, accounts[5], typedData)
+    };
+
+    assert.instanceOf(await getError(honest.init(signature)), SignatureError);
+  });
+});
@@ -87,13 +87,14 @@ module.exports = {
     solc: {
       version: "0.7.0",        // Fetch exact version from solc-bin (default: truffle's version)
       // docker: true,         // Use "0.5.1" you've installed locally with docker (default: false)
-      // settings: {           // See the solidity docs for advice about optimization and evmVersion
-      //  optimizer: {
-      //    enabled: false,
-      //    runs: 200
-      //  },
+      settings: {              // See the solidity docs for advice about optimization and evmVersion
+        // Keeps ExampleAdjucator below the maximum code size of 24 KiB.
+        optimizer: {
+          enabled: true,
+          runs: 200
+        },
       //  evmVersion: "byzantium"
-      // }
+      }
     }
   }
 }